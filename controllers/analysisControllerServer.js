@@ -1,31 +1,152 @@
 import fs from "fs";
 import path from "path";
-import { HtmlCrawler } from "../services/html/fileScannerService.js";
+import { fileURLToPath } from "url";
 import {
-  analyzeHTML,
-  extractTitleAndImagesFromHTML,
-  analyzeAllPages,
-  runLighthouse,
-  analyzeImages,
-  synthesizeImagesAnalysis,
-} from "../services/htmlAnalysisService.js";
+  enqueueScanJob,
+  getScanJob,
+  listScanJobs,
+  isScanQueueFull,
+  isScanJobFinished,
+  getScanJobEvents,
+  subscribeToScanJob,
+} from "../services/jobs/scanJobService.js";
 import {
-  compileCSS,
-  analyzeCSS,
-  analyzeImports,
-  analyzeCustomProperties,
-  analyzeTypography,
-  analyzeColors,
-} from "../services/cssAnalysisService.js";
+  createScanBatch,
+  getScanBatch,
+  listScanBatches,
+} from "../services/jobs/scanBatchService.js";
+import { parseRoster } from "../services/jobs/rosterParser.js";
 import {
-  validateHTML,
-  calculateValidationScore,
-} from "../services/html/validationService.js";
-import { performClassAnalysis } from "../services/css/classAnalysisService.js";
-import axios from "axios";
+  extractArchive,
+  removeExtractedArchive,
+} from "../services/scan/archiveService.js";
+import { resolveCommit } from "../services/scan/gitRepositoryService.js";
+import {
+  isValidProjectName,
+  listProjects,
+  getLatestSnapshot,
+  listSnapshots,
+  getSnapshot,
+} from "../services/history/snapshotService.js";
+import { diffSnapshots } from "../services/history/snapshotDiffService.js";
+import {
+  PARTIAL_ANALYZERS,
+  parseAnalyzerList,
+} from "../services/scan/partialScanService.js";
+import { parseCrawlOptions } from "../services/html/fileScannerService.js";
+import { loadRubric, listRubrics } from "../services/scoring/rubricService.js";
+import { computeOverallGrade } from "../services/scoring/gradingService.js";
+import { rescoreProjects } from "../services/scoring/rescoreService.js";
+
+// Répertoire autorisé pour les scans locaux (désactivés si non défini)
+const LOCAL_SCAN_ROOT = process.env.LOCAL_SCAN_ROOT
+  ? path.resolve(process.env.LOCAL_SCAN_ROOT)
+  : null;
+
+/**
+ * Convertit le paramètre `url` en chemin local s'il désigne un fichier ou un répertoire
+ * (`file:///…` ou chemin absolu). Un fichier HTML désigne son répertoire.
+ * @param {string} url - Le paramètre reçu.
+ * @returns {{localPath: string|null, error: string|null}} - localPath null pour une URL HTTP.
+ */
+const resolveLocalScanPath = (url) => {
+  if (typeof url !== "string") {
+    return { localPath: null, error: "Invalid url parameter" };
+  }
+
+  const isFileUrl = url.startsWith("file://");
+  if (!isFileUrl && !path.isAbsolute(url)) {
+    return { localPath: null, error: null };
+  }
+
+  if (!LOCAL_SCAN_ROOT) {
+    return {
+      localPath: null,
+      error: "Local scans are disabled (set LOCAL_SCAN_ROOT to enable them)",
+    };
+  }
+
+  let localPath = url;
+  if (isFileUrl) {
+    // Hôte (file://hote/…) ou séparateur encodé (%2F) : URL refusée
+    try {
+      localPath = fileURLToPath(url);
+    } catch (error) {
+      return { localPath: null, error: `Invalid file URL: ${error.message}` };
+    }
+  }
+
+  if (!fs.existsSync(localPath)) {
+    return { localPath: null, error: `Path not found: ${localPath}` };
+  }
+
+  // Comparer les chemins réels pour ne pas contourner la racine via un lien symbolique
+  const root = fs.existsSync(LOCAL_SCAN_ROOT)
+    ? fs.realpathSync(LOCAL_SCAN_ROOT)
+    : LOCAL_SCAN_ROOT;
+  localPath = fs.realpathSync(localPath);
+  if (fs.statSync(localPath).isFile()) localPath = path.dirname(localPath);
+
+  if (localPath !== root && !localPath.startsWith(root + path.sep)) {
+    return { localPath: null, error: "Path is outside LOCAL_SCAN_ROOT" };
+  }
+
+  return { localPath, error: null };
+};
 
 /**
- * Scan un répertoire en ligne pour récupérer et analyser les fichiers HTML.
+ * Lit le paramètre `only` d'un scan partiel (analyseurs à relancer seuls).
+ * Un scan partiel met à jour le dernier rapport : le projet doit déjà exister.
+ * @param {string|undefined} only - Le paramètre reçu.
+ * @param {string} projectName - Le projet à mettre à jour.
+ * @returns {{only: string[]|undefined, error: string|null, status: number}}
+ */
+const resolvePartialScan = (only, projectName) => {
+  if (only === undefined) return { only: undefined, error: null };
+
+  const { analyzers, unknown } = parseAnalyzerList(only);
+  if (unknown.length > 0 || analyzers.length === 0) {
+    return {
+      only: undefined,
+      error: `Invalid only parameter${
+        unknown.length > 0 ? ` (unknown: ${unknown.join(", ")})` : ""
+      }, expected a list of: ${PARTIAL_ANALYZERS.join(", ")}`,
+      status: 400,
+    };
+  }
+
+  if (!getLatestSnapshot(projectName)) {
+    return {
+      only: undefined,
+      error: "Partial scans need an existing report for this project",
+      status: 404,
+    };
+  }
+
+  return { only: analyzers, error: null };
+};
+
+/**
+ * Vérifie le paramètre `rubric` (nom du barème de notation d'un scan).
+ * @param {string|undefined} rubric - Le paramètre reçu.
+ * @returns {{rubric: string|undefined, error: string|null}}
+ */
+const resolveRubricParam = (rubric) => {
+  if (rubric === undefined) return { rubric: undefined, error: null };
+
+  try {
+    if (!loadRubric(rubric)) {
+      return { rubric: undefined, error: `Unknown rubric: ${rubric}` };
+    }
+  } catch (error) {
+    return { rubric: undefined, error: error.message };
+  }
+  return { rubric, error: null };
+};
+
+/**
+ * Lance le scan d'un répertoire en ligne (ou local) en tâche de fond.
+ * Répond immédiatement avec l'identifiant du job à interroger.
  */
 export const scanUrl = async (req, res) => {
   const { url, projectName } = req.query; // On passe l'URL via une query string
@@ -36,172 +157,506 @@ export const scanUrl = async (req, res) => {
       .json({ error: "URL and projectName parameters are required" });
   }
 
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid projectName" });
+  }
+
+  const { localPath, error: localPathError } = resolveLocalScanPath(url);
+  if (localPathError) {
+    return res.status(400).json({ error: localPathError });
+  }
+
+  const partialScan = resolvePartialScan(req.query.only, projectName);
+  if (partialScan.error) {
+    return res.status(partialScan.status).json({ error: partialScan.error });
+  }
+
+  const { options: crawlOptions, error: crawlError } = parseCrawlOptions(
+    req.query
+  );
+  if (crawlError) {
+    return res.status(400).json({ error: crawlError });
+  }
+
+  const { rubric, error: rubricError } = resolveRubricParam(req.query.rubric);
+  if (rubricError) {
+    return res.status(400).json({ error: rubricError });
+  }
+
+  if (isScanQueueFull()) {
+    return res
+      .status(503)
+      .json({ error: "Scan queue is full, please retry later" });
+  }
+
   try {
-    // Récupérer la liste des fichiers HTML depuis l'URL
-    const htmlFiles = await HtmlCrawler(url);
-    const fileResults = [];
-    const allHtmlContents = [];
-
-    // Analyser uniquement la page d'accueil (premier fichier HTML)
-    const response = await axios.get(url);
-    const htmlContent = response.data;
-
-    // Extraire le CSS brut pour analyser les imports avant compilation
-    const cssLinkMatch = htmlContent.match(
-      /<link.*?href=['"](.*?\.css)['"].*?>/i
-    );
-    let cssImportsAnalysis = null;
-    let cssRawContent = "";
-
-    if (cssLinkMatch) {
-      const cssUrl = new URL(cssLinkMatch[1], url).href;
-      try {
-        const cssResponse = await axios.get(cssUrl);
-        cssRawContent = cssResponse.data;
-
-        // Analyser les imports avant la compilation
-        cssImportsAnalysis = await analyzeImports(cssRawContent, cssUrl);
-        console.log("✅ Analyse des @import réussie.");
-      } catch (error) {
-        console.error(
-          "❌ Erreur lors de l'analyse des imports CSS:",
-          error.message
-        );
-      }
-    }
+    const job = enqueueScanJob({
+      ...(localPath ? { localPath } : { url }),
+      projectName,
+      crawlOptions,
+      only: partialScan.only,
+      rubric,
+    });
 
-    // Compiler et analyser le CSS de la page d'accueil uniquement
-    const { css: compiledCss, importErrors } = await compileCSS(
-      htmlContent,
-      url
-    );
-    console.log("✅ CSS compilé avec succès.");
-    console.log(`📊 Taille du CSS compilé: ${compiledCss.length} caractères`);
-    console.log(
-      `📊 Nombre d'@import restants: ${
-        (compiledCss.match(/@import/g) || []).length
-      }`
-    );
-
-    if (importErrors.length > 0) {
-      console.warn(
-        `⚠️ ${importErrors.length} erreur(s) d'import CSS détectée(s)`
-      );
-    }
+    return res.status(202).json({
+      message: `Scan of ${projectName} queued`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error("Error while queuing scan:", error);
+    res.status(500).json({ error: "An error occurred while queuing the scan" });
+  }
+};
+
+/**
+ * Lance le scan d'un projet envoyé sous forme d'archive (.zip, .tar, .tar.gz).
+ * L'archive est extraite dans un répertoire temporaire puis servie localement
+ * pour produire un rapport identique à celui d'un scan d'URL.
+ */
+export const scanArchive = async (req, res) => {
+  const { projectName } = req.query;
 
-    const cssAnalysisResult = await analyzeCSS(compiledCss);
-    console.log("✅ CSS analysé avec succès.");
+  if (!projectName) {
+    return res.status(400).json({ error: "projectName parameter is required" });
+  }
 
-    // Analyser les couleurs CSS
-    let colorsAnalysis = null;
-    if (cssAnalysisResult?.values?.colors) {
-      colorsAnalysis = analyzeColors(cssAnalysisResult.values.colors);
-      console.log(
-        `🎨 Analyse des couleurs: ${colorsAnalysis.uniqueColors} couleurs uniques, score: ${colorsAnalysis.score.total}/100`
-      );
-    }
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid projectName" });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "Archive file is required" });
+  }
+
+  const partialScan = resolvePartialScan(req.query.only, projectName);
+  if (partialScan.error) {
+    return res.status(partialScan.status).json({ error: partialScan.error });
+  }
+
+  const { options: crawlOptions, error: crawlError } = parseCrawlOptions(
+    req.query
+  );
+  if (crawlError) {
+    return res.status(400).json({ error: crawlError });
+  }
+
+  const { rubric, error: rubricError } = resolveRubricParam(req.query.rubric);
+  if (rubricError) {
+    return res.status(400).json({ error: rubricError });
+  }
+
+  if (isScanQueueFull()) {
+    return res
+      .status(503)
+      .json({ error: "Scan queue is full, please retry later" });
+  }
+
+  let archiveDir;
+  try {
+    archiveDir = await extractArchive(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid archive: ${error.message}` });
+  }
+
+  try {
+    const job = enqueueScanJob({
+      projectName,
+      archiveDir,
+      crawlOptions,
+      only: partialScan.only,
+      rubric,
+    });
+
+    return res.status(202).json({
+      message: `Scan of ${projectName} archive queued`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
+  } catch (error) {
+    removeExtractedArchive(archiveDir);
+    console.error("Error while queuing archive scan:", error);
+    res.status(500).json({ error: "An error occurred while queuing the scan" });
+  }
+};
+
+/**
+ * Lance le scan d'un dépôt git local à un commit donné : `ref` (branche, tag,
+ * hash) ou dernier commit avant `before` (ex. date de rendu).
+ * Le dépôt doit se trouver sous LOCAL_SCAN_ROOT.
+ */
+export const scanRepository = async (req, res) => {
+  const { path: repoPath, ref, before, projectName } = req.query;
+
+  if (!repoPath || !projectName) {
+    return res
+      .status(400)
+      .json({ error: "path and projectName parameters are required" });
+  }
+
+  if (!isValidProjectName(projectName)) {
+    return res.status(400).json({ error: "Invalid projectName" });
+  }
+
+  const { localPath, error: localPathError } = resolveLocalScanPath(repoPath);
+  if (localPathError || !localPath) {
+    return res
+      .status(400)
+      .json({ error: localPathError || "path must be an absolute path" });
+  }
+
+  const partialScan = resolvePartialScan(req.query.only, projectName);
+  if (partialScan.error) {
+    return res.status(partialScan.status).json({ error: partialScan.error });
+  }
+
+  const { options: crawlOptions, error: crawlError } = parseCrawlOptions(
+    req.query
+  );
+  if (crawlError) {
+    return res.status(400).json({ error: crawlError });
+  }
+
+  const { rubric, error: rubricError } = resolveRubricParam(req.query.rubric);
+  if (rubricError) {
+    return res.status(400).json({ error: rubricError });
+  }
+
+  // Vérifier dès maintenant que le dépôt et le commit existent
+  try {
+    await resolveCommit(localPath, { ref, before });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (isScanQueueFull()) {
+    return res
+      .status(503)
+      .json({ error: "Scan queue is full, please retry later" });
+  }
+
+  try {
+    const job = enqueueScanJob({
+      repoPath: localPath,
+      ref,
+      before,
+      projectName,
+      crawlOptions,
+      only: partialScan.only,
+      rubric,
+    });
+
+    return res.status(202).json({
+      message: `Scan of ${projectName} repository queued`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+    });
+  } catch (error) {
+    console.error("Error while queuing repository scan:", error);
+    res.status(500).json({ error: "An error occurred while queuing the scan" });
+  }
+};
+
+/**
+ * Retourne l'état d'un job de scan (et son rapport une fois terminé).
+ */
+export const getScanJobStatus = (req, res) => {
+  const job = getScanJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.json(job);
+};
+
+/**
+ * Diffuse la progression d'un job de scan en Server-Sent Events.
+ * Les événements déjà émis sont rejoués à la connexion (ou depuis `Last-Event-ID`),
+ * puis le flux se ferme après l'événement `done` ou `failed`.
+ */
+export const streamScanJobEvents = (req, res) => {
+  const job = getScanJob(req.params.id, { withReport: false });
+
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Désactive le buffering des proxys nginx
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // État courant pour initialiser la barre de progression
+  res.write(`event: snapshot\ndata: ${JSON.stringify(job)}\n\n`);
+
+  const lastEventId = parseInt(req.get("Last-Event-ID") || "0", 10) || 0;
+  getScanJobEvents(job.id, lastEventId).forEach(sendEvent);
+
+  if (isScanJobFinished(job)) {
+    return res.end();
+  }
+
+  // Commentaire périodique pour maintenir la connexion ouverte derrière un proxy
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
 
-    // Analyser les variables CSS
-    const cssVariablesAnalysis = analyzeCustomProperties(compiledCss);
-    console.log("✅ Analyse des variables CSS réussie.");
-
-    // Analyser la typographie
-    const typographyAnalysis = analyzeTypography(
-      htmlContent,
-      cssRawContent,
-      compiledCss
-    );
-    console.log("✅ Analyse de la typographie réussie.");
-
-    for (const fileUrl of htmlFiles) {
-      const response = await axios.get(fileUrl);
-      const contentType = response.headers["content-type"];
-
-      if (!contentType || !contentType.includes("text/html")) {
-        console.warn(
-          `⚠️ Le contenu à ${fileUrl} n'est pas du HTML : ${contentType}`
-        );
-        continue; // Passe au fichier suivant
-      }
-
-      const htmlContent = response.data;
-
-      // Stocker le contenu HTML pour l'analyse globale
-      allHtmlContents.push(htmlContent);
-
-      const titleAndImg = extractTitleAndImagesFromHTML(htmlContent);
-      const htmlAnalysisResult = analyzeHTML(htmlContent);
-      const lighthouseReport = await runLighthouse(fileUrl);
-      const validationErrors = await validateHTML(htmlContent);
-
-      // Analyse des images avec enrichissement des données Lighthouse
-      const imagesAnalysis = analyzeImages(
-        titleAndImg.images,
-        lighthouseReport.requests,
-        fileUrl
-      );
-
-      fileResults.push({
-        file: fileUrl,
-        title: titleAndImg.title,
-        images: imagesAnalysis.images,
-        imageStats: {
-          total: imagesAnalysis.totalImages,
-          withLazyLoading: imagesAnalysis.imagesWithLazyLoading,
-          withoutLazyLoading:
-            imagesAnalysis.totalImages - imagesAnalysis.imagesWithLazyLoading,
-          lazyLoadingRatio:
-            imagesAnalysis.imagesWithLazyLoading /
-            Math.max(imagesAnalysis.totalImages, 1),
-          lazyLoadingPercentage: Math.round(
-            (imagesAnalysis.imagesWithLazyLoading /
-              Math.max(imagesAnalysis.totalImages, 1)) *
-              100
-          ),
-        },
-        imagesAnalysis,
-        ...htmlAnalysisResult,
-        validationErrors,
-        lighthouseReport,
-      });
+  const unsubscribe = subscribeToScanJob(job.id, (event) => {
+    sendEvent(event);
+    if (event.type === "done" || event.type === "failed") {
+      cleanup();
+      res.end();
     }
+  });
 
-    // Effectuer l'analyse globale sur toutes les pages
-    const globalAnalysis = analyzeAllPages(allHtmlContents);
-
-    // Calculer le score de validation
-    const validationScore = calculateValidationScore(fileResults);
-
-    // Synthétiser l'analyse des images pour l'ensemble des pages
-    const globalImagesAnalysis = synthesizeImagesAnalysis(fileResults);
-
-    const analysisResult = {
-      pages: fileResults,
-      globalAnalysis, // Ajouter le résultat de l'analyse globale
-      globalImagesAnalysis, // Synthèse globale des images
-      // compiledCss,
-      cssAnalysisResult: {
-        ...cssAnalysisResult,
-        imports: cssImportsAnalysis,
-        customProperties: cssVariablesAnalysis,
-        typography: typographyAnalysis,
-        colors: colorsAnalysis,
-      },
-      classAnalysis: performClassAnalysis(allHtmlContents, compiledCss),
-      validationScore,
-    };
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on("close", cleanup);
+};
+
+/**
+ * Liste les jobs de scan connus.
+ */
+export const listScanJobsStatus = (req, res) => {
+  res.json(listScanJobs());
+};
+
+/**
+ * Lance le scan de toute une classe à partir d'une liste (CSV ou JSON)
+ * contenant le nom, l'URL et le groupe optionnel de chaque étudiant.
+ */
+export const scanBatch = (req, res) => {
+  let roster;
+  try {
+    roster = parseRoster(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid roster: ${error.message}` });
+  }
 
-    // Étape 2 : Sauvegarde en fichier JSON
-    const filePath = path.join("data", `${projectName}.json`);
-    fs.writeFileSync(filePath, JSON.stringify(analysisResult, null, 2));
+  if (roster.length === 0) {
+    return res.status(400).json({ error: "Roster is empty" });
+  }
 
-    // Retour simplifié
-    return res.status(200).json({
-      message: `Project ${projectName} saved successfully`,
-      analysisResult, // Retourne l'objet complet en une seule étape
+  const { options: crawlOptions, error: crawlError } = parseCrawlOptions(
+    req.query
+  );
+  if (crawlError) {
+    return res.status(400).json({ error: crawlError });
+  }
+
+  const { rubric, error: rubricError } = resolveRubricParam(req.query.rubric);
+  if (rubricError) {
+    return res.status(400).json({ error: rubricError });
+  }
+
+  try {
+    const batch = createScanBatch(roster, { crawlOptions, rubric });
+
+    if (!batch) {
+      return res
+        .status(503)
+        .json({ error: "Scan queue cannot hold this batch, retry later" });
+    }
+
+    return res.status(202).json({
+      message: `Batch of ${roster.length} project(s) queued`,
+      batchId: batch.id,
+      statusUrl: `${req.baseUrl}/batches/${batch.id}`,
+      ...getScanBatch(batch.id),
     });
   } catch (error) {
-    console.error("Error during repository scan:", error);
-    res.status(500).json({ error: "An error occurred during the scan" });
+    console.error("Error while queuing batch:", error);
+    res
+      .status(500)
+      .json({ error: "An error occurred while queuing the batch" });
+  }
+};
+
+/**
+ * Retourne le récapitulatif d'un lot : réussites, échecs (avec motif) et scans en cours.
+ */
+export const getScanBatchStatus = (req, res) => {
+  const batch = getScanBatch(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+
+  res.json(batch);
+};
+
+/**
+ * Liste les lots de scans.
+ */
+export const listScanBatchesStatus = (req, res) => {
+  res.json(listScanBatches());
+};
+
+/**
+ * Liste les barèmes de notation disponibles.
+ */
+export const listScanRubrics = (req, res) => {
+  res.json(listRubrics());
+};
+
+/**
+ * Liste les projets scannés.
+ */
+export const listScannedProjects = (req, res) => {
+  res.json(listProjects());
+};
+
+/**
+ * Retourne le dernier rapport d'un projet.
+ */
+export const getProjectReport = (req, res) => {
+  const report = getLatestSnapshot(req.params.projectName);
+
+  if (!report) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  res.json(report);
+};
+
+/**
+ * Liste les snapshots d'un projet (métadonnées et scores), du plus récent au plus ancien.
+ */
+export const listProjectSnapshots = (req, res) => {
+  const snapshots = listSnapshots(req.params.projectName);
+
+  if (!snapshots) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  res.json(snapshots);
+};
+
+/**
+ * Retourne un snapshot précis d'un projet.
+ */
+export const getProjectSnapshot = (req, res) => {
+  const { projectName, snapshotId } = req.params;
+  const snapshot = getSnapshot(projectName, snapshotId);
+
+  if (!snapshot) {
+    return res.status(404).json({ error: "Snapshot not found" });
   }
+
+  res.json(snapshot);
+};
+
+/**
+ * Compare deux snapshots d'un projet (`from` et `to` en query string).
+ * Par défaut : le dernier snapshot et celui qui le précède.
+ */
+export const getProjectDiff = (req, res) => {
+  const { projectName } = req.params;
+  const snapshots = listSnapshots(projectName);
+
+  if (!snapshots) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  const to = req.query.to || snapshots[0].snapshotId;
+  const toIndex = snapshots.findIndex((s) => s.snapshotId === to);
+  const from = req.query.from || snapshots[toIndex + 1]?.snapshotId;
+
+  if (!from) {
+    return res
+      .status(400)
+      .json({ error: "At least two snapshots are required to compare" });
+  }
+
+  const before = getSnapshot(projectName, from);
+  const after = getSnapshot(projectName, to);
+
+  if (!before || !after) {
+    return res.status(404).json({ error: "Snapshot not found" });
+  }
+
+  res.json({ projectName, ...diffSnapshots(before, after) });
+};
+
+/**
+ * Retourne le graphe de navigation du dernier rapport d'un projet (plan du site).
+ */
+export const getProjectLinkGraph = (req, res) => {
+  const report = getLatestSnapshot(req.params.projectName);
+
+  if (!report) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  // Rapport antérieur au graphe : un scan partiel `only=links` le calcule
+  if (!report.linkGraph) {
+    return res
+      .status(404)
+      .json({ error: "No link graph in this report, rescan with only=links" });
+  }
+
+  res.json(report.linkGraph);
+};
+
+/**
+ * Retourne la note globale du dernier rapport d'un projet (sur 100 et sur 20)
+ * et la contribution de chaque critère.
+ */
+export const getProjectGrade = (req, res) => {
+  const report = getLatestSnapshot(req.params.projectName);
+
+  if (!report) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  // Rapport antérieur à la note globale : calculée avec le barème par défaut
+  res.json(report.overallGrade ?? computeOverallGrade(report));
+};
+
+/**
+ * Recalcule les scores, notes et recommandations des derniers rapports à
+ * partir de leurs mesures, sans refaire de scan : un projet
+ * (`/project/:projectName/rescore`) ou tous les projets (`/rescore`).
+ * Query string : `rubric` (barème de chaque rapport par défaut) et `dryRun`
+ * (calculer sans enregistrer). La réponse liste les scores et notes modifiés.
+ */
+export const rescoreScannedProjects = (req, res) => {
+  const { projectName } = req.params;
+
+  const { rubric, error: rubricError } = resolveRubricParam(req.query.rubric);
+  if (rubricError) {
+    return res.status(400).json({ error: rubricError });
+  }
+
+  const dryRun = String(req.query.dryRun ?? "false");
+  if (!["true", "false", "1", "0"].includes(dryRun)) {
+    return res
+      .status(400)
+      .json({ error: "Invalid dryRun parameter, expected true or false" });
+  }
+
+  const result = rescoreProjects({
+    projectName,
+    rubric,
+    dryRun: dryRun === "true" || dryRun === "1",
+  });
+
+  if (!result) {
+    return res.status(404).json({ error: "Project not found" });
+  }
+
+  res.json(result);
 };
@@ -0,0 +1,76 @@
+import {
+  listCohorts,
+  getCohort,
+  createCohort,
+  updateCohort,
+  deleteCohort,
+} from "../services/cohorts/cohortService.js";
+
+/**
+ * Liste les cohortes et leurs devoirs.
+ */
+export const listCohortsHandler = (req, res) => {
+  res.json(listCohorts());
+};
+
+/**
+ * Retourne une cohorte.
+ */
+export const getCohortHandler = (req, res) => {
+  const cohort = getCohort(req.params.id);
+
+  if (!cohort) {
+    return res.status(404).json({ error: "Cohort not found" });
+  }
+
+  res.json(cohort);
+};
+
+/**
+ * Crée une cohorte à partir d'un corps JSON :
+ * `{ id?, name, assignments: [{ id?, name, rubric?, deadline?, projects }], excludedProjects? }`.
+ * L'identifiant est dérivé du nom s'il est absent.
+ */
+export const createCohortHandler = (req, res) => {
+  let cohort;
+  try {
+    cohort = createCohort(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!cohort) {
+    return res.status(409).json({ error: "Cohort already exists" });
+  }
+
+  res.status(201).json(cohort);
+};
+
+/**
+ * Remplace la définition d'une cohorte (même corps que la création).
+ */
+export const updateCohortHandler = (req, res) => {
+  let cohort;
+  try {
+    cohort = updateCohort(req.params.id, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!cohort) {
+    return res.status(404).json({ error: "Cohort not found" });
+  }
+
+  res.json(cohort);
+};
+
+/**
+ * Supprime une cohorte (les rapports de ses projets sont conservés).
+ */
+export const deleteCohortHandler = (req, res) => {
+  if (!deleteCohort(req.params.id)) {
+    return res.status(404).json({ error: "Cohort not found" });
+  }
+
+  res.status(204).end();
+};
@@ -0,0 +1,22 @@
+/**
+ * Transmet à Express les erreurs imprévues d'un contrôleur asynchrone
+ * (Express 4 ne gère pas les promesses rejetées).
+ * @param {Function} handler - Contrôleur `async (req, res)`.
+ * @returns {Function}
+ */
+export const forwardErrors = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+/**
+ * Répond en JSON aux erreurs imprévues (et aux corps de requête illisibles).
+ * Le message n'est renvoyé que pour les erreurs destinées au client.
+ */
+export const handleUnexpectedError = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) console.error("Unexpected error:", error);
+  res
+    .status(status)
+    .json({ error: error.expose ? error.message : "Internal server error" });
+};
@@ -2,6 +2,10 @@ import express from "express";
 import cors from "cors";
 import scanRoute from "./routes/scan.js";
 import statsRoute from "./routes/stats.js";
+import cohortsRoute from "./routes/cohorts.js";
+import { handleUnexpectedError } from "./controllers/errorController.js";
+import { initScanJobs } from "./services/jobs/scanJobService.js";
+import { initScanBatches } from "./services/jobs/scanBatchService.js";
 
 const app = express();
 const port = 3000;
@@ -9,8 +13,16 @@ const port = 3000;
 app.use(cors());
 // Utilisation des routes
 app.use("/scan", scanRoute);
+app.use("/cohorts", cohortsRoute);
 app.use("/", statsRoute);
 
+// Erreurs imprévues (et corps de requête illisibles) : réponse JSON
+app.use(handleUnexpectedError);
+
+// Reprise des scans interrompus par un redémarrage
+initScanJobs();
+initScanBatches();
+
 app.listen(port, () => {
   console.log(`Server is running at http://localhost:${port}`);
 });
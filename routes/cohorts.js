@@ -0,0 +1,19 @@
+import express, { Router } from "express";
+import {
+  listCohortsHandler,
+  getCohortHandler,
+  createCohortHandler,
+  updateCohortHandler,
+  deleteCohortHandler,
+} from "../controllers/cohortController.js";
+
+const router = Router();
+
+// Routes pour gérer les cohortes et leurs devoirs (barème, échéance, projets)
+router.get("/", listCohortsHandler);
+router.post("/", express.json({ limit: "1mb" }), createCohortHandler);
+router.get("/:id", getCohortHandler);
+router.put("/:id", express.json({ limit: "1mb" }), updateCohortHandler);
+router.delete("/:id", deleteCohortHandler);
+
+export default router;
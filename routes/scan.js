@@ -1,38 +1,88 @@
-import { Router } from "express";
-// import { scanRepository } from "../controllers/analysisControllerGithub.js";
-import { scanUrl } from "../controllers/analysisControllerServer.js";
-import fs from "fs";
-import path from "path";
+import express, { Router } from "express";
+import {
+  scanUrl,
+  getScanJobStatus,
+  listScanJobsStatus,
+  streamScanJobEvents,
+  scanBatch,
+  getScanBatchStatus,
+  listScanBatchesStatus,
+  scanArchive,
+  scanRepository,
+  listScannedProjects,
+  getProjectReport,
+  listProjectSnapshots,
+  getProjectSnapshot,
+  getProjectDiff,
+  getProjectLinkGraph,
+  listScanRubrics,
+  getProjectGrade,
+  rescoreScannedProjects,
+} from "../controllers/analysisControllerServer.js";
+import { forwardErrors } from "../controllers/errorController.js";
 
 const router = Router();
 
-// Route pour scanner un repository
-//router.get("/:repoOwner/:repoName", scanRepository);
+// Route pour scanner un dépôt git local à un commit donné
+router.get("/repository", forwardErrors(scanRepository));
 
 // Route pour scanner un répertoire en ligne
-router.get("/", scanUrl);
+router.get("/", forwardErrors(scanUrl));
+
+// Route pour scanner un projet envoyé en archive (.zip, .tar, .tar.gz)
+router.post(
+  "/archive",
+  express.raw({
+    type: [
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/gzip",
+      "application/x-gzip",
+      "application/x-tar",
+      "application/octet-stream",
+    ],
+    limit: "50mb",
+  }),
+  forwardErrors(scanArchive)
+);
+
+// Routes pour suivre les scans lancés en tâche de fond
+router.get("/jobs", listScanJobsStatus);
+router.get("/jobs/:id", getScanJobStatus);
+router.get("/jobs/:id/events", streamScanJobEvents);
+
+// Routes pour scanner une classe entière à partir d'une liste (CSV ou JSON)
+router.post(
+  "/batches",
+  express.json({ limit: "1mb" }),
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  scanBatch
+);
+router.get("/batches", listScanBatchesStatus);
+router.get("/batches/:id", getScanBatchStatus);
+
+// Route pour obtenir la liste des barèmes de notation
+router.get("/rubrics", listScanRubrics);
 
 // Route pour obtenir la liste des projets scannés
-router.get("/projects", (req, res) => {
-  const dataPath = path.join("data");
-  const files = fs
-    .readdirSync(dataPath)
-    .filter((file) => file.endsWith(".json"));
-  const projects = files.map((file) => file.replace(".json", ""));
-  res.json(projects);
-});
-
-// Route pour récupérer les données d'un projet spécifique
-router.get("/project/:projectName", (req, res) => {
-  const { projectName } = req.params;
-  const filePath = path.join("data", `${projectName}.json`);
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: "Project not found" });
-  }
-
-  const data = fs.readFileSync(filePath);
-  res.json(JSON.parse(data));
-});
+router.get("/projects", listScannedProjects);
+
+// Routes pour récupérer le dernier rapport d'un projet et son historique
+router.get("/project/:projectName", getProjectReport);
+router.get("/project/:projectName/snapshots", listProjectSnapshots);
+router.get("/project/:projectName/snapshots/:snapshotId", getProjectSnapshot);
+
+// Route pour comparer deux scans d'un projet (après un nouveau rendu)
+router.get("/project/:projectName/diff", getProjectDiff);
+
+// Route pour obtenir la note globale du dernier scan d'un projet
+router.get("/project/:projectName/grade", getProjectGrade);
+
+// Routes pour recalculer les scores enregistrés (après un changement de barème)
+router.post("/rescore", rescoreScannedProjects);
+router.post("/project/:projectName/rescore", rescoreScannedProjects);
+
+// Route pour obtenir le plan du site (pages et liens internes)
+router.get("/project/:projectName/links", getProjectLinkGraph);
 
 export default router;
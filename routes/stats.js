@@ -1,34 +1,66 @@
 import express from "express";
 import {
-  calculateClassStats,
+  calculateCohortStats,
   getStudentComparison,
 } from "../services/stats/statsService.js";
 
 const router = express.Router();
 
 /**
- * Route : GET /stats/class
- * Récupère les statistiques globales de la classe
+ * Lit les options de statistiques d'une cohorte dans la query string :
+ * `assignment` (un devoir) et `exclude` (projets exclus, séparés par des
+ * virgules, par exemple un projet de test).
+ * @param {object} query - `req.query`
+ * @returns {{assignmentId: string|undefined, exclude: string[]}}
  */
-router.get("/stats/class", async (req, res) => {
+const parseCohortStatsOptions = (query) => ({
+  assignmentId: query.assignment || undefined,
+  exclude: [query.exclude ?? []]
+    .flat()
+    .flatMap((value) => String(value).split(","))
+    .map((projectName) => projectName.trim())
+    .filter(Boolean),
+});
+
+/**
+ * Route : GET /stats/cohorts/:id
+ * Récupère les statistiques d'une cohorte (ou d'un de ses devoirs)
+ */
+router.get("/stats/cohorts/:id", (req, res) => {
   try {
-    const classStats = await calculateClassStats();
-    res.json(classStats);
+    const cohortStats = calculateCohortStats(
+      req.params.id,
+      parseCohortStatsOptions(req.query)
+    );
+
+    if (!cohortStats) {
+      return res.status(404).json({ error: "Cohort or assignment not found" });
+    }
+
+    res.json(cohortStats);
   } catch (error) {
-    console.error("Error fetching class stats:", error.message);
-    res.status(500).json({ error: "Failed to calculate class statistics" });
+    console.error("Error fetching cohort stats:", error.message);
+    res.status(500).json({ error: "Failed to calculate cohort statistics" });
   }
 });
 
 /**
- * Route : GET /stats/student/:studentName
- * Compare les scores d'un étudiant avec la moyenne de la classe
+ * Route : GET /stats/cohorts/:id/students/:studentName
+ * Compare les scores d'un étudiant avec la moyenne de sa cohorte
  */
-router.get("/stats/student/:studentName", async (req, res) => {
+router.get("/stats/cohorts/:id/students/:studentName", (req, res) => {
   try {
-    const { studentName } = req.params;
-    const classStats = await calculateClassStats();
-    const comparison = getStudentComparison(studentName, classStats);
+    const { id, studentName } = req.params;
+    const cohortStats = calculateCohortStats(
+      id,
+      parseCohortStatsOptions(req.query)
+    );
+
+    if (!cohortStats) {
+      return res.status(404).json({ error: "Cohort or assignment not found" });
+    }
+
+    const comparison = getStudentComparison(studentName, cohortStats);
 
     if (comparison.error) {
       return res.status(404).json(comparison);
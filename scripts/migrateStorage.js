@@ -0,0 +1,88 @@
+/**
+ * Importe le dossier data/ (rapports, historique et cohortes au format JSON)
+ * dans la base SQLite. Les identifiants de snapshots sont conservés ; relancer
+ * la migration remplace les snapshots déjà importés sans créer de doublons.
+ *
+ * Usage : npm run migrate:storage [-- --db <fichier.db>] [-- --data <dossier>]
+ */
+
+import path from "path";
+import { createStore, DATA_DIR } from "../services/storage/storageService.js";
+
+/**
+ * Lit les options `--db` et `--data` de la ligne de commande.
+ * @param {string[]} args
+ * @returns {{sqlitePath?: string, dataDir: string}}
+ */
+const parseArgs = (args) => {
+  const options = { dataDir: DATA_DIR };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--db") options.sqlitePath = path.resolve(args[++i]);
+    else if (args[i] === "--data") options.dataDir = path.resolve(args[++i]);
+    else throw new Error(`Unknown option: ${args[i]}`);
+  }
+  return options;
+};
+
+/**
+ * Copie un projet : tous ses snapshots, du plus ancien au plus récent, puis
+ * son dernier rapport comme rapport courant.
+ * @param {object} source - Store JSON.
+ * @param {object} target - Store SQLite.
+ * @param {string} projectName
+ * @returns {number} - Nombre de snapshots importés.
+ */
+const migrateProject = (source, target, projectName) => {
+  const latestReport = source.getLatestReport(projectName);
+  const snapshots = (source.listSnapshots(projectName) || []).reverse();
+  // Rapport sans historique : c'est le snapshot « legacy » listé
+  const latestId =
+    latestReport.meta?.snapshotId ?? snapshots.at(-1)?.snapshotId;
+
+  snapshots.forEach(({ snapshotId }) => {
+    target.saveSnapshot(
+      projectName,
+      source.getSnapshot(projectName, snapshotId),
+      { latest: snapshotId === latestId }
+    );
+  });
+
+  // Dernier rapport dont le fichier d'historique a disparu
+  if (!snapshots.some(({ snapshotId }) => snapshotId === latestId)) {
+    target.saveSnapshot(projectName, latestReport);
+    return snapshots.length + 1;
+  }
+  return snapshots.length;
+};
+
+const main = () => {
+  const { dataDir, sqlitePath } = parseArgs(process.argv.slice(2));
+  const source = createStore("json", { dataDir });
+  const target = createStore("sqlite", sqlitePath ? { sqlitePath } : {});
+
+  let snapshotCount = 0;
+  const projects = source.listProjects();
+  projects.forEach((projectName) => {
+    try {
+      snapshotCount += migrateProject(source, target, projectName);
+    } catch (error) {
+      console.error(`❌ ${projectName} : ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+  const cohorts = source.listCohorts();
+  cohorts.forEach((cohort) => target.saveCohort(cohort));
+  target.close();
+
+  console.log(
+    `✅ ${projects.length} projet(s), ${snapshotCount} snapshot(s) et ${cohorts.length} cohorte(s) importés`
+  );
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Migration impossible : ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,69 @@
+/**
+ * Recalcule les scores, notes et recommandations des derniers rapports à
+ * partir de leurs mesures enregistrées, sans refaire de scan, puis affiche
+ * les notes modifiées.
+ *
+ * Usage : npm run rescore [-- --project <nom>] [-- --rubric <barème>] [-- --dry-run]
+ */
+
+import { rescoreProjects } from "../services/scoring/rescoreService.js";
+import { resolveRubric } from "../services/scoring/rubricService.js";
+
+/**
+ * Lit les options `--project`, `--rubric` et `--dry-run` de la ligne de commande.
+ * @param {string[]} args
+ * @returns {{projectName?: string, rubric?: string, dryRun: boolean}}
+ */
+const parseArgs = (args) => {
+  const options = { dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--project") options.projectName = args[++i];
+    else if (args[i] === "--rubric") options.rubric = args[++i];
+    else if (args[i] === "--dry-run") options.dryRun = true;
+    else throw new Error(`Unknown option: ${args[i]}`);
+  }
+  return options;
+};
+
+/**
+ * Score affiché dans le résumé (`—` si absent).
+ * @param {{total: number, grade: string}|null} score
+ * @returns {string}
+ */
+const formatScore = (score) =>
+  score ? `${score.total} (${score.grade})` : "—";
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  // Barème inconnu ou invalide : erreur avant de parcourir les projets
+  if (options.rubric) resolveRubric(options.rubric);
+
+  const result = rescoreProjects(options);
+  if (!result) throw new Error(`Project not found: ${options.projectName}`);
+
+  result.projects.forEach(({ projectName, changes, error }) => {
+    if (error) {
+      process.exitCode = 1;
+      return;
+    }
+    changes
+      .filter(({ gradeChanged }) => gradeChanged)
+      .forEach(({ label, before, after }) => {
+        console.log(
+          `🔄 ${projectName} · ${label} : ${formatScore(before)} → ${formatScore(after)}`
+        );
+      });
+  });
+
+  const { projects, changed, gradeChanges, saved, errors } = result.summary;
+  console.log(
+    `✅ ${projects} projet(s) recalculé(s) : ${changed} avec des scores modifiés, ${gradeChanges} avec des notes modifiées, ${saved} snapshot(s) enregistré(s)${errors > 0 ? `, ${errors} erreur(s)` : ""}${result.dryRun ? " (simulation)" : ""}`
+  );
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ Recalcul impossible : ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,242 @@
+/**
+ * Cohortes (ex. « BUT MMI 2026 ») et leurs devoirs (ex. « TP3 ») : chaque
+ * devoir a son barème, sa date limite et la liste de ses projets. Un projet
+ * appartient à un seul devoir, toutes cohortes confondues. Les projets exclus
+ * (enseignant, tests) restent rattachés à leur devoir mais ne comptent pas
+ * dans les statistiques.
+ */
+
+import { getStore } from "../storage/storageService.js";
+import { isValidProjectName } from "../history/snapshotService.js";
+import { loadRubric } from "../scoring/rubricService.js";
+
+const ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Identifiant dérivé d'un nom : « BUT MMI 2026 TP3 » → `but-mmi-2026-tp3`.
+ * @param {string} name
+ * @returns {string}
+ */
+const toId = (name) =>
+  name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Nom obligatoire et identifiant (fourni ou dérivé du nom).
+ * @param {object} definition - `{ id?, name }`.
+ * @param {string} what - `Cohort` ou `Assignment`, pour les messages d'erreur.
+ * @returns {{id: string, name: string}}
+ */
+const readIdentity = (definition, what) => {
+  if (typeof definition?.name !== "string" || !definition.name.trim()) {
+    throw new Error(`${what} name is required`);
+  }
+  const name = definition.name.trim();
+  const id = definition.id ?? toId(name);
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) {
+    throw new Error(`Invalid ${what.toLowerCase()} id: ${id}`);
+  }
+  return { id, name };
+};
+
+/**
+ * Vérifie une liste de noms de projets.
+ * @param {*} projects
+ * @param {string} where - Emplacement, pour les messages d'erreur.
+ * @returns {string[]}
+ */
+const readProjectList = (projects = [], where) => {
+  if (!Array.isArray(projects)) {
+    throw new Error(`${where} must be an array of project names`);
+  }
+  projects.forEach((projectName) => {
+    if (!isValidProjectName(projectName)) {
+      throw new Error(`Invalid project name in ${where}: ${projectName}`);
+    }
+  });
+  return [...new Set(projects)];
+};
+
+/**
+ * Vérifie un devoir.
+ * @param {object} definition - `{ id?, name, rubric?, deadline?, projects? }`.
+ * @returns {object} - Le devoir normalisé.
+ */
+const readAssignment = (definition) => {
+  const { id, name } = readIdentity(definition, "Assignment");
+
+  const rubric = definition.rubric ?? null;
+  if (rubric !== null) {
+    // Un fichier de barème invalide lève son propre message
+    if (!loadRubric(rubric)) throw new Error(`Unknown rubric: ${rubric}`);
+  }
+
+  let deadline = null;
+  if (definition.deadline != null) {
+    const date = new Date(definition.deadline);
+    if (isNaN(date)) {
+      throw new Error(`Invalid deadline for assignment ${id}`);
+    }
+    deadline = date.toISOString();
+  }
+
+  return {
+    id,
+    name,
+    rubric,
+    deadline,
+    projects: readProjectList(
+      definition.projects,
+      `assignments.${id}.projects`
+    ),
+  };
+};
+
+/**
+ * Vérifie et normalise une cohorte.
+ * @param {object} definition - Corps de la requête.
+ * @param {string} [id] - Identifiant imposé (mise à jour).
+ * @returns {object} - La cohorte, sans ses dates.
+ * @throws {Error} - Si la définition est invalide ou si un projet appartient
+ *   déjà à un devoir d'une autre cohorte.
+ */
+const readCohort = (definition, id) => {
+  if (typeof definition !== "object" || definition === null) {
+    throw new Error("Cohort must be an object");
+  }
+  const identity = readIdentity(
+    { ...definition, id: id ?? definition.id },
+    "Cohort"
+  );
+
+  const { assignments: assignmentList = [] } = definition;
+  if (!Array.isArray(assignmentList)) {
+    throw new Error("assignments must be an array");
+  }
+  const assignments = assignmentList.map(readAssignment);
+
+  const assignmentIds = new Set();
+  const projectAssignments = new Map(); // projet → devoir
+  assignments.forEach((assignment) => {
+    if (assignmentIds.has(assignment.id)) {
+      throw new Error(`Duplicate assignment id: ${assignment.id}`);
+    }
+    assignmentIds.add(assignment.id);
+
+    assignment.projects.forEach((projectName) => {
+      if (projectAssignments.has(projectName)) {
+        throw new Error(
+          `Project ${projectName} is listed in assignments ${projectAssignments.get(projectName)} and ${assignment.id}`
+        );
+      }
+      projectAssignments.set(projectName, assignment.id);
+    });
+  });
+
+  getStore()
+    .listCohorts()
+    .filter((other) => other.id !== identity.id)
+    .forEach((other) => {
+      other.assignments.forEach(({ projects }) => {
+        const shared = projects.find((projectName) =>
+          projectAssignments.has(projectName)
+        );
+        if (shared) {
+          throw new Error(
+            `Project ${shared} already belongs to cohort ${other.id}`
+          );
+        }
+      });
+    });
+
+  return {
+    ...identity,
+    assignments,
+    excludedProjects: readProjectList(
+      definition.excludedProjects,
+      "excludedProjects"
+    ),
+  };
+};
+
+/**
+ * Liste les cohortes, par nom.
+ * @returns {object[]}
+ */
+export const listCohorts = () =>
+  getStore()
+    .listCohorts()
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * Récupère une cohorte.
+ * @param {string} id
+ * @returns {object|null} - La cohorte, ou null si elle n'existe pas.
+ */
+export const getCohort = (id) =>
+  ID_PATTERN.test(id) ? getStore().getCohort(id) : null;
+
+/**
+ * Crée une cohorte.
+ * @param {object} definition - `{ id?, name, assignments?, excludedProjects? }`.
+ * @returns {object|null} - La cohorte créée, ou null si l'identifiant est déjà pris.
+ * @throws {Error} - Si la définition est invalide.
+ */
+export const createCohort = (definition) => {
+  const cohort = readCohort(definition);
+  if (getStore().getCohort(cohort.id)) return null;
+
+  const now = new Date().toISOString();
+  const saved = { ...cohort, createdAt: now, updatedAt: now };
+  getStore().saveCohort(saved);
+  console.log(`👥 Cohorte ${saved.id} créée`);
+  return saved;
+};
+
+/**
+ * Remplace la définition d'une cohorte (devoirs et projets exclus compris).
+ * @param {string} id
+ * @param {object} definition - Voir createCohort (l'identifiant ne change pas).
+ * @returns {object|null} - La cohorte mise à jour, ou null si elle n'existe pas.
+ * @throws {Error} - Si la définition est invalide.
+ */
+export const updateCohort = (id, definition) => {
+  const existing = getCohort(id);
+  if (!existing) return null;
+
+  const saved = {
+    ...readCohort(definition, id),
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+  getStore().saveCohort(saved);
+  return saved;
+};
+
+/**
+ * Supprime une cohorte (les rapports des projets sont conservés).
+ * @param {string} id
+ * @returns {boolean} - false si la cohorte n'existe pas.
+ */
+export const deleteCohort = (id) =>
+  ID_PATTERN.test(id) ? getStore().deleteCohort(id) : false;
+
+/**
+ * Cohorte et devoir d'un projet.
+ * @param {string} projectName
+ * @returns {{cohort: object, assignment: object}|null} - null si le projet
+ *   n'est rattaché à aucun devoir.
+ */
+export const findProjectAssignment = (projectName) => {
+  for (const cohort of getStore().listCohorts()) {
+    const assignment = cohort.assignments.find(({ projects }) =>
+      projects.includes(projectName)
+    );
+    if (assignment) return { cohort, assignment };
+  }
+  return null;
+};
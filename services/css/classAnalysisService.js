@@ -1,5 +1,10 @@
 import * as cheerio from "cheerio";
 import postcss from "postcss";
+import {
+  getAnalyzerRubric,
+  finalizeScore,
+  toGrade,
+} from "../scoring/rubricService.js";
 
 // BEM regex patterns – à mettre en haut du fichier
 const blockPattern = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
@@ -21,13 +26,16 @@ const isBemClass = (cls) =>
  * Calcule un score BEM/classes aligné sur le frontend.
  * Retourne un total sur 100, breakdown, grade et recommandations.
  * @param {object} classAnalysis - Objet retourné par performClassAnalysis
+ *   (ou section `classAnalysis` d'un rapport enregistré)
+ * @param {object} [rubric] - Barème de notation (voir rubricService.js)
  */
-const calculateBemClassesScore = (classAnalysis) => {
+export const calculateBemClassesScore = (classAnalysis, rubric) => {
+  const analyzerRubric = getAnalyzerRubric(rubric, "classAnalysis");
   if (!classAnalysis) {
     return {
       total: 0,
       breakdown: {},
-      grade: "F",
+      grade: toGrade(0, analyzerRubric.gradeBoundaries),
       improvements: ["Aucune donnée d'analyse"],
     };
   }
@@ -52,16 +60,23 @@ const calculateBemClassesScore = (classAnalysis) => {
     averageCoverage * 100
   )}%`;
 
-  // 2) Pourcentage de sélecteurs Pure BEM (30)
+  // 2) Pourcentage de sélecteurs Pure BEM (30), paliers du barème
+  // (80, 60, 40 et 25 % par défaut)
+  const [targetPureBem, goodPureBem, partialPureBem, minPureBem] = [
+    "targetPureBem",
+    "goodPureBem",
+    "partialPureBem",
+    "minPureBem",
+  ].map((tier) => analyzerRubric.thresholds[tier] * 100);
   const totalSelectors = classAnalysis.css?.totalSelectors || 0;
   const pureBemSelectors =
     classAnalysis.css?.selectorForms?.pureBemSelectors || 0;
   if (totalSelectors > 0) {
     const bemPercentage = (pureBemSelectors / totalSelectors) * 100;
-    if (bemPercentage >= 80) scores.selectorForms.score = 30;
-    else if (bemPercentage >= 60) scores.selectorForms.score = 24;
-    else if (bemPercentage >= 40) scores.selectorForms.score = 18;
-    else if (bemPercentage >= 25) scores.selectorForms.score = 12;
+    if (bemPercentage >= targetPureBem) scores.selectorForms.score = 30;
+    else if (bemPercentage >= goodPureBem) scores.selectorForms.score = 24;
+    else if (bemPercentage >= partialPureBem) scores.selectorForms.score = 18;
+    else if (bemPercentage >= minPureBem) scores.selectorForms.score = 12;
     else scores.selectorForms.score = 6;
     scores.selectorForms.details = `Pure BEM: ${Math.round(bemPercentage)}%`;
   } else {
@@ -122,14 +137,8 @@ const calculateBemClassesScore = (classAnalysis) => {
     scores.modifiers.details = "Pas de blocs pour évaluer les modificateurs.";
   }
 
-  // Total et grade
-  const total = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
-  let grade;
-  if (total >= 90) grade = "A";
-  else if (total >= 80) grade = "B";
-  else if (total >= 70) grade = "C";
-  else if (total >= 60) grade = "D";
-  else grade = "F";
+  // Total et grade (poids et bornes du barème)
+  const { total, breakdown, grade } = finalizeScore(scores, analyzerRubric);
 
   // Recommandations
   const improvements = [];
@@ -139,7 +148,7 @@ const calculateBemClassesScore = (classAnalysis) => {
     );
   if (totalSelectors > 0) {
     const bemPct = (pureBemSelectors / totalSelectors) * 100;
-    if (bemPct < 60)
+    if (bemPct < goodPureBem)
       improvements.push(
         "Augmenter la part de sélecteurs BEM purs et éviter les combinateurs/ID"
       );
@@ -160,7 +169,7 @@ const calculateBemClassesScore = (classAnalysis) => {
       );
   }
 
-  return { total, breakdown: scores, grade, improvements };
+  return { total, breakdown, grade, improvements };
 };
 
 /**
@@ -592,8 +601,9 @@ const computeEntropy = (frequencyMapObj) => {
  * Analyse complète des classes (HTML + CSS + BEM + métriques).
  * @param {string[]} allHtmlContents
  * @param {string} compiledCss
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent)
  */
-export const performClassAnalysis = (allHtmlContents, compiledCss) => {
+export const performClassAnalysis = (allHtmlContents, compiledCss, rubric) => {
   const htmlStats = extractHtmlClasses(allHtmlContents);
   let cssStats = {
     uniqueClasses: [],
@@ -686,6 +696,6 @@ export const performClassAnalysis = (allHtmlContents, compiledCss) => {
     },
   };
 
-  const bemScore = calculateBemClassesScore(analysis);
+  const bemScore = calculateBemClassesScore(analysis, rubric);
   return { ...analysis, score: { bem: bemScore } };
 };
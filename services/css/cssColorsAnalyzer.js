@@ -5,6 +5,7 @@
  */
 
 import { parse, converter } from "culori";
+import { getAnalyzerRubric, finalizeScore } from "../scoring/rubricService.js";
 
 /**
  * Parse une couleur CSS et la convertit en OKLCH
@@ -191,9 +192,10 @@ const detectSimilarColors = (colors) => {
 /**
  * Calcule un score de qualité pour l'utilisation des couleurs
  * @param {object} colorData - Données d'analyse des couleurs
+ * @param {object} [rubric] - Barème de notation (voir rubricService.js)
  * @returns {{total: number, breakdown: object, grade: string, improvements: string[]}}
  */
-const calculateColorsScore = (colorData) => {
+const calculateColorsScore = (colorData, rubric) => {
   const {
     totalColors,
     uniqueColors,
@@ -203,6 +205,13 @@ const calculateColorsScore = (colorData) => {
     colorGroups,
     formats,
   } = colorData;
+  const analyzerRubric = getAnalyzerRubric(rubric, "colors");
+  const {
+    optimalPalette: [paletteMin, paletteMax],
+    limitedPaletteMin,
+    widePaletteMax,
+    largePaletteMax,
+  } = analyzerRubric.thresholds;
 
   const scores = {
     palette: { score: 0, max: 30, details: "" },
@@ -213,20 +222,21 @@ const calculateColorsScore = (colorData) => {
   };
 
   // 1) Palette de couleurs (30 points)
-  // Palette optimale : 8-18 couleurs uniques
-  if (uniqueColors >= 8 && uniqueColors <= 18) {
+  // Palette optimale : 8-18 couleurs uniques par défaut, acceptable dès 5,
+  // large jusqu'à 25 puis 30 (barème)
+  if (uniqueColors >= paletteMin && uniqueColors <= paletteMax) {
     scores.palette.score = 30;
     scores.palette.details = "Palette de couleurs optimale. ";
-  } else if (uniqueColors >= 5 && uniqueColors < 8) {
+  } else if (uniqueColors >= limitedPaletteMin && uniqueColors < paletteMin) {
     scores.palette.score = 25;
     scores.palette.details = "Palette limitée mais acceptable. ";
-  } else if (uniqueColors >= 19 && uniqueColors <= 25) {
+  } else if (uniqueColors > paletteMax && uniqueColors <= widePaletteMax) {
     scores.palette.score = 22;
     scores.palette.details = "Palette un peu large. ";
-  } else if (uniqueColors > 25 && uniqueColors <= 30) {
+  } else if (uniqueColors > widePaletteMax && uniqueColors <= largePaletteMax) {
     scores.palette.score = 15;
     scores.palette.details = "Palette large. ";
-  } else if (uniqueColors > 30) {
+  } else if (uniqueColors > largePaletteMax) {
     scores.palette.score = 8;
     scores.palette.details = "Trop de couleurs différentes. ";
   } else {
@@ -317,14 +327,8 @@ const calculateColorsScore = (colorData) => {
     scores.bestPractices.details += "Variables CSS utilisées. ";
   }
 
-  // Total et grade
-  const total = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
-  let grade;
-  if (total >= 90) grade = "A";
-  else if (total >= 80) grade = "B";
-  else if (total >= 70) grade = "C";
-  else if (total >= 60) grade = "D";
-  else grade = "F";
+  // Total et grade (poids et bornes du barème)
+  const { total, breakdown, grade } = finalizeScore(scores, analyzerRubric);
 
   // Recommandations
   const improvements = [];
@@ -363,15 +367,36 @@ const calculateColorsScore = (colorData) => {
     improvements.push("Utiliser des variables CSS pour gérer les couleurs");
   }
 
-  return { total, breakdown: scores, grade, improvements };
+  return { total, breakdown, grade, improvements };
+};
+
+/**
+ * Recalcule le score d'une analyse des couleurs enregistrée (résultat de
+ * analyzeColors), par exemple après un changement de barème.
+ * @param {object} colors - Section `colors` du rapport.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent)
+ * @returns {object} - Le nouveau score ; celui d'une analyse sans couleur
+ *   (note N/A) est conservé.
+ */
+export const rescoreColors = (colors, rubric) => {
+  if (colors.score?.grade === "N/A") return colors.score;
+
+  return calculateColorsScore(
+    {
+      ...colors,
+      similarColorsCount: colors.opaqueColors.filter((c) => c.isSimilar).length,
+    },
+    rubric
+  );
 };
 
 /**
  * Analyse les couleurs CSS à partir des données de Project Wallace
  * @param {object} projectWallaceColors - Données colors de Project Wallace
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent)
  * @returns {object} - Analyse complète des couleurs
  */
-export const analyzeColors = (projectWallaceColors) => {
+export const analyzeColors = (projectWallaceColors, rubric) => {
   console.log(`🎨 Analyse des couleurs CSS (OKLCH)...`);
 
   if (!projectWallaceColors || !projectWallaceColors.unique) {
@@ -444,15 +469,18 @@ export const analyzeColors = (projectWallaceColors) => {
   });
 
   // Calculer le score
-  const score = calculateColorsScore({
-    totalColors: projectWallaceColors.total,
-    uniqueColors: Object.keys(normalizedColors).length, // Utiliser le nombre de couleurs normalisées
-    transparentColors,
-    opaqueColors: opaqueWithSimilarity,
-    similarColorsCount,
-    colorGroups,
-    formats,
-  });
+  const score = calculateColorsScore(
+    {
+      totalColors: projectWallaceColors.total,
+      uniqueColors: Object.keys(normalizedColors).length, // Utiliser le nombre de couleurs normalisées
+      transparentColors,
+      opaqueColors: opaqueWithSimilarity,
+      similarColorsCount,
+      colorGroups,
+      formats,
+    },
+    rubric
+  );
 
   const result = {
     totalColors: projectWallaceColors.total,
@@ -2,10 +2,9 @@
 // import postcssImport from "postcss-import";
 // import path from "path";
 // import fs from "fs/promises";
-import axios from "axios";
 import { isNormalizeCSS, isGoogleFont } from "../shared/cssHelpers.js";
-
-axios.defaults.timeout = 5000; // Timeout de 5 secondes pour éviter les blocages
+import { httpLoader } from "../shared/resourceLoader.js";
+import { getStylesheetsFromHtml } from "../html/htmlAnalyzer.js";
 
 /**
  * Supprime les imports de normalize.css dans le CSS brut.
@@ -23,76 +22,21 @@ const removeNormalizeCSSImports = (cssContent) => {
   });
 };
 
-/**
- * Remplace les @import distants et relatifs par le contenu du fichier CSS correspondant,
- * en ignorant les @import provenant de Google Fonts.
- * @param {string} cssContent - Le contenu CSS initial.
- * @param {string} currentUrl - L'URL du fichier CSS actuel.
- * @returns {Promise<string>} - CSS avec les imports inlinés.
- */
-const inlineRemoteCSS = async (cssContent, currentUrl) => {
-  console.log(`🔍 Début du traitement des imports CSS pour : ${currentUrl}`);
-
-  const importRegex = /@import\s+(?:url\()?['"]?(https?:\/\/.*?)['"]?\)?;/g;
-  const relativeImportRegex = /@import\s+['"]?(.*?)['"]?;/g;
-
-  let match;
-
-  // 📦 Gestion des imports absolus (https://...)
-  while ((match = importRegex.exec(cssContent)) !== null) {
-    const importUrl = match[1];
-
-    if (isGoogleFont(importUrl)) {
-      console.log(`⚠️ Ignoré (absolu) : ${importUrl}`);
-      continue;
-    }
-
-    try {
-      console.log(`🔄 Téléchargement de ${importUrl}`);
-      const response = await axios.get(importUrl);
-      cssContent = cssContent.replace(match[0], response.data);
-    } catch (error) {
-      console.error(
-        `❌ Échec du téléchargement de ${importUrl}:`,
-        error.message
-      );
-    }
-  }
-
-  // 📦 Gestion des imports relatifs
-  while ((match = relativeImportRegex.exec(cssContent)) !== null) {
-    const relativePath = match[1];
-
-    try {
-      let resolvedUrl = new URL(relativePath, currentUrl).href;
-      console.log(`🔄 Téléchargement de ${resolvedUrl}`);
-      const response = await axios.get(resolvedUrl);
-      cssContent = cssContent.replace(match[0], response.data);
-    } catch (error) {
-      console.error(
-        `❌ Échec du téléchargement de ${relativePath}:`,
-        error.message
-      );
-    }
-  }
-
-  console.log(`✅ Fin du traitement des imports CSS pour : ${currentUrl}`);
-  return cssContent;
-};
-
 /**
  * Inline tous les @import CSS de manière récursive
  * @param {string} cssContent - Le contenu CSS
  * @param {string} currentUrl - L'URL du fichier CSS courant
  * @param {Set} processedUrls - URLs déjà traitées (éviter les imports circulaires)
  * @param {Array} errors - Tableau pour collecter les erreurs d'import
+ * @param {object} loader - Chargeur de ressources (HTTP ou disque)
  * @returns {Promise<string>} - CSS avec tous les imports inlinés
  */
 const inlineAllImports = async (
   cssContent,
   currentUrl,
   processedUrls = new Set(),
-  errors = []
+  errors = [],
+  loader = httpLoader
 ) => {
   if (processedUrls.has(currentUrl)) {
     console.log(`⚠️ Import circulaire détecté, ignoré: ${currentUrl}`);
@@ -142,7 +86,7 @@ const inlineAllImports = async (
     console.log(`🔗 URL résolue: ${importUrl}`);
 
     try {
-      const response = await axios.get(importUrl, { timeout: 3000 });
+      const response = await loader.get(importUrl, { timeout: 3000 });
       console.log(`✅ Chargé: ${importUrl}`);
 
       // Traiter récursivement les imports dans le fichier chargé
@@ -150,7 +94,8 @@ const inlineAllImports = async (
         response.data,
         importUrl,
         processedUrls,
-        errors
+        errors,
+        loader
       );
 
       // Remplacer l'@import par le contenu inline
@@ -183,55 +128,126 @@ const inlineAllImports = async (
 };
 
 /**
- * Compile le CSS en résolvant tous les @import et le minifie.
+ * Convertit la réponse d'un chargeur en texte (une feuille servie sans
+ * extension .css peut être lue comme un Buffer).
+ * @param {string|Buffer} data - Le contenu reçu.
+ * @returns {string}
+ */
+const toText = (data) =>
+  typeof data === "string" ? data : Buffer.from(data || "").toString("utf-8");
+
+/**
+ * Collecte toutes les feuilles de style de l'auteur d'une page, dans l'ordre
+ * de la cascade (<link>, <style>, puis attributs style=""), avec leurs @import
+ * inlinés. Normalize.css et Google Fonts ne sont pas des CSS de l'auteur :
+ * ils sont ignorés comme lors de l'inline des @import.
  * @param {string} htmlContent - Le contenu HTML.
- * @param {string} baseUrl - L'URL de base pour résoudre les chemins CSS.
- * @returns {Promise<{css: string, importErrors: Array}>} - CSS compilé et erreurs d'import
+ * @param {string} baseUrl - L'URL de la page.
+ * @param {object} [loader] - Chargeur de ressources (HTTP par défaut, ou disque).
+ * @returns {Promise<{sources: Array<object>, importErrors: Array}>} - Les sources
+ *   (`id`, `type`, `url`, `media`, `rawCss`, `css`, `error`) et les erreurs d'import.
  */
-export const compileCSS = async (htmlContent, baseUrl) => {
-  console.log(`🔧 Début de la compilation CSS avec baseUrl : ${baseUrl}`);
-  const cssLinkMatch = htmlContent.match(
-    /<link.*?href=['"](.*?\.css)['"].*?>/i
-  );
-  if (!cssLinkMatch) {
-    throw new Error("No CSS file found in the HTML.");
-  }
+export const collectStylesheets = async (
+  htmlContent,
+  baseUrl,
+  loader = httpLoader
+) => {
+  const importErrors = [];
+  const sources = [];
 
-  const cssUrl = new URL(cssLinkMatch[1], baseUrl).href;
-  console.log(`🔗 URL du fichier CSS détectée : ${cssUrl}`);
+  for (const sheet of getStylesheetsFromHtml(htmlContent, baseUrl)) {
+    if (sheet.url && (isGoogleFont(sheet.url) || isNormalizeCSS(sheet.url))) {
+      console.log(`⚠️ Feuille de style ignorée (hors auteur) : ${sheet.url}`);
+      continue;
+    }
 
-  try {
-    const cssResponse = await axios.get(cssUrl);
-    let cssContent = cssResponse.data;
+    const source = {
+      id: sources.length + 1,
+      type: sheet.type,
+      url: sheet.url,
+      media: sheet.media,
+      rawCss: "",
+      css: "",
+      error: null,
+    };
+    sources.push(source);
 
-    // Supprimer les imports normalize.css
-    cssContent = removeNormalizeCSSImports(cssContent);
+    try {
+      if (sheet.type === "link") {
+        console.log(`🔗 URL du fichier CSS détectée : ${sheet.url}`);
+        source.rawCss = toText((await loader.get(sheet.url)).data);
+      } else {
+        source.rawCss = sheet.content || "";
+      }
+
+      // Les @import d'un <style> se résolvent par rapport à la page
+      source.css = await inlineAllImports(
+        removeNormalizeCSSImports(source.rawCss),
+        sheet.url || baseUrl,
+        new Set(),
+        importErrors,
+        loader
+      );
+    } catch (error) {
+      console.error(
+        `❌ Impossible de charger la feuille ${sheet.url}:`,
+        error.message
+      );
+      source.error = error.message;
+    }
+  }
 
-    console.log(`📂 Inline de tous les @import...`);
+  return { sources, importErrors };
+};
 
-    // Collecter les erreurs d'import
-    const importErrors = [];
+/**
+ * Assemble les sources collectées en une seule feuille, dans l'ordre de la
+ * cascade. Une source avec un attribut `media` est enveloppée dans @media.
+ * @param {Array<object>} sources - Les sources retournées par collectStylesheets.
+ * @returns {string} - Le CSS complet.
+ */
+export const concatStylesheets = (sources) =>
+  sources
+    .filter((source) => source.css)
+    .map((source) => {
+      const label = source.url || `<${source.type}>`;
+      const css =
+        source.media && source.media !== "all"
+          ? `@media ${source.media} {\n${source.css}\n}`
+          : source.css;
+      return `/* Source ${source.id}: ${label} */\n${css}`;
+    })
+    .join("\n");
 
-    // Inline tous les @import récursivement
-    cssContent = await inlineAllImports(
-      cssContent,
-      cssUrl,
-      new Set(),
-      importErrors
-    );
+/**
+ * Compile le CSS de toutes les feuilles de style de la page en résolvant
+ * tous les @import.
+ * @param {string} htmlContent - Le contenu HTML.
+ * @param {string} baseUrl - L'URL de base pour résoudre les chemins CSS.
+ * @param {object} [loader] - Chargeur de ressources (HTTP par défaut, ou disque).
+ * @returns {Promise<{css: string, importErrors: Array, sources: Array<object>}>} - CSS compilé,
+ *   erreurs d'import et sources (voir collectStylesheets)
+ */
+export const compileCSS = async (htmlContent, baseUrl, loader = httpLoader) => {
+  console.log(`🔧 Début de la compilation CSS avec baseUrl : ${baseUrl}`);
 
-    if (importErrors.length > 0) {
-      console.warn(`⚠️ ${importErrors.length} erreur(s) d'import détectée(s):`);
-      importErrors.forEach((err) => {
-        console.warn(`  - "${err.importPath}" dans ${err.sourceFile}`);
-      });
-    } else {
-      console.log(`✅ Tous les @import ont été inlinés avec succès`);
-    }
+  const { sources, importErrors } = await collectStylesheets(
+    htmlContent,
+    baseUrl,
+    loader
+  );
+  if (sources.length === 0) {
+    console.warn(`⚠️ Aucune feuille de style trouvée dans le HTML.`);
+  }
 
-    return { css: cssContent, importErrors };
-  } catch (error) {
-    console.error(`❌ Erreur lors de la compilation CSS :`, error.message);
-    throw error;
+  if (importErrors.length > 0) {
+    console.warn(`⚠️ ${importErrors.length} erreur(s) d'import détectée(s):`);
+    importErrors.forEach((err) => {
+      console.warn(`  - "${err.importPath}" dans ${err.sourceFile}`);
+    });
+  } else {
+    console.log(`✅ Tous les @import ont été inlinés avec succès`);
   }
+
+  return { css: concatStylesheets(sources), importErrors, sources };
 };
@@ -1,19 +1,25 @@
-import axios from "axios";
 import {
   isNormalizeCSS,
   isGoogleFont,
   categorizeImportByPath,
   getImportType,
 } from "../shared/cssHelpers.js";
+import { httpLoader } from "../shared/resourceLoader.js";
+import { getAnalyzerRubric, finalizeScore } from "../scoring/rubricService.js";
 
 /**
  * Calcule un score de qualité pour l'organisation des imports CSS.
- * Le score est sur 100 avec un découpage par critères.
+ * Le score est sur 100 avec un découpage par critères. Les données sont celles
+ * enregistrées dans le rapport, ce qui permet de recalculer le score.
  * @param {object} data - Données de l'analyse des imports.
+ * @param {object} [rubric] - Barème de notation (voir rubricService.js).
  * @returns {{total:number, breakdown:object, grade:string, improvements:string[]}}
  */
-const calculateImportsScore = (data) => {
+export const calculateImportsScore = (data, rubric) => {
   const { total, imports, organization } = data;
+  const analyzerRubric = getAnalyzerRubric(rubric, "imports");
+  const { largeFileBytes, maxExternalImports, maxGoogleFonts } =
+    analyzerRubric.thresholds;
 
   const scores = {
     validity: { score: 0, max: 25, details: "" },
@@ -107,7 +113,9 @@ const calculateImportsScore = (data) => {
     const avgSize =
       filesWithSize.reduce((sum, i) => sum + i.fileSize, 0) /
       filesWithSize.length;
-    const largeFiles = filesWithSize.filter((i) => i.fileSize > 100000).length;
+    const largeFiles = filesWithSize.filter(
+      (i) => i.fileSize > largeFileBytes
+    ).length;
 
     if (largeFiles > 0) {
       modularityScore -= Math.min(5, largeFiles * 2);
@@ -169,13 +177,16 @@ const calculateImportsScore = (data) => {
     goodPracticesParts.push(`Utilise normalize.css`);
   }
 
-  if (organization.googleFontsCount > 0 && organization.googleFontsCount <= 2) {
+  if (
+    organization.googleFontsCount > 0 &&
+    organization.googleFontsCount <= maxGoogleFonts
+  ) {
     bestPracticesScore += 4;
-  } else if (organization.googleFontsCount > 2) {
+  } else if (organization.googleFontsCount > maxGoogleFonts) {
     bestPracticesParts.push("Trop d'imports Google Fonts");
   }
 
-  if (organization.externalCount <= 3) {
+  if (organization.externalCount <= maxExternalImports) {
     bestPracticesScore += 3;
   } else {
     bestPracticesParts.push("Trop d'imports externes");
@@ -197,15 +208,12 @@ const calculateImportsScore = (data) => {
       ? messages.join(". ") + "."
       : "Bonnes pratiques respectées.";
 
-  // Total et grade
-  const totalScore = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
-
-  let grade;
-  if (totalScore >= 90) grade = "A";
-  else if (totalScore >= 80) grade = "B";
-  else if (totalScore >= 70) grade = "C";
-  else if (totalScore >= 60) grade = "D";
-  else grade = "F";
+  // Total et grade (poids et bornes du barème)
+  const {
+    total: totalScore,
+    breakdown,
+    grade,
+  } = finalizeScore(scores, analyzerRubric);
 
   // Recommandations
   const improvements = [];
@@ -227,7 +235,7 @@ const calculateImportsScore = (data) => {
       "Trop de fichiers : envisager de regrouper certains composants similaires"
     );
   }
-  if (organization.googleFontsCount > 2) {
+  if (organization.googleFontsCount > maxGoogleFonts) {
     improvements.push("Limiter le nombre de polices Google Fonts");
   }
   if (namingIssues.filesWithIssues > 0) {
@@ -238,7 +246,7 @@ const calculateImportsScore = (data) => {
 
   return {
     total: totalScore,
-    breakdown: scores,
+    breakdown,
     grade,
     improvements,
   };
@@ -248,9 +256,16 @@ const calculateImportsScore = (data) => {
  * Analyse les règles @import avant la compilation.
  * @param {string} cssContent - Le contenu CSS brut.
  * @param {string} baseUrl - L'URL de base pour résoudre les chemins.
+ * @param {object} [loader] - Chargeur de ressources (HTTP par défaut, ou disque).
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
  * @returns {object} - Informations détaillées sur les imports, leur organisation et les noms de classes.
  */
-export const analyzeImports = async (cssContent, baseUrl) => {
+export const analyzeImports = async (
+  cssContent,
+  baseUrl,
+  loader = httpLoader,
+  rubric
+) => {
   console.log(`🔍 Analyse des @import CSS...`);
 
   // Supprimer les commentaires CSS pour éviter d'analyser les @import dans les commentaires
@@ -305,7 +320,7 @@ export const analyzeImports = async (cssContent, baseUrl) => {
       ) {
         resolvedUrl = importPath;
         // Tenter de vérifier l'accessibilité
-        const response = await axios.head(resolvedUrl, { timeout: 3000 });
+        const response = await loader.head(resolvedUrl, { timeout: 3000 });
         isValid = response.status === 200;
 
         // Récupérer la taille du fichier si disponible
@@ -315,7 +330,7 @@ export const analyzeImports = async (cssContent, baseUrl) => {
       } else {
         // Chemin relatif
         resolvedUrl = new URL(importPath, baseUrl).href;
-        const response = await axios.head(resolvedUrl, { timeout: 3000 });
+        const response = await loader.head(resolvedUrl, { timeout: 3000 });
         isValid = response.status === 200;
 
         if (response.headers["content-length"]) {
@@ -403,7 +418,7 @@ export const analyzeImports = async (cssContent, baseUrl) => {
   };
 
   // Calculer le score
-  const score = calculateImportsScore(analysisData);
+  const score = calculateImportsScore(analysisData, rubric);
 
   console.log(
     `✅ Analyse des imports terminée. Score: ${score.total}/100 (${score.grade})`
@@ -0,0 +1,97 @@
+import postcss from "postcss";
+
+/**
+ * Échappe une chaîne pour l'utiliser dans une expression régulière.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Indique si une couleur apparaît dans les valeurs d'une feuille
+ * (en mot entier, pour ne pas confondre `red` et `--red-500`).
+ * @param {string} values - Les valeurs des déclarations, en minuscules.
+ * @param {string} color - La couleur normalisée (voir analyzeColors).
+ * @returns {boolean}
+ */
+const containsColor = (values, color) =>
+  new RegExp(`(^|[^\\w-])${escapeRegExp(color)}(?![\\w-])`).test(values);
+
+/**
+ * Résume chaque feuille de style collectée pour attribuer les résultats
+ * des analyseurs à leur source : classes, variables déclarées, polices et couleurs.
+ * @param {Array<object>} sources - Les sources retournées par collectStylesheets.
+ * @param {Array<{color: string}>} [colors] - Les couleurs retenues par analyzeColors.
+ * @returns {Array<object>} - Un résumé par source, dans l'ordre de la cascade.
+ */
+export const analyzeStylesheetSources = (sources, colors = []) =>
+  sources.map((source) => {
+    const classes = new Set();
+    const customProperties = new Set();
+    const fontFamilies = new Set();
+    const values = [];
+    let rules = 0;
+    let declarations = 0;
+    let parseError = null;
+
+    try {
+      const root = postcss.parse(source.css);
+
+      root.walkRules((rule) => {
+        rules++;
+        for (const [, className] of rule.selector.matchAll(
+          /\.(-?[_a-zA-Z][\w-]*)/g
+        )) {
+          classes.add(className);
+        }
+      });
+
+      root.walkDecls((decl) => {
+        declarations++;
+        values.push(decl.value.toLowerCase());
+
+        if (decl.prop.startsWith("--")) customProperties.add(decl.prop);
+        if (decl.prop === "font-family") {
+          const family = decl.value.split(",")[0].trim().replace(/["']/g, "");
+          if (family) fontFamilies.add(family);
+        }
+      });
+    } catch (error) {
+      parseError = error.message;
+    }
+
+    const valuesText = values.join("\n");
+
+    return {
+      id: source.id,
+      type: source.type,
+      url: source.url,
+      media: source.media,
+      size: source.css.length,
+      error: source.error || parseError,
+      rules,
+      declarations,
+      classes: Array.from(classes),
+      customProperties: Array.from(customProperties),
+      fontFamilies: Array.from(fontFamilies),
+      colors: colors
+        .map(({ color }) => color)
+        .filter((color) => containsColor(valuesText, color)),
+    };
+  });
+
+/**
+ * Ajoute à chaque élément la liste des sources (identifiants) où il apparaît.
+ * @param {Array<object>} items - Les éléments à annoter (couleurs, variables…).
+ * @param {string} key - Le champ de l'élément à rechercher (ex. `color`, `name`).
+ * @param {Array<object>} summaries - Les résumés de analyzeStylesheetSources.
+ * @param {string} field - Le champ du résumé où chercher (ex. `colors`).
+ * @returns {Array<object>} - Les éléments annotés d'un champ `sources`.
+ */
+export const attributeToSources = (items, key, summaries, field) =>
+  (items || []).map((item) => ({
+    ...item,
+    sources: summaries
+      .filter((summary) => summary[field].includes(item[key]))
+      .map((summary) => summary.id),
+  }));
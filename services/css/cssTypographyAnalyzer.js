@@ -1,5 +1,6 @@
 import postcss from "postcss";
 import { resolveVariable } from "../shared/cssHelpers.js";
+import { getAnalyzerRubric, finalizeScore } from "../scoring/rubricService.js";
 
 /**
  * Normalise le nom d'une famille de police pour éviter les doublons dus à la casse
@@ -191,19 +192,38 @@ export const analyzeLineHeightUnits = (lineHeightValues) => {
 };
 
 /**
- * Calcule le score de la qualité typographique
- * @param {object} typographyData - Données brutes avant transformation
- * @param {object} summary - Résumé des métriques
+ * Nombre moyen de tailles de police par famille (familles sans taille exclues)
+ * @param {Map} fontFamilies - Map des familles de polices avec leurs tailles
+ * @returns {number}
+ */
+const computeAverageSizeVariations = (fontFamilies) => {
+  let sizeCount = 0;
+  let familyCount = 0;
+  fontFamilies.forEach((data) => {
+    if (data.sizes.size > 0) {
+      sizeCount += data.sizes.size;
+      familyCount++;
+    }
+  });
+  return familyCount > 0 ? sizeCount / familyCount : 0;
+};
+
+/**
+ * Calcule le score de la qualité typographique à partir des métriques du
+ * résumé (celles enregistrées dans le rapport, voir rescoreTypography)
+ * @param {object} summary - Résumé des métriques, avec `fontSizeUnits`,
+ *   `lineHeightUnits` et `averageSizeVariations`
  * @param {Array} webfonts - Liste des webfonts détectées
- * @param {Map} fontFamilies - Map des familles de polices
+ * @param {object} [rubric] - Barème de notation (voir rubricService.js)
  * @returns {object} - Score détaillé sur 100
  */
-export const calculateTypographyScore = (
-  typographyData,
-  summary,
-  webfonts,
-  fontFamilies
-) => {
+export const calculateTypographyScore = (summary, webfonts, rubric) => {
+  const analyzerRubric = getAnalyzerRubric(rubric, "typography");
+  const {
+    optimalSizeVariations: [minSizes, maxSizes],
+    acceptableSizeVariations,
+    excessiveSizeVariations,
+  } = analyzerRubric.thresholds;
   const scores = {
     webfonts: { score: 0, max: 15, details: "" },
     fallbacks: { score: 0, max: 20, details: "" },
@@ -266,30 +286,29 @@ export const calculateTypographyScore = (
   )}%.`;
 
   // 4. Score Cohérence des tailles (20 points)
-  const unitsAnalysis = analyzeFontSizeUnits(fontFamilies);
+  const unitsAnalysis = summary.fontSizeUnits;
 
-  // Analyser le nombre de variations de tailles
-  let avgSizeVariations = 0;
-  let totalFamilies = 0;
-  fontFamilies.forEach((data) => {
-    if (data.sizes.size > 0) {
-      avgSizeVariations += data.sizes.size;
-      totalFamilies++;
-    }
-  });
-  avgSizeVariations = totalFamilies > 0 ? avgSizeVariations / totalFamilies : 0;
+  // Nombre de variations de tailles
+  const avgSizeVariations = summary.averageSizeVariations;
 
-  // Score selon le nombre de variations
-  if (avgSizeVariations >= 2 && avgSizeVariations <= 4) {
+  // Score selon le nombre de variations (2 à 4 tailles par défaut, puis 5 à 7
+  // et 8 à 10, barème)
+  if (avgSizeVariations >= minSizes && avgSizeVariations <= maxSizes) {
     scores.sizes.score += 10;
     scores.sizes.details = "Nombre de tailles optimal. ";
-  } else if (avgSizeVariations >= 5 && avgSizeVariations <= 7) {
+  } else if (
+    avgSizeVariations >= acceptableSizeVariations[0] &&
+    avgSizeVariations <= acceptableSizeVariations[1]
+  ) {
     scores.sizes.score += 7;
     scores.sizes.details = "Nombre de tailles correct. ";
-  } else if (avgSizeVariations >= 8 && avgSizeVariations <= 10) {
+  } else if (
+    avgSizeVariations >= excessiveSizeVariations[0] &&
+    avgSizeVariations <= excessiveSizeVariations[1]
+  ) {
     scores.sizes.score += 4;
     scores.sizes.details = "Trop de variations de tailles. ";
-  } else if (avgSizeVariations > 10) {
+  } else if (avgSizeVariations > excessiveSizeVariations[1]) {
     scores.sizes.details = "Beaucoup trop de variations de tailles. ";
   } else {
     scores.sizes.details = "Peu de variations de tailles. ";
@@ -336,23 +355,15 @@ export const calculateTypographyScore = (
   }
 
   // 6. Score Bonnes pratiques (5 points)
-  if (!summary.excessiveFontFamilyDeclarations) {
+  if (summary.totalFontFamilyDeclarations <= summary.totalFamilies * 2) {
     scores.bestPractices.score = 5;
     scores.bestPractices.details = "Nombre de déclarations approprié.";
   } else {
     scores.bestPractices.details = "Trop de déclarations font-family.";
   }
 
-  // Calcul du score total
-  const total = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
-
-  // Attribution d'une note alphabétique
-  let grade;
-  if (total >= 90) grade = "A";
-  else if (total >= 80) grade = "B";
-  else if (total >= 70) grade = "C";
-  else if (total >= 60) grade = "D";
-  else grade = "F";
+  // Calcul du score total et de la note (poids et bornes du barème)
+  const { total, breakdown, grade } = finalizeScore(scores, analyzerRubric);
 
   // Génération des recommandations
   const improvements = [];
@@ -383,13 +394,13 @@ export const calculateTypographyScore = (
       "Privilégier les valeurs proportionnelles (unitless ou %) pour line-height"
     );
   }
-  if (avgSizeVariations > 7) {
+  if (avgSizeVariations > acceptableSizeVariations[1]) {
     improvements.push("Réduire le nombre de variations de tailles de police");
   }
 
   return {
     total,
-    breakdown: scores,
+    breakdown,
     grade,
     improvements,
   };
@@ -400,9 +411,15 @@ export const calculateTypographyScore = (
  * @param {string} htmlContent - Le contenu HTML.
  * @param {string} cssRawContent - Le contenu CSS brut (avant compilation).
  * @param {string} compiledCss - Le CSS compilé.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
  * @returns {object} - Analyse complète de la typographie.
  */
-export const analyzeTypography = (htmlContent, cssRawContent, compiledCss) => {
+export const analyzeTypography = (
+  htmlContent,
+  cssRawContent,
+  compiledCss,
+  rubric
+) => {
   console.log(`🔍 Analyse de la typographie...`);
 
   // 1. Détection des webfonts
@@ -888,38 +905,40 @@ export const analyzeTypography = (htmlContent, cssRawContent, compiledCss) => {
     lineHeightDetails[lh] = { count };
   });
 
+  const summary = {
+    totalFamilies,
+    totalFontFamilyDeclarations,
+    totalFontSizeDeclarations,
+    totalLineHeightDeclarations,
+    hasGlobalFontFamily,
+    globalFamilies,
+    inheritanceQuality,
+    averageDeclarationsPerFamily:
+      totalFamilies > 0
+        ? Number((totalFontFamilyDeclarations / totalFamilies).toFixed(2))
+        : 0,
+    familiesWithFallbacks,
+    familiesWithoutGenericFallback,
+    fallbackCoverage:
+      totalFamilies > 0
+        ? Number(
+            (
+              (totalFamilies - familiesWithoutGenericFallback) /
+              totalFamilies
+            ).toFixed(3)
+          )
+        : 0,
+    fontSizeUnits,
+    lineHeightUnits,
+    // Familles internes comprises (tailles déclarées sans font-family)
+    averageSizeVariations: computeAverageSizeVariations(fontFamilies),
+    fontFamilyDetails,
+    fontSizeDetails,
+    lineHeightDetails,
+  };
+
   // 7. Calcul du score typographique
-  const score = calculateTypographyScore(
-    {
-      fontFamilies,
-      totalFontFamilyDeclarations,
-      totalFontSizeDeclarations,
-      totalLineHeightDeclarations,
-    },
-    {
-      totalFamilies,
-      hasGlobalFontFamily,
-      inheritanceQuality,
-      fallbackCoverage:
-        totalFamilies > 0
-          ? Number(
-              (
-                (totalFamilies - familiesWithoutGenericFallback) /
-                totalFamilies
-              ).toFixed(3)
-            )
-          : 0,
-      familiesWithoutGenericFallback,
-      excessiveFontFamilyDeclarations:
-        totalFontFamilyDeclarations > totalFamilies * 2,
-      totalFontFamilyDeclarations,
-      totalFontSizeDeclarations,
-      totalLineHeightDeclarations,
-      lineHeightUnits,
-    },
-    allWebfonts,
-    fontFamilies
-  );
+  const score = calculateTypographyScore(summary, allWebfonts, rubric);
 
   return {
     webfonts: {
@@ -932,35 +951,7 @@ export const analyzeTypography = (htmlContent, cssRawContent, compiledCss) => {
       details: allWebfonts,
     },
     fontFamilies: fontFamiliesOutput,
-    summary: {
-      totalFamilies,
-      totalFontFamilyDeclarations,
-      totalFontSizeDeclarations,
-      totalLineHeightDeclarations,
-      hasGlobalFontFamily,
-      globalFamilies,
-      inheritanceQuality,
-      averageDeclarationsPerFamily:
-        totalFamilies > 0
-          ? Number((totalFontFamilyDeclarations / totalFamilies).toFixed(2))
-          : 0,
-      familiesWithFallbacks,
-      familiesWithoutGenericFallback,
-      fallbackCoverage:
-        totalFamilies > 0
-          ? Number(
-              (
-                (totalFamilies - familiesWithoutGenericFallback) /
-                totalFamilies
-              ).toFixed(3)
-            )
-          : 0,
-      fontSizeUnits,
-      lineHeightUnits,
-      fontFamilyDetails,
-      fontSizeDetails,
-      lineHeightDetails,
-    },
+    summary,
     recommendations: {
       shouldUseGlobalFontFamily: !hasGlobalFontFamily,
       excessiveFontFamilyDeclarations:
@@ -972,3 +963,33 @@ export const analyzeTypography = (htmlContent, cssRawContent, compiledCss) => {
     score,
   };
 };
+
+/**
+ * Recalcule le score d'une analyse typographique enregistrée (résultat de
+ * analyzeTypography), par exemple après un changement de barème.
+ * @param {object} typography - Section `typography` du rapport.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
+ * @returns {object} - Le nouveau score.
+ */
+export const rescoreTypography = (typography, rubric) => {
+  const { summary, fontFamilies = {}, webfonts } = typography;
+
+  // Rapports antérieurs à `averageSizeVariations` : les tailles sans famille
+  // ne sont pas détaillées, mais comptent dans fontSizeUnits.totalSizes
+  let { averageSizeVariations } = summary;
+  if (averageSizeVariations === undefined) {
+    const sizeCounts = Object.values(fontFamilies)
+      .map((family) => family.sizes.length)
+      .filter((count) => count > 0);
+    const listedSizes = sizeCounts.reduce((sum, count) => sum + count, 0);
+    const totalSizes = summary.fontSizeUnits?.totalSizes ?? listedSizes;
+    const familyCount = sizeCounts.length + (totalSizes > listedSizes ? 1 : 0);
+    averageSizeVariations = familyCount > 0 ? totalSizes / familyCount : 0;
+  }
+
+  return calculateTypographyScore(
+    { ...summary, averageSizeVariations },
+    webfonts?.details || [],
+    rubric
+  );
+};
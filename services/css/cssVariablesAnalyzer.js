@@ -1,12 +1,15 @@
 import { categorizeVariable } from "../shared/cssHelpers.js";
+import { getAnalyzerRubric, finalizeScore } from "../scoring/rubricService.js";
 
 /**
  * Calcule un score de qualité pour l'usage des variables CSS.
  * Le score est sur 100 avec un découpage par critères, similaire à la typographie.
- * @param {object} data - Données de l'analyse des variables.
+ * @param {object} data - Données de l'analyse des variables (résultat de
+ *   analyzeCustomProperties, tel qu'enregistré dans le rapport).
+ * @param {object} [rubric] - Barème de notation (voir rubricService.js).
  * @returns {{total:number, breakdown:object, grade:string, improvements:string[]}}
  */
-const calculateVariablesScore = (data) => {
+export const calculateVariablesScore = (data, rubric) => {
   const {
     totalDeclared,
     totalUsed,
@@ -15,6 +18,15 @@ const calculateVariablesScore = (data) => {
     ratio, // { variableUsages, rawProperties, variableRatio }
     categorization, // counts per category
   } = data;
+  const analyzerRubric = getAnalyzerRubric(rubric, "customProperties");
+  const {
+    targetAdoption,
+    goodAdoption,
+    minAdoption,
+    undeclaredPenalty,
+    maxUndeclaredPenalty,
+    unusedPenalty,
+  } = analyzerRubric.thresholds;
 
   const scores = {
     adoption: { score: 0, max: 40, details: "" },
@@ -25,7 +37,7 @@ const calculateVariablesScore = (data) => {
   };
 
   // 1) Adoption (utilisation effective de var() vs propriétés brutes)
-  // Échelle ajustée avec objectif à 40%
+  // Objectif fixé par le barème (35 % par défaut)
   const variableRatio = Math.max(
     0,
     Math.min(1, Number(ratio?.variableRatio || 0))
@@ -34,12 +46,12 @@ const calculateVariablesScore = (data) => {
   let adoptionScore = 0;
   if (variableRatio === 0) {
     adoptionScore = 0;
-  } else if (variableRatio >= 0.35) {
-    // ≥35% : score maximum de 40 points
+  } else if (variableRatio >= targetAdoption) {
+    // Objectif atteint : score maximum de 40 points
     adoptionScore = 40;
   } else {
-    // 0-35% : progression linéaire de 0 à 40 points
-    adoptionScore = (variableRatio / 0.35) * 40;
+    // Sous l'objectif : progression linéaire de 0 à 40 points
+    adoptionScore = (variableRatio / targetAdoption) * 40;
   }
 
   scores.adoption.score = Math.round(adoptionScore);
@@ -77,11 +89,16 @@ const calculateVariablesScore = (data) => {
   }
 
   // 3) Hygiène (pénalisations pour usages non déclarés et variables inutilisées)
-  // - Pénalité pour usages non déclarés: 4 pts chacun, plafonné à 12
-  // - Pénalité pour variables inutilisées: proportion * 8 pts
-  const penaltyUndeclared = Math.min(12, (totalUndeclared || 0) * 4);
+  // - Pénalité pour usages non déclarés: 4 pts chacun, plafonnée à 12 (barème)
+  // - Pénalité pour variables inutilisées: proportion * 8 pts (barème)
+  const penaltyUndeclared = Math.min(
+    maxUndeclaredPenalty,
+    (totalUndeclared || 0) * undeclaredPenalty
+  );
   const unusedRatio = totalDeclared > 0 ? totalUnused / totalDeclared : 0;
-  const penaltyUnused = Math.round(Math.max(0, Math.min(1, unusedRatio)) * 8);
+  const penaltyUnused = Math.round(
+    Math.max(0, Math.min(1, unusedRatio)) * unusedPenalty
+  );
   const hygieneBase = scores.hygiene.max - (penaltyUndeclared + penaltyUnused);
   scores.hygiene.score = Math.max(0, hygieneBase);
   const hygieneParts = [];
@@ -106,29 +123,22 @@ const calculateVariablesScore = (data) => {
   scores.categories.details = `${covered}/${categoryKeys.length} catégories clés couvertes.`;
 
   // 5) Bonnes pratiques (petit bonus si l'essentiel est respecté)
-  // Ajusté pour objectif à 35% d'adoption
-  if (variableRatio >= 0.35) scores.bestPractices.score += 3;
-  else if (variableRatio >= 0.25) scores.bestPractices.score += 2;
-  else if (variableRatio >= 0.15) scores.bestPractices.score += 1;
+  if (variableRatio >= targetAdoption) scores.bestPractices.score += 3;
+  else if (variableRatio >= goodAdoption) scores.bestPractices.score += 2;
+  else if (variableRatio >= minAdoption) scores.bestPractices.score += 1;
   if (totalUndeclared === 0) scores.bestPractices.score += 2;
   scores.bestPractices.details =
-    `${variableRatio >= 0.25 ? "Bonne" : "Faible"} adoption, ` +
+    `${variableRatio >= goodAdoption ? "Bonne" : "Faible"} adoption, ` +
     (totalUndeclared === 0
       ? "aucun usage non déclaré."
       : "usages non déclarés présents.");
 
-  // Total et grade
-  const total = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
-  let grade;
-  if (total >= 90) grade = "A";
-  else if (total >= 80) grade = "B";
-  else if (total >= 70) grade = "C";
-  else if (total >= 60) grade = "D";
-  else grade = "F";
+  // Total et grade (poids et bornes du barème)
+  const { total, breakdown, grade } = finalizeScore(scores, analyzerRubric);
 
   // Recommandations
   const improvements = [];
-  if (variableRatio < 0.25)
+  if (variableRatio < goodAdoption)
     improvements.push("Augmenter l'usage des variables sur les propriétés CSS");
   if (usedCoverage < 0.75 && totalDeclared > 0)
     improvements.push(
@@ -143,15 +153,16 @@ const calculateVariablesScore = (data) => {
       "Élargir la couverture des variables (couleurs, typos, espacements, etc.)"
     );
 
-  return { total, breakdown: scores, grade, improvements };
+  return { total, breakdown, grade, improvements };
 };
 
 /**
  * Analyse les variables CSS (custom properties).
  * @param {string} css - Le contenu CSS.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
  * @returns {object} - Statistiques sur les variables CSS.
  */
-export const analyzeCustomProperties = (css) => {
+export const analyzeCustomProperties = (css, rubric) => {
   console.log(`🔍 Analyse des variables CSS...`);
 
   // Déclarations de variables (généralement dans :root ou autres sélecteurs)
@@ -258,6 +269,6 @@ export const analyzeCustomProperties = (css) => {
     },
   };
 
-  const score = calculateVariablesScore(result);
+  const score = calculateVariablesScore(result, rubric);
   return { ...result, score };
 };
@@ -6,7 +6,15 @@
 import { analyze } from "@projectwallace/css-analyzer";
 
 // Réexporter les fonctions principales
-export { compileCSS } from "./css/cssCompiler.js";
+export {
+  compileCSS,
+  collectStylesheets,
+  concatStylesheets,
+} from "./css/cssCompiler.js";
+export {
+  analyzeStylesheetSources,
+  attributeToSources,
+} from "./css/cssSourcesAnalyzer.js";
 export { analyzeImports } from "./css/cssImportsAnalyzer.js";
 export { analyzeCustomProperties } from "./css/cssVariablesAnalyzer.js";
 export { analyzeTypography } from "./css/cssTypographyAnalyzer.js";
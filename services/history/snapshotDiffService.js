@@ -0,0 +1,175 @@
+import { extractScores } from "../stats/scoreExtractor.js";
+
+/**
+ * Recommandations (`improvements`) de chaque analyseur, indexées comme les scores.
+ */
+const IMPROVEMENT_SOURCES = {
+  cssImports: (report) =>
+    report.cssAnalysisResult?.imports?.score?.improvements,
+  cssVariables: (report) =>
+    report.cssAnalysisResult?.customProperties?.score?.improvements,
+  cssTypography: (report) =>
+    report.cssAnalysisResult?.typography?.score?.improvements,
+  cssColors: (report) => report.cssAnalysisResult?.colors?.score?.improvements,
+  classAnalysis: (report) => report.classAnalysis?.score?.bem?.improvements,
+  htmlImages: (report) => report.globalImagesAnalysis?.globalScore?.improvements,
+  validation: (report) => report.validationScore?.improvements,
+};
+
+/**
+ * Éléments présents dans `after` mais pas dans `before`.
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Array}
+ */
+const difference = (after = [], before = []) => {
+  const beforeSet = new Set(before);
+  return after.filter((item) => !beforeSet.has(item));
+};
+
+/**
+ * Compare deux listes : éléments apparus et disparus.
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {{added: Array, removed: Array}}
+ */
+const compareLists = (before = [], after = []) => ({
+  added: difference(after, before),
+  removed: difference(before, after),
+});
+
+/**
+ * Clé d'une recommandation sans ses nombres : « Corriger les 2 erreur(s) » et
+ * « Corriger les 1 erreur(s) » désignent la même recommandation.
+ * @param {string} improvement
+ * @returns {string}
+ */
+const toImprovementKey = (improvement) =>
+  improvement.replace(/\d+(?:[.,]\d+)?/g, "#");
+
+/**
+ * Compare les recommandations d'un analyseur : résolues, nouvelles, et
+ * toujours présentes avec un autre nombre (ex. 2 erreurs puis 1).
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{resolved: string[], new: string[], changed: Array<{before: string, after: string}>}}
+ */
+const compareImprovements = (before = [], after = []) => {
+  const beforeByKey = new Map(
+    before.map((improvement) => [toImprovementKey(improvement), improvement])
+  );
+  const afterKeys = new Set(after.map(toImprovementKey));
+
+  return {
+    resolved: before.filter(
+      (improvement) => !afterKeys.has(toImprovementKey(improvement))
+    ),
+    new: after.filter(
+      (improvement) => !beforeByKey.has(toImprovementKey(improvement))
+    ),
+    changed: after
+      .filter((improvement) => {
+        const previous = beforeByKey.get(toImprovementKey(improvement));
+        return previous !== undefined && previous !== improvement;
+      })
+      .map((improvement) => ({
+        before: beforeByKey.get(toImprovementKey(improvement)),
+        after: improvement,
+      })),
+  };
+};
+
+/**
+ * Clé d'une page indépendante de l'hôte (le port du serveur local change
+ * d'un scan d'archive à l'autre) : chemin et paramètres, `/index.html` valant `/`.
+ * @param {string} file - L'URL de la page dans le rapport.
+ * @returns {string}
+ */
+const toPageKey = (file) => {
+  try {
+    const { pathname, search } = new URL(file);
+    return pathname.replace(/\/index\.html?$/i, "/") + search;
+  } catch {
+    return file;
+  }
+};
+
+/**
+ * Métadonnées d'un snapshot reprises dans le diff.
+ * @param {object} report
+ * @returns {object}
+ */
+const describeSnapshot = (report) => ({
+  snapshotId: report.meta?.snapshotId ?? null,
+  scannedAt: report.meta?.scannedAt ?? null,
+  url: report.meta?.url ?? null,
+});
+
+/**
+ * Compare deux rapports d'un même projet (typiquement avant et après un
+ * nouveau rendu) : évolution des scores, pages ajoutées ou supprimées,
+ * recommandations résolues ou nouvelles, classes CSS inutilisées et balises
+ * requises manquantes.
+ * @param {object} before - Le rapport le plus ancien.
+ * @param {object} after - Le rapport le plus récent.
+ * @returns {object} - Le diff.
+ */
+export const diffSnapshots = (before, after) => {
+  const beforeScores = extractScores(before);
+  const afterScores = extractScores(after);
+
+  const scores = Object.fromEntries(
+    Object.keys(afterScores).map((key) => {
+      const from = beforeScores[key] ?? null;
+      const to = afterScores[key] ?? null;
+      const delta =
+        from !== null && to !== null
+          ? Math.round((to - from) * 100) / 100
+          : null;
+      return [key, { before: from, after: to, delta }];
+    })
+  );
+
+  const improvements = Object.fromEntries(
+    Object.entries(IMPROVEMENT_SOURCES).map(([key, getImprovements]) => [
+      key,
+      compareImprovements(getImprovements(before), getImprovements(after)),
+    ])
+  );
+
+  const pages = compareLists(
+    (before.pages || []).map((page) => toPageKey(page.file)),
+    (after.pages || []).map((page) => toPageKey(page.file))
+  );
+
+  const unusedClasses = compareLists(
+    before.classAnalysis?.mismatch?.unusedCssClasses,
+    after.classAnalysis?.mismatch?.unusedCssClasses
+  );
+  const undefinedClasses = compareLists(
+    before.classAnalysis?.mismatch?.undefinedHtmlClasses,
+    after.classAnalysis?.mismatch?.undefinedHtmlClasses
+  );
+  const missingTags = compareLists(
+    before.globalAnalysis?.tagsMissing,
+    after.globalAnalysis?.tagsMissing
+  );
+
+  return {
+    from: describeSnapshot(before),
+    to: describeSnapshot(after),
+    scores,
+    pages,
+    improvements,
+    classes: {
+      newUnused: unusedClasses.added,
+      resolvedUnused: unusedClasses.removed,
+      newUndefined: undefinedClasses.added,
+      resolvedUndefined: undefinedClasses.removed,
+    },
+    requiredTags: {
+      newlyMissing: missingTags.added,
+      newlyPresent: missingTags.removed,
+    },
+  };
+};
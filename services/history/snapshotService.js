@@ -0,0 +1,80 @@
+import { getStore } from "../storage/storageService.js";
+import { toSnapshotId } from "../storage/jsonStore.js";
+
+/**
+ * Vérifie qu'un nom de projet peut servir de nom de fichier.
+ * @param {string} projectName
+ * @returns {boolean}
+ */
+export const isValidProjectName = (projectName) =>
+  typeof projectName === "string" &&
+  projectName.trim() !== "" &&
+  !/[\\/]|\.\./.test(projectName);
+
+/**
+ * Enregistre un rapport comme nouveau snapshot du projet et comme dernier
+ * rapport en date. Les snapshots précédents sont conservés.
+ * @param {string} projectName - Nom du projet.
+ * @param {object} report - Le rapport, avec ses métadonnées dans `meta` (`scannedAt`…).
+ * @returns {object} - Le rapport enregistré, avec `meta.snapshotId`.
+ */
+export const saveSnapshot = (projectName, report) => {
+  if (!isValidProjectName(projectName)) {
+    throw new Error(`Invalid project name: ${projectName}`);
+  }
+
+  // Deux scans dans la même milliseconde : suffixe pour ne rien écraser
+  const store = getStore();
+  const baseId = toSnapshotId(report.meta.scannedAt);
+  let snapshotId = baseId;
+  for (let i = 2; store.hasSnapshot(projectName, snapshotId); i++) {
+    snapshotId = `${baseId}-${i}`;
+  }
+
+  const snapshot = { ...report, meta: { ...report.meta, snapshotId } };
+  store.saveSnapshot(projectName, snapshot);
+  console.log(`💾 Snapshot ${snapshotId} enregistré pour ${projectName}`);
+
+  return snapshot;
+};
+
+/**
+ * Liste les projets ayant au moins un rapport.
+ * @returns {string[]}
+ */
+export const listProjects = () => getStore().listProjects();
+
+/**
+ * Récupère le dernier rapport d'un projet.
+ * @param {string} projectName
+ * @returns {object|null} - Le rapport, ou null si le projet n'existe pas.
+ */
+export const getLatestSnapshot = (projectName) =>
+  isValidProjectName(projectName)
+    ? getStore().getLatestReport(projectName)
+    : null;
+
+/**
+ * Liste les snapshots d'un projet, du plus récent au plus ancien, avec leurs
+ * métadonnées et leurs scores pour suivre la progression.
+ * @param {string} projectName
+ * @returns {object[]|null} - Les snapshots, ou null si le projet n'existe pas.
+ */
+export const listSnapshots = (projectName) =>
+  isValidProjectName(projectName)
+    ? getStore().listSnapshots(projectName)
+    : null;
+
+/**
+ * Récupère un snapshot précis d'un projet.
+ * @param {string} projectName
+ * @param {string} snapshotId - Identifiant retourné par listSnapshots.
+ * @returns {object|null} - Le rapport, ou null s'il n'existe pas.
+ */
+export const getSnapshot = (projectName, snapshotId) => {
+  if (!isValidProjectName(projectName) || !/^[\w-]+$/.test(snapshotId)) {
+    return null;
+  }
+
+  return getStore().getSnapshot(projectName, snapshotId);
+};
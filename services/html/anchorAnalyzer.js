@@ -0,0 +1,228 @@
+import * as cheerio from "cheerio";
+import { normalizePageUrl } from "./fileScannerService.js";
+import { getAnalyzerRubric, toGrade } from "../scoring/rubricService.js";
+
+// Attributs qui désignent d'autres éléments par leur id (liste séparée par des espaces)
+const ID_REFERENCE_ATTRIBUTES = ["aria-labelledby", "aria-describedby"];
+
+/**
+ * Décode un fragment d'URL (`#caf%C3%A9` → `café`), tel quel s'il est mal encodé.
+ * @param {string} fragment - Le fragment, sans `#`.
+ * @returns {string}
+ */
+const decodeFragment = (fragment) => {
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+};
+
+/**
+ * Relève les cibles possibles d'une page (id, et `name` des <a> pour les
+ * ancres à l'ancienne) et les ids en double.
+ * @param {object} $ - Le document cheerio.
+ * @returns {{targets: Set<string>, ids: Set<string>, duplicates: Array<{id: string, count: number}>}}
+ */
+const collectTargets = ($) => {
+  const counts = new Map();
+  $("[id]").each((_, el) => {
+    const id = $(el).attr("id");
+    if (id) counts.set(id, (counts.get(id) || 0) + 1);
+  });
+
+  const ids = new Set(counts.keys());
+  const targets = new Set(ids);
+  $("a[name]").each((_, el) => targets.add($(el).attr("name")));
+
+  const duplicates = [...counts]
+    .filter(([, count]) => count > 1)
+    .map(([id, count]) => ({ id, count }));
+
+  return { targets, ids, duplicates };
+};
+
+/**
+ * Calcule le score des ancres et références d'ids : chaque problème coûte
+ * 5 points par défaut (id en double, ancre sans cible, référence à un id
+ * absent), selon les pénalités du barème.
+ * @param {object} summary
+ * @param {object} analyzerRubric - Section `anchors` du barème.
+ * @returns {object} - `{ total, breakdown, grade, improvements }`
+ */
+const calculateAnchorScore = (summary, { thresholds, gradeBoundaries }) => {
+  const breakdown = {
+    duplicatePenalty: summary.duplicateIds * thresholds.duplicateIdPenalty,
+    fragmentPenalty: summary.brokenFragments * thresholds.brokenFragmentPenalty,
+    referencePenalty:
+      summary.brokenIdReferences * thresholds.brokenReferencePenalty,
+  };
+  const total = Math.max(
+    100 -
+      breakdown.duplicatePenalty -
+      breakdown.fragmentPenalty -
+      breakdown.referencePenalty,
+    0
+  );
+  const grade = toGrade(total, gradeBoundaries);
+
+  const improvements = [];
+  if (summary.duplicateIds > 0) {
+    improvements.push(
+      `Rendre uniques les ${summary.duplicateIds} id utilisé(s) plusieurs fois dans une même page`
+    );
+  }
+  if (summary.brokenFragments > 0) {
+    improvements.push(
+      `Corriger les ${summary.brokenFragments} lien(s) vers une ancre (#…) qui n'existe pas`
+    );
+  }
+  if (summary.brokenIdReferences > 0) {
+    improvements.push(
+      `Corriger les ${summary.brokenIdReferences} référence(s) label[for] / aria-* vers un id absent`
+    );
+  }
+
+  return {
+    total,
+    breakdown,
+    grade,
+    improvements:
+      improvements.length > 0
+        ? improvements
+        : ["Ancres et références d'ids toutes valides"],
+  };
+};
+
+/**
+ * Vérifie les ids de toutes les pages du site : ids en double dans une page,
+ * liens vers une ancre absente (`#contact` sur la même page ou
+ * `page.html#section` vers une autre page analysée), et références
+ * `label[for]`, `aria-labelledby` et `aria-describedby` vers un id absent.
+ * @param {Array<{url: string, htmlContent: string}>} pages - Pages analysées (URLs normalisées).
+ * @param {object} [options]
+ * @param {boolean} [options.keepQueryStrings] - Voir DEFAULT_CRAWL_OPTIONS.
+ * @param {object} [options.rubric] - Barème de notation (par défaut si absent).
+ * @returns {object} - `{ summary, duplicateIds, brokenFragments, brokenIdReferences, score }`
+ */
+export const analyzeAnchors = (
+  pages,
+  { keepQueryStrings = false, rubric } = {}
+) => {
+  const documents = pages.map(({ url, htmlContent }) => {
+    const $ = cheerio.load(htmlContent);
+    return { url, $, ...collectTargets($) };
+  });
+  const targetsByPage = new Map(
+    documents.map((document) => [document.url, document.targets])
+  );
+
+  const duplicateIds = [];
+  const brokenFragments = [];
+  const brokenIdReferences = [];
+  let fragmentLinks = 0;
+  let idCount = 0;
+
+  documents.forEach(({ url, $, ids, duplicates }) => {
+    idCount += ids.size;
+    duplicates.forEach((duplicate) =>
+      duplicateIds.push({ page: url, ...duplicate })
+    );
+
+    const baseHref = $("base[href]").attr("href");
+    let baseUrl = url;
+    try {
+      if (baseHref) baseUrl = new URL(baseHref, url).href;
+    } catch {
+      // <base> invalide : liens résolus par rapport à la page
+    }
+
+    $("a[href], area[href]").each((_, el) => {
+      const href = $(el).attr("href").trim();
+      const hashIndex = href.indexOf("#");
+      if (hashIndex === -1) return;
+
+      const fragment = decodeFragment(href.slice(hashIndex + 1));
+      // `#` et `#top` ramènent en haut de la page sans cible
+      if (!fragment || fragment.toLowerCase() === "top") return;
+
+      let target;
+      try {
+        target = normalizePageUrl(
+          new URL(href, baseUrl).href,
+          keepQueryStrings
+        );
+      } catch {
+        return;
+      }
+      // Page non analysée (autre site, hors exploration) : rien à vérifier
+      if (!targetsByPage.has(target)) return;
+
+      fragmentLinks++;
+      if (!targetsByPage.get(target).has(fragment)) {
+        brokenFragments.push({
+          page: url,
+          href,
+          target,
+          fragment,
+          samePage: target === url,
+        });
+      }
+    });
+
+    const checkReference = (el, attribute, id) => {
+      if (!ids.has(id)) {
+        brokenIdReferences.push({
+          page: url,
+          tag: el.tagName,
+          attribute,
+          id,
+        });
+      }
+    };
+
+    $("label[for]").each((_, el) => {
+      const id = $(el).attr("for").trim();
+      if (id) checkReference(el, "for", id);
+    });
+    ID_REFERENCE_ATTRIBUTES.forEach((attribute) => {
+      $(`[${attribute}]`).each((_, el) => {
+        $(el)
+          .attr(attribute)
+          .split(/\s+/)
+          .filter(Boolean)
+          .forEach((id) => checkReference(el, attribute, id));
+      });
+    });
+  });
+
+  const summary = {
+    pages: documents.length,
+    ids: idCount,
+    fragmentLinks,
+    duplicateIds: duplicateIds.length,
+    brokenFragments: brokenFragments.length,
+    brokenIdReferences: brokenIdReferences.length,
+  };
+
+  return {
+    summary,
+    duplicateIds,
+    brokenFragments,
+    brokenIdReferences,
+    score: calculateAnchorScore(
+      summary,
+      getAnalyzerRubric(rubric, "anchors")
+    ),
+  };
+};
+
+/**
+ * Recalcule le score d'une analyse des ancres enregistrée (résultat de
+ * analyzeAnchors) avec un autre barème.
+ * @param {object} anchors - Section `anchors` du rapport.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
+ * @returns {object} - Le nouveau score.
+ */
+export const rescoreAnchors = (anchors, rubric) =>
+  calculateAnchorScore(anchors.summary, getAnalyzerRubric(rubric, "anchors"));
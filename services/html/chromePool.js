@@ -0,0 +1,173 @@
+import * as chromeLauncher from "chrome-launcher";
+
+// Nombre d'audits Lighthouse simultanés (un Chrome headless par audit en cours)
+const POOL_SIZE = Math.max(
+  parseInt(process.env.LIGHTHOUSE_CONCURRENCY || "1", 10) || 1,
+  1
+);
+// Délai d'inactivité avant de fermer un Chrome inutilisé (entre deux scans d'un lot)
+const IDLE_TIMEOUT_MS = parseInt(
+  process.env.CHROME_IDLE_TIMEOUT_MS || "60000",
+  10
+);
+// Nouvelles tentatives d'un audit quand le navigateur plante
+const MAX_CRASH_RETRIES = 1;
+
+const CHROME_FLAGS = ["--headless", "--disable-gpu", "--no-first-run"];
+
+// Lancement d'un Chrome (remplaçable via initChromePool)
+let launchChrome = chromeLauncher.launch;
+
+// Navigateurs lancés ({ chrome, busy, crashed, idleTimer })
+const browsers = new Set();
+// Audits en attente d'un navigateur libre ({ resolve, reject })
+const waitingQueue = [];
+
+/**
+ * Configure le pool.
+ * @param {object} [options]
+ * @param {Function} [options.launch] - Lance un Chrome (`chromeLauncher.launch` par défaut).
+ */
+export const initChromePool = (options = {}) => {
+  launchChrome = options.launch ?? launchChrome;
+};
+
+/**
+ * Lance un nouveau Chrome (réservé par l'appelant) et surveille sa fin inattendue.
+ * @returns {Promise<object>} - L'entrée du pool.
+ */
+const launchBrowser = async () => {
+  const chrome = await launchChrome({ chromeFlags: CHROME_FLAGS });
+  const browser = { chrome, busy: true, crashed: false, idleTimer: null };
+
+  chrome.process?.once("exit", () => {
+    clearTimeout(browser.idleTimer);
+    browser.crashed = true;
+    browsers.delete(browser);
+  });
+
+  browsers.add(browser);
+  console.log(`🌐 Chrome lancé pour Lighthouse (port ${chrome.port})`);
+  return browser;
+};
+
+/**
+ * Ferme un navigateur et le retire du pool.
+ * @param {object} browser
+ */
+const closeBrowser = async (browser) => {
+  clearTimeout(browser.idleTimer);
+  browsers.delete(browser);
+  try {
+    await browser.chrome.kill();
+  } catch (error) {
+    console.warn(`⚠️ Fermeture de Chrome impossible : ${error.message}`);
+  }
+};
+
+/**
+ * Donne un navigateur au prochain audit en attente, s'il y en a un, quand une
+ * place se libère dans le pool.
+ */
+const serveNextWaiter = () => {
+  const next = waitingQueue.shift();
+  if (next) acquireBrowser().then(next.resolve, next.reject);
+};
+
+/**
+ * Réserve un navigateur : un Chrome libre, un nouveau si le pool n'est pas
+ * plein, sinon attend qu'un audit se termine.
+ * @returns {Promise<object>}
+ */
+const acquireBrowser = async () => {
+  const idle = [...browsers].find((browser) => !browser.busy);
+  if (idle) {
+    clearTimeout(idle.idleTimer);
+    idle.busy = true;
+    return idle;
+  }
+
+  if (browsers.size < POOL_SIZE) {
+    // Réserver la place avant le lancement pour ne pas dépasser la taille du pool
+    const placeholder = { busy: true };
+    browsers.add(placeholder);
+    let browser;
+    try {
+      browser = await launchBrowser();
+    } catch (error) {
+      // Le lancement a échoué : la place libérée revient au prochain en attente
+      browsers.delete(placeholder);
+      serveNextWaiter();
+      throw error;
+    }
+    browsers.delete(placeholder);
+    return browser;
+  }
+
+  return new Promise((resolve, reject) =>
+    waitingQueue.push({ resolve, reject })
+  );
+};
+
+/**
+ * Rend un navigateur au pool : il passe au prochain audit en attente, ou est
+ * fermé après IDLE_TIMEOUT_MS d'inactivité. Un navigateur planté est écarté.
+ * @param {object} browser
+ * @param {boolean} discard - Vrai si le navigateur ne doit pas être réutilisé.
+ */
+const releaseBrowser = async (browser, discard) => {
+  if (discard || browser.crashed) {
+    await closeBrowser(browser);
+    serveNextWaiter();
+    return;
+  }
+
+  const next = waitingQueue.shift();
+  if (next) {
+    next.resolve(browser);
+    return;
+  }
+
+  browser.busy = false;
+  browser.idleTimer = setTimeout(() => closeBrowser(browser), IDLE_TIMEOUT_MS);
+  browser.idleTimer.unref?.();
+};
+
+/**
+ * Indique si une erreur d'audit vient d'un navigateur planté ou injoignable
+ * plutôt que de la page auditée.
+ * @param {Error} error
+ * @param {object} browser
+ * @returns {boolean}
+ */
+const isBrowserFailure = (error, browser) =>
+  browser.crashed ||
+  /ECONNREFUSED|ECONNRESET|socket hang up|Target closed|Session closed|WebSocket|PROTOCOL_TIMEOUT/i.test(
+    `${error.code || ""} ${error.message}`
+  );
+
+/**
+ * Exécute une tâche avec un Chrome du pool partagé. Le nombre de tâches
+ * simultanées est limité à LIGHTHOUSE_CONCURRENCY ; si le navigateur plante
+ * pendant la tâche, il est remplacé et la tâche relancée une fois.
+ * @param {(port: number) => Promise<*>} task - Reçoit le port de débogage de Chrome.
+ * @returns {Promise<*>} - Le résultat de la tâche.
+ */
+export const withChrome = async (task) => {
+  for (let attempt = 0; ; attempt++) {
+    const browser = await acquireBrowser();
+    let failed = false;
+
+    try {
+      return await task(browser.chrome.port);
+    } catch (error) {
+      failed = isBrowserFailure(error, browser);
+      if (!failed || attempt >= MAX_CRASH_RETRIES) throw error;
+      console.warn(
+        `♻️ Chrome a planté (${error.message}), relance de l'audit...`
+      );
+    } finally {
+      await releaseBrowser(browser, failed);
+    }
+  }
+};
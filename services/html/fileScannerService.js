@@ -1,35 +1,284 @@
 import Crawler from "simplecrawler";
+import * as cheerio from "cheerio";
+import { httpLoader } from "../shared/resourceLoader.js";
+import {
+  loadSitemaps,
+  isAllowedByRobots,
+  compareWithSitemap,
+} from "./sitemapService.js";
+
+/**
+ * Options d'exploration par défaut (voir parseCrawlOptions).
+ */
+export const DEFAULT_CRAWL_OPTIONS = {
+  maxDepth: 3,
+  maxPages: 100,
+  include: [],
+  exclude: [],
+  keepQueryStrings: false,
+  useSitemap: true,
+  respectRobotsTxt: false,
+};
+
+// Bornes des options numériques acceptées par l'API
+const CRAWL_LIMITS = { maxDepth: 10, maxPages: 1000 };
+// Options booléennes (`true`/`false` ou `1`/`0`)
+const BOOLEAN_OPTIONS = ["keepQueryStrings", "useSitemap", "respectRobotsTxt"];
+
+// Extensions qui ne sont jamais des pages : pas la peine de les télécharger
+// (les routes sans extension sont explorées, leur type MIME tranche)
+export const NON_HTML_EXTENSIONS =
+  /\.(css|m?js|json|xml|txt|map|pdf|zip|gz|tgz|tar|rar|7z|png|jpe?g|gif|webp|avif|svg|ico|bmp|tiff?|woff2?|ttf|otf|eot|mp[34]|webm|ogg|wav|avi|mov|docx?|xlsx?|pptx?|odt|csv)$/i;
+
+/**
+ * Convertit un motif glob en expression régulière sur le chemin d'une URL :
+ * `*` ne traverse pas les `/`, `**` traverse les répertoires, `?` vaut un
+ * caractère. Un motif qui ne commence pas par `/` peut correspondre à
+ * n'importe quelle profondeur (ex. `*.php`).
+ * @param {string} pattern - Le motif (ex. `/blog/**`, `*.php`).
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+  const anchored = pattern.startsWith("/") ? pattern : `**/${pattern}`;
+  const source = anchored
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lit un paramètre de liste (`a,b` ou paramètre répété).
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+const parseList = (value) =>
+  [value ?? []]
+    .flat()
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Lit les options d'exploration passées à l'API (`maxDepth`, `maxPages`,
+ * `include`, `exclude`, `keepQueryStrings`, `useSitemap`, `respectRobotsTxt`)
+ * et complète avec les valeurs par défaut.
+ * @param {object} [query] - Les paramètres reçus.
+ * @returns {{options: object, error: string|null}} - Les options effectives, ou l'erreur.
+ */
+export const parseCrawlOptions = (query = {}) => {
+  const options = { ...DEFAULT_CRAWL_OPTIONS };
+
+  for (const [key, max] of Object.entries(CRAWL_LIMITS)) {
+    if (query[key] === undefined) continue;
+
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      return {
+        options: null,
+        error: `Invalid ${key} parameter, expected an integer between 1 and ${max}`,
+      };
+    }
+    options[key] = value;
+  }
+
+  options.include = parseList(query.include);
+  options.exclude = parseList(query.exclude);
+
+  for (const key of BOOLEAN_OPTIONS) {
+    if (query[key] === undefined) continue;
+
+    const value = String(query[key]);
+    if (!["true", "false", "1", "0"].includes(value)) {
+      return {
+        options: null,
+        error: `Invalid ${key} parameter, expected true or false`,
+      };
+    }
+    options[key] = value === "true" || value === "1";
+  }
+
+  return { options, error: null };
+};
+
+/**
+ * Clé unique d'une page : sans ancre, `/index.html` valant `/`, et sans
+ * paramètres sauf si keepQueryStrings est activé.
+ * @param {string} url
+ * @param {boolean} [keepQueryStrings]
+ * @returns {string}
+ */
+export const normalizePageUrl = (url, keepQueryStrings = false) => {
+  const link = new URL(url);
+  link.hash = "";
+  if (!keepQueryStrings) link.search = "";
+  link.pathname = link.pathname.replace(/\/index\.html$/, "/");
+  return link.href;
+};
+
+/**
+ * Prépare les règles d'exploration communes aux deux crawlers.
+ * @param {string} startUrl - URL de départ (toujours explorée).
+ * @param {object} [options] - Options partielles (voir DEFAULT_CRAWL_OPTIONS).
+ * @returns {{options: object, normalize: Function, shouldFetch: Function}}
+ */
+const createCrawlRules = (startUrl, options = {}) => {
+  const effective = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+  const include = effective.include.map(globToRegExp);
+  const exclude = effective.exclude.map(globToRegExp);
+  const startPath = new URL(startUrl).pathname;
+
+  return {
+    options: effective,
+
+    normalize: (url) => normalizePageUrl(url, effective.keepQueryStrings),
+
+    /**
+     * Indique si un lien mérite d'être téléchargé : pas une ressource connue,
+     * dans les motifs `include` (s'il y en a) et hors des motifs `exclude`.
+     * @param {string} pathname - Le chemin de l'URL.
+     * @returns {boolean}
+     */
+    shouldFetch: (pathname) => {
+      if (NON_HTML_EXTENSIONS.test(pathname)) return false;
+      if (pathname === startPath) return true;
+
+      return (
+        (include.length === 0 ||
+          include.some((pattern) => pattern.test(pathname))) &&
+        !exclude.some((pattern) => pattern.test(pathname))
+      );
+    },
+  };
+};
+
+/**
+ * Retient les pages du sitemap à explorer : ramenées sur le site exploré,
+ * dans les motifs, normalisées et sans doublon.
+ * @param {object|null} sitemapData - Le résultat de loadSitemaps.
+ * @param {object} rules - Les règles de createCrawlRules.
+ * @param {(location: string) => string|null} toSiteUrl - URL sur le site exploré, ou null si hors du site.
+ * @returns {string[]}
+ */
+const getSitemapPages = (sitemapData, rules, toSiteUrl) => {
+  const pages = new Set();
+  (sitemapData?.urls || []).forEach((location) => {
+    try {
+      const url = toSiteUrl(location);
+      if (url && rules.shouldFetch(new URL(url).pathname)) {
+        pages.add(rules.normalize(url));
+      }
+    } catch {
+      // Entrée invalide ignorée
+    }
+  });
+  return [...pages];
+};
+
+/**
+ * Explore un site web pour trouver toutes ses pages HTML. Les pages listées
+ * dans le sitemap (robots.txt ou sitemap.xml) sont ajoutées à la file, pour
+ * trouver aussi les pages orphelines.
+ * @param {string} baseUrl - URL de départ.
+ * @param {object} [options]
+ * @param {(url: string, count: number) => void} [options.onPageFound] - Appelé à chaque nouvelle page découverte.
+ * @param {object} [options.crawlOptions] - Profondeur, limite de pages, motifs, sitemap, robots.txt (voir DEFAULT_CRAWL_OPTIONS).
+ * @param {object} [options.loader] - Chargeur utilisé pour robots.txt et les sitemaps.
+ * @returns {Promise<{pages: string[], sitemap: object|null}>} - URLs uniques des pages
+ *   trouvées, et comparaison avec le sitemap (voir compareWithSitemap).
+ */
+export const HtmlCrawler = async (
+  baseUrl,
+  { onPageFound, crawlOptions, loader = httpLoader } = {}
+) => {
+  const rules = createCrawlRules(baseUrl, crawlOptions);
+  const { options, normalize, shouldFetch } = rules;
+  const base = new URL(baseUrl);
+  const withoutWww = (host) => host.replace(/^www\./i, "");
+
+  const sitemapData = options.useSitemap
+    ? await loadSitemaps(baseUrl, loader)
+    : null;
+  // Les entrées du même domaine (avec ou sans www, http ou https) sont
+  // ramenées sur l'origine explorée
+  const sitemapPages = getSitemapPages(sitemapData, rules, (location) => {
+    const url = new URL(location);
+    if (withoutWww(url.host) !== withoutWww(base.host)) return null;
+    url.protocol = base.protocol;
+    url.host = base.host;
+    return url.href;
+  });
 
-export const HtmlCrawler = (baseUrl) => {
   return new Promise((resolve, reject) => {
     const crawler = new Crawler(baseUrl);
-    crawler.maxDepth = 3; // Limite de profondeur de l'exploration
+    crawler.maxDepth = options.maxDepth; // Limite de profondeur de l'exploration
     crawler.filterByDomain = true; // Limite l'exploration au domaine de base
+    crawler.stripQuerystring = !options.keepQueryStrings;
+    crawler.downloadUnsupported = false; // Ne pas télécharger images, PDF…
+    crawler.respectRobotsTxt = options.respectRobotsTxt;
 
     const foundUrls = new Set(); // Utiliser un Set pour éviter les doublons
+    const linkedUrls = new Set(); // URLs atteintes par un lien
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      console.log("Exploration terminée.");
+      const pages = [...foundUrls]; // URLs uniques trouvées
+      resolve({
+        pages,
+        sitemap: sitemapData
+          ? compareWithSitemap({
+              sitemapData,
+              sitemapPages,
+              pages,
+              linkedUrls,
+              startUrl: normalize(baseUrl),
+            })
+          : null,
+      });
+    };
 
-    // Éviter les ressources non-HTML
-    crawler.addFetchCondition((queueItem) => {
-      const isHtmlFile = queueItem.url.match(/\.html?$/i); // .html ou .htm
-      const endsWithSlash = queueItem.path.endsWith("/");
+    // Éviter les ressources non-HTML et les pages hors des motifs
+    crawler.addFetchCondition((queueItem) => shouldFetch(queueItem.uriPath));
 
-      return isHtmlFile || endsWithSlash;
+    crawler.on("discoverycomplete", (queueItem, resources) => {
+      resources.forEach((resource) => {
+        try {
+          linkedUrls.add(normalize(resource));
+        } catch {
+          // Lien invalide ignoré
+        }
+      });
     });
 
     crawler.on("fetchcomplete", (queueItem) => {
-      // Normaliser les URLs : convertir les URLs de type / et /index.html en /
-      let url = queueItem.url;
-      if (url.endsWith("/index.html")) {
-        url = url.replace(/\/index\.html$/, "/");
+      // Les routes sans extension sont des pages si le serveur répond du HTML
+      if (!queueItem.stateData.contentType?.includes("text/html")) return;
+      if (foundUrls.size >= options.maxPages) return;
+
+      const url = normalize(queueItem.url);
+      if (!foundUrls.has(url)) {
+        foundUrls.add(url);
+        if (onPageFound) onPageFound(url, foundUrls.size);
       }
-      foundUrls.add(url);
-    });
 
-    crawler.on("complete", () => {
-      console.log("Exploration terminée.");
-      resolve([...foundUrls]); // Résout la promesse avec les URLs uniques trouvées
+      if (foundUrls.size >= options.maxPages) {
+        console.warn(`⚠️ Limite de ${options.maxPages} pages atteinte`);
+        crawler.stop();
+        finish();
+      }
     });
 
+    crawler.on("complete", finish);
+
     crawler.on("fetcherror", (queueItem, response) => {
       console.warn(`Erreur de récupération pour ${queueItem.url}:`, response);
     });
@@ -42,6 +291,117 @@ export const HtmlCrawler = (baseUrl) => {
       reject(error); // Rejette la promesse en cas d'erreur majeure
     });
 
+    // Pages du sitemap, explorées comme la page de départ
+    sitemapPages.forEach((url) => crawler.queueURL(url));
+
     crawler.start(); // Démarre le crawler
   });
 };
+
+/**
+ * Explore un projet local (via un chargeur de fichiers) en suivant les liens
+ * depuis la page d'accueil et les pages du sitemap, avec les mêmes règles que
+ * HtmlCrawler. Les entrées du sitemap (adresses de production) sont lues par
+ * leur chemin depuis la racine du projet.
+ * @param {object} loader - Chargeur créé par createFileLoader.
+ * @param {object} [options]
+ * @param {(url: string, count: number) => void} [options.onPageFound] - Appelé à chaque nouvelle page découverte.
+ * @param {object} [options.crawlOptions] - Profondeur, limite de pages, motifs, sitemap, robots.txt (voir DEFAULT_CRAWL_OPTIONS).
+ * @returns {Promise<{pages: string[], sitemap: object|null}>} - URLs `file:///…` uniques
+ *   des pages trouvées, et comparaison avec le sitemap.
+ */
+export const LocalHtmlCrawler = async (
+  loader,
+  { onPageFound, crawlOptions } = {}
+) => {
+  const rules = createCrawlRules(loader.rootUrl, crawlOptions);
+  const { options, normalize, shouldFetch } = rules;
+
+  // Adresses de production (sitemaps déclarés, entrées) lues dans le projet
+  const toLocalUrl = (location) =>
+    new URL(new URL(location).pathname, loader.rootUrl).href;
+  const localLoader = { ...loader, get: (url) => loader.get(toLocalUrl(url)) };
+
+  const siteData =
+    options.useSitemap || options.respectRobotsTxt
+      ? await loadSitemaps(loader.rootUrl, localLoader)
+      : null;
+  const sitemapData = options.useSitemap ? siteData : null;
+  const isAllowed = (pathname) =>
+    !options.respectRobotsTxt || isAllowedByRobots(siteData.robots, pathname);
+
+  const sitemapPages = getSitemapPages(sitemapData, rules, toLocalUrl);
+
+  const foundUrls = new Set();
+  const linkedUrls = new Set();
+  const visited = new Set();
+
+  let queue = [
+    loader.rootUrl,
+    ...sitemapPages.filter((url) => isAllowed(new URL(url).pathname)),
+  ];
+  for (let depth = 1; depth <= options.maxDepth && queue.length > 0; depth++) {
+    const nextQueue = [];
+
+    for (const url of queue) {
+      const pageUrl = normalize(url);
+      if (visited.has(pageUrl)) continue;
+      visited.add(pageUrl);
+
+      let response;
+      try {
+        response = await loader.get(url);
+      } catch (error) {
+        console.warn(`Erreur de récupération pour ${url}:`, error.message);
+        continue;
+      }
+
+      if (!response.headers["content-type"]?.includes("text/html")) continue;
+
+      foundUrls.add(pageUrl);
+      if (onPageFound) onPageFound(pageUrl, foundUrls.size);
+
+      if (foundUrls.size >= options.maxPages) {
+        console.warn(`⚠️ Limite de ${options.maxPages} pages atteinte`);
+        break;
+      }
+
+      if (depth === options.maxDepth) continue;
+
+      const $ = cheerio.load(response.data);
+      $("a[href]").each((_, el) => {
+        try {
+          const link = new URL($(el).attr("href"), url);
+          if (link.protocol !== "file:") return;
+          linkedUrls.add(normalize(link.href));
+
+          // Éviter les ressources non-HTML, les pages hors des motifs
+          // et celles interdites par robots.txt (si demandé)
+          if (shouldFetch(link.pathname) && isAllowed(link.pathname)) {
+            nextQueue.push(normalize(link.href));
+          }
+        } catch {
+          // Lien invalide ignoré
+        }
+      });
+    }
+
+    if (foundUrls.size >= options.maxPages) break;
+    queue = nextQueue;
+  }
+
+  console.log("Exploration terminée.");
+  const pages = [...foundUrls];
+  return {
+    pages,
+    sitemap: sitemapData
+      ? compareWithSitemap({
+          sitemapData,
+          sitemapPages,
+          pages,
+          linkedUrls,
+          startUrl: normalize(loader.rootUrl),
+        })
+      : null,
+  };
+};
@@ -135,23 +135,86 @@ export const extractTitleAndImagesFromHTML = (htmlContent) => {
   return { title, images, imageStats };
 };
 
+/**
+ * Indique si un élément <link> charge une feuille de style active
+ * (`rel` peut contenir plusieurs valeurs, les feuilles alternatives sont ignorées).
+ * @param {object} $el - L'élément cheerio.
+ * @returns {boolean}
+ */
+const isStylesheetLink = ($el) => {
+  const rel = ($el.attr("rel") || "").toLowerCase().split(/\s+/);
+  return (
+    rel.includes("stylesheet") &&
+    !rel.includes("alternate") &&
+    $el.attr("disabled") === undefined &&
+    !!$el.attr("href")
+  );
+};
+
 /**
  * Extrait les URLs des fichiers CSS à partir du HTML.
  * @param {string} htmlContent - Le contenu HTML.
  * @param {string} baseUrl - L'URL de base pour résoudre les liens relatifs.
  * @returns {string[]} - Une liste des URLs absolues des fichiers CSS.
  */
-export const getCssLinksFromHtml = (htmlContent, baseUrl) => {
+export const getCssLinksFromHtml = (htmlContent, baseUrl) =>
+  getStylesheetsFromHtml(htmlContent, baseUrl)
+    .filter((sheet) => sheet.type === "link")
+    .map((sheet) => sheet.url);
+
+/**
+ * Liste les feuilles de style d'une page dans l'ordre de la cascade :
+ * <link rel="stylesheet"> et <style> dans l'ordre du document, puis les
+ * attributs style="" (qui l'emportent sur les feuilles de l'auteur).
+ * @param {string} htmlContent - Le contenu HTML.
+ * @param {string} baseUrl - L'URL de base pour résoudre les liens relatifs.
+ * @returns {Array<{type: "link"|"style"|"attribute", url: string|null, media: string|null, content: string|null}>}
+ *   - `url` pour un <link>, `content` pour un <style> ou les attributs style="".
+ */
+export const getStylesheetsFromHtml = (htmlContent, baseUrl) => {
   const $ = cheerio.load(htmlContent);
-  const cssLinks = [];
+  const stylesheets = [];
+
+  $("link, style").each((i, el) => {
+    const $el = $(el);
+    const media = $el.attr("media")?.trim() || null;
+
+    if (el.tagName === "style") {
+      stylesheets.push({
+        type: "style",
+        url: null,
+        media,
+        content: $el.html(),
+      });
+      return;
+    }
 
-  $("link[rel='stylesheet']").each((i, el) => {
-    const href = $(el).attr("href");
-    if (href) {
-      const absoluteUrl = new URL(href, baseUrl).href;
-      cssLinks.push(absoluteUrl);
+    if (!isStylesheetLink($el)) return;
+    try {
+      const url = new URL($el.attr("href"), baseUrl).href;
+      stylesheets.push({ type: "link", url, media, content: null });
+    } catch {
+      // href invalide : ignoré
     }
   });
 
-  return cssLinks;
+  // Attributs style="" regroupés en une seule source, sous forme de règles
+  // `balise[style] { … }` pour rester analysables comme du CSS
+  const inlineRules = [];
+  $("[style]").each((i, el) => {
+    const declarations = $(el).attr("style").trim();
+    if (declarations) {
+      inlineRules.push(`${el.tagName}[style] { ${declarations} }`);
+    }
+  });
+  if (inlineRules.length > 0) {
+    stylesheets.push({
+      type: "attribute",
+      url: null,
+      media: null,
+      content: inlineRules.join("\n"),
+    });
+  }
+
+  return stylesheets;
 };
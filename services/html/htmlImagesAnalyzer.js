@@ -3,6 +3,12 @@
  * basé sur l'accessibilité, la performance et les bonnes pratiques.
  */
 
+import {
+  getAnalyzerRubric,
+  finalizeScore,
+  toGrade,
+} from "../scoring/rubricService.js";
+
 /**
  * Détecte le format d'une image en combinant l'extension et le MIME type
  * @param {string} src - L'URL source de l'image
@@ -46,6 +52,7 @@ const enrichImagesWithNetworkData = (images, lighthouseRequests, baseUrl) => {
       ...img,
       resourceSize: null,
       mimeType: null,
+      statusCode: null,
       format: detectImageFormat(img.src, null),
     }));
   }
@@ -60,10 +67,12 @@ const enrichImagesWithNetworkData = (images, lighthouseRequests, baseUrl) => {
         (req) => req.resourceType === "Image" && req.url === fullUrl
       );
 
+      // Une image en erreur (404…) n'a pas de taille : le statut l'explique
       return {
         ...image,
         resourceSize: request?.resourceSize || null,
         mimeType: request?.mimeType || null,
+        statusCode: request?.statusCode ?? null,
         format: detectImageFormat(image.src, request),
       };
     } catch (error) {
@@ -72,6 +81,7 @@ const enrichImagesWithNetworkData = (images, lighthouseRequests, baseUrl) => {
         ...image,
         resourceSize: null,
         mimeType: null,
+        statusCode: null,
         format: detectImageFormat(image.src, null),
       };
     }
@@ -111,10 +121,11 @@ const evaluateAltQuality = (alt) => {
 
 /**
  * Calcule un score de qualité pour les images HTML
- * @param {object} data - Données d'analyse des images
+ * @param {object} data - Données d'analyse des images (`imagesAnalysis` d'une page)
+ * @param {object} [rubric] - Barème de notation (voir rubricService.js)
  * @returns {object} - Score avec breakdown, grade et improvements
  */
-const calculateImagesScore = (data) => {
+export const calculateImagesScore = (data, rubric) => {
   const {
     totalImages,
     imagesWithAlt,
@@ -129,6 +140,13 @@ const calculateImagesScore = (data) => {
     formats,
     decorativeRatio,
   } = data;
+  const analyzerRubric = getAnalyzerRubric(rubric, "images");
+  const {
+    targetTop5WeightKB,
+    acceptableTop5WeightKB,
+    heavyTop5WeightKB,
+    maxTop5WeightKB,
+  } = analyzerRubric.thresholds;
 
   const scores = {
     accessibility: { score: 0, max: 35, details: "" },
@@ -146,7 +164,7 @@ const calculateImagesScore = (data) => {
     return {
       total: 100,
       breakdown: scores,
-      grade: "A",
+      grade: toGrade(100, analyzerRubric.gradeBoundaries),
       improvements: ["Aucune image à optimiser."],
     };
   }
@@ -203,14 +221,15 @@ const calculateImagesScore = (data) => {
     scores.performance.score += 7;
   }
 
-  // 2.2 Poids optimisé (15 points) - Top 5 moyenne < 150KB
+  // 2.2 Poids optimisé (15 points) - Top 5 moyenne < 80KB par défaut, puis
+  // paliers à 150, 250 et 400KB (barème)
   let weightScore = 0;
   if (top5AverageWeight !== null) {
     const weightKB = top5AverageWeight / 1024;
-    if (weightKB < 80) weightScore = 15;
-    else if (weightKB < 150) weightScore = 13;
-    else if (weightKB < 250) weightScore = 10;
-    else if (weightKB < 400) weightScore = 7;
+    if (weightKB < targetTop5WeightKB) weightScore = 15;
+    else if (weightKB < acceptableTop5WeightKB) weightScore = 13;
+    else if (weightKB < heavyTop5WeightKB) weightScore = 10;
+    else if (weightKB < maxTop5WeightKB) weightScore = 7;
     else weightScore = 4;
   } else {
     // Si pas de données de poids, score neutre
@@ -283,15 +302,8 @@ const calculateImagesScore = (data) => {
     modernRatio * 100
   )}% (${formatsList}), Ratio décoratif: ${Math.round(decorativeRatio * 100)}%`;
 
-  // ===== CALCUL TOTAL ET GRADE =====
-  const total = Object.values(scores).reduce((sum, s) => sum + s.score, 0);
-
-  let grade;
-  if (total >= 90) grade = "A";
-  else if (total >= 80) grade = "B";
-  else if (total >= 70) grade = "C";
-  else if (total >= 60) grade = "D";
-  else grade = "F";
+  // ===== CALCUL TOTAL ET GRADE (poids et bornes du barème) =====
+  const { total, breakdown, grade } = finalizeScore(scores, analyzerRubric);
 
   // ===== RECOMMANDATIONS =====
   const improvements = [];
@@ -349,7 +361,7 @@ const calculateImagesScore = (data) => {
 
   return {
     total,
-    breakdown: scores,
+    breakdown,
     grade,
     improvements,
   };
@@ -360,9 +372,10 @@ const calculateImagesScore = (data) => {
  * @param {Array} images - Liste des images extraites du HTML
  * @param {Array} lighthouseRequests - Requêtes réseau de Lighthouse
  * @param {string} baseUrl - URL de base pour résoudre les chemins relatifs
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent)
  * @returns {object} - Analyse complète avec score
  */
-export const analyzeImages = (images, lighthouseRequests, baseUrl) => {
+export const analyzeImages = (images, lighthouseRequests, baseUrl, rubric) => {
   // Enrichir les images avec les données réseau
   const enrichedImages = enrichImagesWithNetworkData(
     images,
@@ -462,7 +475,7 @@ export const analyzeImages = (images, lighthouseRequests, baseUrl) => {
   };
 
   // Calcul du score
-  const score = calculateImagesScore(analysisData);
+  const score = calculateImagesScore(analysisData, rubric);
 
   return {
     ...analysisData,
@@ -473,9 +486,12 @@ export const analyzeImages = (images, lighthouseRequests, baseUrl) => {
 /**
  * Synthétise l'analyse des images pour l'ensemble des pages
  * @param {Array} pages - Tableau des pages avec leur imagesAnalysis
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent)
  * @returns {object} - Synthèse globale de l'analyse des images
  */
-export const synthesizeImagesAnalysis = (pages) => {
+export const synthesizeImagesAnalysis = (pages, rubric) => {
+  const { gradeBoundaries } = getAnalyzerRubric(rubric, "images");
+
   if (!pages || pages.length === 0) {
     return {
       totalPages: 0,
@@ -516,7 +532,7 @@ export const synthesizeImagesAnalysis = (pages) => {
             details: "Aucune image détectée.",
           },
         },
-        grade: "A",
+        grade: toGrade(100, gradeBoundaries),
         improvements: ["Aucune image à optimiser."],
       },
       pageScores: [],
@@ -568,7 +584,7 @@ export const synthesizeImagesAnalysis = (pages) => {
             details: "Aucune image détectée.",
           },
         },
-        grade: "A",
+        grade: toGrade(100, gradeBoundaries),
         improvements: ["Aucune image à optimiser."],
       },
       pageScores: [],
@@ -668,10 +684,13 @@ export const synthesizeImagesAnalysis = (pages) => {
   globalStats.decorativeRatio = decorativeRatio;
 
   // Calculer le score global basé sur les données agrégées
-  const globalScore = calculateImagesScore({
-    ...globalStats,
-    formats: globalFormats,
-  });
+  const globalScore = calculateImagesScore(
+    {
+      ...globalStats,
+      formats: globalFormats,
+    },
+    rubric
+  );
 
   // Calculer les statistiques des scores par page
   const scoreStats =
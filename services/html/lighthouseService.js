@@ -1,22 +1,22 @@
 import lighthouse from "lighthouse";
-import * as chromeLauncher from "chrome-launcher";
+import { withChrome } from "./chromePool.js";
 
 /**
- * Exécute Lighthouse en mode mobile sur une URL donnée.
+ * Exécute Lighthouse en mode mobile sur une URL donnée, avec un Chrome du
+ * pool partagé par tous les scans (voir chromePool.js).
  * @param {string} url - URL du fichier à analyser.
  * @returns {object} - Résultats de Lighthouse.
  */
 export const runLighthouse = async (url) => {
-  const chrome = await chromeLauncher.launch({ chromeFlags: ["--headless"] });
-  const options = {
-    logLevel: "info",
-    output: "json",
-    port: chrome.port,
-    emulatedFormFactor: "mobile", // Configuration pour le mode mobile
-  };
-
   try {
-    const result = await lighthouse(url, options);
+    const result = await withChrome((port) =>
+      lighthouse(url, {
+        logLevel: "info",
+        output: "json",
+        port,
+        emulatedFormFactor: "mobile", // Configuration pour le mode mobile
+      })
+    );
     const categories = result.lhr.categories;
     const audits = result.lhr.audits;
 
@@ -35,18 +35,17 @@ export const runLighthouse = async (url) => {
         : null,
       requests:
         audits["network-requests"]?.details?.items?.map(
-          ({ url, resourceSize, mimeType, resourceType }) => ({
+          ({ url, resourceSize, mimeType, resourceType, statusCode }) => ({
             url,
             resourceSize,
             mimeType,
             resourceType,
+            statusCode,
           })
         ) || null,
     };
   } catch (error) {
     console.error("Erreur Lighthouse:", error);
     throw error;
-  } finally {
-    await chrome.kill();
   }
 };
@@ -0,0 +1,392 @@
+import * as cheerio from "cheerio";
+import { mapWithConcurrency } from "../shared/concurrency.js";
+import { getAnalyzerRubric, toGrade } from "../scoring/rubricService.js";
+
+// Nombre de vérifications simultanées
+const CHECK_CONCURRENCY = 4;
+// Délai maximal d'une vérification (les liens externes lents ne bloquent pas le scan)
+const CHECK_TIMEOUT_MS = 5000;
+
+// Adresses qui ne désignent pas une ressource à vérifier
+const IGNORED_URLS = /^(#|mailto:|tel:|sms:|javascript:|data:|about:|blob:)/i;
+// <link> qui pointent vers une origine, pas une ressource
+const ORIGIN_HINTS = ["preconnect", "dns-prefetch"];
+
+const IMPORT_REGEX = /@import\s+(?:url\()?\s*(['"])([^'"]+)\1\s*\)?[^;]*;/g;
+const CSS_URL_REGEX = /url\(\s*(['"]?)([^'")]+?)\1\s*\)/g;
+
+/**
+ * Lit les URLs candidates d'un attribut srcset (`a.jpg 1x, b.jpg 2x`).
+ * @param {string} srcset
+ * @returns {string[]}
+ */
+const parseSrcset = (srcset) =>
+  srcset
+    .split(",")
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+
+/**
+ * Relève les références d'une page : liens, images (src et srcset),
+ * scripts et <link>.
+ * @param {string} htmlContent
+ * @param {string} pageUrl
+ * @returns {Array<{value: string, baseUrl: string, tag: string, attribute: string}>}
+ */
+const collectHtmlReferences = (htmlContent, pageUrl) => {
+  const $ = cheerio.load(htmlContent);
+  const baseHref = $("base[href]").attr("href");
+  let baseUrl = pageUrl;
+  try {
+    if (baseHref) baseUrl = new URL(baseHref, pageUrl).href;
+  } catch {
+    // <base> invalide : liens résolus par rapport à la page
+  }
+
+  const references = [];
+  const add = (el, attribute, value) =>
+    references.push({ value, baseUrl, tag: el.tagName, attribute });
+
+  $("a[href]").each((_, el) => add(el, "href", $(el).attr("href")));
+  $("img[src], script[src], source[src]").each((_, el) =>
+    add(el, "src", $(el).attr("src"))
+  );
+  $("img[srcset], source[srcset]").each((_, el) =>
+    parseSrcset($(el).attr("srcset")).forEach((value) =>
+      add(el, "srcset", value)
+    )
+  );
+  $("link[href]").each((_, el) => {
+    const rel = ($(el).attr("rel") || "").toLowerCase().split(/\s+/);
+    if (!rel.some((value) => ORIGIN_HINTS.includes(value))) {
+      add(el, "href", $(el).attr("href"));
+    }
+  });
+
+  return references;
+};
+
+/**
+ * Relève les `url()` et `@import` d'une feuille de style, en suivant ses
+ * @import sur le même site (les url() d'une feuille importée se résolvent
+ * par rapport à elle).
+ * @param {string} css - Le contenu de la feuille.
+ * @param {string} cssUrl - L'URL de la feuille (ou de la page pour un <style>).
+ * @param {string|null} stylesheet - L'URL de la feuille, null pour du CSS intégré.
+ * @param {object} loader - Chargeur de ressources.
+ * @param {Set<string>} visited - Feuilles déjà parcourues.
+ * @returns {Promise<Array<object>>}
+ */
+const collectCssReferences = async (
+  css,
+  cssUrl,
+  stylesheet,
+  loader,
+  visited
+) => {
+  const references = [];
+  const withoutComments = css.replace(/\/\*[\s\S]*?\*\//g, "");
+
+  const imports = [...withoutComments.matchAll(IMPORT_REGEX)].map(
+    (match) => match[2]
+  );
+  imports.forEach((value) =>
+    references.push({
+      value,
+      baseUrl: cssUrl,
+      tag: "css",
+      attribute: "@import",
+      stylesheet,
+    })
+  );
+
+  // Les @import sont retirés pour ne pas compter leur url() deux fois
+  [...withoutComments.replace(IMPORT_REGEX, "").matchAll(CSS_URL_REGEX)]
+    .map((match) => match[2].trim())
+    // url(#id) : référence à un élément SVG du document
+    .filter((value) => value && !value.startsWith("#"))
+    .forEach((value) =>
+      references.push({
+        value,
+        baseUrl: cssUrl,
+        tag: "css",
+        attribute: "url()",
+        stylesheet,
+      })
+    );
+
+  for (const value of imports) {
+    let importUrl;
+    try {
+      importUrl = new URL(value, cssUrl);
+    } catch {
+      continue;
+    }
+    const sameSite =
+      importUrl.protocol === "file:" ||
+      importUrl.origin === new URL(cssUrl).origin;
+    if (!sameSite || visited.has(importUrl.href)) continue;
+    visited.add(importUrl.href);
+
+    try {
+      const { data } = await loader.get(importUrl.href);
+      references.push(
+        ...(await collectCssReferences(
+          String(data),
+          importUrl.href,
+          importUrl.href,
+          loader,
+          visited
+        ))
+      );
+    } catch {
+      // Feuille introuvable : signalée par la vérification de l'@import
+    }
+  }
+
+  return references;
+};
+
+/**
+ * Vérifie qu'une URL répond. Un HEAD suffit en général ; un serveur qui le
+ * refuse (403, 405, 501) est interrogé en GET.
+ * @param {string} url
+ * @param {object} loader
+ * @returns {Promise<{status: number|null, redirects: Array, error: string|null}>}
+ */
+const checkUrl = async (url, loader) => {
+  const options = { timeout: CHECK_TIMEOUT_MS };
+  try {
+    let response;
+    try {
+      response = await loader.head(url, options);
+    } catch (error) {
+      if (![403, 405, 501].includes(error.response?.status)) throw error;
+      response = await loader.get(url, options);
+    }
+    return {
+      status: response.status,
+      redirects: response.redirects || [],
+      error: null,
+    };
+  } catch (error) {
+    return {
+      status: error.response?.status ?? null,
+      redirects: error.redirects || [],
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Calcule le score des liens et ressources : par défaut, un lien interne
+ * cassé coûte 10 points, un lien externe cassé 5 points, une chaîne de
+ * redirections 1 point (pénalités du barème). Les erreurs réseau sur un site
+ * externe (hors ligne, DNS) ne sont pas pénalisées.
+ * @param {object} summary - Le résumé de la vérification.
+ * @param {object} analyzerRubric - Section `linkCheck` du barème.
+ * @returns {object} - `{ total, breakdown, grade, improvements }`
+ */
+const calculateLinkScore = (summary, { thresholds, gradeBoundaries }) => {
+  const breakdown = {
+    internalPenalty: summary.internalBroken * thresholds.internalBrokenPenalty,
+    externalPenalty: summary.externalBroken * thresholds.externalBrokenPenalty,
+    redirectPenalty: summary.redirectChains * thresholds.redirectChainPenalty,
+  };
+  const total = Math.max(
+    100 -
+      breakdown.internalPenalty -
+      breakdown.externalPenalty -
+      breakdown.redirectPenalty,
+    0
+  );
+  const grade = toGrade(total, gradeBoundaries);
+
+  const improvements = [];
+  if (summary.internalBroken > 0) {
+    improvements.push(
+      `Corriger les ${summary.internalBroken} lien(s) ou ressource(s) interne(s) introuvable(s)`
+    );
+  }
+  if (summary.externalBroken > 0) {
+    improvements.push(
+      `Remplacer ou retirer les ${summary.externalBroken} lien(s) externe(s) cassé(s)`
+    );
+  }
+  if (summary.redirectChains > 0) {
+    improvements.push(
+      `Pointer directement vers la destination finale (${summary.redirectChains} chaîne(s) de redirections)`
+    );
+  }
+
+  return {
+    total,
+    breakdown,
+    grade,
+    improvements:
+      improvements.length > 0
+        ? improvements
+        : ["Tous les liens et ressources répondent correctement"],
+  };
+};
+
+/**
+ * Vérifie tous les liens et ressources référencés par les pages :
+ * `a[href]`, `img[src]`, candidats `srcset`, `script[src]`, `link[href]` et
+ * `url()` / `@import` des feuilles de style. Chaque URL n'est vérifiée
+ * qu'une fois ; le rapport indique son statut, ses redirections et les
+ * éléments qui la référencent.
+ * @param {Array<{url: string, htmlContent: string, sources: Array<object>}>} pages - Pages
+ *   analysées et leurs feuilles de style (voir collectStylesheets).
+ * @param {object} loader - Chargeur de ressources du scan.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
+ * @returns {Promise<object>} - `{ summary, statusCodes, broken, redirected, unreachable, score }`
+ */
+export const checkLinks = async (pages, loader, rubric) => {
+  const analyzerRubric = getAnalyzerRubric(rubric, "linkCheck");
+  const targets = new Map(); // URL vérifiée → références
+  const visitedSheets = new Set();
+
+  const addReference = (pageUrl, reference) => {
+    const value = reference.value?.trim();
+    if (!value || IGNORED_URLS.test(value)) return;
+
+    let url;
+    try {
+      url = new URL(value, reference.baseUrl);
+    } catch {
+      return; // URL invalide : relevée par la validation HTML
+    }
+    if (!["http:", "https:", "file:"].includes(url.protocol)) return;
+    url.hash = "";
+
+    if (!targets.has(url.href)) {
+      targets.set(url.href, {
+        internal:
+          url.protocol === "file:" || url.origin === new URL(pageUrl).origin,
+        references: [],
+      });
+    }
+    targets.get(url.href).references.push({
+      page: pageUrl,
+      tag: reference.tag,
+      attribute: reference.attribute,
+      value,
+      ...(reference.tag === "css"
+        ? { stylesheet: reference.stylesheet }
+        : {}),
+    });
+  };
+
+  for (const page of pages) {
+    collectHtmlReferences(page.htmlContent, page.url).forEach((reference) =>
+      addReference(page.url, reference)
+    );
+
+    for (const source of page.sources || []) {
+      if (!source.rawCss) continue;
+      // Une feuille partagée par plusieurs pages n'est parcourue qu'une fois
+      if (source.url) {
+        if (visitedSheets.has(source.url)) continue;
+        visitedSheets.add(source.url);
+      }
+      const cssReferences = await collectCssReferences(
+        source.rawCss,
+        source.url || page.url,
+        source.url,
+        loader,
+        visitedSheets
+      );
+      cssReferences.forEach((reference) => addReference(page.url, reference));
+    }
+  }
+
+  const urls = [...targets.keys()];
+  const results = await mapWithConcurrency(
+    urls,
+    CHECK_CONCURRENCY,
+    async (url) => {
+      const { status, redirects, error } = await checkUrl(url, loader);
+      return {
+        url,
+        status,
+        ok: status !== null && status < 400,
+        internal: targets.get(url).internal,
+        finalUrl: redirects.at(-1)?.location ?? url,
+        redirects,
+        error,
+        references: targets.get(url).references,
+      };
+    }
+  );
+
+  const broken = results.filter((result) => result.status >= 400);
+  // Pas de réponse du tout : fichier hors du projet, site externe injoignable…
+  const unreachable = results.filter((result) => result.status === null);
+  const redirected = results.filter(
+    (result) => result.ok && result.redirects.length > 0
+  );
+
+  const statusCodes = {};
+  results.forEach(({ status }) => {
+    const key = status === null ? "error" : String(status);
+    statusCodes[key] = (statusCodes[key] || 0) + 1;
+  });
+
+  const summary = {
+    references: results.reduce(
+      (sum, result) => sum + result.references.length,
+      0
+    ),
+    urls: results.length,
+    ok: results.filter((result) => result.ok).length,
+    broken: broken.length,
+    unreachable: unreachable.length,
+    redirected: redirected.length,
+    internalBroken: [...broken, ...unreachable].filter(
+      (result) => result.internal
+    ).length,
+    externalBroken: broken.filter((result) => !result.internal).length,
+    // Redirections tolérées avant de signaler une chaîne à raccourcir
+    redirectChains: redirected.filter(
+      (result) =>
+        result.redirects.length > analyzerRubric.thresholds.maxRedirects
+    ).length,
+  };
+
+  if (summary.broken + summary.unreachable > 0) {
+    console.warn(
+      `🔗 ${summary.broken + summary.unreachable} lien(s) ou ressource(s) en erreur sur ${summary.urls}`
+    );
+  }
+
+  return {
+    summary,
+    statusCodes,
+    broken,
+    unreachable,
+    redirected,
+    score: calculateLinkScore(summary, analyzerRubric),
+  };
+};
+
+/**
+ * Recalcule le score d'une vérification enregistrée (résultat de checkLinks)
+ * avec un autre barème, sans refaire les requêtes : le nombre de chaînes de
+ * redirections dépend du seuil `maxRedirects`.
+ * @param {object} linkCheck - Section `linkCheck` du rapport.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
+ * @returns {{summary: object, score: object}} - Résumé et score recalculés.
+ */
+export const rescoreLinkCheck = (linkCheck, rubric) => {
+  const analyzerRubric = getAnalyzerRubric(rubric, "linkCheck");
+  const summary = {
+    ...linkCheck.summary,
+    redirectChains: (linkCheck.redirected || []).filter(
+      (result) =>
+        result.redirects.length > analyzerRubric.thresholds.maxRedirects
+    ).length,
+  };
+
+  return { summary, score: calculateLinkScore(summary, analyzerRubric) };
+};
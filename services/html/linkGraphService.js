@@ -0,0 +1,263 @@
+import * as cheerio from "cheerio";
+import { NON_HTML_EXTENSIONS, normalizePageUrl } from "./fileScannerService.js";
+
+// Liens qui ne mènent pas à une page du site
+const IGNORED_PROTOCOLS = /^(mailto|tel|javascript|data|sms):/i;
+
+/**
+ * Trouve la navigation principale d'une page : le <nav> de l'en-tête, sinon
+ * le premier <nav>, sinon le premier élément `role="navigation"`.
+ * @param {object} $ - Le document cheerio.
+ * @returns {object|null} - L'élément cheerio, ou null si la page n'en a pas.
+ */
+const findMainNav = ($) => {
+  const candidates = [
+    $("header nav").first(),
+    $("nav").first(),
+    $('[role="navigation"]').first(),
+  ];
+  return candidates.find((candidate) => candidate.length > 0) || null;
+};
+
+/**
+ * Extrait les liens internes d'une page, normalisés comme les URLs du crawler.
+ * @param {object} $ - Le document cheerio.
+ * @param {object} $scope - Élément dont on lit les liens.
+ * @param {string} pageUrl - URL de la page (résolution des liens relatifs).
+ * @param {string} origin - Origine du site.
+ * @param {boolean} keepQueryStrings
+ * @returns {string[]} - URLs des liens internes, dans l'ordre du document.
+ */
+const extractInternalLinks = ($, $scope, pageUrl, origin, keepQueryStrings) => {
+  const baseHref = $("base[href]").attr("href");
+  let baseUrl = pageUrl;
+  try {
+    if (baseHref) baseUrl = new URL(baseHref, pageUrl).href;
+  } catch {
+    // <base> invalide : liens résolus par rapport à la page
+  }
+  const links = [];
+
+  $scope.find("a[href]").each((_, el) => {
+    const href = $(el).attr("href").trim();
+    // Ancre seule : lien vers la même page, pas une arête du graphe
+    if (!href || href.startsWith("#") || IGNORED_PROTOCOLS.test(href)) {
+      return;
+    }
+
+    try {
+      const link = new URL(href, baseUrl);
+      // Autre site, ou ressource (image, PDF…) plutôt qu'une page
+      if (link.origin !== origin || NON_HTML_EXTENSIONS.test(link.pathname)) {
+        return;
+      }
+      links.push(normalizePageUrl(link.href, keepQueryStrings));
+    } catch {
+      // href invalide : ignoré
+    }
+  });
+
+  return links;
+};
+
+/**
+ * Parcourt le graphe en largeur depuis une page.
+ * @param {string} start - La page de départ.
+ * @param {Map<string, Set<string>>} adjacency - Voisins de chaque page.
+ * @returns {Map<string, number>} - Distance (en nombre de liens) de chaque page atteinte.
+ */
+const breadthFirst = (start, adjacency) => {
+  const distances = new Map([[start, 0]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    (adjacency.get(current) || new Set()).forEach((next) => {
+      if (distances.has(next)) return;
+      distances.set(next, distances.get(current) + 1);
+      queue.push(next);
+    });
+  }
+
+  return distances;
+};
+
+/**
+ * Compare la navigation principale des pages à la plus fréquente.
+ * @param {Array<{url: string, links: string[]|null}>} navs - Liens de la navigation de chaque page (`null` sans navigation).
+ * @returns {object} - La section `navigation` du graphe.
+ */
+const compareNavigations = (navs) => {
+  const withNav = navs.filter((nav) => nav.links);
+  const counts = new Map();
+  withNav.forEach((nav) => {
+    const key = [...new Set(nav.links)].sort().join("\n");
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  // Référence : l'ensemble de liens le plus fréquent (le premier en cas d'égalité)
+  let referenceKey = null;
+  counts.forEach((count, key) => {
+    if (referenceKey === null || count > counts.get(referenceKey)) {
+      referenceKey = key;
+    }
+  });
+  const referencePage = withNav.find(
+    (nav) => [...new Set(nav.links)].sort().join("\n") === referenceKey
+  );
+  const reference = referencePage ? [...new Set(referencePage.links)] : [];
+  const referenceSet = new Set(reference);
+
+  const inconsistentPages = [];
+  withNav.forEach((nav) => {
+    const links = [...new Set(nav.links)];
+    const linkSet = new Set(links);
+    const missing = reference.filter((link) => !linkSet.has(link));
+    const extra = links.filter((link) => !referenceSet.has(link));
+    const sameSet = missing.length === 0 && extra.length === 0;
+    // Mêmes liens dans un autre ordre : la navigation « bouge » d'une page à l'autre
+    const reordered = sameSet && links.join("\n") !== reference.join("\n");
+    if (!sameSet || reordered) {
+      inconsistentPages.push({ url: nav.url, missing, extra, reordered });
+    }
+  });
+
+  const pagesWithoutNav = navs
+    .filter((nav) => !nav.links)
+    .map((nav) => nav.url);
+
+  return {
+    pagesWithNav: withNav.length,
+    pagesWithoutNav,
+    reference,
+    inconsistentPages,
+    consistent:
+      withNav.length > 0 &&
+      pagesWithoutNav.length === 0 &&
+      inconsistentPages.length === 0,
+  };
+};
+
+/**
+ * Construit le graphe de navigation du site à partir des liens de chaque page :
+ * les nœuds sont les pages analysées, les arêtes les liens internes entre elles.
+ * Le résultat (nœuds et arêtes au format `source` / `target`) peut être dessiné
+ * tel quel comme plan du site.
+ * @param {Array<{url: string, htmlContent: string}>} pages - Pages analysées (URLs normalisées).
+ * @param {object} options
+ * @param {string} options.startUrl - La page d'accueil.
+ * @param {boolean} [options.keepQueryStrings] - Voir DEFAULT_CRAWL_OPTIONS.
+ * @returns {object} - `{ startUrl, nodes, edges, unreachable, noWayBack, depth, navigation, linksOutsideGraph }`
+ */
+export const buildLinkGraph = (
+  pages,
+  { startUrl, keepQueryStrings = false }
+) => {
+  const home = normalizePageUrl(startUrl, keepQueryStrings);
+  const { origin } = new URL(home);
+  const homeDir = home.slice(0, home.lastIndexOf("/") + 1);
+  const pageUrls = new Set(pages.map((page) => page.url));
+
+  const edges = new Map(); // "source\ntarget" → arête
+  const outgoing = new Map(pages.map((page) => [page.url, new Set()]));
+  const incoming = new Map(pages.map((page) => [page.url, new Set()]));
+  const outsideGraph = new Map(); // lien interne vers une page non analysée → pages sources
+  const titles = new Map();
+  const navs = [];
+
+  pages.forEach(({ url, htmlContent }) => {
+    const $ = cheerio.load(htmlContent);
+    titles.set(url, $("title").first().text().trim() || null);
+
+    const $nav = findMainNav($);
+    const navLinks = $nav
+      ? extractInternalLinks($, $nav, url, origin, keepQueryStrings)
+      : null;
+    navs.push({ url, links: navLinks });
+    const navTargets = new Set(navLinks || []);
+
+    extractInternalLinks($, $.root(), url, origin, keepQueryStrings).forEach(
+      (target) => {
+        if (target === url) return; // Lien vers la page elle-même
+
+        if (!pageUrls.has(target)) {
+          if (!outsideGraph.has(target)) outsideGraph.set(target, new Set());
+          outsideGraph.get(target).add(url);
+          return;
+        }
+
+        const key = `${url}\n${target}`;
+        if (!edges.has(key)) {
+          edges.set(key, {
+            source: url,
+            target,
+            count: 0,
+            inNav: navTargets.has(target),
+          });
+        }
+        edges.get(key).count++;
+        outgoing.get(url).add(target);
+        incoming.get(target).add(url);
+      }
+    );
+  });
+
+  // Profondeur : nombre de clics depuis l'accueil ; retour : chemin vers l'accueil
+  const depths = pageUrls.has(home) ? breadthFirst(home, outgoing) : new Map();
+  const backToHome = pageUrls.has(home)
+    ? breadthFirst(home, incoming)
+    : new Map();
+
+  const nodes = pages.map(({ url }) => ({
+    id: url,
+    // Libellé court pour le plan : chemin depuis le dossier de l'accueil
+    label: url.startsWith(homeDir)
+      ? `/${url.slice(homeDir.length)}`
+      : new URL(url).pathname,
+    title: titles.get(url),
+    isHome: url === home,
+    depth: depths.has(url) ? depths.get(url) : null,
+    inbound: incoming.get(url).size,
+    outbound: outgoing.get(url).size,
+    reachable: depths.has(url),
+    canReachHome: backToHome.has(url),
+  }));
+
+  const reachedDepths = nodes
+    .map((node) => node.depth)
+    .filter((depth) => depth !== null);
+  const distribution = {};
+  reachedDepths.forEach((depth) => {
+    distribution[depth] = (distribution[depth] || 0) + 1;
+  });
+
+  return {
+    startUrl: home,
+    nodes,
+    edges: [...edges.values()],
+    // Pages qu'aucun chemin de liens ne relie à l'accueil (trouvées par le sitemap)
+    unreachable: nodes.filter((node) => !node.reachable).map((node) => node.id),
+    // Pages sans aucun chemin de retour vers l'accueil (impasses)
+    noWayBack: nodes
+      .filter((node) => !node.canReachHome)
+      .map((node) => node.id),
+    depth: {
+      max: reachedDepths.length > 0 ? Math.max(...reachedDepths) : null,
+      average:
+        reachedDepths.length > 0
+          ? Math.round(
+              (reachedDepths.reduce((sum, depth) => sum + depth, 0) /
+                reachedDepths.length) *
+                100
+            ) / 100
+          : null,
+      distribution,
+    },
+    navigation: compareNavigations(navs),
+    // Liens internes vers des pages non analysées (hors motifs, limites, erreurs)
+    linksOutsideGraph: [...outsideGraph].map(([url, sources]) => ({
+      url,
+      from: [...sources],
+    })),
+  };
+};
@@ -0,0 +1,223 @@
+import * as cheerio from "cheerio";
+
+// Limites pour les sitemaps volumineux ou les index imbriqués
+const MAX_SITEMAPS = 20;
+const MAX_SITEMAP_URLS = 5000;
+
+/**
+ * Lit un robots.txt : directives `Sitemap` et règles du groupe `User-agent: *`.
+ * @param {string} content - Le contenu du fichier.
+ * @returns {{sitemaps: string[], rules: Array<{allow: boolean, path: string}>}}
+ */
+export const parseRobotsTxt = (content) => {
+  const sitemaps = [];
+  const rules = [];
+  let inWildcardGroup = false;
+  let readingAgents = false;
+
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === "user-agent") {
+      // Plusieurs User-agent consécutifs partagent le même groupe de règles
+      if (!readingAgents) inWildcardGroup = false;
+      readingAgents = true;
+      if (value === "*") inWildcardGroup = true;
+      return;
+    }
+
+    readingAgents = false;
+    if (inWildcardGroup && (field === "allow" || field === "disallow")) {
+      // Un `Disallow:` vide autorise tout
+      if (value) rules.push({ allow: field === "allow", path: value });
+    }
+  });
+
+  return { sitemaps, rules };
+};
+
+/**
+ * Indique si robots.txt autorise un chemin : la règle la plus longue qui
+ * correspond l'emporte (`*` et `$` sont pris en charge), `Allow` en cas d'égalité.
+ * @param {{rules: Array<{allow: boolean, path: string}>}|null} robots
+ * @param {string} pathname - Chemin (et paramètres) de l'URL.
+ * @returns {boolean}
+ */
+export const isAllowedByRobots = (robots, pathname) => {
+  let best = null;
+
+  robots?.rules.forEach((rule) => {
+    // `$` final : fin du chemin
+    const pattern = rule.path
+      .replace(/[.+?^{}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*");
+    if (!new RegExp(`^${pattern}`).test(pathname)) return;
+
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  });
+
+  return best ? best.allow : true;
+};
+
+/**
+ * Lit un sitemap XML : liste d'URLs (`<urlset>`) ou index de sitemaps
+ * (`<sitemapindex>`).
+ * @param {string} xml
+ * @returns {{type: "urlset"|"index", locations: string[]}}
+ */
+const parseSitemap = (xml) => {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const isIndex = $("sitemapindex").length > 0;
+  const locations = $(isIndex ? "sitemap > loc" : "url > loc")
+    .map((_, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean);
+
+  return { type: isIndex ? "index" : "urlset", locations };
+};
+
+/**
+ * Charge le robots.txt du site, puis ses sitemaps : ceux déclarés dans
+ * robots.txt, sinon `sitemap.xml` à côté de la page de départ et à la racine.
+ * Les index de sitemaps sont suivis.
+ * @param {string} startUrl - URL de la page de départ.
+ * @param {object} loader - Chargeur de ressources (voir resourceLoader.js).
+ * @returns {Promise<object>} - `{ robotsTxt, robots, sitemaps, urls }` : `robots`
+ *   contient les règles (voir isAllowedByRobots), `urls` les pages listées.
+ */
+export const loadSitemaps = async (startUrl, loader) => {
+  const robotsUrl = new URL("/robots.txt", startUrl).href;
+  let robots = null;
+  try {
+    const response = await loader.get(robotsUrl);
+    robots = parseRobotsTxt(String(response.data));
+  } catch {
+    // Pas de robots.txt
+  }
+
+  const declared = robots?.sitemaps.length > 0;
+  const queue = declared
+    ? [...robots.sitemaps]
+    : [
+        new URL("sitemap.xml", startUrl).href,
+        new URL("/sitemap.xml", startUrl).href,
+      ];
+
+  const sitemaps = [];
+  const urls = new Set();
+  const seen = new Set();
+
+  while (queue.length > 0 && sitemaps.length < MAX_SITEMAPS) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    let parsed;
+    try {
+      const response = await loader.get(sitemapUrl);
+      parsed = parseSitemap(String(response.data));
+    } catch (error) {
+      // Un sitemap déclaré mais absent est signalé, un sitemap deviné non
+      if (declared) {
+        sitemaps.push({
+          url: sitemapUrl,
+          type: null,
+          entries: 0,
+          error: error.message,
+        });
+      }
+      continue;
+    }
+
+    sitemaps.push({
+      url: sitemapUrl,
+      type: parsed.type,
+      entries: parsed.locations.length,
+      error: null,
+    });
+    if (parsed.type === "index") {
+      queue.push(...parsed.locations);
+    } else {
+      parsed.locations
+        .slice(0, MAX_SITEMAP_URLS - urls.size)
+        .forEach((location) => urls.add(location));
+    }
+  }
+
+  if (sitemaps.length > 0) {
+    console.log(
+      `🗺️ ${urls.size} page(s) listée(s) dans ${sitemaps.length} sitemap(s)`
+    );
+  }
+
+  return {
+    robotsTxt: robots
+      ? {
+          url: robotsUrl,
+          sitemaps: robots.sitemaps,
+          rules: robots.rules.length,
+        }
+      : null,
+    robots,
+    sitemaps,
+    urls: [...urls],
+  };
+};
+
+/**
+ * Compare les pages trouvées par le crawler avec celles du sitemap.
+ * @param {object} params
+ * @param {object} params.sitemapData - Le résultat de loadSitemaps.
+ * @param {string[]} params.sitemapPages - URLs du sitemap retenues pour l'exploration (normalisées).
+ * @param {string[]} params.pages - Pages trouvées (normalisées).
+ * @param {Set<string>} params.linkedUrls - URLs atteintes par un lien (normalisées).
+ * @param {string} params.startUrl - La page de départ (normalisée).
+ * @returns {object} - La section `sitemap` du rapport.
+ */
+export const compareWithSitemap = ({
+  sitemapData,
+  sitemapPages,
+  pages,
+  linkedUrls,
+  startUrl,
+}) => {
+  const found = sitemapData.sitemaps.some((sitemap) => !sitemap.error);
+  const inSitemap = new Set(sitemapPages);
+  const crawled = new Set(pages);
+
+  return {
+    found,
+    robotsTxt: sitemapData.robotsTxt,
+    sitemaps: sitemapData.sitemaps,
+    entries: sitemapData.urls.length,
+    // Listées mais hors du site exploré (autre domaine ou autre dossier)
+    outsideSite: sitemapData.urls.length - inSitemap.size,
+    // Pages orphelines : aucun lien n'y mène, seul le sitemap les fait connaître
+    onlyInSitemap: pages.filter(
+      (page) =>
+        inSitemap.has(page) && !linkedUrls.has(page) && page !== startUrl
+    ),
+    // Pages accessibles par un lien mais oubliées dans le sitemap
+    missingFromSitemap: found
+      ? pages.filter((page) => !inSitemap.has(page))
+      : [],
+    // Entrées du sitemap qui ne sont pas des pages analysées (erreur, filtre, limite)
+    notCrawled: sitemapPages.filter((page) => !crawled.has(page)),
+  };
+};
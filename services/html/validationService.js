@@ -8,6 +8,8 @@
 
 // const execFileAsync = promisify(execFile);
 
+import { getAnalyzerRubric, toGrade } from "../scoring/rubricService.js";
+
 export const validateHTML = async (htmlContent) => {
   // Validation désactivée pour Render
   console.log("📋 Validation HTML: Désactivée pour Render");
@@ -72,9 +74,15 @@ export const validateHTML = async (htmlContent) => {
 /**
  * Calcule le score de validation basé sur le nombre moyen d'erreurs
  * @param {Array} pages - Tableau des résultats de validation pour chaque page
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent)
  * @returns {Object} - Objet contenant le score et les détails
  */
-export const calculateValidationScore = (pages) => {
+export const calculateValidationScore = (pages, rubric) => {
+  const { thresholds, gradeBoundaries } = getAnalyzerRubric(
+    rubric,
+    "validation"
+  );
+
   if (!pages || pages.length === 0) {
     return {
       total: 0,
@@ -82,7 +90,7 @@ export const calculateValidationScore = (pages) => {
         errorPenalty: 100,
         warningPenalty: 0,
       },
-      grade: "F",
+      grade: toGrade(0, gradeBoundaries),
       improvements: ["Aucune page n'a été validée"],
       stats: {
         totalErrors: 0,
@@ -107,16 +115,12 @@ export const calculateValidationScore = (pages) => {
   const pagesAnalyzed = pages.length;
   const averageErrors = totalErrors / pagesAnalyzed;
 
-  // Formule: 100 - min(avgErrors/10, 1) * 100
-  const score = Math.round(100 - Math.min(averageErrors / 10, 1) * 100);
+  // Formule: 100 - min(avgErrors/maxAverageErrors, 1) * 100 (10 par défaut)
+  const errorRatio = Math.min(averageErrors / thresholds.maxAverageErrors, 1);
+  const score = Math.round(100 - errorRatio * 100);
 
   // Déterminer la note
-  let grade;
-  if (score >= 90) grade = "A";
-  else if (score >= 80) grade = "B";
-  else if (score >= 70) grade = "C";
-  else if (score >= 60) grade = "D";
-  else grade = "F";
+  const grade = toGrade(score, gradeBoundaries);
 
   // Générer les suggestions d'amélioration
   const improvements = [];
@@ -137,7 +141,7 @@ export const calculateValidationScore = (pages) => {
   return {
     total: score,
     breakdown: {
-      errorPenalty: Math.round(Math.min(averageErrors / 10, 1) * 100),
+      errorPenalty: Math.round(errorRatio * 100),
       warningPenalty: 0, // Les avertissements n'affectent pas le score pour l'instant
     },
     grade,
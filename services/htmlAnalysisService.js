@@ -3,8 +3,12 @@ export {
   analyzeHTML,
   extractTitleAndImagesFromHTML,
   getCssLinksFromHtml,
+  getStylesheetsFromHtml,
 } from "./html/htmlAnalyzer.js";
 export { analyzeAllPages } from "./html/htmlTagsAnalyzer.js";
+export { buildLinkGraph } from "./html/linkGraphService.js";
+export { checkLinks } from "./html/linkCheckerService.js";
+export { analyzeAnchors } from "./html/anchorAnalyzer.js";
 export { runLighthouse } from "./html/lighthouseService.js";
 export {
   analyzeImages,
@@ -0,0 +1,134 @@
+/**
+ * Lecture des listes d'étudiants (CSV ou JSON) pour les scans par lot.
+ * Chaque entrée contient un nom, une URL et un groupe optionnel.
+ */
+
+// Noms de colonnes acceptés pour chaque champ (en minuscules)
+const COLUMN_ALIASES = {
+  name: ["name", "nom", "student", "etudiant", "étudiant", "projectname"],
+  url: ["url", "site", "lien", "link"],
+  group: ["group", "groupe", "tp", "td"],
+};
+
+/**
+ * Découpe une ligne CSV en cellules, en gérant les guillemets ("a, b" et "").
+ * @param {string} line - La ligne CSV.
+ * @param {string} separator - Le séparateur de colonnes.
+ * @returns {string[]}
+ */
+const splitCsvLine = (line, separator) => {
+  const cells = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+};
+
+/**
+ * Trouve l'index de chaque champ à partir de la ligne d'en-tête.
+ * @param {string[]} headerCells - Les cellules de l'en-tête.
+ * @returns {{name: number, url: number, group: number}|null} - null si pas d'en-tête reconnu.
+ */
+const resolveColumns = (headerCells) => {
+  const normalized = headerCells.map((cell) => cell.toLowerCase());
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[field] = normalized.findIndex((cell) => aliases.includes(cell));
+  }
+
+  return columns.name >= 0 && columns.url >= 0 ? columns : null;
+};
+
+/**
+ * Parse une liste au format CSV (séparateur `,` ou `;`).
+ * Sans en-tête reconnu, les colonnes sont lues dans l'ordre nom, URL, groupe.
+ * @param {string} csvContent - Le contenu CSV.
+ * @returns {Array<{name: string, url: string, group: string|null}>}
+ */
+const parseCsvRoster = (csvContent) => {
+  const lines = csvContent
+    .replace(/^\uFEFF/, "") // BOM ajouté par Excel
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+
+  if (lines.length === 0) return [];
+
+  // Excel en français exporte avec des points-virgules
+  const separator = lines[0].includes(";") ? ";" : ",";
+  let columns = resolveColumns(splitCsvLine(lines[0], separator));
+  const dataLines = columns ? lines.slice(1) : lines;
+  columns = columns || { name: 0, url: 1, group: 2 };
+
+  return dataLines.map((line) => {
+    const cells = splitCsvLine(line, separator);
+    return {
+      name: cells[columns.name] || "",
+      url: cells[columns.url] || "",
+      group: (columns.group >= 0 && cells[columns.group]) || null,
+    };
+  });
+};
+
+/**
+ * Normalise une entrée JSON en acceptant les mêmes alias que le CSV.
+ * @param {object} item - L'entrée brute.
+ * @returns {{name: string, url: string, group: string|null}}
+ */
+const normalizeJsonEntry = (item) => {
+  const lowerKeys = Object.fromEntries(
+    Object.entries(item || {}).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  const pick = (field) => {
+    const key = COLUMN_ALIASES[field].find((alias) => lowerKeys[alias]);
+    return key ? String(lowerKeys[key]).trim() : "";
+  };
+
+  return { name: pick("name"), url: pick("url"), group: pick("group") || null };
+};
+
+/**
+ * Parse une liste d'étudiants envoyée en CSV (texte) ou en JSON.
+ * Le JSON peut être un tableau ou un objet `{ roster: [...] }`.
+ * @param {string|object|Array} body - Le corps de la requête.
+ * @returns {Array<{name: string, url: string, group: string|null}>}
+ */
+export const parseRoster = (body) => {
+  if (typeof body === "string") {
+    const trimmed = body.trim();
+    if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      return parseRoster(JSON.parse(trimmed));
+    }
+    return parseCsvRoster(body);
+  }
+
+  const items = Array.isArray(body) ? body : body?.roster;
+  if (!Array.isArray(items)) {
+    throw new Error("Roster must be a CSV text or a JSON array of entries");
+  }
+
+  return items.map(normalizeJsonEntry);
+};
@@ -0,0 +1,258 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { fileURLToPath } from "url";
+import {
+  enqueueScanJob,
+  getScanJob,
+  isScanJobFinished,
+  isScanQueueFull,
+  JOB_STATUS,
+  subscribeToScanJob,
+} from "./scanJobService.js";
+import { isValidProjectName } from "../history/snapshotService.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Dossier des lots (remplaçable via initScanBatches)
+let batchesDir = path.join(__dirname, "../../data/batches");
+
+const getBatchFilePath = (id) => path.join(batchesDir, `${id}.json`);
+
+const readBatch = (id) =>
+  JSON.parse(fs.readFileSync(getBatchFilePath(id), "utf-8"));
+
+/**
+ * Sauvegarde un lot sur disque (écriture atomique, comme les jobs).
+ * @param {object} batch
+ */
+const persistBatch = (batch) => {
+  const filePath = getBatchFilePath(batch.id);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(batch, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Enregistre dans le lot le résultat final d'une entrée : le job peut ensuite
+ * être oublié (voir SCAN_JOB_RETENTION_HOURS) sans que le lot perde son bilan.
+ * @param {string} batchId - Identifiant du lot.
+ * @param {object} job - Le job terminé de l'entrée.
+ */
+const recordEntryResult = (batchId, job) => {
+  const batch = readBatch(batchId);
+  const entry = batch.entries.find(({ jobId }) => jobId === job.id);
+  if (!entry) return;
+
+  entry.result =
+    job.status === JOB_STATUS.DONE
+      ? {
+          status: JOB_STATUS.DONE,
+          snapshotId: job.report?.meta?.snapshotId ?? null,
+        }
+      : { status: JOB_STATUS.FAILED, error: job.error };
+  persistBatch(batch);
+};
+
+/**
+ * Attend la fin du job d'une entrée pour enregistrer son résultat dans le lot.
+ * @param {string} batchId - Identifiant du lot.
+ * @param {string} jobId - Identifiant du job de l'entrée.
+ */
+const watchEntry = (batchId, jobId) => {
+  const unsubscribe = subscribeToScanJob(jobId, ({ type }) => {
+    if (type !== JOB_STATUS.DONE && type !== JOB_STATUS.FAILED) return;
+
+    unsubscribe();
+    recordEntryResult(batchId, getScanJob(jobId));
+  });
+};
+
+/**
+ * Vérifie une entrée de la liste avant de lancer son scan.
+ * @param {{name: string, url: string}} entry - L'entrée à vérifier.
+ * @param {Set<string>} seenNames - Noms déjà rencontrés dans la liste.
+ * @returns {string|null} - Le motif de rejet, ou null si l'entrée est valide.
+ */
+const validateEntry = (entry, seenNames) => {
+  if (!entry.name) return "Missing name";
+  if (!isValidProjectName(entry.name)) {
+    return "Invalid name (/, \\ and .. are not allowed)";
+  }
+  if (seenNames.has(entry.name.toLowerCase())) {
+    return "Duplicate name in roster";
+  }
+  if (!entry.url) return "Missing URL";
+
+  try {
+    const { protocol } = new URL(entry.url);
+    if (protocol !== "http:" && protocol !== "https:") {
+      return `Unsupported protocol: ${protocol}`;
+    }
+  } catch {
+    return `Invalid URL: ${entry.url}`;
+  }
+
+  return null;
+};
+
+/**
+ * Crée un lot de scans à partir d'une liste d'étudiants.
+ * Les entrées invalides sont rejetées sans bloquer les autres ;
+ * les scans valides passent par la file d'attente commune.
+ * @param {Array<{name: string, url: string, group: string|null}>} roster
+ * @param {object} [options]
+ * @param {object} [options.crawlOptions] - Options d'exploration communes à tous les scans.
+ * @param {string} [options.rubric] - Barème de notation commun à tous les scans.
+ * @returns {object|null} - Le lot créé, ou null si la file ne peut pas accueillir tous les scans.
+ */
+export const createScanBatch = (roster, { crawlOptions, rubric } = {}) => {
+  const seenNames = new Set();
+  const entries = roster.map((entry) => {
+    const rejection = validateEntry(entry, seenNames);
+    if (entry.name) seenNames.add(entry.name.toLowerCase());
+    return { ...entry, jobId: null, rejection, result: null };
+  });
+
+  const validEntries = entries.filter((entry) => !entry.rejection);
+  if (isScanQueueFull(validEntries.length)) return null;
+
+  validEntries.forEach((entry) => {
+    entry.jobId = enqueueScanJob({
+      url: entry.url,
+      projectName: entry.name,
+      crawlOptions,
+      rubric,
+    }).id;
+  });
+
+  const batch = {
+    id: randomUUID(),
+    createdAt: new Date().toISOString(),
+    entries,
+  };
+
+  fs.mkdirSync(batchesDir, { recursive: true });
+  persistBatch(batch);
+  validEntries.forEach((entry) => watchEntry(batch.id, entry.jobId));
+  console.log(
+    `📚 Lot ${batch.id} créé : ${validEntries.length} scan(s), ${
+      entries.length - validEntries.length
+    } rejet(s)`
+  );
+
+  return batch;
+};
+
+/**
+ * Calcule l'état d'un lot et son récapitulatif à partir du résultat enregistré
+ * de ses entrées, ou de l'état de leurs jobs pour celles en cours.
+ * @param {object} batch - Le lot sauvegardé.
+ * @returns {object} - Le lot avec son statut et son récapitulatif.
+ */
+const summarizeBatch = (batch) => {
+  const succeeded = [];
+  const failed = [];
+  const pending = [];
+  const expired = [];
+
+  batch.entries.forEach(({ name, url, group, jobId, rejection, result }) => {
+    const base = { name, url, group, jobId };
+
+    if (rejection) {
+      failed.push({ ...base, reason: rejection });
+      return;
+    }
+
+    if (result?.status === JOB_STATUS.DONE) {
+      succeeded.push({
+        ...base,
+        snapshotId: result.snapshotId,
+        reportUrl: `/scan/project/${encodeURIComponent(name)}`,
+      });
+    } else if (result?.status === JOB_STATUS.FAILED) {
+      failed.push({ ...base, reason: result.error });
+    } else {
+      // Job oublié avant d'avoir enregistré son résultat dans le lot
+      const job = getScanJob(jobId, { withReport: false });
+      if (job) pending.push({ ...base, status: job.status, stage: job.stage });
+      else expired.push(base);
+    }
+  });
+
+  return {
+    id: batch.id,
+    createdAt: batch.createdAt,
+    status: pending.length > 0 ? JOB_STATUS.RUNNING : JOB_STATUS.DONE,
+    summary: {
+      total: batch.entries.length,
+      succeeded: succeeded.length,
+      failed: failed.length,
+      pending: pending.length,
+      expired: expired.length,
+    },
+    succeeded,
+    failed,
+    pending,
+    expired,
+  };
+};
+
+/**
+ * Récupère un lot avec l'état de chacun de ses scans.
+ * @param {string} id - Identifiant du lot.
+ * @returns {object|null} - Le lot ou null s'il n'existe pas.
+ */
+export const getScanBatch = (id) => {
+  const filePath = getBatchFilePath(id);
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(filePath)) return null;
+
+  return summarizeBatch(readBatch(id));
+};
+
+/**
+ * Liste les lots avec leur récapitulatif, du plus récent au plus ancien.
+ * @returns {object[]}
+ */
+export const listScanBatches = () => {
+  if (!fs.existsSync(batchesDir)) return [];
+
+  return fs
+    .readdirSync(batchesDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) =>
+      JSON.parse(fs.readFileSync(path.join(batchesDir, file), "utf-8"))
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((batch) => {
+      const { id, createdAt, status, summary } = summarizeBatch(batch);
+      return { id, createdAt, status, summary };
+    });
+};
+
+/**
+ * Enregistre le résultat des entrées dont le job s'est terminé pendant un
+ * arrêt du serveur, et suit celles dont le job est repris.
+ * Doit être appelé au démarrage, après initScanJobs.
+ * @param {object} [options]
+ * @param {string} [options.batchesDir] - Dossier des lots (`data/batches` par défaut).
+ */
+export const initScanBatches = (options = {}) => {
+  batchesDir = options.batchesDir ?? batchesDir;
+  if (!fs.existsSync(batchesDir)) return;
+
+  fs.readdirSync(batchesDir)
+    .filter((file) => file.endsWith(".json"))
+    .forEach((file) => {
+      const batch = readBatch(path.basename(file, ".json"));
+
+      batch.entries
+        .filter(({ jobId, result }) => jobId && !result)
+        .forEach(({ jobId }) => {
+          const job = getScanJob(jobId);
+          if (!job) return;
+
+          if (isScanJobFinished(job)) recordEntryResult(batch.id, job);
+          else watchEntry(batch.id, jobId);
+        });
+    });
+};
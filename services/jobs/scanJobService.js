@@ -0,0 +1,353 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
+import { runScanJob } from "../scan/scanService.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Dossier des jobs et exécution d'un scan (remplaçables via initScanJobs)
+let jobsDir = path.join(__dirname, "../../data/jobs");
+let runJob = runScanJob;
+
+// Nombre de scans exécutés en parallèle (Lighthouse : voir chromePool.js)
+const MAX_CONCURRENT_SCANS = parseInt(process.env.SCAN_CONCURRENCY || "1", 10);
+// Nombre maximal de jobs en attente avant de refuser de nouveaux scans
+const MAX_QUEUED_JOBS = parseInt(process.env.SCAN_QUEUE_LIMIT || "200", 10);
+// Conservation des jobs terminés (état, événements et fichier avec le rapport)
+const JOB_RETENTION_MS =
+  parseInt(process.env.SCAN_JOB_RETENTION_HOURS || "168", 10) * 3600000;
+const MAX_FINISHED_JOBS = parseInt(
+  process.env.SCAN_JOB_HISTORY_LIMIT || "500",
+  10
+);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  DONE: "done",
+  FAILED: "failed",
+};
+
+// Jobs connus (sans le rapport, conservé uniquement sur disque)
+const jobs = new Map();
+// File d'attente des identifiants de jobs à exécuter
+const pendingQueue = [];
+let runningCount = 0;
+
+// Historique des événements de progression par job (en mémoire uniquement)
+const jobEventLogs = new Map();
+// Diffusion des nouveaux événements aux abonnés (flux SSE)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Ajoute un événement à l'historique d'un job et le diffuse aux abonnés.
+ * @param {object} job - Le job concerné.
+ * @param {object} event - L'événement ({ type, ... }).
+ */
+const publishJobEvent = (job, event) => {
+  if (!jobEventLogs.has(job.id)) jobEventLogs.set(job.id, []);
+  const log = jobEventLogs.get(job.id);
+
+  const fullEvent = {
+    id: log.length + 1,
+    ...event,
+    timestamp: new Date().toISOString(),
+  };
+  log.push(fullEvent);
+  jobEvents.emit(job.id, fullEvent);
+};
+
+/**
+ * Met à jour l'avancement résumé d'un job à partir d'un événement du pipeline.
+ * @param {object} job - Le job concerné.
+ * @param {object} event - L'événement de progression.
+ * @returns {object|null} - Les champs modifiés, ou null si rien ne change.
+ */
+const getProgressChanges = (job, event) => {
+  switch (event.type) {
+    case "stage":
+      return { stage: event.stage };
+    case "page-discovered":
+      return { progress: { ...job.progress, pagesDiscovered: event.count } };
+    case "crawl-complete":
+      return { progress: { ...job.progress, pagesTotal: event.total } };
+    case "page-analyzed":
+      return {
+        progress: {
+          ...job.progress,
+          pagesTotal: event.total,
+          pagesAnalyzed: event.completed,
+        },
+      };
+    default:
+      return null;
+  }
+};
+
+const getJobFilePath = (id) => path.join(jobsDir, `${id}.json`);
+
+const createEmptyProgress = () => ({
+  pagesDiscovered: 0,
+  pagesTotal: null,
+  pagesAnalyzed: 0,
+});
+
+/**
+ * Sauvegarde l'état d'un job sur disque.
+ * @param {object} job - Le job à sauvegarder.
+ * @param {object} [report] - Le rapport final, écrit uniquement à la fin du scan.
+ */
+const persistJob = (job, report) => {
+  const filePath = getJobFilePath(job.id);
+  const data = report !== undefined ? { ...job, report } : job;
+
+  // Écriture atomique : un redémarrage ne doit pas laisser un fichier tronqué
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Met à jour un job en mémoire et sur disque.
+ * @param {object} job - Le job à modifier.
+ * @param {object} changes - Les champs à mettre à jour.
+ * @param {object} [report] - Le rapport final.
+ */
+const updateJob = (job, changes, report) => {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  persistJob(job, report);
+};
+
+/**
+ * Oublie les jobs terminés depuis plus de SCAN_JOB_RETENTION_HOURS, puis les
+ * plus anciens au-delà de SCAN_JOB_HISTORY_LIMIT : leur historique
+ * d'événements et leur fichier sont supprimés (le rapport reste enregistré
+ * dans le projet).
+ */
+const pruneFinishedJobs = () => {
+  const finishedAt = (job) => job.finishedAt ?? job.updatedAt;
+  const now = Date.now();
+
+  [...jobs.values()]
+    .filter(isScanJobFinished)
+    .sort((a, b) => finishedAt(b).localeCompare(finishedAt(a)))
+    .forEach((job, index) => {
+      const expired = now - Date.parse(finishedAt(job)) > JOB_RETENTION_MS;
+      if (!expired && index < MAX_FINISHED_JOBS) return;
+
+      jobs.delete(job.id);
+      jobEventLogs.delete(job.id);
+      fs.rmSync(getJobFilePath(job.id), { force: true });
+    });
+};
+
+/**
+ * Exécute un job de scan et enregistre son résultat.
+ * @param {object} job - Le job à exécuter.
+ */
+const executeJob = async (job) => {
+  updateJob(job, {
+    status: JOB_STATUS.RUNNING,
+    startedAt: new Date().toISOString(),
+    stage: null,
+    error: null,
+    progress: createEmptyProgress(),
+  });
+  jobEventLogs.set(job.id, []);
+  publishJobEvent(job, { type: "started" });
+  console.log(`🚀 Job ${job.id} démarré (${job.params.projectName})`);
+
+  try {
+    const report = await runJob(job.params, {
+      onProgress: (event) => {
+        const changes = getProgressChanges(job, event);
+        if (changes) updateJob(job, changes);
+        publishJobEvent(job, event);
+      },
+    });
+    updateJob(
+      job,
+      {
+        status: JOB_STATUS.DONE,
+        stage: null,
+        finishedAt: new Date().toISOString(),
+      },
+      report
+    );
+    publishJobEvent(job, { type: JOB_STATUS.DONE });
+    console.log(`✅ Job ${job.id} terminé`);
+  } catch (error) {
+    console.error(`❌ Job ${job.id} échoué:`, error.message);
+    updateJob(job, {
+      status: JOB_STATUS.FAILED,
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+    });
+    publishJobEvent(job, { type: JOB_STATUS.FAILED, error: error.message });
+  }
+};
+
+/**
+ * Démarre les jobs en attente dans la limite de la concurrence autorisée.
+ */
+const processQueue = () => {
+  while (runningCount < MAX_CONCURRENT_SCANS && pendingQueue.length > 0) {
+    const job = jobs.get(pendingQueue.shift());
+    if (!job) continue;
+
+    runningCount++;
+    executeJob(job).finally(() => {
+      runningCount--;
+      pruneFinishedJobs();
+      processQueue();
+    });
+  }
+};
+
+/**
+ * Recharge les jobs sauvegardés et relance ceux interrompus par un redémarrage.
+ * Doit être appelé une fois au démarrage du serveur.
+ * @param {object} [options]
+ * @param {string} [options.jobsDir] - Dossier des jobs (`data/jobs` par défaut).
+ * @param {Function} [options.runJob] - Exécute le scan d'un job (`runScanJob` par défaut).
+ */
+export const initScanJobs = (options = {}) => {
+  jobsDir = options.jobsDir ?? jobsDir;
+  runJob = options.runJob ?? runJob;
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  const files = fs.readdirSync(jobsDir).filter((f) => f.endsWith(".json"));
+  const interrupted = [];
+
+  for (const file of files) {
+    try {
+      const { report, ...job } = JSON.parse(
+        fs.readFileSync(path.join(jobsDir, file), "utf-8")
+      );
+      jobs.set(job.id, job);
+
+      if (
+        job.status === JOB_STATUS.QUEUED ||
+        job.status === JOB_STATUS.RUNNING
+      ) {
+        interrupted.push(job);
+      }
+    } catch (error) {
+      console.error(`❌ Job illisible ignoré (${file}):`, error.message);
+    }
+  }
+
+  // Relancer dans l'ordre de création
+  interrupted
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach((job) => {
+      updateJob(job, { status: JOB_STATUS.QUEUED, stage: null });
+      pendingQueue.push(job.id);
+    });
+
+  if (interrupted.length > 0) {
+    console.log(`🔁 ${interrupted.length} job(s) repris après redémarrage`);
+  }
+  pruneFinishedJobs();
+  setInterval(pruneFinishedJobs, PRUNE_INTERVAL_MS).unref();
+  processQueue();
+};
+
+/**
+ * Indique si la file d'attente ne peut pas accueillir de nouveaux jobs.
+ * @param {number} [additional=1] - Nombre de jobs à ajouter.
+ * @returns {boolean}
+ */
+export const isScanQueueFull = (additional = 1) =>
+  pendingQueue.length + additional > MAX_QUEUED_JOBS;
+
+/**
+ * Crée un job de scan et l'ajoute à la file d'attente.
+ * @param {object} params - Paramètres transmis à runScanJob ({ url | localPath | repoPath | archiveDir, projectName }).
+ * @returns {object} - Le job créé.
+ */
+export const enqueueScanJob = (params) => {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    params,
+    status: JOB_STATUS.QUEUED,
+    stage: null,
+    progress: createEmptyProgress(),
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  persistJob(job);
+  pendingQueue.push(job.id);
+  processQueue();
+
+  return job;
+};
+
+/**
+ * Récupère l'état d'un job, avec sa position dans la file et son rapport s'il est terminé.
+ * @param {string} id - Identifiant du job.
+ * @param {object} [options]
+ * @param {boolean} [options.withReport=true] - Charge le rapport depuis le disque.
+ * @returns {object|null} - Le job ou null s'il n'existe pas.
+ */
+export const getScanJob = (id, { withReport = true } = {}) => {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  const result = { ...job };
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    result.queuePosition = pendingQueue.indexOf(id) + 1;
+  }
+
+  if (withReport && job.status === JOB_STATUS.DONE) {
+    const saved = JSON.parse(fs.readFileSync(getJobFilePath(id), "utf-8"));
+    result.report = saved.report ?? null;
+  }
+
+  return result;
+};
+
+/**
+ * Liste tous les jobs connus (sans les rapports), du plus récent au plus ancien.
+ * @returns {object[]}
+ */
+export const listScanJobs = () =>
+  [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+/**
+ * Indique si un job est terminé (avec succès ou en échec).
+ * @param {object} job
+ * @returns {boolean}
+ */
+export const isScanJobFinished = (job) =>
+  job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED;
+
+/**
+ * Retourne les événements de progression déjà émis par un job.
+ * @param {string} id - Identifiant du job.
+ * @param {number} [afterId=0] - Ne retourne que les événements suivant cet identifiant.
+ * @returns {object[]}
+ */
+export const getScanJobEvents = (id, afterId = 0) =>
+  (jobEventLogs.get(id) || []).filter((event) => event.id > afterId);
+
+/**
+ * Abonne un listener aux nouveaux événements de progression d'un job.
+ * @param {string} id - Identifiant du job.
+ * @param {(event: object) => void} listener
+ * @returns {() => void} - Fonction de désabonnement.
+ */
+export const subscribeToScanJob = (id, listener) => {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+};
@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "../..");
+
+/**
+ * Version de chaque analyseur du pipeline. À incrémenter lorsqu'un analyseur
+ * change ses critères ou son barème, pour savoir si deux rapports sont comparables.
+ */
+export const ANALYZER_VERSIONS = {
+  imports: "1.0",
+  colors: "1.0",
+  customProperties: "1.0",
+  typography: "1.0",
+  stylesheets: "1.1", // Toutes les feuilles de l'auteur, bundles par page
+  images: "1.0",
+  validation: "1.0",
+  globalAnalysis: "1.0",
+  linkGraph: "1.0",
+  linkCheck: "1.0",
+  anchors: "1.0",
+  classAnalysis: "1.0",
+};
+
+// Outils tiers dont dépendent les résultats
+const TOOL_PACKAGES = ["lighthouse", "@projectwallace/css-analyzer"];
+
+/**
+ * Lit la version installée d'un paquet (ou la version déclarée dans package.json).
+ * @param {string} name - Nom du paquet.
+ * @returns {string|null}
+ */
+const getPackageVersion = (name) => {
+  try {
+    const manifest = path.join(rootDir, "node_modules", name, "package.json");
+    const { version } = JSON.parse(fs.readFileSync(manifest, "utf-8"));
+    if (version) return version;
+  } catch {
+    // Paquet non installé : version déclarée ci-dessous
+  }
+
+  const { dependencies = {} } = JSON.parse(
+    fs.readFileSync(path.join(rootDir, "package.json"), "utf-8")
+  );
+  return dependencies[name] || null;
+};
+
+/**
+ * Versions des analyseurs et des outils utilisés, enregistrées avec chaque rapport.
+ * @returns {{analyzers: object, tools: object}}
+ */
+export const getAnalyzerVersions = () => ({
+  analyzers: ANALYZER_VERSIONS,
+  tools: Object.fromEntries(
+    TOOL_PACKAGES.map((name) => [name, getPackageVersion(name)])
+  ),
+});
@@ -0,0 +1,226 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { randomUUID } from "crypto";
+import * as tar from "tar";
+import AdmZip from "adm-zip";
+
+// Limites pour éviter les archives piégées (zip bombs, milliers de fichiers)
+const MAX_EXTRACTED_SIZE = 200 * 1024 * 1024; // 200 Mo décompressés
+const MAX_ENTRIES = 5000;
+
+/**
+ * Détecte le format d'une archive à partir de ses premiers octets.
+ * @param {Buffer} buffer - Le contenu de l'archive.
+ * @returns {"zip"|"tar.gz"|"tar"|null} - Le format, ou null s'il n'est pas reconnu.
+ */
+export const detectArchiveType = (buffer) => {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return "zip"; // PK\x03\x04
+  }
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return "tar.gz";
+  }
+  if (
+    buffer.length >= 262 &&
+    buffer.toString("ascii", 257, 262) === "ustar"
+  ) {
+    return "tar";
+  }
+  return null;
+};
+
+/**
+ * Vérifie qu'un chemin d'entrée reste dans le répertoire d'extraction.
+ * @param {string} rootDir - Répertoire d'extraction.
+ * @param {string} entryPath - Chemin de l'entrée dans l'archive.
+ * @returns {string|null} - Le chemin absolu de destination, ou null s'il sort du répertoire.
+ */
+const resolveInside = (rootDir, entryPath) => {
+  const target = path.resolve(rootDir, entryPath);
+  return target.startsWith(rootDir + path.sep) ? target : null;
+};
+
+/**
+ * Décompresse une entrée zip sans dépasser une taille donnée : la taille
+ * annoncée par l'en-tête de l'archive n'est pas fiable, seule la
+ * décompression fait foi (elle s'arrête dès que la limite est atteinte).
+ * @param {object} entry - Entrée adm-zip.
+ * @param {number} maxSize - Nombre d'octets encore autorisés.
+ * @returns {Buffer} - Le contenu de l'entrée.
+ */
+const inflateZipEntry = (entry, maxSize) => {
+  const { method, encrypted, crc } = entry.header;
+  if (encrypted) {
+    throw new Error(`Encrypted entry: ${entry.entryName}`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let data;
+  if (method === 0) {
+    data = compressed; // Entrée stockée sans compression
+  } else if (method === 8) {
+    try {
+      data = zlib.inflateRawSync(compressed, {
+        maxOutputLength: Math.max(maxSize, 1),
+      });
+    } catch (error) {
+      if (error.code === "ERR_BUFFER_TOO_LARGE") {
+        throw new Error("Archive too large once extracted");
+      }
+      throw error;
+    }
+  } else {
+    throw new Error(`Unsupported compression method: ${entry.entryName}`);
+  }
+
+  if (data.length > maxSize) {
+    throw new Error("Archive too large once extracted");
+  }
+  if (zlib.crc32(data) !== crc) {
+    throw new Error(`Corrupted entry: ${entry.entryName}`);
+  }
+  return data;
+};
+
+/**
+ * Extrait une archive zip en ignorant les chemins qui sortent du répertoire.
+ * @param {Buffer} buffer - Le contenu de l'archive.
+ * @param {string} rootDir - Répertoire d'extraction.
+ */
+const extractZip = (buffer, rootDir) => {
+  const entries = new AdmZip(buffer).getEntries();
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`Archive too large (more than ${MAX_ENTRIES} entries)`);
+  }
+
+  let extractedSize = 0;
+  for (const entry of entries) {
+    const target = resolveInside(rootDir, entry.entryName);
+    if (!target) {
+      console.warn(`⚠️ Entrée ignorée (hors archive) : ${entry.entryName}`);
+      continue;
+    }
+
+    if (entry.isDirectory) {
+      fs.mkdirSync(target, { recursive: true });
+      continue;
+    }
+
+    const data = inflateZipEntry(entry, MAX_EXTRACTED_SIZE - extractedSize);
+    extractedSize += data.length;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+  }
+};
+
+/**
+ * Extrait une archive tar (compressée ou non). Seuls les fichiers et
+ * répertoires sont extraits : les liens symboliques et spéciaux sont ignorés.
+ * @param {string} archivePath - Chemin de l'archive sur le disque.
+ * @param {string} rootDir - Répertoire d'extraction.
+ */
+const extractTar = async (archivePath, rootDir) => {
+  let entryCount = 0;
+  let extractedSize = 0;
+  let limitError = null;
+
+  await tar.x({
+    file: archivePath,
+    cwd: rootDir,
+    preservePaths: false, // Supprime les chemins absolus et les ".."
+    filter: (entryPath, entry) => {
+      if (entry.type !== "File" && entry.type !== "Directory") return false;
+
+      entryCount++;
+      extractedSize += entry.size || 0;
+      if (entryCount > MAX_ENTRIES || extractedSize > MAX_EXTRACTED_SIZE) {
+        limitError = new Error("Archive too large once extracted");
+        return false;
+      }
+      return true;
+    },
+  });
+
+  if (limitError) throw limitError;
+};
+
+/**
+ * Trouve la racine du site dans l'arborescence extraite : le répertoire
+ * le moins profond contenant un index.html (les archives contiennent souvent
+ * un dossier englobant).
+ * @param {string} rootDir - Répertoire d'extraction.
+ * @returns {string} - Le répertoire à servir.
+ */
+export const findSiteRoot = (rootDir) => {
+  let level = [rootDir];
+
+  while (level.length > 0) {
+    const found = level.find((dir) =>
+      fs.existsSync(path.join(dir, "index.html"))
+    );
+    if (found) return found;
+
+    level = level.flatMap((dir) =>
+      fs
+        .readdirSync(dir, { withFileTypes: true })
+        .filter((d) => d.isDirectory() && !d.name.startsWith("__MACOSX"))
+        .map((d) => path.join(dir, d.name))
+    );
+  }
+
+  return rootDir;
+};
+
+/**
+ * Extrait une archive .zip, .tar ou .tar.gz dans un répertoire temporaire dédié.
+ * @param {Buffer} buffer - Le contenu de l'archive.
+ * @returns {Promise<string>} - Le répertoire temporaire contenant les fichiers extraits.
+ */
+export const extractArchive = async (buffer) => {
+  const type = detectArchiveType(buffer);
+  if (!type) {
+    throw new Error("Unsupported archive format (expected .zip or .tar.gz)");
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-archive-"));
+  const rootDir = path.join(workDir, "site");
+  fs.mkdirSync(rootDir);
+
+  try {
+    if (type === "zip") {
+      extractZip(buffer, rootDir);
+    } else {
+      const archivePath = path.join(workDir, `${randomUUID()}.${type}`);
+      fs.writeFileSync(archivePath, buffer);
+      await extractTar(archivePath, rootDir);
+      fs.rmSync(archivePath, { force: true });
+    }
+  } catch (error) {
+    removeExtractedArchive(workDir);
+    throw error;
+  }
+
+  console.log(`📦 Archive ${type} extraite dans ${workDir}`);
+  return workDir;
+};
+
+/**
+ * Retourne le répertoire à servir pour une archive extraite.
+ * @param {string} workDir - Le répertoire retourné par extractArchive.
+ * @returns {string}
+ */
+export const getArchiveSiteRoot = (workDir) =>
+  findSiteRoot(path.join(workDir, "site"));
+
+/**
+ * Supprime un répertoire créé par extractArchive.
+ * @param {string} workDir - Le répertoire temporaire.
+ */
+export const removeExtractedArchive = (workDir) => {
+  // Ne jamais supprimer autre chose qu'un répertoire d'extraction
+  if (!path.basename(workDir).startsWith("scan-archive-")) return;
+  fs.rmSync(workDir, { recursive: true, force: true });
+};
@@ -0,0 +1,259 @@
+import { createHash } from "crypto";
+import {
+  analyzeCSS,
+  analyzeCustomProperties,
+  analyzeColors,
+  analyzeStylesheetSources,
+  attributeToSources,
+} from "../cssAnalysisService.js";
+import { concatStylesheets } from "../css/cssCompiler.js";
+import { runInWorker } from "../shared/workerPool.js";
+import { isAnalyzerEnabled } from "../scoring/rubricService.js";
+
+/**
+ * Identifie une feuille de style d'un bundle : URL et media pour un <link>,
+ * empreinte du contenu pour un <style>.
+ * @param {object} source - Une source retournée par collectStylesheets.
+ * @returns {string}
+ */
+const getStylesheetKey = (source) => {
+  if (source.type === "link") return `${source.url}|${source.media || ""}`;
+
+  const hash = createHash("sha1").update(source.rawCss).digest("hex");
+  return `style:${hash.slice(0, 12)}|${source.media || ""}`;
+};
+
+/**
+ * Libellé lisible d'une feuille de style (URL, ou `<style>` pour un bloc interne).
+ * @param {object} source
+ * @returns {string}
+ */
+const getStylesheetLabel = (source) =>
+  source.url || `<${source.type}>${source.media ? ` (${source.media})` : ""}`;
+
+/**
+ * Feuilles qui définissent le bundle d'une page. Les attributs style=""
+ * sont propres à chaque page et n'en font pas partie.
+ * @param {Array<object>} sources
+ * @returns {Array<object>}
+ */
+const getBundleSources = (sources) =>
+  sources.filter((source) => source.type !== "attribute");
+
+/**
+ * Analyse un ensemble de feuilles de style : statistiques Project Wallace,
+ * couleurs, variables, typographie, et attribution de chaque résultat à sa source.
+ * @param {object} bundle
+ * @param {Array<object>} bundle.sources - Les sources (voir collectStylesheets).
+ * @param {string} bundle.htmlContent - Une page utilisant ces feuilles (webfonts du <head>).
+ * @param {string} [bundle.css] - Le CSS compilé, s'il est déjà assemblé.
+ * @param {object} [bundle.rubric] - Barème de notation ; les analyseurs qu'il
+ *   désactive ne sont pas lancés (résultat null).
+ * @returns {Promise<object>} - `{ css, cssAnalysisResult, colors, customProperties, typography, stylesheets }`
+ */
+export const analyzeStylesheetBundle = async ({
+  sources,
+  htmlContent,
+  css = concatStylesheets(sources),
+  rubric,
+}) => {
+  const cssAnalysisResult = await analyzeCSS(css);
+
+  // Analyser les couleurs CSS
+  let colors = null;
+  if (
+    cssAnalysisResult?.values?.colors &&
+    isAnalyzerEnabled(rubric, "colors")
+  ) {
+    colors = analyzeColors(cssAnalysisResult.values.colors, rubric);
+  }
+
+  // Analyser les variables CSS et la typographie (dans un worker, coûteuse en CPU)
+  const customProperties = isAnalyzerEnabled(rubric, "customProperties")
+    ? analyzeCustomProperties(css, rubric)
+    : null;
+  const typography = isAnalyzerEnabled(rubric, "typography")
+    ? await runInWorker(
+        "typography",
+        htmlContent,
+        sources.map((source) => source.rawCss).join("\n"),
+        css,
+        rubric
+      )
+    : null;
+
+  // Attribuer couleurs, variables, classes et polices à leur feuille d'origine
+  const stylesheets = analyzeStylesheetSources(sources, colors?.colors);
+  if (colors) {
+    colors.colors = attributeToSources(
+      colors.colors,
+      "color",
+      stylesheets,
+      "colors"
+    );
+  }
+  if (customProperties) {
+    customProperties.declarations = attributeToSources(
+      customProperties.declarations,
+      "name",
+      stylesheets,
+      "customProperties"
+    );
+  }
+
+  return {
+    css,
+    cssAnalysisResult,
+    colors,
+    customProperties,
+    typography,
+    stylesheets,
+  };
+};
+
+/**
+ * Résume les résultats d'un bundle pour le rapport (scores et métriques clés).
+ * @param {object} analysis - Le résultat de analyzeStylesheetBundle.
+ * @param {object} classAnalysis - Le résultat de l'analyse des classes.
+ * @returns {object}
+ */
+const toBundleReport = (analysis, classAnalysis) => ({
+  stylesheets: analysis.stylesheets,
+  stats: {
+    size: analysis.css.length,
+    rules: analysis.cssAnalysisResult?.rules?.total ?? null,
+    selectors: analysis.cssAnalysisResult?.selectors?.total ?? null,
+    declarations: analysis.cssAnalysisResult?.declarations?.total ?? null,
+  },
+  colors: analysis.colors,
+  customProperties: analysis.customProperties,
+  typography: analysis.typography,
+  classAnalysis,
+});
+
+/**
+ * Regroupe les pages par ensemble de feuilles de style (bundle), analyse
+ * chaque bundle avec ses propres pages, puis l'ensemble du CSS du site.
+ * Signale les pages sans feuille de style ou dont les feuilles diffèrent
+ * de celles de la page d'accueil.
+ * @param {Array<{url: string, htmlContent: string, sources: Array<object>}>} pages - Pages analysées.
+ * @param {Array<object>} homeSources - Les sources de la page d'accueil.
+ * @param {object} [rubric] - Barème de notation (barème par défaut si absent).
+ * @returns {Promise<{report: object, pageFlags: Map<string, object>}>} - Le rapport
+ *   `cssBundles` et, pour chaque URL de page, son bundle et ses signalements.
+ */
+export const analyzeSiteStylesheets = async (pages, homeSources, rubric) => {
+  // Analyse des classes d'un bundle, si le barème l'active
+  const analyzeClasses = async (htmlContents, css) =>
+    isAnalyzerEnabled(rubric, "classAnalysis")
+      ? await runInWorker("classAnalysis", htmlContents, css, rubric)
+      : null;
+
+  const homeKeys = getBundleSources(homeSources).map(getStylesheetKey);
+  const homeKey = homeKeys.join("\n");
+
+  // Regrouper les pages par liste ordonnée de feuilles
+  const bundles = new Map();
+  pages.forEach((page) => {
+    const sources = getBundleSources(page.sources);
+    const key = sources.map(getStylesheetKey).join("\n");
+
+    if (!bundles.has(key)) {
+      bundles.set(key, { id: bundles.size + 1, sources, pages: [] });
+    }
+    bundles.get(key).pages.push(page);
+  });
+
+  const report = {
+    homeBundle: bundles.get(homeKey)?.id ?? null,
+    bundles: [],
+    merged: null,
+    pagesWithoutStylesheet: [],
+    pagesWithDifferentStylesheets: [],
+  };
+  const pageFlags = new Map();
+
+  for (const [key, bundle] of bundles) {
+    const htmlContents = bundle.pages.map((page) => page.htmlContent);
+    const keys = key ? key.split("\n") : [];
+
+    if (bundle.sources.length > 0) {
+      console.log(
+        `🧩 Analyse du bundle CSS ${bundle.id} (${bundle.pages.length} page(s))...`
+      );
+      const analysis = await analyzeStylesheetBundle({
+        sources: bundle.sources,
+        htmlContent: htmlContents[0],
+        rubric,
+      });
+      report.bundles.push({
+        id: bundle.id,
+        pages: bundle.pages.map((page) => page.url),
+        ...toBundleReport(
+          analysis,
+          await analyzeClasses(htmlContents, analysis.css)
+        ),
+      });
+    }
+
+    // Feuilles ajoutées ou absentes par rapport à la page d'accueil
+    const labelOf = (sheetKey) =>
+      getStylesheetLabel(
+        [...bundle.sources, ...homeSources].find(
+          (source) => getStylesheetKey(source) === sheetKey
+        )
+      );
+    const added = keys.filter((k) => !homeKeys.includes(k)).map(labelOf);
+    const missing = homeKeys.filter((k) => !keys.includes(k)).map(labelOf);
+
+    bundle.pages.forEach((page) => {
+      const flags = {
+        bundle: bundle.sources.length > 0 ? bundle.id : null,
+        stylesheets: bundle.sources.map(getStylesheetLabel),
+        noStylesheet: bundle.sources.length === 0,
+        differsFromHome: key !== homeKey,
+      };
+      pageFlags.set(page.url, flags);
+
+      if (flags.noStylesheet) {
+        report.pagesWithoutStylesheet.push(page.url);
+      } else if (flags.differsFromHome) {
+        report.pagesWithDifferentStylesheets.push({
+          url: page.url,
+          bundle: bundle.id,
+          added,
+          missing,
+        });
+      }
+    });
+  }
+
+  // Vue d'ensemble : toutes les feuilles du site, sans doublon, dans l'ordre
+  // de première apparition
+  const mergedSources = [];
+  const seenKeys = new Set();
+  bundles.forEach((bundle) =>
+    bundle.sources.forEach((source) => {
+      const sheetKey = getStylesheetKey(source);
+      if (seenKeys.has(sheetKey)) return;
+      seenKeys.add(sheetKey);
+      mergedSources.push({ ...source, id: mergedSources.length + 1 });
+    })
+  );
+
+  if (mergedSources.length > 0) {
+    console.log(`🧩 Analyse du CSS de l'ensemble du site...`);
+    const htmlContents = pages.map((page) => page.htmlContent);
+    const analysis = await analyzeStylesheetBundle({
+      sources: mergedSources,
+      htmlContent: htmlContents[0],
+      rubric,
+    });
+    report.merged = toBundleReport(
+      analysis,
+      await analyzeClasses(htmlContents, analysis.css)
+    );
+  }
+
+  return { report, pageFlags };
+};
@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile, spawn } from "child_process";
+import { promisify } from "util";
+import * as tar from "tar";
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Exécute une commande git dans un dépôt (clone local ou dépôt bare).
+ * @param {string} repoPath - Chemin du dépôt.
+ * @param {string[]} args - Arguments git.
+ * @returns {Promise<string>} - La sortie standard, sans espaces de fin.
+ */
+const git = async (repoPath, args) => {
+  try {
+    const { stdout } = await execFileAsync("git", ["-C", repoPath, ...args], {
+      timeout: 30000,
+      maxBuffer: 10 * 1024 * 1024,
+    });
+    return stdout.trim();
+  } catch (error) {
+    const message = error.stderr?.trim() || error.message;
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+};
+
+/**
+ * Résout le commit à analyser.
+ * @param {string} repoPath - Chemin du dépôt.
+ * @param {object} options
+ * @param {string} [options.ref] - Branche, tag ou hash (HEAD par défaut).
+ * @param {string} [options.before] - Date limite (ex. date de rendu) : dernier commit de `ref` avant cette date.
+ * @returns {Promise<{commit: string, commitDate: string, author: string, subject: string}>}
+ */
+export const resolveCommit = async (repoPath, { ref, before } = {}) => {
+  const target = ref || "HEAD";
+
+  // "--" sépare les révisions des chemins ; rev-parse/rev-list refusent ainsi
+  // une référence commençant par "-" interprétée comme option
+  if (target.startsWith("-")) {
+    throw new Error(`Invalid ref: ${target}`);
+  }
+
+  let commit;
+  if (before) {
+    if (Number.isNaN(Date.parse(before))) {
+      throw new Error(`Invalid date: ${before}`);
+    }
+    commit = await git(repoPath, [
+      "rev-list",
+      "-1",
+      `--before=${new Date(before).toISOString()}`,
+      target,
+      "--",
+    ]);
+    if (!commit) {
+      throw new Error(`No commit on ${target} before ${before}`);
+    }
+  } else {
+    commit = await git(repoPath, [
+      "rev-parse",
+      "--verify",
+      "--end-of-options",
+      `${target}^{commit}`,
+    ]);
+  }
+
+  const [hash, commitDate, author, subject] = (
+    await git(repoPath, ["log", "-1", "--format=%H%n%cI%n%an%n%s", commit])
+  ).split("\n");
+
+  return { commit: hash, commitDate, author, subject };
+};
+
+/**
+ * Exporte l'arborescence d'un commit dans un répertoire temporaire (via git archive,
+ * compatible avec les dépôts bare).
+ * @param {string} repoPath - Chemin du dépôt.
+ * @param {string} commit - Hash du commit.
+ * @returns {Promise<string>} - Le répertoire temporaire contenant les fichiers.
+ */
+export const exportCommitTree = async (repoPath, commit) => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-git-"));
+
+  try {
+    const archive = spawn("git", [
+      "-C",
+      repoPath,
+      "archive",
+      "--format=tar",
+      commit,
+    ]);
+    const extract = tar.x({
+      cwd: workDir,
+      filter: (entryPath, entry) =>
+        entry.type === "File" || entry.type === "Directory",
+    });
+
+    let stderr = "";
+    archive.stderr.on("data", (chunk) => (stderr += chunk));
+    archive.stdout.pipe(extract);
+
+    // Attendre à la fois la fin de git archive et celle de l'extraction
+    await Promise.all([
+      new Promise((resolve, reject) => {
+        archive.on("error", reject);
+        archive.on("close", (code) =>
+          code === 0
+            ? resolve()
+            : reject(new Error(`git archive failed: ${stderr.trim()}`))
+        );
+      }),
+      new Promise((resolve, reject) => {
+        extract.on("error", reject);
+        extract.on("finish", resolve);
+      }),
+    ]);
+  } catch (error) {
+    removeExportedTree(workDir);
+    throw error;
+  }
+
+  return workDir;
+};
+
+/**
+ * Supprime un répertoire créé par exportCommitTree.
+ * @param {string} workDir - Le répertoire temporaire.
+ */
+export const removeExportedTree = (workDir) => {
+  // Ne jamais supprimer autre chose qu'un répertoire d'export
+  if (!path.basename(workDir).startsWith("scan-git-")) return;
+  fs.rmSync(workDir, { recursive: true, force: true });
+};
@@ -0,0 +1,30 @@
+import express from "express";
+
+/**
+ * Sert un répertoire local en HTTP sur un port libre de 127.0.0.1,
+ * le temps d'exécuter le pipeline de scan (crawler, CSS, Lighthouse).
+ * @param {string} directory - Le répertoire à servir.
+ * @returns {Promise<{url: string, close: () => Promise<void>}>} - L'URL racine et la fonction d'arrêt.
+ */
+export const serveDirectory = (directory) => {
+  const app = express();
+  app.use(express.static(directory, { dotfiles: "deny", redirect: true }));
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      const url = `http://127.0.0.1:${port}/`;
+      console.log(`🗂️ ${directory} servi sur ${url}`);
+
+      resolve({
+        url,
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(() => done());
+          }),
+      });
+    });
+    server.on("error", reject);
+  });
+};
@@ -0,0 +1,322 @@
+import {
+  compileCSS,
+  collectStylesheets,
+  analyzeImports,
+} from "../cssAnalysisService.js";
+import {
+  analyzeAllPages,
+  buildLinkGraph,
+  checkLinks,
+  analyzeAnchors,
+} from "../htmlAnalysisService.js";
+import { runInWorker } from "../shared/workerPool.js";
+import { DEFAULT_CRAWL_OPTIONS } from "../html/fileScannerService.js";
+import {
+  analyzeStylesheetBundle,
+  analyzeSiteStylesheets,
+} from "./cssBundleService.js";
+import { getAnalyzerVersions } from "./analyzerVersions.js";
+import { createProgressEmitter } from "./scanProgress.js";
+import {
+  getLatestSnapshot,
+  saveSnapshot,
+} from "../history/snapshotService.js";
+import {
+  resolveRubric,
+  isAnalyzerEnabled,
+} from "../scoring/rubricService.js";
+import { computeOverallGrade } from "../scoring/gradingService.js";
+import { rescoreReport } from "../scoring/rescoreService.js";
+
+/**
+ * Analyseurs relançables sans refaire le scan complet (ni Lighthouse, ni images).
+ */
+export const PARTIAL_ANALYZERS = [
+  "imports",
+  "colors",
+  "customProperties",
+  "typography",
+  "classes",
+  "bundles",
+  "tags",
+  "links",
+  "linkCheck",
+  "anchors",
+];
+
+// Analyseurs qui ont besoin du CSS compilé de la page d'accueil
+const CSS_ANALYZERS = [
+  "imports",
+  "colors",
+  "customProperties",
+  "typography",
+  "classes",
+];
+
+// Analyseurs qui ont besoin du HTML de toutes les pages
+const PAGE_ANALYZERS = [
+  "classes",
+  "bundles",
+  "tags",
+  "links",
+  "linkCheck",
+  "anchors",
+];
+
+// Section du barème de chaque analyseur, quand son nom diffère
+const RUBRIC_SECTIONS = { classes: "classAnalysis" };
+
+/**
+ * Lit la liste des analyseurs à relancer (`only=colors,typography`).
+ * @param {string|string[]} only - Le paramètre reçu.
+ * @returns {{analyzers: string[], unknown: string[]}} - Analyseurs retenus et noms inconnus.
+ */
+export const parseAnalyzerList = (only) => {
+  const names = [only]
+    .flat()
+    .flatMap((value) => String(value).split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  return {
+    analyzers: [...new Set(names)].filter((name) =>
+      PARTIAL_ANALYZERS.includes(name)
+    ),
+    unknown: names.filter((name) => !PARTIAL_ANALYZERS.includes(name)),
+  };
+};
+
+/**
+ * Relance uniquement certains analyseurs et fusionne leurs résultats dans le
+ * dernier rapport du projet, enregistré comme un nouveau snapshot. Seules les
+ * ressources nécessaires sont rechargées : les sections Lighthouse et images
+ * (et toute section non demandée) sont reprises telles quelles.
+ * Le barème est celui du rapport précédent, sauf si `source.rubric` en choisit
+ * un autre : les sections reprises sont alors notées à nouveau avec ce barème
+ * (voir rescoreService.js). Une section relancée dont l'analyseur est
+ * désactivé devient null.
+ * @param {object} source - Source du projet (voir executeScan dans scanService.js).
+ * @param {string} projectName - Nom du projet.
+ * @param {string[]} analyzers - Analyseurs à relancer (voir PARTIAL_ANALYZERS).
+ * @param {object} [hooks] - Callbacks optionnels (`onProgress`).
+ * @returns {Promise<object>} - Le rapport mis à jour.
+ */
+export const executePartialScan = async (
+  {
+    url,
+    loader,
+    crawl,
+    sourceUrl = url,
+    crawlOptions,
+    rubric: rubricName,
+    extraFields = {},
+  },
+  projectName,
+  analyzers,
+  { onProgress } = {}
+) => {
+  const previous = getLatestSnapshot(projectName);
+  if (!previous) {
+    throw new Error(`No stored report to update for ${projectName}`);
+  }
+
+  const rubric = resolveRubric(rubricName ?? previous.meta?.rubric?.name);
+
+  const startedAt = new Date();
+  const { emit, enterStage, emitAnalyzer } = createProgressEmitter(onProgress);
+  const runs = (analyzer) => analyzers.includes(analyzer);
+  const enabled = (analyzer) =>
+    isAnalyzerEnabled(rubric, RUBRIC_SECTIONS[analyzer] || analyzer);
+  const report = structuredClone(previous);
+  report.cssAnalysisResult = report.cssAnalysisResult || {};
+
+  console.log(`🔁 Scan partiel de ${projectName} : ${analyzers.join(", ")}`);
+
+  // Explorer le site seulement si un analyseur a besoin de toutes les pages
+  let htmlFiles = [];
+  if (analyzers.some((analyzer) => PAGE_ANALYZERS.includes(analyzer))) {
+    enterStage("crawl");
+    const crawled = await crawl((pageUrl, count) =>
+      emit("page-discovered", { url: pageUrl, count })
+    );
+    htmlFiles = crawled.pages;
+    report.sitemap = crawled.sitemap;
+    emit("crawl-complete", { total: htmlFiles.length });
+  }
+
+  const htmlContent = (await loader.get(url)).data;
+  let compiledCss = "";
+  let homeSources = [];
+
+  if (analyzers.some((analyzer) => CSS_ANALYZERS.includes(analyzer))) {
+    enterStage("css");
+    const compiled = await compileCSS(htmlContent, url, loader);
+    compiledCss = compiled.css;
+    homeSources = compiled.sources;
+    report.cssAnalysisResult.importErrors = compiled.importErrors;
+
+    if (runs("imports")) {
+      const mainStylesheet = homeSources.find(
+        (source) => source.type === "link" && !source.error
+      );
+      report.cssAnalysisResult.imports =
+        mainStylesheet && enabled("imports")
+          ? await analyzeImports(
+              mainStylesheet.rawCss,
+              mainStylesheet.url,
+              loader,
+              rubric
+            )
+          : null;
+      emitAnalyzer("imports", report.cssAnalysisResult.imports?.score);
+    }
+
+    if (runs("colors") || runs("customProperties") || runs("typography")) {
+      const bundle = await analyzeStylesheetBundle({
+        sources: homeSources,
+        htmlContent,
+        css: compiledCss,
+        rubric,
+      });
+      report.cssAnalysisResult.stylesheets = bundle.stylesheets;
+
+      if (runs("colors")) {
+        report.cssAnalysisResult.colors = bundle.colors;
+        emitAnalyzer("colors", bundle.colors?.score);
+      }
+      if (runs("customProperties")) {
+        report.cssAnalysisResult.customProperties = bundle.customProperties;
+        emitAnalyzer("customProperties", bundle.customProperties?.score);
+      }
+      if (runs("typography")) {
+        report.cssAnalysisResult.typography = bundle.typography;
+        emitAnalyzer("typography", bundle.typography?.score);
+      }
+    }
+  }
+
+  // Recharger le HTML des pages (sans Lighthouse)
+  const allHtmlContents = [];
+  const pagesStylesheets = [];
+  const pagesHtml = [];
+  if (htmlFiles.length > 0) {
+    enterStage("pages");
+    for (const [index, fileUrl] of htmlFiles.entries()) {
+      const response = await loader.get(fileUrl);
+      if (!response.headers["content-type"]?.includes("text/html")) continue;
+
+      allHtmlContents.push(response.data);
+      pagesHtml.push({ url: fileUrl, htmlContent: response.data });
+      if (runs("bundles") || runs("linkCheck")) {
+        const { sources } = await collectStylesheets(
+          response.data,
+          fileUrl,
+          loader
+        );
+        pagesStylesheets.push({
+          url: fileUrl,
+          htmlContent: response.data,
+          sources,
+        });
+      }
+      emit("page-analyzed", {
+        url: fileUrl,
+        index: index + 1,
+        completed: index + 1,
+        total: htmlFiles.length,
+        summary: null,
+      });
+    }
+  }
+
+  if (["tags", "bundles", "links", "anchors"].some(runs)) {
+    enterStage("globalAnalysis");
+  }
+
+  if (runs("tags")) {
+    report.globalAnalysis = analyzeAllPages(allHtmlContents);
+  }
+
+  if (runs("anchors")) {
+    report.anchors = enabled("anchors")
+      ? analyzeAnchors(pagesHtml, {
+          keepQueryStrings: crawlOptions?.keepQueryStrings,
+          rubric,
+        })
+      : null;
+    emitAnalyzer("anchors", report.anchors?.score);
+  }
+
+  if (runs("linkCheck")) {
+    enterStage("linkCheck");
+    report.linkCheck = enabled("linkCheck")
+      ? await checkLinks(pagesStylesheets, loader, rubric)
+      : null;
+    emitAnalyzer("linkCheck", report.linkCheck?.score);
+  }
+
+  if (runs("links")) {
+    report.linkGraph = buildLinkGraph(pagesHtml, {
+      startUrl: url,
+      keepQueryStrings: crawlOptions?.keepQueryStrings,
+    });
+  }
+
+  if (runs("bundles")) {
+    if (homeSources.length === 0) {
+      homeSources = (await collectStylesheets(htmlContent, url, loader))
+        .sources;
+    }
+    const { report: cssBundles, pageFlags } = await analyzeSiteStylesheets(
+      pagesStylesheets,
+      homeSources,
+      rubric
+    );
+    report.cssBundles = cssBundles;
+    (report.pages || []).forEach((page) => {
+      if (pageFlags.has(page.file)) page.css = pageFlags.get(page.file);
+    });
+  }
+
+  if (runs("classes")) {
+    enterStage("classAnalysis");
+    report.classAnalysis = enabled("classes")
+      ? await runInWorker("classAnalysis", allHtmlContents, compiledCss, rubric)
+      : null;
+    emitAnalyzer("classAnalysis", report.classAnalysis?.score.bem);
+  }
+
+  // Changement de barème : les sections reprises du rapport précédent sont
+  // notées à nouveau, pour que tout le rapport suive le barème de meta.rubric
+  const rubricChanged =
+    previous.meta?.rubric?.name !== rubric.name ||
+    previous.meta?.rubric?.version !== rubric.version;
+  const scoredReport = rubricChanged ? rescoreReport(report, rubric) : report;
+
+  // Note globale recalculée avec les sections mises à jour
+  scoredReport.overallGrade = computeOverallGrade(scoredReport, rubric);
+  emitAnalyzer("overall", {
+    total: scoredReport.overallGrade.score100,
+    grade: scoredReport.overallGrade.grade,
+  });
+
+  enterStage("save");
+  return saveSnapshot(projectName, {
+    ...scoredReport,
+    fetchLog: loader.getFetchLog?.() ?? null,
+    ...extraFields,
+    meta: {
+      projectName,
+      url: sourceUrl,
+      scannedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      analyzerVersions: getAnalyzerVersions(),
+      crawlOptions: { ...DEFAULT_CRAWL_OPTIONS, ...crawlOptions },
+      rubric: { name: rubric.name, version: rubric.version },
+      partial: {
+        analyzers,
+        baseSnapshotId: previous.meta?.snapshotId ?? null,
+      },
+    },
+  });
+};
@@ -0,0 +1,22 @@
+/**
+ * Crée les fonctions d'émission des événements de progression d'un scan.
+ * @param {(event: object) => void} [onProgress] - Reçoit les événements.
+ * @returns {{emit: Function, enterStage: Function, emitAnalyzer: Function}}
+ */
+export const createProgressEmitter = (onProgress) => {
+  const emit = (type, data = {}) => {
+    if (onProgress) onProgress({ type, ...data });
+  };
+  const enterStage = (stage) => emit("stage", { stage });
+
+  // Signale la fin d'un analyseur avec son score (sur 100) et sa note
+  const emitAnalyzer = (analyzer, score, page = null) =>
+    emit("analyzer", {
+      analyzer,
+      score: score?.total ?? null,
+      grade: score?.grade ?? null,
+      page,
+    });
+
+  return { emit, enterStage, emitAnalyzer };
+};
@@ -0,0 +1,626 @@
+import fs from "fs";
+import { pathToFileURL } from "url";
+import {
+  HtmlCrawler,
+  LocalHtmlCrawler,
+  DEFAULT_CRAWL_OPTIONS,
+} from "../html/fileScannerService.js";
+import {
+  analyzeHTML,
+  extractTitleAndImagesFromHTML,
+  analyzeAllPages,
+  buildLinkGraph,
+  checkLinks,
+  analyzeAnchors,
+  runLighthouse,
+  analyzeImages,
+  synthesizeImagesAnalysis,
+} from "../htmlAnalysisService.js";
+import {
+  compileCSS,
+  collectStylesheets,
+  analyzeImports,
+} from "../cssAnalysisService.js";
+import {
+  validateHTML,
+  calculateValidationScore,
+} from "../html/validationService.js";
+import {
+  findSiteRoot,
+  getArchiveSiteRoot,
+  removeExtractedArchive,
+} from "./archiveService.js";
+import {
+  resolveCommit,
+  exportCommitTree,
+  removeExportedTree,
+} from "./gitRepositoryService.js";
+import { serveDirectory } from "./localSiteServer.js";
+import { getAnalyzerVersions } from "./analyzerVersions.js";
+import { createProgressEmitter } from "./scanProgress.js";
+import { executePartialScan } from "./partialScanService.js";
+import { saveSnapshot } from "../history/snapshotService.js";
+import {
+  analyzeStylesheetBundle,
+  analyzeSiteStylesheets,
+} from "./cssBundleService.js";
+import {
+  createFileLoader,
+  createScanLoader,
+} from "../shared/resourceLoader.js";
+import { mapWithConcurrency } from "../shared/concurrency.js";
+import { runInWorker } from "../shared/workerPool.js";
+import {
+  resolveRubric,
+  isAnalyzerEnabled,
+} from "../scoring/rubricService.js";
+import { computeOverallGrade } from "../scoring/gradingService.js";
+import { findProjectAssignment } from "../cohorts/cohortService.js";
+
+// Nombre de pages analysées en parallèle (Lighthouse : voir chromePool.js)
+const PAGE_CONCURRENCY = parseInt(process.env.PAGE_CONCURRENCY || "2", 10);
+
+/**
+ * Étapes successives du pipeline de scan, dans l'ordre d'exécution.
+ */
+export const SCAN_STAGES = [
+  "checkout", // Dépôts git uniquement
+  "crawl",
+  "css",
+  "pages",
+  "globalAnalysis",
+  "linkCheck",
+  "classAnalysis",
+  "save",
+];
+
+/**
+ * Exécute le pipeline complet d'analyse d'un site et sauvegarde le rapport.
+ * La source (site en ligne ou répertoire local) est abstraite par un chargeur
+ * de ressources, une fonction d'exploration et l'URL à auditer par Lighthouse.
+ *
+ * Événements transmis à `onProgress` (champ `type`) :
+ * - `stage` : début d'une étape (`stage`)
+ * - `page-discovered` : page trouvée par le crawler (`url`, `count`)
+ * - `crawl-complete` : fin de l'exploration (`total`)
+ * - `analyzer` : un analyseur a terminé (`analyzer`, `score`, `grade`, `page` éventuelle)
+ * - `page-analyzed` : une page est analysée (`url`, `index` dans l'ordre du
+ *   crawl, `completed` pages terminées, `total`, `summary`)
+ *
+ * @param {object} source - Source du projet.
+ * @param {string} source.url - URL de la page d'accueil.
+ * @param {object} source.loader - Chargeur de ressources du scan (voir createScanLoader).
+ * @param {(onPageFound: Function) => Promise<{pages: string[], sitemap: object|null}>} source.crawl - Exploration des pages.
+ * @param {(pageUrl: string) => string} source.toLighthouseUrl - URL HTTP à auditer pour une page.
+ * @param {string|null} [source.sourceUrl] - Adresse du projet enregistrée dans les métadonnées (`url` par défaut).
+ * @param {object} [source.extraFields] - Champs ajoutés tels quels au rapport (ex. `repository`).
+ * @param {object} [source.crawlOptions] - Options d'exploration transmises à `crawl`, enregistrées dans `meta.crawlOptions`.
+ * @param {string[]} [source.only] - Analyseurs à relancer seuls (scan partiel, voir partialScanService.js).
+ * @param {string} [source.rubric] - Nom du barème de notation (celui du devoir du projet, sinon `default`, si absent) ; les analyseurs qu'il désactive ne sont pas lancés.
+ * @param {string} projectName - Nom du projet (nom du fichier de sauvegarde).
+ * @param {object} [hooks] - Callbacks optionnels.
+ * @param {(event: object) => void} [hooks.onProgress] - Reçoit les événements de progression.
+ * @returns {Promise<object>} - Le rapport d'analyse complet.
+ */
+const executeScan = async (source, projectName, hooks = {}) => {
+  if (source.only?.length > 0) {
+    return executePartialScan(source, projectName, source.only, hooks);
+  }
+
+  const {
+    url,
+    loader,
+    crawl,
+    toLighthouseUrl,
+    sourceUrl = url,
+    crawlOptions,
+    extraFields = {},
+  } = source;
+  const { onProgress } = hooks;
+  const startedAt = new Date();
+  const { emit, enterStage, emitAnalyzer } = createProgressEmitter(onProgress);
+  // Sans barème explicite : celui du devoir du projet, sinon le barème par défaut
+  const rubric = resolveRubric(
+    source.rubric ??
+      findProjectAssignment(projectName)?.assignment.rubric ??
+      undefined
+  );
+  const enabled = (analyzer) => isAnalyzerEnabled(rubric, analyzer);
+
+  // Récupérer la liste des fichiers HTML depuis l'URL
+  enterStage("crawl");
+  const { pages: htmlFiles, sitemap } = await crawl((pageUrl, count) =>
+    emit("page-discovered", { url: pageUrl, count })
+  );
+  emit("crawl-complete", { total: htmlFiles.length });
+
+  // Analyser uniquement la page d'accueil (premier fichier HTML)
+  enterStage("css");
+  const response = await loader.get(url);
+  const htmlContent = response.data;
+
+  // Compiler toutes les feuilles de style de la page d'accueil (ordre de la cascade)
+  const {
+    css: compiledCss,
+    importErrors,
+    sources: stylesheetSources,
+  } = await compileCSS(htmlContent, url, loader);
+  console.log(
+    `✅ CSS compilé avec succès (${stylesheetSources.length} source(s)).`
+  );
+  console.log(`📊 Taille du CSS compilé: ${compiledCss.length} caractères`);
+  console.log(
+    `📊 Nombre d'@import restants: ${
+      (compiledCss.match(/@import/g) || []).length
+    }`
+  );
+
+  if (importErrors.length > 0) {
+    console.warn(`⚠️ ${importErrors.length} erreur(s) d'import CSS détectée(s)`);
+  }
+
+  // Analyser les imports de la feuille principale (premier <link>) avant compilation
+  let cssImportsAnalysis = null;
+  const mainStylesheet = stylesheetSources.find(
+    (source) => source.type === "link" && !source.error
+  );
+
+  if (mainStylesheet && enabled("imports")) {
+    try {
+      cssImportsAnalysis = await analyzeImports(
+        mainStylesheet.rawCss,
+        mainStylesheet.url,
+        loader,
+        rubric
+      );
+      console.log("✅ Analyse des @import réussie.");
+      emitAnalyzer("imports", cssImportsAnalysis.score);
+    } catch (error) {
+      console.error(
+        "❌ Erreur lors de l'analyse des imports CSS:",
+        error.message
+      );
+    }
+  }
+
+  const {
+    cssAnalysisResult,
+    colors: colorsAnalysis,
+    customProperties: cssVariablesAnalysis,
+    typography: typographyAnalysis,
+    stylesheets,
+  } = await analyzeStylesheetBundle({
+    sources: stylesheetSources,
+    htmlContent,
+    css: compiledCss,
+    rubric,
+  });
+  console.log("✅ CSS analysé avec succès.");
+
+  if (colorsAnalysis) {
+    console.log(
+      `🎨 Analyse des couleurs: ${colorsAnalysis.uniqueColors} couleurs uniques, score: ${colorsAnalysis.score.total}/100`
+    );
+    emitAnalyzer("colors", colorsAnalysis.score);
+  }
+  if (cssVariablesAnalysis) {
+    emitAnalyzer("customProperties", cssVariablesAnalysis.score);
+  }
+  if (typographyAnalysis) {
+    emitAnalyzer("typography", typographyAnalysis.score);
+  }
+
+  enterStage("pages");
+  let analyzedCount = 0;
+  const pageResults = await mapWithConcurrency(
+    htmlFiles,
+    PAGE_CONCURRENCY,
+    async (fileUrl, index) => {
+      const response = await loader.get(fileUrl);
+      const contentType = response.headers["content-type"];
+
+      if (!contentType || !contentType.includes("text/html")) {
+        console.warn(
+          `⚠️ Le contenu à ${fileUrl} n'est pas du HTML : ${contentType}`
+        );
+        return null; // Passe au fichier suivant
+      }
+
+      const htmlContent = response.data;
+
+      // Feuilles de style propres à la page (regroupées en bundles après la boucle)
+      const { sources: pageSources } = await collectStylesheets(
+        htmlContent,
+        fileUrl,
+        loader
+      );
+
+      const titleAndImg = extractTitleAndImagesFromHTML(htmlContent);
+      const htmlAnalysisResult = analyzeHTML(htmlContent);
+      const lighthouseUrl = toLighthouseUrl(fileUrl);
+      const lighthouseReport = enabled("lighthouse")
+        ? await runLighthouse(lighthouseUrl)
+        : null;
+      const validationErrors = enabled("validation")
+        ? await validateHTML(htmlContent)
+        : null;
+
+      // Analyse des images avec enrichissement des données Lighthouse
+      // (les requêtes réseau sont celles de l'URL auditée)
+      const imagesAnalysis = enabled("images")
+        ? analyzeImages(
+            titleAndImg.images,
+            lighthouseReport?.requests ?? null,
+            lighthouseUrl,
+            rubric
+          )
+        : null;
+
+      if (imagesAnalysis) {
+        emitAnalyzer("images", imagesAnalysis.score, fileUrl);
+      }
+      emit("page-analyzed", {
+        url: fileUrl,
+        index: index + 1,
+        completed: ++analyzedCount,
+        total: htmlFiles.length,
+        summary: {
+          title: titleAndImg.title,
+          validationErrors: validationErrors?.length ?? null,
+          imagesScore: imagesAnalysis?.score.total ?? null,
+          lighthouse: lighthouseReport && {
+            performance: lighthouseReport.performance,
+            accessibility: lighthouseReport.accessibility,
+            bestPractices: lighthouseReport.bestPractices,
+            seo: lighthouseReport.seo,
+          },
+        },
+      });
+
+      return {
+        htmlContent,
+        stylesheets: { url: fileUrl, htmlContent, sources: pageSources },
+        result: {
+          file: fileUrl,
+          title: titleAndImg.title,
+          images: imagesAnalysis?.images ?? null,
+          imageStats: imagesAnalysis && {
+            total: imagesAnalysis.totalImages,
+            withLazyLoading: imagesAnalysis.imagesWithLazyLoading,
+            withoutLazyLoading:
+              imagesAnalysis.totalImages - imagesAnalysis.imagesWithLazyLoading,
+            lazyLoadingRatio:
+              imagesAnalysis.imagesWithLazyLoading /
+              Math.max(imagesAnalysis.totalImages, 1),
+            lazyLoadingPercentage: Math.round(
+              (imagesAnalysis.imagesWithLazyLoading /
+                Math.max(imagesAnalysis.totalImages, 1)) *
+                100
+            ),
+          },
+          imagesAnalysis,
+          ...htmlAnalysisResult,
+          validationErrors,
+          lighthouseReport,
+        },
+      };
+    }
+  );
+
+  // Résultats dans l'ordre du crawl, quel que soit l'ordre de fin des pages
+  const analyzedPages = pageResults.filter(Boolean);
+  const fileResults = analyzedPages.map((page) => page.result);
+  // Contenu HTML de chaque page pour l'analyse globale
+  const allHtmlContents = analyzedPages.map((page) => page.htmlContent);
+  const pagesStylesheets = analyzedPages.map((page) => page.stylesheets);
+
+  // Effectuer l'analyse globale sur toutes les pages
+  enterStage("globalAnalysis");
+  const globalAnalysis = analyzeAllPages(allHtmlContents);
+
+  const pagesHtml = analyzedPages.map((page) => ({
+    url: page.result.file,
+    htmlContent: page.htmlContent,
+  }));
+
+  // Graphe de navigation entre les pages (plan du site)
+  const linkGraph = buildLinkGraph(pagesHtml, {
+    startUrl: url,
+    keepQueryStrings: crawlOptions?.keepQueryStrings,
+  });
+
+  // Ancres (#id) et références d'ids de toutes les pages
+  let anchors = null;
+  if (enabled("anchors")) {
+    anchors = analyzeAnchors(pagesHtml, {
+      keepQueryStrings: crawlOptions?.keepQueryStrings,
+      rubric,
+    });
+    emitAnalyzer("anchors", anchors.score);
+  }
+
+  // Vérifier les liens et ressources de toutes les pages (404, redirections)
+  enterStage("linkCheck");
+  let linkCheck = null;
+  if (enabled("linkCheck")) {
+    linkCheck = await checkLinks(pagesStylesheets, loader, rubric);
+    emitAnalyzer("linkCheck", linkCheck.score);
+  }
+
+  // Analyser le CSS page par page (bundles) et pour l'ensemble du site
+  const { report: cssBundles, pageFlags } = await analyzeSiteStylesheets(
+    pagesStylesheets,
+    stylesheetSources,
+    rubric
+  );
+  fileResults.forEach((page) => {
+    page.css = pageFlags.get(page.file);
+  });
+
+  // Calculer le score de validation
+  let validationScore = null;
+  if (enabled("validation")) {
+    validationScore = calculateValidationScore(fileResults, rubric);
+    emitAnalyzer("validation", validationScore);
+  }
+
+  // Synthétiser l'analyse des images pour l'ensemble des pages
+  let globalImagesAnalysis = null;
+  if (enabled("images")) {
+    globalImagesAnalysis = synthesizeImagesAnalysis(fileResults, rubric);
+    emitAnalyzer("globalImages", globalImagesAnalysis.globalScore);
+  }
+
+  enterStage("classAnalysis");
+  let classAnalysis = null;
+  if (enabled("classAnalysis")) {
+    classAnalysis = await runInWorker(
+      "classAnalysis",
+      allHtmlContents,
+      compiledCss,
+      rubric
+    );
+    emitAnalyzer("classAnalysis", classAnalysis.score.bem);
+  }
+
+  const analysisResult = {
+    meta: {
+      projectName,
+      url: sourceUrl,
+      scannedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      analyzerVersions: getAnalyzerVersions(),
+      crawlOptions: { ...DEFAULT_CRAWL_OPTIONS, ...crawlOptions },
+      rubric: { name: rubric.name, version: rubric.version },
+    },
+    pages: fileResults,
+    globalAnalysis, // Ajouter le résultat de l'analyse globale
+    sitemap, // Comparaison avec sitemap.xml (pages orphelines, oubliées)
+    linkGraph, // Pages et liens internes : profondeur, impasses, navigation
+    linkCheck, // Liens et ressources cassés ou redirigés
+    anchors, // Ids en double, ancres et références d'ids sans cible
+    globalImagesAnalysis, // Synthèse globale des images
+    // compiledCss,
+    cssAnalysisResult: {
+      ...cssAnalysisResult,
+      stylesheets, // Feuilles analysées, dans l'ordre de la cascade
+      importErrors,
+      imports: cssImportsAnalysis,
+      customProperties: cssVariablesAnalysis,
+      typography: typographyAnalysis,
+      colors: colorsAnalysis,
+    },
+    cssBundles, // CSS par page (bundles) et vue d'ensemble du site
+    classAnalysis,
+    validationScore,
+    fetchLog: loader.getFetchLog?.() ?? null, // Ressources chargées pendant le scan
+    ...extraFields,
+  };
+
+  // Note globale (moyenne pondérée des scores, voir gradingService.js)
+  analysisResult.overallGrade = computeOverallGrade(analysisResult, rubric);
+  emitAnalyzer("overall", {
+    total: analysisResult.overallGrade.score100,
+    grade: analysisResult.overallGrade.grade,
+  });
+
+  // Sauvegarde d'un nouveau snapshot (les scans précédents sont conservés)
+  enterStage("save");
+  return saveSnapshot(projectName, analysisResult);
+};
+
+/**
+ * Analyse un site en ligne et sauvegarde le rapport.
+ * @param {object} params - Paramètres du scan.
+ * @param {string} params.url - URL du projet à analyser.
+ * @param {string} params.projectName - Nom du projet (nom du fichier de sauvegarde).
+ * @param {string|null} [params.sourceUrl] - Adresse enregistrée dans les métadonnées (`url` par défaut).
+ * @param {object} [params.crawlOptions] - Options d'exploration (voir parseCrawlOptions).
+ * @param {string[]} [params.only] - Analyseurs à relancer seuls (scan partiel).
+ * @param {string} [params.rubric] - Nom du barème de notation.
+ * @param {object} [hooks] - Callbacks optionnels (voir executeScan).
+ * @returns {Promise<object>} - Le rapport d'analyse complet.
+ */
+export const runScan = (
+  { url, projectName, sourceUrl, crawlOptions, only, rubric },
+  hooks
+) => {
+  const loader = createScanLoader();
+  return executeScan(
+    {
+      url,
+      sourceUrl,
+      crawlOptions,
+      only,
+      rubric,
+      loader,
+      crawl: (onPageFound) =>
+        HtmlCrawler(url, { onPageFound, crawlOptions, loader }),
+      toLighthouseUrl: (pageUrl) => pageUrl,
+    },
+    projectName,
+    hooks
+  );
+};
+
+/**
+ * Analyse un projet stocké dans un répertoire local, sans hébergement.
+ * Pages, feuilles de style et @import sont lus sur le disque ; seul Lighthouse
+ * passe par un serveur HTTP local temporaire.
+ * @param {object} params - Paramètres du scan.
+ * @param {string} params.directory - Répertoire racine du projet.
+ * @param {string} params.projectName - Nom du projet (nom du fichier de sauvegarde).
+ * @param {string} [params.sourceUrl] - Adresse enregistrée dans les métadonnées (URL `file://` du répertoire par défaut).
+ * @param {object} [params.extraFields] - Champs ajoutés tels quels au rapport.
+ * @param {object} [params.crawlOptions] - Options d'exploration (voir parseCrawlOptions).
+ * @param {string[]} [params.only] - Analyseurs à relancer seuls (scan partiel).
+ * @param {string} [params.rubric] - Nom du barème de notation.
+ * @param {object} [hooks] - Callbacks optionnels (voir executeScan).
+ * @returns {Promise<object>} - Le rapport d'analyse complet.
+ */
+export const runLocalScan = async (
+  {
+    directory,
+    projectName,
+    sourceUrl = pathToFileURL(directory).href,
+    extraFields,
+    crawlOptions,
+    only,
+    rubric,
+  },
+  hooks
+) => {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`Directory not found: ${directory}`);
+  }
+
+  const loader = createScanLoader(createFileLoader(directory));
+  const site = await serveDirectory(loader.rootDir);
+
+  try {
+    return await executeScan(
+      {
+        url: loader.rootUrl,
+        loader,
+        crawl: (onPageFound) =>
+          LocalHtmlCrawler(loader, { onPageFound, crawlOptions }),
+        // file:///chemin → http://127.0.0.1:port/chemin
+        toLighthouseUrl: (pageUrl) =>
+          new URL(new URL(pageUrl).pathname.slice(1), site.url).href,
+        sourceUrl,
+        extraFields,
+        crawlOptions,
+        only,
+        rubric,
+      },
+      projectName,
+      hooks
+    );
+  } finally {
+    await site.close();
+  }
+};
+
+/**
+ * Analyse l'état d'un dépôt git (clone local ou bare) à un commit donné.
+ * Le commit analysé (hash, date, auteur, message) est enregistré dans `repository`.
+ * @param {object} params - Paramètres du scan.
+ * @param {string} params.repoPath - Chemin du dépôt.
+ * @param {string} [params.ref] - Branche, tag ou hash (HEAD par défaut).
+ * @param {string} [params.before] - Date limite : dernier commit avant cette date.
+ * @param {string} params.projectName - Nom du projet (nom du fichier de sauvegarde).
+ * @param {object} [params.crawlOptions] - Options d'exploration (voir parseCrawlOptions).
+ * @param {string[]} [params.only] - Analyseurs à relancer seuls (scan partiel).
+ * @param {string} [params.rubric] - Nom du barème de notation.
+ * @param {object} [hooks] - Callbacks optionnels (voir executeScan).
+ * @returns {Promise<object>} - Le rapport d'analyse complet.
+ */
+export const runRepositoryScan = async (
+  { repoPath, ref, before, projectName, crawlOptions, only, rubric },
+  hooks = {}
+) => {
+  if (hooks.onProgress) hooks.onProgress({ type: "stage", stage: "checkout" });
+
+  const commitInfo = await resolveCommit(repoPath, { ref, before });
+  console.log(
+    `🔖 Commit ${commitInfo.commit.slice(0, 7)} du ${commitInfo.commitDate}`
+  );
+
+  const workDir = await exportCommitTree(repoPath, commitInfo.commit);
+  try {
+    return await runLocalScan(
+      {
+        directory: findSiteRoot(workDir),
+        projectName,
+        sourceUrl: pathToFileURL(repoPath).href,
+        crawlOptions,
+        only,
+        rubric,
+        extraFields: {
+          repository: {
+            path: repoPath,
+            ref: ref || "HEAD",
+            before: before || null,
+            ...commitInfo,
+          },
+        },
+      },
+      hooks
+    );
+  } finally {
+    removeExportedTree(workDir);
+  }
+};
+
+/**
+ * Exécute un scan à partir des paramètres d'un job : URL en ligne, répertoire
+ * local, dépôt git, ou archive extraite servie temporairement sur un serveur local.
+ * @param {object} params - Paramètres du job ({ url | localPath | repoPath | archiveDir, projectName, crawlOptions, only, rubric }).
+ * @param {object} [hooks] - Callbacks transmis au pipeline.
+ * @returns {Promise<object>} - Le rapport d'analyse complet.
+ */
+export const runScanJob = async (params, hooks) => {
+  if (params.repoPath) {
+    return runRepositoryScan(params, hooks);
+  }
+
+  if (params.localPath) {
+    return runLocalScan(
+      {
+        directory: params.localPath,
+        projectName: params.projectName,
+        crawlOptions: params.crawlOptions,
+        only: params.only,
+        rubric: params.rubric,
+      },
+      hooks
+    );
+  }
+
+  if (!params.archiveDir) {
+    return runScan(params, hooks);
+  }
+
+  if (!fs.existsSync(params.archiveDir)) {
+    throw new Error("Extracted archive is no longer available");
+  }
+
+  const site = await serveDirectory(getArchiveSiteRoot(params.archiveDir));
+  try {
+    return await runScan(
+      // Le serveur local est temporaire : pas d'adresse à conserver
+      {
+        url: site.url,
+        projectName: params.projectName,
+        sourceUrl: null,
+        crawlOptions: params.crawlOptions,
+        only: params.only,
+        rubric: params.rubric,
+      },
+      hooks
+    );
+  } finally {
+    await site.close();
+    removeExtractedArchive(params.archiveDir);
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * Note globale d'un rapport : moyenne pondérée des scores des analyseurs,
+ * sur 100 et sur 20, avec la contribution de chaque critère.
+ */
+
+import { extractScores } from "../stats/scoreExtractor.js";
+import {
+  DEFAULT_RUBRIC,
+  isAnalyzerEnabled,
+  toGrade,
+} from "./rubricService.js";
+
+/**
+ * Critères de la note globale (clés de extractScores) : libellé et analyseur
+ * du barème qui produit le score.
+ */
+export const OVERALL_CRITERIA = {
+  cssImports: { label: "Imports CSS", analyzer: "imports" },
+  cssVariables: { label: "Variables CSS", analyzer: "customProperties" },
+  cssTypography: { label: "Typographie", analyzer: "typography" },
+  cssColors: { label: "Couleurs", analyzer: "colors" },
+  classAnalysis: { label: "Classes (BEM)", analyzer: "classAnalysis" },
+  htmlImages: { label: "Images", analyzer: "images" },
+  validation: { label: "Validation HTML", analyzer: "validation" },
+  links: { label: "Liens et ressources", analyzer: "linkCheck" },
+  anchors: { label: "Ancres et ids", analyzer: "anchors" },
+  performance: { label: "Lighthouse : performance", analyzer: "lighthouse" },
+  accessibility: {
+    label: "Lighthouse : accessibilité",
+    analyzer: "lighthouse",
+  },
+  bestPractices: {
+    label: "Lighthouse : bonnes pratiques",
+    analyzer: "lighthouse",
+  },
+  seo: { label: "Lighthouse : SEO", analyzer: "lighthouse" },
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Calcule la note globale d'un rapport.
+ *
+ * Les critères dont l'analyseur est désactivé par le barème sont exclus et
+ * leur poids est réparti sur les autres. Un score absent alors que
+ * l'analyseur est activé (analyseur en échec, rapport partiel ou ancien) est
+ * traité selon `overall.missingScores` :
+ * - `redistribute` : son poids est réparti sur les autres critères et la note
+ *   est marquée provisoire ;
+ * - `zero` : il compte pour 0, la note est définitive.
+ *
+ * @param {object} report - Le rapport d'analyse.
+ * @param {object} [rubric] - Le barème (barème par défaut si absent).
+ * @returns {object} - `{ score100, score20, grade, provisional, missing, excluded, contributions, rubric }`
+ */
+export const computeOverallGrade = (report, rubric = DEFAULT_RUBRIC) => {
+  const { weights, missingScores } = rubric.overall;
+  const scores = extractScores(report);
+
+  const contributions = Object.entries(weights).map(([criterion, weight]) => {
+    const { label, analyzer } = OVERALL_CRITERIA[criterion];
+    const score = scores[criterion] ?? null;
+    let status = "scored";
+    if (!isAnalyzerEnabled(rubric, analyzer)) status = "disabled";
+    else if (score === null) status = "missing";
+
+    return { criterion, label, score, weight, status };
+  });
+
+  // Critères qui comptent dans la note : scores présents (et absents notés 0)
+  const counted = contributions.filter(
+    ({ status }) =>
+      status === "scored" ||
+      (status === "missing" && missingScores === "zero")
+  );
+  const countedWeight = counted.reduce((sum, { weight }) => sum + weight, 0);
+
+  contributions.forEach((contribution) => {
+    const isCounted = counted.includes(contribution);
+    contribution.effectiveWeight =
+      isCounted && countedWeight > 0
+        ? round1((contribution.weight / countedWeight) * 100)
+        : 0;
+    contribution.points =
+      isCounted && countedWeight > 0
+        ? round1(
+            ((contribution.score ?? 0) * contribution.weight) / countedWeight
+          )
+        : 0;
+  });
+
+  const missing = contributions
+    .filter(({ status }) => status === "missing")
+    .map(({ criterion }) => criterion);
+  const excluded = contributions
+    .filter(({ status }) => status === "disabled")
+    .map(({ criterion }) => criterion);
+
+  // Total calculé sans arrondi intermédiaire
+  const score100 =
+    countedWeight > 0
+      ? round1(
+          counted.reduce(
+            (sum, { score, weight }) => sum + (score ?? 0) * weight,
+            0
+          ) / countedWeight
+        )
+      : null;
+
+  return {
+    score100,
+    score20: score100 !== null ? round1(score100 / 5) : null,
+    grade:
+      score100 !== null ? toGrade(score100, rubric.gradeBoundaries) : null,
+    provisional:
+      score100 === null ||
+      (missing.length > 0 && missingScores === "redistribute"),
+    missing,
+    excluded,
+    contributions,
+    rubric: { name: rubric.name, version: rubric.version },
+  };
+};
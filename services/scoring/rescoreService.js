@@ -0,0 +1,243 @@
+/**
+ * Recalcul des scores des rapports enregistrés, sans refaire de scan : les
+ * mesures brutes de chaque analyseur sont notées à nouveau avec le barème
+ * (seuils ou poids modifiés), ainsi que les notes et les recommandations.
+ */
+
+import { calculateImportsScore } from "../css/cssImportsAnalyzer.js";
+import { calculateVariablesScore } from "../css/cssVariablesAnalyzer.js";
+import { rescoreTypography } from "../css/cssTypographyAnalyzer.js";
+import { rescoreColors } from "../css/cssColorsAnalyzer.js";
+import { calculateBemClassesScore } from "../css/classAnalysisService.js";
+import {
+  calculateImagesScore,
+  synthesizeImagesAnalysis,
+} from "../html/htmlImagesAnalyzer.js";
+import { calculateValidationScore } from "../html/validationService.js";
+import { rescoreLinkCheck } from "../html/linkCheckerService.js";
+import { rescoreAnchors } from "../html/anchorAnalyzer.js";
+import {
+  listProjects,
+  getLatestSnapshot,
+  listSnapshots,
+  getSnapshot,
+  saveSnapshot,
+} from "../history/snapshotService.js";
+import { resolveRubric } from "./rubricService.js";
+import { OVERALL_CRITERIA, computeOverallGrade } from "./gradingService.js";
+
+/**
+ * Score de chaque critère dans un rapport (`{ total, grade }`), indexé comme
+ * la note globale.
+ */
+const SCORE_SOURCES = {
+  cssImports: (report) => report.cssAnalysisResult?.imports?.score,
+  cssVariables: (report) => report.cssAnalysisResult?.customProperties?.score,
+  cssTypography: (report) => report.cssAnalysisResult?.typography?.score,
+  cssColors: (report) => report.cssAnalysisResult?.colors?.score,
+  classAnalysis: (report) => report.classAnalysis?.score?.bem,
+  htmlImages: (report) => report.globalImagesAnalysis?.globalScore,
+  validation: (report) => report.validationScore,
+  links: (report) => report.linkCheck?.score,
+  anchors: (report) => report.anchors?.score,
+  overall: (report) =>
+    report.overallGrade && {
+      total: report.overallGrade.score100,
+      grade: report.overallGrade.grade,
+    },
+};
+
+/**
+ * Recalcule tous les scores d'un rapport avec un barème. Les sections
+ * absentes (analyseur désactivé ou en échec) restent absentes.
+ * @param {object} report - Le rapport enregistré (non modifié).
+ * @param {object} rubric - Le barème (voir rubricService.js).
+ * @returns {object} - Une copie du rapport avec les nouveaux scores.
+ */
+export const rescoreReport = (report, rubric) => {
+  const rescored = structuredClone(report);
+  const css = rescored.cssAnalysisResult || {};
+
+  if (css.imports?.score) {
+    css.imports.score = calculateImportsScore(css.imports, rubric);
+  }
+  if (css.customProperties?.score) {
+    css.customProperties.score = calculateVariablesScore(
+      css.customProperties,
+      rubric
+    );
+  }
+  if (css.typography?.score) {
+    css.typography.score = rescoreTypography(css.typography, rubric);
+  }
+  if (css.colors?.score) {
+    css.colors.score = rescoreColors(css.colors, rubric);
+  }
+  if (rescored.classAnalysis?.score) {
+    rescored.classAnalysis.score.bem = calculateBemClassesScore(
+      rescored.classAnalysis,
+      rubric
+    );
+  }
+
+  // Images : score de chaque page, puis synthèse du site
+  (rescored.pages || []).forEach((page) => {
+    if (page.imagesAnalysis?.score) {
+      page.imagesAnalysis.score = calculateImagesScore(
+        page.imagesAnalysis,
+        rubric
+      );
+    }
+  });
+  if (rescored.globalImagesAnalysis) {
+    rescored.globalImagesAnalysis = synthesizeImagesAnalysis(
+      rescored.pages,
+      rubric
+    );
+  }
+
+  if (rescored.validationScore) {
+    rescored.validationScore = calculateValidationScore(
+      rescored.pages,
+      rubric
+    );
+  }
+  if (rescored.linkCheck?.score) {
+    Object.assign(
+      rescored.linkCheck,
+      rescoreLinkCheck(rescored.linkCheck, rubric)
+    );
+  }
+  if (rescored.anchors?.score) {
+    rescored.anchors.score = rescoreAnchors(rescored.anchors, rubric);
+  }
+
+  rescored.overallGrade = computeOverallGrade(rescored, rubric);
+  return rescored;
+};
+
+/**
+ * Scores qui diffèrent entre deux versions d'un même rapport.
+ * @param {object} before
+ * @param {object} after
+ * @returns {Array<{criterion: string, label: string, before: object|null, after: object|null, gradeChanged: boolean}>}
+ */
+export const compareScores = (before, after) =>
+  Object.entries(SCORE_SOURCES).flatMap(([criterion, getScore]) => {
+    const from = getScore(before);
+    const to = getScore(after);
+    if (from?.total === to?.total && from?.grade === to?.grade) return [];
+
+    return [
+      {
+        criterion,
+        label: OVERALL_CRITERIA[criterion]?.label ?? "Note globale",
+        before: from ? { total: from.total, grade: from.grade } : null,
+        after: to ? { total: to.total, grade: to.grade } : null,
+        gradeChanged: from?.grade !== to?.grade,
+      },
+    ];
+  });
+
+/**
+ * Recalcule les scores du dernier rapport d'un projet et l'enregistre comme
+ * nouveau snapshot (avec la date de ses mesures) si un score ou le barème
+ * change. Le barème est celui du rapport, sauf si `rubric` en choisit un autre.
+ * @param {string} projectName
+ * @param {object} [options]
+ * @param {string} [options.rubric] - Nom du barème.
+ * @param {boolean} [options.dryRun] - Calculer sans enregistrer.
+ * @returns {object|null} - `{ projectName, baseSnapshotId, snapshotId, rubric, changes }`,
+ *   ou null si le projet n'existe pas.
+ * @throws {Error} - Si le barème n'existe pas ou est invalide.
+ */
+export const rescoreProject = (
+  projectName,
+  { rubric: rubricName, dryRun = false } = {}
+) => {
+  let report = getLatestSnapshot(projectName);
+  if (!report) return null;
+
+  // Rapport antérieur aux snapshots : présenté avec ses métadonnées
+  if (!report.meta) {
+    const [{ snapshotId }] = listSnapshots(projectName);
+    report = getSnapshot(projectName, snapshotId);
+  }
+
+  const rubric = resolveRubric(rubricName ?? report.meta.rubric?.name);
+  const rescored = rescoreReport(report, rubric);
+  const changes = compareScores(report, rescored);
+  const rubricChanged =
+    report.meta.rubric?.name !== rubric.name ||
+    report.meta.rubric?.version !== rubric.version;
+
+  const result = {
+    projectName,
+    baseSnapshotId: report.meta.snapshotId,
+    snapshotId: null,
+    rubric: { name: rubric.name, version: rubric.version },
+    changes,
+  };
+  if (dryRun || (changes.length === 0 && !rubricChanged)) return result;
+
+  const meta = { ...report.meta };
+  delete meta.legacy;
+  const snapshot = saveSnapshot(projectName, {
+    ...rescored,
+    meta: {
+      ...meta,
+      rubric: result.rubric,
+      rescored: {
+        at: new Date().toISOString(),
+        baseSnapshotId: report.meta.snapshotId,
+      },
+    },
+  });
+
+  return { ...result, snapshotId: snapshot.meta.snapshotId };
+};
+
+/**
+ * Recalcule les scores d'un projet ou de tous les projets.
+ * @param {object} [options]
+ * @param {string} [options.projectName] - Projet à recalculer (tous si absent).
+ * @param {string} [options.rubric] - Nom du barème (celui de chaque rapport si absent).
+ * @param {boolean} [options.dryRun] - Calculer sans enregistrer.
+ * @returns {object|null} - `{ rubric, dryRun, projects, summary }`, ou null si
+ *   le projet demandé n'existe pas.
+ */
+export const rescoreProjects = ({
+  projectName,
+  rubric,
+  dryRun = false,
+} = {}) => {
+  if (projectName && !getLatestSnapshot(projectName)) return null;
+
+  const projects = (projectName ? [projectName] : listProjects()).map(
+    (name) => {
+      try {
+        return rescoreProject(name, { rubric, dryRun });
+      } catch (error) {
+        // Un rapport illisible ou un barème disparu n'arrête pas les autres
+        console.error(`❌ Recalcul impossible (${name}) : ${error.message}`);
+        return { projectName: name, error: error.message };
+      }
+    }
+  );
+
+  const changed = projects.filter((project) => project.changes?.length > 0);
+  return {
+    rubric: rubric ?? null,
+    dryRun,
+    projects,
+    summary: {
+      projects: projects.length,
+      changed: changed.length,
+      gradeChanges: changed.filter((project) =>
+        project.changes.some(({ gradeChanged }) => gradeChanged)
+      ).length,
+      saved: projects.filter((project) => project.snapshotId).length,
+      errors: projects.filter((project) => project.error).length,
+    },
+  };
+};
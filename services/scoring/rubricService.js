@@ -0,0 +1,358 @@
+/**
+ * Barèmes de notation (rubrics) : poids des critères de chaque analyseur,
+ * seuils, bornes des notes A–F, analyseurs activés et poids de chaque score
+ * dans la note globale.
+ *
+ * Un barème est un fichier JSON ou YAML du dossier `rubrics/`, sélectionné
+ * par son nom (nom du fichier sans extension). Les valeurs absentes sont
+ * reprises du barème `default`, qui reproduit la notation d'origine.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rubricsDir = path.join(__dirname, "../../rubrics");
+
+export const DEFAULT_RUBRIC_NAME = "default";
+
+const RUBRIC_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+// Note attribuée sous la plus basse des bornes
+const FAILING_GRADE = "F";
+
+// Traitement des scores absents dans la note globale (voir gradingService.js)
+const MISSING_SCORE_POLICIES = ["redistribute", "zero"];
+
+/**
+ * Lit un fichier de barème (JSON, ou YAML avec le paquet optionnel `yaml`).
+ * @param {string} filePath
+ * @returns {object}
+ */
+const readRubricFile = (filePath) => {
+  const content = fs.readFileSync(filePath, "utf-8");
+  if (filePath.endsWith(".json")) return JSON.parse(content);
+
+  let yaml;
+  try {
+    yaml = require("yaml");
+  } catch {
+    throw new Error("YAML rubrics require the yaml package (npm install yaml)");
+  }
+  return yaml.parse(content);
+};
+
+/**
+ * Trouve le fichier d'un barème.
+ * @param {string} name
+ * @returns {string|null}
+ */
+const findRubricFile = (name) => {
+  if (typeof name !== "string" || !/^[\w-]+$/.test(name)) return null;
+
+  return (
+    RUBRIC_EXTENSIONS.map((extension) =>
+      path.join(rubricsDir, `${name}${extension}`)
+    ).find((filePath) => fs.existsSync(filePath)) || null
+  );
+};
+
+const isNumber = (value) => typeof value === "number" && !isNaN(value);
+
+/**
+ * Vérifie les bornes des notes (`{ A: 90, B: 80, … }`).
+ * @param {object} boundaries
+ * @param {string} where - Emplacement dans le fichier, pour le message d'erreur.
+ */
+const validateGradeBoundaries = (boundaries, where) => {
+  if (typeof boundaries !== "object" || boundaries === null) {
+    throw new Error(`${where} must be an object`);
+  }
+  Object.entries(boundaries).forEach(([grade, minimum]) => {
+    if (!isNumber(minimum) || minimum < 0 || minimum > 100) {
+      throw new Error(`${where}.${grade} must be a number between 0 and 100`);
+    }
+  });
+};
+
+/**
+ * Vérifie que des poids totalisent 100 points.
+ * @param {object} weights
+ * @param {string} where - Emplacement dans le fichier, pour le message d'erreur.
+ */
+const validateWeightSum = (weights, where) => {
+  const weightSum = Object.values(weights).reduce(
+    (sum, weight) => sum + weight,
+    0
+  );
+  // Poids décimaux : la somme flottante peut s'écarter de 100 d'un arrondi
+  if (Object.keys(weights).length > 0 && Math.abs(weightSum - 100) > 1e-6) {
+    throw new Error(`${where} must add up to 100 (currently ${weightSum})`);
+  }
+};
+
+/**
+ * Vérifie la section `overall` (poids de chaque score dans la note globale).
+ * @param {object} [own] - La section du fichier.
+ * @param {object} [base] - La section du barème par défaut.
+ * @returns {{weights: object, missingScores: string}}
+ */
+const buildOverall = (own = {}, base) => {
+  Object.entries(own.weights || {}).forEach(([criterion, value]) => {
+    if (base && !(criterion in base.weights)) {
+      throw new Error(`Unknown weights entry overall.weights.${criterion}`);
+    }
+    if (!(isNumber(value) && value >= 0)) {
+      throw new Error(`overall.weights.${criterion} must be a positive number`);
+    }
+  });
+
+  const overall = {
+    weights: { ...base?.weights, ...own.weights },
+    missingScores: own.missingScores ?? base?.missingScores ?? "redistribute",
+  };
+  validateWeightSum(overall.weights, "overall.weights");
+  if (!MISSING_SCORE_POLICIES.includes(overall.missingScores)) {
+    throw new Error(
+      `overall.missingScores must be one of: ${MISSING_SCORE_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  return overall;
+};
+
+/**
+ * Vérifie un barème et le complète avec le barème par défaut.
+ * @param {object} definition - Le contenu du fichier.
+ * @param {string} name - Nom du barème.
+ * @param {object|null} defaults - Le barème par défaut (null pour lui-même).
+ * @returns {object} - Le barème complet.
+ */
+const buildRubric = (definition, name, defaults) => {
+  if (typeof definition !== "object" || definition === null) {
+    throw new Error("Rubric must be an object");
+  }
+  if (typeof definition.version !== "string" && !isNumber(definition.version)) {
+    throw new Error("Rubric version is required");
+  }
+
+  const gradeBoundaries = {
+    ...(definition.gradeBoundaries || defaults?.gradeBoundaries),
+  };
+  validateGradeBoundaries(gradeBoundaries, "gradeBoundaries");
+
+  const analyzers = {};
+  const knownAnalyzers = Object.keys(
+    defaults?.analyzers || definition.analyzers || {}
+  );
+  Object.keys(definition.analyzers || {}).forEach((analyzer) => {
+    if (!knownAnalyzers.includes(analyzer)) {
+      throw new Error(
+        `Unknown analyzer "${analyzer}", expected one of: ${knownAnalyzers.join(
+          ", "
+        )}`
+      );
+    }
+  });
+
+  knownAnalyzers.forEach((analyzer) => {
+    const base = defaults?.analyzers[analyzer] || {};
+    const own = definition.analyzers?.[analyzer] || {};
+    const where = `analyzers.${analyzer}`;
+
+    const section = {
+      enabled: own.enabled ?? base.enabled ?? true,
+      weights: { ...base.weights, ...own.weights },
+      thresholds: { ...base.thresholds, ...own.thresholds },
+    };
+    if (typeof section.enabled !== "boolean") {
+      throw new Error(`${where}.enabled must be true or false`);
+    }
+
+    ["weights", "thresholds"].forEach((key) => {
+      Object.entries(own[key] || {}).forEach(([criterion, value]) => {
+        if (defaults && !(criterion in (base[key] || {}))) {
+          throw new Error(`Unknown ${key} entry ${where}.${key}.${criterion}`);
+        }
+        if (key === "weights" && !(isNumber(value) && value >= 0)) {
+          throw new Error(
+            `${where}.weights.${criterion} must be a positive number`
+          );
+        }
+        const valid = Array.isArray(value)
+          ? value.length === 2 && value.every(isNumber)
+          : isNumber(value);
+        if (!valid) {
+          throw new Error(
+            `${where}.thresholds.${criterion} must be a number or a [min, max] pair`
+          );
+        }
+      });
+    });
+
+    validateWeightSum(section.weights, `${where}.weights`);
+
+    if (own.gradeBoundaries) {
+      validateGradeBoundaries(own.gradeBoundaries, `${where}.gradeBoundaries`);
+      section.gradeBoundaries = { ...own.gradeBoundaries };
+    }
+
+    analyzers[analyzer] = section;
+  });
+
+  return {
+    name,
+    version: String(definition.version),
+    description: definition.description || null,
+    gradeBoundaries,
+    analyzers,
+    overall: buildOverall(definition.overall, defaults?.overall),
+  };
+};
+
+/**
+ * Barème par défaut (`rubrics/default.json`), chargé au démarrage.
+ */
+export const DEFAULT_RUBRIC = buildRubric(
+  readRubricFile(findRubricFile(DEFAULT_RUBRIC_NAME)),
+  DEFAULT_RUBRIC_NAME,
+  null
+);
+
+/**
+ * Vérifie un barème déjà lu et le complète avec le barème par défaut.
+ * @param {object} definition - Le contenu du barème.
+ * @param {string} name - Nom du barème.
+ * @returns {object} - Le barème complet.
+ * @throws {Error} - Si le barème est invalide.
+ */
+export const parseRubric = (definition, name) =>
+  buildRubric(definition, name, DEFAULT_RUBRIC);
+
+/**
+ * Charge un barème par son nom.
+ * @param {string} [name] - Nom du barème (`default` si absent).
+ * @returns {object|null} - Le barème complet, ou null s'il n'existe pas.
+ * @throws {Error} - Si le fichier est invalide.
+ */
+export const loadRubric = (name = DEFAULT_RUBRIC_NAME) => {
+  if (name === DEFAULT_RUBRIC_NAME) return DEFAULT_RUBRIC;
+
+  const filePath = findRubricFile(name);
+  if (!filePath) return null;
+
+  try {
+    return parseRubric(readRubricFile(filePath), name);
+  } catch (error) {
+    throw new Error(`Invalid rubric ${name}: ${error.message}`);
+  }
+};
+
+/**
+ * Charge le barème choisi pour un scan.
+ * @param {string} [name] - Nom du barème (`default` si absent).
+ * @returns {object}
+ * @throws {Error} - Si le barème n'existe pas ou si son fichier est invalide.
+ */
+export const resolveRubric = (name = DEFAULT_RUBRIC_NAME) => {
+  const rubric = loadRubric(name);
+  if (!rubric) throw new Error(`Unknown rubric: ${name}`);
+  return rubric;
+};
+
+/**
+ * Liste les barèmes disponibles (les fichiers invalides sont signalés).
+ * @returns {Array<{name: string, version: string|null, description: string|null, error?: string}>}
+ */
+export const listRubrics = () => {
+  if (!fs.existsSync(rubricsDir)) return [];
+
+  const names = new Set(
+    fs
+      .readdirSync(rubricsDir)
+      .filter((file) => RUBRIC_EXTENSIONS.includes(path.extname(file)))
+      .map((file) => path.basename(file, path.extname(file)))
+  );
+
+  return [...names].sort().map((name) => {
+    try {
+      const { version, description } = loadRubric(name);
+      return { name, version, description };
+    } catch (error) {
+      return { name, version: null, description: null, error: error.message };
+    }
+  });
+};
+
+/**
+ * Section d'un analyseur dans un barème.
+ * @param {object} [rubric] - Le barème (par défaut : DEFAULT_RUBRIC).
+ * @param {string} analyzer - Ex. `colors`.
+ * @returns {{enabled: boolean, weights: object, thresholds: object, gradeBoundaries: object}}
+ */
+export const getAnalyzerRubric = (rubric = DEFAULT_RUBRIC, analyzer) => {
+  const section = rubric.analyzers[analyzer];
+  return {
+    ...section,
+    gradeBoundaries: section.gradeBoundaries || rubric.gradeBoundaries,
+  };
+};
+
+/**
+ * Indique si un analyseur est activé par le barème.
+ * @param {object} [rubric]
+ * @param {string} analyzer
+ * @returns {boolean}
+ */
+export const isAnalyzerEnabled = (rubric = DEFAULT_RUBRIC, analyzer) =>
+  rubric.analyzers[analyzer]?.enabled !== false;
+
+/**
+ * Note alphabétique d'un score : la plus haute note dont la borne est atteinte.
+ * @param {number} total - Score sur 100.
+ * @param {object} gradeBoundaries - Ex. `{ A: 90, B: 80, C: 70, D: 60 }`.
+ * @returns {string}
+ */
+export const toGrade = (total, gradeBoundaries) => {
+  const reached = Object.entries(gradeBoundaries)
+    .sort(([, a], [, b]) => b - a)
+    .find(([, minimum]) => total >= minimum);
+  return reached ? reached[0] : FAILING_GRADE;
+};
+
+/**
+ * Applique les poids du barème aux critères d'un score, puis calcule le total
+ * et la note. Chaque critère est noté sur son maximum d'origine (`max`), puis
+ * ramené à son poids : avec les poids par défaut, les scores sont inchangés.
+ * @param {object} scores - Critères `{ nom: { score, max, details } }`.
+ * @param {object} analyzerRubric - Voir getAnalyzerRubric.
+ * @returns {{total: number, breakdown: object, grade: string}}
+ */
+export const finalizeScore = (scores, { weights, gradeBoundaries }) => {
+  const breakdown = {};
+  Object.entries(scores).forEach(([criterion, entry]) => {
+    const weight = weights[criterion] ?? entry.max;
+    breakdown[criterion] =
+      weight === entry.max
+        ? entry
+        : {
+            ...entry,
+            score:
+              entry.max > 0
+                ? Math.round((entry.score / entry.max) * weight * 10) / 10
+                : 0,
+            max: weight,
+          };
+  });
+
+  const total =
+    Math.round(
+      Object.values(breakdown).reduce((sum, entry) => sum + entry.score, 0) * 10
+    ) / 10;
+
+  return { total, breakdown, grade: toGrade(total, gradeBoundaries) };
+};
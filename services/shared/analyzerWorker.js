@@ -0,0 +1,30 @@
+/**
+ * Point d'entrée des workers d'analyse (voir workerPool.js) : exécute hors du
+ * thread principal les analyseurs coûteux en CPU.
+ */
+
+import { format } from "util";
+import { parentPort } from "worker_threads";
+import { performClassAnalysis } from "../css/classAnalysisService.js";
+import { analyzeTypography } from "../css/cssTypographyAnalyzer.js";
+
+// Analyseurs exécutables dans un worker
+const ANALYZERS = {
+  classAnalysis: performClassAnalysis,
+  typography: analyzeTypography,
+};
+
+// Les messages des analyseurs sont affichés par le thread principal : écrits
+// depuis le worker, ils arriveraient après le résultat et se mêleraient à la
+// sortie suivante
+console.log = (...args) => parentPort.postMessage({ log: format(...args) });
+
+parentPort.on("message", async ({ id, analyzer, args }) => {
+  try {
+    if (!ANALYZERS[analyzer]) throw new Error(`Unknown analyzer: ${analyzer}`);
+    const result = await ANALYZERS[analyzer](...args);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,25 @@
+/**
+ * Applique une fonction asynchrone à chaque élément, avec au plus `limit`
+ * appels simultanés. Les résultats sont retournés dans l'ordre des éléments,
+ * quel que soit l'ordre de fin des appels.
+ * @param {Array} items - Les éléments à traiter.
+ * @param {number} limit - Nombre maximal d'appels simultanés.
+ * @param {(item: *, index: number) => Promise<*>} fn - Le traitement d'un élément.
+ * @returns {Promise<Array>} - Les résultats, dans l'ordre de `items`.
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, runNext)
+  );
+  return results;
+};
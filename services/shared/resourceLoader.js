@@ -0,0 +1,563 @@
+/**
+ * Chargeurs de ressources utilisés par le pipeline de scan.
+ * Un chargeur expose `get(url, options)` et `head(url, options)` et retourne
+ * une réponse de la forme `{ status, headers, data }` (comme axios), ce qui
+ * permet aux analyseurs de fonctionner à l'identique en HTTP ou sur disque.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import axios from "axios";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Réponses HTTP conservées d'un scan à l'autre pour les requêtes conditionnelles
+const httpCacheDir = process.env.HTTP_CACHE_DIR
+  ? path.resolve(process.env.HTTP_CACHE_DIR)
+  : path.join(__dirname, "../../data/http-cache");
+
+// Délai maximal d'une requête HTTP (surchargeable par l'option `timeout`)
+const DEFAULT_TIMEOUT_MS = 5000;
+// Nouvelles tentatives après une erreur réseau, un 429 ou un 5xx
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+// Taille maximale d'une réponse conservée dans le cache HTTP
+const MAX_CACHED_SIZE = 2 * 1024 * 1024;
+// Taille totale et ancienneté maximales du cache HTTP, et fréquence du ménage
+const HTTP_CACHE_MAX_BYTES =
+  parseInt(process.env.HTTP_CACHE_MAX_MB || "200", 10) * 1024 * 1024;
+const HTTP_CACHE_MAX_AGE_MS =
+  parseInt(process.env.HTTP_CACHE_MAX_AGE_DAYS || "30", 10) * 86400000;
+const HTTP_CACHE_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Types MIME des fichiers servis depuis le disque (l'encodage est lu dans le fichier)
+const MIME_TYPES = {
+  ".html": "text/html",
+  ".htm": "text/html",
+  ".css": "text/css",
+  ".js": "text/javascript",
+  ".mjs": "text/javascript",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+};
+
+// Types lus comme texte (les autres sont retournés en Buffer)
+const isTextMimeType = (mimeType) =>
+  /^text\/|json|svg|xml|javascript/.test(mimeType || "");
+
+/**
+ * Détermine l'encodage d'un contenu texte : BOM, puis en-tête Content-Type,
+ * puis déclaration dans le contenu (`<meta charset>` ou `@charset`), UTF-8 sinon.
+ * @param {Buffer} buffer - Le contenu brut.
+ * @param {string} [contentType] - L'en-tête Content-Type.
+ * @returns {string} - Le nom de l'encodage (ex. `utf-8`, `windows-1252`).
+ */
+const detectCharset = (buffer, contentType = "") => {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return "utf-16le";
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return "utf-16be";
+
+  const headerCharset = contentType.match(/charset=["']?([\w:.-]+)/i);
+  if (headerCharset) return headerCharset[1].toLowerCase();
+
+  // Les déclarations sont en ASCII au début du fichier
+  const head = buffer.subarray(0, 1024).toString("latin1");
+  const declared =
+    head.match(/<meta[^>]+charset\s*=\s*["']?([\w:.-]+)/i) ||
+    head.match(/^@charset\s+["']([\w:.-]+)["']/);
+  return declared ? declared[1].toLowerCase() : "utf-8";
+};
+
+/**
+ * Décode un contenu texte selon son encodage (UTF-8 si l'encodage est inconnu).
+ * @param {Buffer} buffer
+ * @param {string} [contentType]
+ * @returns {{text: string, charset: string}}
+ */
+const decodeText = (buffer, contentType) => {
+  const charset = detectCharset(buffer, contentType);
+  try {
+    return { text: new TextDecoder(charset).decode(buffer), charset };
+  } catch {
+    return { text: new TextDecoder("utf-8").decode(buffer), charset: "utf-8" };
+  }
+};
+
+/**
+ * Construit la réponse d'un chargeur à partir d'un contenu brut : les types
+ * texte sont décodés selon leur encodage, les autres restent en Buffer.
+ * @param {number} status
+ * @param {object} headers
+ * @param {Buffer} buffer
+ * @returns {{status: number, headers: object, data: string|Buffer, charset: string|null, size: number}}
+ */
+const toLoaderResponse = (status, headers, buffer) => {
+  const contentType = headers["content-type"];
+  if (!isTextMimeType(contentType)) {
+    return { status, headers, data: buffer, charset: null, size: buffer.length };
+  }
+
+  const { text, charset } = decodeText(buffer, contentType);
+  return { status, headers, data: text, charset, size: buffer.length };
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Indique si une requête échouée mérite une nouvelle tentative.
+ * @param {Error} error - L'erreur axios.
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Envoie une requête HTTP, avec nouvelles tentatives espacées (backoff
+ * exponentiel) en cas d'erreur réseau, de 429 ou de 5xx. Les redirections
+ * suivies sont relevées (`redirects`, aussi sur l'erreur).
+ * @param {object} config - Configuration axios.
+ * @returns {Promise<{response: object, attempts: number, redirects: Array<{url: string, status: number, location: string}>}>}
+ */
+const requestWithRetry = async (config) => {
+  for (let attempt = 1; ; attempt++) {
+    const redirects = [];
+    try {
+      const response = await axios.request({
+        ...config,
+        beforeRedirect: (options, { statusCode }, { url }) => {
+          redirects.push({ url, status: statusCode, location: options.href });
+        },
+      });
+      return { response, attempts: attempt, redirects };
+    } catch (error) {
+      if (attempt > MAX_RETRIES || !isRetryable(error)) {
+        error.attempts = attempt;
+        error.redirects = redirects;
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(
+        `🔁 ${config.method.toUpperCase()} ${config.url} : ${error.message}, nouvel essai dans ${delay} ms`
+      );
+      await wait(delay);
+    }
+  }
+};
+
+/**
+ * Indique si une URL désigne la machine locale : les archives et les dépôts
+ * sont servis sur un port différent à chaque scan, leurs réponses ne seront
+ * jamais redemandées.
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isLoopbackUrl = (url) => {
+  try {
+    const { hostname } = new URL(url);
+    return (
+      hostname === "localhost" ||
+      hostname === "[::1]" ||
+      /^127\.\d+\.\d+\.\d+$/.test(hostname)
+    );
+  } catch {
+    return false;
+  }
+};
+
+let lastPrunedAt = 0;
+
+/**
+ * Supprime les réponses du cache HTTP plus anciennes que
+ * HTTP_CACHE_MAX_AGE_DAYS, puis les moins récemment utilisées jusqu'à
+ * repasser sous HTTP_CACHE_MAX_MB.
+ * @returns {Promise<void>}
+ */
+const pruneHttpCache = async () => {
+  let files;
+  try {
+    files = await fs.readdir(httpCacheDir);
+  } catch {
+    return; // Pas encore de cache
+  }
+
+  const entries = [];
+  for (const file of files) {
+    const filePath = path.join(httpCacheDir, file);
+    try {
+      const { size, mtimeMs } = await fs.stat(filePath);
+      entries.push({ filePath, size, mtimeMs });
+    } catch {
+      // Fichier supprimé entre-temps
+    }
+  }
+
+  // Du plus récemment utilisé au plus ancien
+  entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  const now = Date.now();
+  let totalSize = 0;
+  for (const { filePath, size, mtimeMs } of entries) {
+    totalSize += size;
+    if (
+      now - mtimeMs > HTTP_CACHE_MAX_AGE_MS ||
+      totalSize > HTTP_CACHE_MAX_BYTES
+    ) {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+};
+
+const getCacheFilePath = (url) =>
+  path.join(
+    httpCacheDir,
+    `${createHash("sha1").update(url).digest("hex")}.json`
+  );
+
+/**
+ * Lit la réponse conservée pour une URL lors d'un scan précédent.
+ * @param {string} url
+ * @returns {Promise<object|null>} - `{ etag, lastModified, headers, body }`, ou null.
+ */
+const readCachedResponse = async (url) => {
+  if (isLoopbackUrl(url)) return null;
+
+  try {
+    const entry = JSON.parse(await fs.readFile(getCacheFilePath(url), "utf-8"));
+    return entry.url === url ? entry : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Conserve une réponse qui porte un ETag ou un Last-Modified, pour la
+ * revalider au prochain scan sans la retélécharger.
+ * @param {string} url
+ * @param {object} headers
+ * @param {Buffer} buffer
+ */
+const writeCachedResponse = async (url, headers, buffer) => {
+  const etag = headers.etag || null;
+  const lastModified = headers["last-modified"] || null;
+  if ((!etag && !lastModified) || buffer.length > MAX_CACHED_SIZE) return;
+  if (isLoopbackUrl(url)) return;
+
+  try {
+    await fs.mkdir(httpCacheDir, { recursive: true });
+    const filePath = getCacheFilePath(url);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(
+      tmpPath,
+      JSON.stringify({
+        url,
+        etag,
+        lastModified,
+        headers: { "content-type": headers["content-type"] || null },
+        body: buffer.toString("base64"),
+      })
+    );
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    console.warn(`⚠️ Cache HTTP non enregistré pour ${url}: ${error.message}`);
+  }
+
+  if (Date.now() - lastPrunedAt > HTTP_CACHE_PRUNE_INTERVAL_MS) {
+    lastPrunedAt = Date.now();
+    await pruneHttpCache();
+  }
+};
+
+/**
+ * Marque une réponse du cache comme utilisée (elle est supprimée en dernier).
+ * @param {string} url
+ */
+const touchCachedResponse = async (url) => {
+  const now = new Date();
+  await fs.utimes(getCacheFilePath(url), now, now).catch(() => {});
+};
+
+/**
+ * Chargeur HTTP par défaut (axios) : délai maximal par requête, nouvelles
+ * tentatives, décodage selon l'encodage de la ressource, et requêtes
+ * conditionnelles (ETag / Last-Modified) à partir des réponses des scans
+ * précédents. La réponse indique `charset`, `size` (octets), `attempts`,
+ * `redirects` (redirections suivies) et `revalidated` (contenu repris du
+ * cache après un 304).
+ */
+export const httpLoader = {
+  get: async (url, { timeout = DEFAULT_TIMEOUT_MS, headers = {} } = {}) => {
+    const cached = await readCachedResponse(url);
+    const conditionalHeaders = {};
+    if (cached?.etag) conditionalHeaders["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) {
+      conditionalHeaders["If-Modified-Since"] = cached.lastModified;
+    }
+
+    const { response, attempts, redirects } = await requestWithRetry({
+      method: "get",
+      url,
+      timeout,
+      headers: { ...conditionalHeaders, ...headers },
+      responseType: "arraybuffer",
+      validateStatus: (status) =>
+        (status >= 200 && status < 300) || (status === 304 && !!cached),
+    });
+
+    if (response.status === 304) {
+      await touchCachedResponse(url);
+      const headers = { ...cached.headers, ...response.headers };
+      return {
+        ...toLoaderResponse(200, headers, Buffer.from(cached.body, "base64")),
+        attempts,
+        redirects,
+        revalidated: true,
+      };
+    }
+
+    const buffer = Buffer.from(response.data);
+    await writeCachedResponse(url, response.headers, buffer);
+    return {
+      ...toLoaderResponse(response.status, response.headers, buffer),
+      attempts,
+      redirects,
+      revalidated: false,
+    };
+  },
+
+  head: async (url, { timeout = DEFAULT_TIMEOUT_MS, headers = {} } = {}) => {
+    const { response, attempts, redirects } = await requestWithRetry({
+      method: "head",
+      url,
+      timeout,
+      headers,
+    });
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: "",
+      attempts,
+      redirects,
+    };
+  },
+};
+
+/**
+ * Crée une erreur similaire à celle d'axios pour une ressource absente.
+ * @param {string} url - L'URL demandée.
+ * @param {number} status - Le code HTTP équivalent.
+ * @param {string} message - Le message d'erreur.
+ * @returns {Error}
+ */
+const createLoaderError = (url, status, message) => {
+  const error = new Error(`${message}: ${url}`);
+  error.response = { status, headers: {}, data: null };
+  return error;
+};
+
+/**
+ * Crée un chargeur qui lit les ressources depuis un répertoire local.
+ * Les URLs sont de la forme `file:///chemin/relatif` : la racine `file:///`
+ * correspond au répertoire du projet, ce qui permet de résoudre les liens
+ * relatifs comme absolus (`/css/style.css`) exactement comme en HTTP.
+ * Les URLs non `file:` (CDN, Google Fonts…) sont déléguées au chargeur HTTP.
+ * @param {string} rootDir - Le répertoire racine du projet.
+ * @returns {{rootDir: string, rootUrl: string, toFilePath: Function, get: Function, head: Function}}
+ */
+export const createFileLoader = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Convertit une URL `file:///…` en chemin sur le disque, sans sortir de la racine.
+   * @param {string} url
+   * @returns {string|null} - Le chemin, ou null si l'URL sort du projet.
+   */
+  const toFilePath = (url) => {
+    const { protocol, pathname } = new URL(url);
+    if (protocol !== "file:") return null;
+
+    const filePath = path.resolve(root, "." + decodeURIComponent(pathname));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      return null;
+    }
+    return filePath;
+  };
+
+  /**
+   * Lit les métadonnées d'une ressource (un répertoire renvoie son index.html).
+   * @param {string} url
+   * @returns {Promise<{filePath: string, size: number, mimeType: string}>}
+   */
+  const resolve = async (url) => {
+    let filePath = toFilePath(url);
+    if (!filePath) throw createLoaderError(url, 403, "Outside project");
+
+    let stats = await fs.stat(filePath).catch(() => null);
+    if (stats?.isDirectory()) {
+      filePath = path.join(filePath, "index.html");
+      stats = await fs.stat(filePath).catch(() => null);
+    }
+    if (!stats?.isFile()) throw createLoaderError(url, 404, "Not found");
+
+    const mimeType =
+      MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+      "application/octet-stream";
+
+    return { filePath, size: stats.size, mimeType };
+  };
+
+  return {
+    rootDir: root,
+    rootUrl: "file:///",
+    toFilePath,
+
+    head: async (url, options) => {
+      if (!url.startsWith("file:")) return httpLoader.head(url, options);
+
+      const { size, mimeType } = await resolve(url);
+      return {
+        status: 200,
+        headers: { "content-type": mimeType, "content-length": String(size) },
+        data: "",
+      };
+    },
+
+    get: async (url, options) => {
+      if (!url.startsWith("file:")) return httpLoader.get(url, options);
+
+      const { filePath, size, mimeType } = await resolve(url);
+      const content = await fs.readFile(filePath);
+      return toLoaderResponse(
+        200,
+        { "content-type": mimeType, "content-length": String(size) },
+        content
+      );
+    },
+  };
+};
+
+/**
+ * Enveloppe un chargeur pour la durée d'un scan : chaque ressource n'est
+ * chargée qu'une fois (une feuille partagée par toutes les pages, un `HEAD`
+ * sur une ressource déjà téléchargée…) et chaque chargement est consigné
+ * pour le rapport (statut, taille, durée, encodage, nouvelles tentatives).
+ * @param {object} [baseLoader] - Le chargeur à envelopper (HTTP par défaut).
+ * @returns {object} - Un chargeur avec les mêmes propriétés, et `getFetchLog()`.
+ */
+export const createScanLoader = (baseLoader = httpLoader) => {
+  const memo = new Map();
+  const entries = [];
+
+  /**
+   * Charge une ressource une seule fois et consigne le chargement.
+   * @param {"GET"|"HEAD"} method
+   * @param {string} url
+   * @param {Function} load - Le chargement effectif.
+   * @returns {Promise<object>}
+   */
+  const loadOnce = (method, url, load) => {
+    const key = `${method} ${url}`;
+    if (memo.has(key)) {
+      memo.get(key).entry.reused++;
+      return memo.get(key).promise;
+    }
+
+    const entry = {
+      method,
+      url,
+      status: null,
+      size: null,
+      durationMs: null,
+      charset: null,
+      attempts: 1,
+      revalidated: false,
+      reused: 0,
+      error: null,
+    };
+    entries.push(entry);
+
+    const startedAt = Date.now();
+    const promise = load().then(
+      (response) => {
+        Object.assign(entry, {
+          status: response.status,
+          size:
+            response.size ??
+            (parseInt(response.headers["content-length"], 10) || null),
+          durationMs: Date.now() - startedAt,
+          charset: response.charset ?? null,
+          attempts: response.attempts ?? 1,
+          revalidated: response.revalidated ?? false,
+        });
+        return response;
+      },
+      (error) => {
+        Object.assign(entry, {
+          status: error.response?.status ?? null,
+          durationMs: Date.now() - startedAt,
+          attempts: error.attempts ?? 1,
+          error: error.message,
+        });
+        throw error;
+      }
+    );
+    memo.set(key, { promise, entry });
+    return promise;
+  };
+
+  return {
+    ...baseLoader,
+
+    get: (url, options) =>
+      loadOnce("GET", url, () => baseLoader.get(url, options)),
+
+    // Une ressource déjà téléchargée répond au HEAD sans nouvelle requête
+    head: (url, options) => {
+      const download = memo.get(`GET ${url}`);
+      if (download) {
+        download.entry.reused++;
+        return download.promise.then(({ status, headers, redirects }) => ({
+          status,
+          headers,
+          data: "",
+          redirects,
+        }));
+      }
+      return loadOnce("HEAD", url, () => baseLoader.head(url, options));
+    },
+
+    /**
+     * Journal des chargements du scan, pour le rapport (`fetchLog`).
+     * @returns {{summary: object, requests: Array<object>}}
+     */
+    getFetchLog: () => ({
+      summary: {
+        requests: entries.length,
+        reused: entries.reduce((sum, entry) => sum + entry.reused, 0),
+        revalidated: entries.filter((entry) => entry.revalidated).length,
+        retried: entries.filter((entry) => entry.attempts > 1).length,
+        failed: entries.filter((entry) => entry.error).length,
+        bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        durationMs: entries.reduce(
+          (sum, entry) => sum + (entry.durationMs || 0),
+          0
+        ),
+      },
+      requests: entries.map((entry) => ({ ...entry })),
+    }),
+  };
+};
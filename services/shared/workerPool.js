@@ -0,0 +1,110 @@
+/**
+ * Pool de workers pour les analyseurs coûteux en CPU (analyse des classes,
+ * typographie) : ils s'exécutent hors de la boucle d'événements pour que
+ * l'API reste réactive pendant les scans.
+ */
+
+import os from "os";
+import { Worker } from "worker_threads";
+
+// Nombre de workers d'analyse (un cœur est laissé au serveur)
+const POOL_SIZE = Math.max(
+  parseInt(process.env.ANALYZER_WORKERS || "", 10) ||
+    Math.min(os.cpus().length - 1, 2),
+  1
+);
+
+const WORKER_URL = new URL("./analyzerWorker.js", import.meta.url);
+
+// Workers lancés ({ worker, task })
+const workers = [];
+// Tâches en attente d'un worker libre
+const pendingTasks = [];
+let nextTaskId = 1;
+
+/**
+ * Confie la prochaine tâche en attente à un worker libre, en lançant un
+ * nouveau worker si le pool n'est pas plein.
+ */
+const dispatch = () => {
+  if (pendingTasks.length === 0) return;
+
+  let entry = workers.find((candidate) => !candidate.task);
+  if (!entry) {
+    if (workers.length >= POOL_SIZE) return;
+    entry = startWorker();
+  }
+
+  entry.task = pendingTasks.shift();
+  entry.worker.ref();
+  entry.worker.postMessage({
+    id: entry.task.id,
+    analyzer: entry.task.analyzer,
+    args: entry.task.args,
+  });
+};
+
+/**
+ * Termine la tâche en cours d'un worker et passe à la suivante.
+ * @param {object} entry
+ * @param {Error|null} error
+ * @param {*} [result]
+ */
+const settleTask = (entry, error, result) => {
+  const { task } = entry;
+  entry.task = null;
+  // Un worker inoccupé ne doit pas empêcher l'arrêt du processus
+  entry.worker.unref();
+
+  if (task) {
+    if (error) task.reject(error);
+    else task.resolve(result);
+  }
+  dispatch();
+};
+
+/**
+ * Lance un worker. S'il s'arrête (erreur fatale, mémoire), la tâche en cours
+ * échoue et le worker est retiré du pool ; un autre sera lancé au besoin.
+ * @returns {object} - L'entrée du pool.
+ */
+const startWorker = () => {
+  const entry = { worker: new Worker(WORKER_URL), task: null };
+
+  entry.worker.on("message", ({ id, result, error, log }) => {
+    if (log !== undefined) {
+      console.log(log);
+      return;
+    }
+    if (entry.task?.id !== id) return;
+    settleTask(entry, error ? new Error(error) : null, result);
+  });
+  entry.worker.on("error", (error) => {
+    console.error(`❌ Worker d'analyse arrêté : ${error.message}`);
+  });
+  entry.worker.on("exit", (code) => {
+    workers.splice(workers.indexOf(entry), 1);
+    if (entry.task) {
+      settleTask(
+        entry,
+        new Error(`Le worker d'analyse s'est arrêté (code ${code})`)
+      );
+    }
+  });
+
+  workers.push(entry);
+  return entry;
+};
+
+/**
+ * Exécute un analyseur dans un worker (voir analyzerWorker.js).
+ * Les arguments et le résultat sont copiés entre les threads.
+ * @param {"classAnalysis"|"typography"} analyzer - Nom de l'analyseur.
+ * @param {...*} args - Arguments de l'analyseur.
+ * @returns {Promise<*>} - Le résultat de l'analyseur.
+ */
+export const runInWorker = (analyzer, ...args) =>
+  new Promise((resolve, reject) => {
+    pendingTasks.push({ id: nextTaskId++, analyzer, args, resolve, reject });
+    dispatch();
+  });
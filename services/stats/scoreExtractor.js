@@ -0,0 +1,75 @@
+const LIGHTHOUSE_CATEGORIES = [
+  "performance",
+  "accessibility",
+  "bestPractices",
+  "seo",
+];
+
+/**
+ * Extrait tous les scores d'un fichier JSON d'analyse.
+ * Un score de 0 est conservé ; null signifie que le score est absent
+ * (analyseur désactivé, en échec ou postérieur au rapport).
+ * @param {object} analysisData - Les données d'analyse complètes
+ * @returns {object} - Les scores extraits
+ */
+export const extractScores = (analysisData) => {
+  // Extraire les scores des analyses CSS
+  const cssScores = {
+    cssImports: analysisData.cssAnalysisResult?.imports?.score?.total ?? null,
+    cssVariables:
+      analysisData.cssAnalysisResult?.customProperties?.score?.total ?? null,
+    cssTypography:
+      analysisData.cssAnalysisResult?.typography?.score?.total ?? null,
+    cssColors: analysisData.cssAnalysisResult?.colors?.score?.total ?? null,
+    classAnalysis: analysisData.classAnalysis?.score?.bem?.total ?? null,
+  };
+
+  // Extraire le score des images HTML (moyenne de toutes les pages)
+  let htmlImagesScore = null;
+  if (analysisData.pages && Array.isArray(analysisData.pages)) {
+    const imageScores = analysisData.pages
+      .filter((page) => typeof page.imagesAnalysis?.score?.total === "number")
+      .map((page) => page.imagesAnalysis.score.total);
+
+    if (imageScores.length > 0) {
+      htmlImagesScore = Math.round(
+        imageScores.reduce((sum, score) => sum + score, 0) / imageScores.length
+      );
+    }
+  }
+
+  // Extraire les scores Lighthouse : moyenne des pages où la catégorie a été
+  // mesurée (une page en échec ne compte pas pour 0)
+  const reports = Array.isArray(analysisData.pages)
+    ? analysisData.pages.map((page) => page.lighthouseReport).filter(Boolean)
+    : [];
+  const lighthouseScores = Object.fromEntries(
+    LIGHTHOUSE_CATEGORIES.map((category) => {
+      const values = reports
+        .map((report) => report[category])
+        .filter((value) => typeof value === "number");
+      return [
+        category,
+        values.length > 0
+          ? Math.round(
+              (values.reduce((sum, value) => sum + value, 0) / values.length) *
+                100
+            )
+          : null,
+      ];
+    })
+  );
+
+  return {
+    ...cssScores,
+    htmlImages: htmlImagesScore,
+    ...lighthouseScores,
+    validation:
+      analysisData.validationScore?.total !== undefined
+        ? analysisData.validationScore.total
+        : null,
+    links: analysisData.linkCheck?.score?.total ?? null,
+    anchors: analysisData.anchors?.score?.total ?? null,
+    overall: analysisData.overallGrade?.score100 ?? null,
+  };
+};
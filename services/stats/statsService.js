@@ -1,98 +1,122 @@
-import fs from "fs/promises";
-import path from "path";
-import { fileURLToPath } from "url";
+import { getStore } from "../storage/storageService.js";
+import { listSnapshots } from "../history/snapshotService.js";
+import { getCohort } from "../cohorts/cohortService.js";
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const dataDir = path.join(__dirname, "../../data");
+// Écart à la moyenne (en écarts-types) au-delà duquel un score est signalé
+const OUTLIER_Z_SCORE = 2;
+// Largeur des tranches de l'histogramme (scores sur 100)
+const HISTOGRAM_BUCKET_SIZE = 10;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const meanOf = (scores) =>
+  scores.reduce((sum, score) => sum + score, 0) / scores.length;
 
 /**
- * Extrait tous les scores d'un fichier JSON d'analyse
- * @param {object} analysisData - Les données d'analyse complètes
- * @returns {object} - Les scores extraits
+ * Écart-type de la classe (population entière, pas un échantillon).
+ * @param {number[]} scores
+ * @returns {number}
  */
-const extractScores = (analysisData) => {
-  // Extraire les scores des analyses CSS
-  const cssScores = {
-    cssImports: analysisData.cssAnalysisResult?.imports?.score?.total || null,
-    cssVariables:
-      analysisData.cssAnalysisResult?.customProperties?.score?.total || null,
-    cssTypography:
-      analysisData.cssAnalysisResult?.typography?.score?.total || null,
-    cssColors: analysisData.cssAnalysisResult?.colors?.score?.total || null,
-    classAnalysis: analysisData.classAnalysis?.score?.bem?.total || null,
-  };
+const standardDeviation = (scores) => {
+  const mean = meanOf(scores);
+  return Math.sqrt(
+    scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / scores.length
+  );
+};
 
-  // Extraire le score des images HTML (moyenne de toutes les pages)
-  let htmlImagesScore = null;
-  if (analysisData.pages && Array.isArray(analysisData.pages)) {
-    const imageScores = analysisData.pages
-      .filter((page) => page.imagesAnalysis?.score?.total)
-      .map((page) => page.imagesAnalysis.score.total);
+/**
+ * Percentile par interpolation linéaire entre les deux scores encadrants.
+ * @param {number[]} sorted - Scores triés par ordre croissant.
+ * @param {number} p - Percentile entre 0 et 100.
+ * @returns {number}
+ */
+const percentile = (sorted, p) => {
+  const position = ((sorted.length - 1) * p) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
 
-    if (imageScores.length > 0) {
-      htmlImagesScore = Math.round(
-        imageScores.reduce((sum, score) => sum + score, 0) / imageScores.length
-      );
-    }
-  }
+/**
+ * Répartition des scores par tranches de 10 points (100 compte dans la
+ * dernière tranche).
+ * @param {number[]} scores
+ * @returns {Array<{from: number, to: number, count: number}>}
+ */
+const buildHistogram = (scores) => {
+  const bucketCount = 100 / HISTOGRAM_BUCKET_SIZE;
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    from: index * HISTOGRAM_BUCKET_SIZE,
+    to: (index + 1) * HISTOGRAM_BUCKET_SIZE,
+    count: 0,
+  }));
+  scores.forEach((score) => {
+    const index = Math.floor(score / HISTOGRAM_BUCKET_SIZE);
+    buckets[Math.min(Math.max(index, 0), bucketCount - 1)].count++;
+  });
+  return buckets;
+};
+
+/**
+ * Statistiques d'un critère
+ * @param {number[]} scores - Scores des étudiants notés sur ce critère
+ * @returns {object|null} - null si aucun étudiant n'est noté
+ */
+const calculateStats = (scores) => {
+  if (scores.length === 0) return null;
 
-  // Extraire les scores Lighthouse
-  const lighthouseScores = {
-    performance: null,
-    accessibility: null,
-    bestPractices: null,
-    seo: null,
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mean = meanOf(scores);
+  const median =
+    scores.length % 2 === 0
+      ? (sorted[scores.length / 2 - 1] + sorted[scores.length / 2]) / 2
+      : sorted[Math.floor(scores.length / 2)];
+
+  return {
+    mean: round1(mean),
+    median: round1(median),
+    min: Math.min(...scores),
+    max: Math.max(...scores),
+    count: scores.length,
+    stdDev: round1(standardDeviation(scores)),
+    q1: round1(percentile(sorted, 25)),
+    q3: round1(percentile(sorted, 75)),
+    p10: round1(percentile(sorted, 10)),
+    p90: round1(percentile(sorted, 90)),
+    histogram: buildHistogram(scores),
   };
+};
 
-  // Calculer les moyennes Lighthouse si des pages existent
-  if (analysisData.pages && Array.isArray(analysisData.pages)) {
-    const reports = analysisData.pages
-      .filter((page) => page.lighthouseReport)
-      .map((page) => page.lighthouseReport);
-
-    if (reports.length > 0) {
-      lighthouseScores.performance = Math.round(
-        (reports.reduce((sum, r) => sum + (r.performance || 0), 0) /
-          reports.length) *
-          100
-      );
-      lighthouseScores.accessibility = Math.round(
-        (reports.reduce((sum, r) => sum + (r.accessibility || 0), 0) /
-          reports.length) *
-          100
-      );
-      lighthouseScores.bestPractices = Math.round(
-        (reports.reduce((sum, r) => sum + (r.bestPractices || 0), 0) /
-          reports.length) *
-          100
-      );
-      lighthouseScores.seo = Math.round(
-        (reports.reduce((sum, r) => sum + (r.seo || 0), 0) / reports.length) *
-          100
-      );
-    }
-  }
+/**
+ * Position d'un score dans la classe
+ * @param {number} score - Score de l'étudiant
+ * @param {number[]} scores - Scores de la classe sur le même critère
+ * @returns {{zScore: number, percentileRank: number}} - Écart à la moyenne
+ *   en écarts-types (0 si tous les scores sont égaux) et part de la classe
+ *   sous ce score, en % (les ex aequo comptent pour moitié)
+ */
+const getStanding = (score, scores) => {
+  const stdDev = standardDeviation(scores);
+  const below = scores.filter((other) => other < score).length;
+  const equal = scores.filter((other) => other === score).length;
 
   return {
-    ...cssScores,
-    htmlImages: htmlImagesScore,
-    ...lighthouseScores,
-    validation:
-      analysisData.validationScore?.total !== undefined
-        ? analysisData.validationScore.total
-        : null,
+    zScore: stdDev > 0 ? round2((score - meanOf(scores)) / stdDev) : 0,
+    percentileRank: round1(((below + equal / 2) / scores.length) * 100),
   };
 };
 
 /**
- * Calcule les scores moyens et les statistiques pour tous les étudiants
- * @returns {object} - Statistiques agrégées
+ * Calcule les scores moyens et les statistiques d'un ensemble d'étudiants
+ * @param {Array<{name: string, scores: object}>} students - Scores retenus
+ *   pour chaque étudiant (les autres champs sont repris dans `studentData`)
+ * @returns {object} - Statistiques agrégées, avec pour chaque étudiant ses
+ *   z-scores, ses rangs centiles et ses scores à plus de deux écarts-types de
+ *   la moyenne (`outliers`, repris pour toute la classe)
  */
-export const calculateClassStats = async () => {
+export const calculateClassStats = (students) => {
   try {
-    const files = await fs.readdir(dataDir);
-    const jsonFiles = files.filter((f) => f.endsWith(".json"));
-
     const allScores = {
       cssImports: [],
       cssVariables: [],
@@ -101,26 +125,17 @@ export const calculateClassStats = async () => {
       classAnalysis: [],
       htmlImages: [],
       validation: [],
+      links: [],
+      anchors: [],
       performance: [],
       accessibility: [],
       bestPractices: [],
       seo: [],
+      overall: [],
     };
 
-    const studentData = [];
-
-    // Lire tous les fichiers JSON
-    for (const file of jsonFiles) {
-      const filePath = path.join(dataDir, file);
-      const content = await fs.readFile(filePath, "utf-8");
-      const analysisData = JSON.parse(content);
-
-      // Extraire le nom de l'étudiant (sans .json)
-      const studentName = file.replace(".json", "");
-
-      // Extraire les scores
-      const scores = extractScores(analysisData);
-
+    for (const student of students) {
+      const { scores } = student;
       // Ajouter aux collections
       if (scores.cssImports !== null)
         allScores.cssImports.push(scores.cssImports);
@@ -135,6 +150,8 @@ export const calculateClassStats = async () => {
         allScores.htmlImages.push(scores.htmlImages);
       if (scores.validation !== null)
         allScores.validation.push(scores.validation);
+      if (scores.links !== null) allScores.links.push(scores.links);
+      if (scores.anchors !== null) allScores.anchors.push(scores.anchors);
       if (scores.performance !== null)
         allScores.performance.push(scores.performance);
       if (scores.accessibility !== null)
@@ -142,36 +159,51 @@ export const calculateClassStats = async () => {
       if (scores.bestPractices !== null)
         allScores.bestPractices.push(scores.bestPractices);
       if (scores.seo !== null) allScores.seo.push(scores.seo);
-
-      studentData.push({
-        name: studentName,
-        scores,
-      });
+      // Absent des scores enregistrés avant la note globale
+      if (scores.overall != null) allScores.overall.push(scores.overall);
     }
 
-    // Calculer les moyennes et statistiques
-    const calculateStats = (scores) => {
-      if (scores.length === 0) return null;
+    // Position de chaque étudiant sur chaque critère où il est noté
+    const outliers = [];
+    const studentData = students.map((student) => {
+      const zScores = {};
+      const percentileRanks = {};
+      const studentOutliers = [];
+
+      Object.entries(allScores).forEach(([criterion, classScores]) => {
+        const score = student.scores[criterion];
+        if (score == null) return;
 
-      const sorted = [...scores].sort((a, b) => a - b);
-      const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
-      const median =
-        scores.length % 2 === 0
-          ? (sorted[scores.length / 2 - 1] + sorted[scores.length / 2]) / 2
-          : sorted[Math.floor(scores.length / 2)];
+        const { zScore, percentileRank } = getStanding(score, classScores);
+        zScores[criterion] = zScore;
+        percentileRanks[criterion] = percentileRank;
+        if (Math.abs(zScore) > OUTLIER_Z_SCORE) {
+          studentOutliers.push({
+            criterion,
+            score,
+            zScore,
+            direction: zScore < 0 ? "low" : "high",
+          });
+        }
+      });
 
+      outliers.push(
+        ...studentOutliers.map((outlier) => ({
+          name: student.name,
+          ...outlier,
+        }))
+      );
       return {
-        mean: Math.round(mean * 10) / 10,
-        median: Math.round(median * 10) / 10,
-        min: Math.min(...scores),
-        max: Math.max(...scores),
-        count: scores.length,
+        ...student,
+        zScores,
+        percentileRanks,
+        outliers: studentOutliers,
       };
-    };
+    });
 
     return {
       timestamp: new Date().toISOString(),
-      studentCount: jsonFiles.length,
+      studentCount: students.length,
       stats: {
         cssImports: calculateStats(allScores.cssImports),
         cssVariables: calculateStats(allScores.cssVariables),
@@ -180,14 +212,18 @@ export const calculateClassStats = async () => {
         classAnalysis: calculateStats(allScores.classAnalysis),
         htmlImages: calculateStats(allScores.htmlImages),
         validation: calculateStats(allScores.validation),
+        links: calculateStats(allScores.links),
+        anchors: calculateStats(allScores.anchors),
         lighthouse: {
           performance: calculateStats(allScores.performance),
           accessibility: calculateStats(allScores.accessibility),
           bestPractices: calculateStats(allScores.bestPractices),
           seo: calculateStats(allScores.seo),
         },
+        overall: calculateStats(allScores.overall),
       },
       studentData,
+      outliers,
     };
   } catch (error) {
     console.error("Error calculating class stats:", error.message);
@@ -195,6 +231,114 @@ export const calculateClassStats = async () => {
   }
 };
 
+/**
+ * Rapport d'un projet retenu pour un devoir : le dernier, ou si la date
+ * limite est passée, le dernier scanné avant elle (le dernier rapport est
+ * marqué en retard s'il n'y en a aucun).
+ * @param {object} latest - Entrée de listLatestScores.
+ * @param {string|null} deadline - Date limite du devoir (ISO).
+ * @returns {{snapshotId: string|null, scannedAt: string|null, late: boolean, scores: object}}
+ */
+const selectAssignmentScores = (latest, deadline) => {
+  const { meta, scores } = latest;
+  const scannedAt = meta?.scannedAt ?? null;
+  const lastReport = {
+    snapshotId: meta?.snapshotId ?? null,
+    scannedAt,
+    late: false,
+    scores,
+  };
+  if (!deadline || (scannedAt && new Date(scannedAt) <= new Date(deadline))) {
+    return lastReport;
+  }
+
+  // Historique du projet, du plus récent au plus ancien (rapports anciens
+  // datés par leur fichier)
+  const snapshots = listSnapshots(latest.projectName) || [];
+  const onTime = snapshots.find(
+    (snapshot) => new Date(snapshot.scannedAt) <= new Date(deadline)
+  );
+  if (onTime) {
+    return {
+      snapshotId: onTime.snapshotId,
+      scannedAt: onTime.scannedAt,
+      late: false,
+      scores: onTime.scores,
+    };
+  }
+  return {
+    ...lastReport,
+    scannedAt: scannedAt ?? snapshots[0]?.scannedAt ?? null,
+    late: true,
+  };
+};
+
+/**
+ * Calcule les statistiques d'une cohorte, pour un devoir ou tous ses devoirs.
+ * Les projets exclus (par la cohorte ou la requête) ne comptent pas ; les
+ * projets jamais scannés sont listés dans `missingProjects`.
+ * @param {string} cohortId - Identifiant de la cohorte
+ * @param {object} [options]
+ * @param {string} [options.assignmentId] - Devoir (tous si absent)
+ * @param {string[]} [options.exclude] - Projets exclus en plus de ceux de la cohorte
+ * @returns {object|null} - Statistiques agrégées, ou null si la cohorte ou le
+ *   devoir n'existe pas
+ */
+export const calculateCohortStats = (
+  cohortId,
+  { assignmentId, exclude = [] } = {}
+) => {
+  const cohort = getCohort(cohortId);
+  if (!cohort) return null;
+
+  const assignments = assignmentId
+    ? cohort.assignments.filter(({ id }) => id === assignmentId)
+    : cohort.assignments;
+  if (assignments.length === 0 && assignmentId) return null;
+
+  const excluded = new Set([...cohort.excludedProjects, ...exclude]);
+  const latestScores = new Map(
+    getStore()
+      .listLatestScores()
+      .map((latest) => [latest.projectName, latest])
+  );
+
+  const students = [];
+  const missingProjects = [];
+  assignments.forEach(({ id, projects, deadline }) => {
+    projects
+      .filter((projectName) => !excluded.has(projectName))
+      .forEach((projectName) => {
+        const latest = latestScores.get(projectName);
+        if (!latest) {
+          missingProjects.push(projectName);
+          return;
+        }
+        students.push({
+          name: projectName,
+          assignment: id,
+          ...selectAssignmentScores(latest, deadline),
+        });
+      });
+  });
+
+  const [assignment] = assignmentId ? assignments : [];
+  return {
+    cohort: { id: cohort.id, name: cohort.name },
+    assignment: assignment
+      ? {
+          id: assignment.id,
+          name: assignment.name,
+          rubric: assignment.rubric,
+          deadline: assignment.deadline,
+        }
+      : null,
+    excludedProjects: [...excluded].sort(),
+    missingProjects,
+    ...calculateClassStats(students),
+  };
+};
+
 /**
  * Compare le score d'un étudiant avec la moyenne de la classe
  * @param {string} studentName - Nom du fichier JSON (sans extension)
@@ -213,7 +357,7 @@ export const getStudentComparison = (studentName, classStats) => {
   const comparison = {};
 
   const addComparison = (key, statKey) => {
-    if (student.scores[key] !== null && classStats.stats[statKey]) {
+    if (student.scores[key] != null && classStats.stats[statKey]) {
       const average = classStats.stats[statKey].mean;
       const difference = student.scores[key] - average;
       const percentDiff = (difference / average) * 100;
@@ -223,6 +367,8 @@ export const getStudentComparison = (studentName, classStats) => {
         classAverage: average,
         difference: Math.round(difference * 10) / 10,
         percentDifference: Math.round(percentDiff * 10) / 10,
+        zScore: student.zScores[key],
+        percentileRank: student.percentileRanks[key],
         status: difference >= 0 ? "Au-dessus de la moyenne" : "Sous la moyenne",
       };
     }
@@ -235,6 +381,9 @@ export const getStudentComparison = (studentName, classStats) => {
   addComparison("classAnalysis", "classAnalysis");
   addComparison("htmlImages", "htmlImages");
   addComparison("validation", "validation");
+  addComparison("links", "links");
+  addComparison("anchors", "anchors");
+  addComparison("overall", "overall");
   addComparison("performance", "lighthouse");
   addComparison("accessibility", "lighthouse");
   addComparison("bestPractices", "lighthouse");
@@ -251,6 +400,8 @@ export const getStudentComparison = (studentName, classStats) => {
         classAverage: average,
         difference: Math.round(difference * 10) / 10,
         percentDifference: Math.round(percentDiff * 10) / 10,
+        zScore: student.zScores[key],
+        percentileRank: student.percentileRanks[key],
         status: difference >= 0 ? "Au-dessus de la moyenne" : "Sous la moyenne",
       };
     }
@@ -264,6 +415,7 @@ export const getStudentComparison = (studentName, classStats) => {
   return {
     studentName,
     comparison,
+    outliers: student.outliers,
     classStats: {
       studentCount: classStats.studentCount,
       stats: classStats.stats,
@@ -0,0 +1,263 @@
+import fs from "fs";
+import path from "path";
+import { extractScores } from "../stats/scoreExtractor.js";
+
+/**
+ * Construit l'identifiant d'un snapshot à partir de sa date (triable).
+ * @param {string} scannedAt - Date ISO du scan.
+ * @returns {string} - Ex. `2026-01-12T09-00-00-000Z`.
+ */
+export const toSnapshotId = (scannedAt) => scannedAt.replace(/[:.]/g, "-");
+
+/**
+ * Écrit un fichier JSON de manière atomique (fichier temporaire puis renommage).
+ * @param {string} filePath
+ * @param {object} data
+ */
+const writeJsonAtomic = (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+};
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+// Index de l'historique d'un projet (ne peut pas être un identifiant de snapshot)
+const INDEX_FILE = ".index.json";
+
+/**
+ * Stockage dans un dossier de fichiers JSON (format historique) :
+ * - `<dataDir>/<projet>.json` : dernier rapport de chaque projet ;
+ * - `<dataDir>/history/<projet>/<snapshotId>.json` : snapshots ;
+ * - `<dataDir>/history/<projet>/.index.json` : métadonnées et scores de
+ *   chaque snapshot, pour lister l'historique sans relire les rapports ;
+ * - `<dataDir>/cohorts/<id>.json` : cohortes.
+ * Les scores des derniers rapports sont gardés en mémoire tant que le fichier
+ * n'a pas changé, pour ne pas relire tous les rapports à chaque statistique.
+ * @param {string} dataDir - Dossier des données.
+ * @returns {object} - Le store (voir storageService.js).
+ */
+export const createJsonStore = (dataDir) => {
+  const historyDir = path.join(dataDir, "history");
+  const cohortsDir = path.join(dataDir, "cohorts");
+  const latestScores = new Map(); // projet → { mtimeMs, meta, scores }
+
+  const getLatestFilePath = (projectName) =>
+    path.join(dataDir, `${projectName}.json`);
+
+  const getProjectHistoryDir = (projectName) =>
+    path.join(historyDir, projectName);
+
+  const getSnapshotFilePath = (projectName, snapshotId) =>
+    path.join(getProjectHistoryDir(projectName), `${snapshotId}.json`);
+
+  const toIndexEntry = (report) => ({
+    meta: report.meta,
+    scores: extractScores(report),
+  });
+
+  /**
+   * Lit l'index de l'historique d'un projet. Il est complété à partir des
+   * fichiers de snapshots s'il manque (historique antérieur à l'index) ou
+   * s'il ne correspond plus aux fichiers présents.
+   * @param {string} projectName
+   * @returns {object} - `{ [snapshotId]: { meta, scores } }`
+   */
+  const readSnapshotIndex = (projectName) => {
+    const projectDir = getProjectHistoryDir(projectName);
+    const indexPath = path.join(projectDir, INDEX_FILE);
+    const snapshotIds = fs
+      .readdirSync(projectDir)
+      .filter((file) => file.endsWith(".json") && file !== INDEX_FILE)
+      .map((file) => file.replace(/\.json$/, ""));
+
+    let index = {};
+    try {
+      index = readJson(indexPath);
+    } catch {
+      // Index absent ou illisible : reconstruit ci-dessous
+    }
+    if (
+      snapshotIds.length === Object.keys(index).length &&
+      snapshotIds.every((snapshotId) => index[snapshotId])
+    ) {
+      return index;
+    }
+
+    const rebuilt = Object.fromEntries(
+      snapshotIds.map((snapshotId) => [
+        snapshotId,
+        index[snapshotId] ??
+          toIndexEntry(readJson(getSnapshotFilePath(projectName, snapshotId))),
+      ])
+    );
+    writeJsonAtomic(indexPath, rebuilt);
+    return rebuilt;
+  };
+
+  /**
+   * Retourne le rapport d'un projet scanné avant la mise en place des snapshots
+   * (sans historique), présenté comme un snapshot daté de sa dernière modification.
+   * @param {string} projectName
+   * @returns {object|null} - Le rapport, ou null s'il n'y en a pas.
+   */
+  const getLegacySnapshot = (projectName) => {
+    const latestPath = getLatestFilePath(projectName);
+    if (
+      !fs.existsSync(latestPath) ||
+      fs.existsSync(getProjectHistoryDir(projectName))
+    ) {
+      return null;
+    }
+
+    const report = readJson(latestPath);
+    if (report.meta?.snapshotId) return null;
+
+    const scannedAt = fs.statSync(latestPath).mtime.toISOString();
+    return {
+      ...report,
+      meta: {
+        projectName,
+        snapshotId: toSnapshotId(scannedAt),
+        url: null,
+        scannedAt,
+        durationMs: null,
+        analyzerVersions: null,
+        legacy: true,
+      },
+    };
+  };
+
+  const listProjects = () => {
+    if (!fs.existsSync(dataDir)) return [];
+
+    return fs
+      .readdirSync(dataDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.replace(/\.json$/, ""));
+  };
+
+  const getLatestReport = (projectName) => {
+    const filePath = getLatestFilePath(projectName);
+    return fs.existsSync(filePath) ? readJson(filePath) : null;
+  };
+
+  const hasSnapshot = (projectName, snapshotId) =>
+    fs.existsSync(getSnapshotFilePath(projectName, snapshotId)) ||
+    getLegacySnapshot(projectName)?.meta.snapshotId === snapshotId;
+
+  const saveSnapshot = (projectName, snapshot) => {
+    // Conserver le rapport existant pour ne pas le perdre
+    const legacySnapshot = getLegacySnapshot(projectName);
+    fs.mkdirSync(getProjectHistoryDir(projectName), { recursive: true });
+    const index = readSnapshotIndex(projectName);
+    if (legacySnapshot) {
+      writeJsonAtomic(
+        getSnapshotFilePath(projectName, legacySnapshot.meta.snapshotId),
+        legacySnapshot
+      );
+      index[legacySnapshot.meta.snapshotId] = toIndexEntry(legacySnapshot);
+    }
+
+    writeJsonAtomic(
+      getSnapshotFilePath(projectName, snapshot.meta.snapshotId),
+      snapshot
+    );
+    index[snapshot.meta.snapshotId] = toIndexEntry(snapshot);
+    writeJsonAtomic(
+      path.join(getProjectHistoryDir(projectName), INDEX_FILE),
+      index
+    );
+    writeJsonAtomic(getLatestFilePath(projectName), snapshot);
+  };
+
+  const listSnapshots = (projectName) => {
+    const projectDir = getProjectHistoryDir(projectName);
+    if (!fs.existsSync(projectDir)) {
+      const legacySnapshot = getLegacySnapshot(projectName);
+      return legacySnapshot
+        ? [{ ...legacySnapshot.meta, scores: extractScores(legacySnapshot) }]
+        : null;
+    }
+
+    const index = readSnapshotIndex(projectName);
+    return Object.keys(index)
+      .sort()
+      .reverse()
+      .map((snapshotId) => ({
+        ...index[snapshotId].meta,
+        scores: index[snapshotId].scores,
+      }));
+  };
+
+  const getSnapshot = (projectName, snapshotId) => {
+    const filePath = getSnapshotFilePath(projectName, snapshotId);
+    if (!fs.existsSync(filePath)) {
+      const legacySnapshot = getLegacySnapshot(projectName);
+      return legacySnapshot?.meta.snapshotId === snapshotId
+        ? legacySnapshot
+        : null;
+    }
+
+    return readJson(filePath);
+  };
+
+  const listLatestScores = () =>
+    listProjects().map((projectName) => {
+      const { mtimeMs } = fs.statSync(getLatestFilePath(projectName));
+      const cached = latestScores.get(projectName);
+      if (cached?.mtimeMs === mtimeMs) {
+        return { projectName, meta: cached.meta, scores: cached.scores };
+      }
+
+      const report = readJson(getLatestFilePath(projectName));
+      const entry = {
+        mtimeMs,
+        meta: report.meta || null,
+        scores: extractScores(report),
+      };
+      latestScores.set(projectName, entry);
+      return { projectName, meta: entry.meta, scores: entry.scores };
+    });
+
+  const listCohorts = () => {
+    if (!fs.existsSync(cohortsDir)) return [];
+
+    return fs
+      .readdirSync(cohortsDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => readJson(path.join(cohortsDir, file)));
+  };
+
+  const getCohort = (id) => {
+    const filePath = path.join(cohortsDir, `${id}.json`);
+    return fs.existsSync(filePath) ? readJson(filePath) : null;
+  };
+
+  const saveCohort = (cohort) => {
+    fs.mkdirSync(cohortsDir, { recursive: true });
+    writeJsonAtomic(path.join(cohortsDir, `${cohort.id}.json`), cohort);
+  };
+
+  const deleteCohort = (id) => {
+    const filePath = path.join(cohortsDir, `${id}.json`);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  };
+
+  return {
+    name: "json",
+    listProjects,
+    getLatestReport,
+    hasSnapshot,
+    saveSnapshot,
+    listSnapshots,
+    getSnapshot,
+    listLatestScores,
+    listCohorts,
+    getCohort,
+    saveCohort,
+    deleteCohort,
+  };
+};
@@ -0,0 +1,167 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { extractScores } from "../stats/scoreExtractor.js";
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    name TEXT PRIMARY KEY,
+    latest_snapshot_id TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS snapshots (
+    project_name TEXT NOT NULL,
+    snapshot_id TEXT NOT NULL,
+    scanned_at TEXT NOT NULL,
+    meta TEXT NOT NULL,
+    scores TEXT NOT NULL,
+    report TEXT NOT NULL,
+    PRIMARY KEY (project_name, snapshot_id)
+  );
+  CREATE INDEX IF NOT EXISTS snapshots_by_date
+    ON snapshots (project_name, scanned_at);
+  CREATE TABLE IF NOT EXISTS cohorts (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * Charge better-sqlite3, dépendance optionnelle utilisée seulement par ce
+ * backend.
+ * @returns {Function} - Le constructeur `Database`.
+ */
+const loadSqlite = () => {
+  try {
+    return require("better-sqlite3");
+  } catch {
+    throw new Error(
+      "SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)"
+    );
+  }
+};
+
+/**
+ * Stockage dans une base SQLite : un snapshot par ligne, avec ses scores
+ * pré-calculés, et un pointeur vers le dernier snapshot de chaque projet.
+ * Les statistiques ne lisent que les scores, sans parser les rapports.
+ * @param {string} dbPath - Fichier de la base (créé au besoin).
+ * @returns {object} - Le store (voir storageService.js).
+ */
+export const createSqliteStore = (dbPath) => {
+  const Database = loadSqlite();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+
+  const statements = {
+    listProjects: db.prepare("SELECT name FROM projects ORDER BY name"),
+    getLatestReport: db.prepare(`
+      SELECT s.report FROM projects p
+      JOIN snapshots s
+        ON s.project_name = p.name AND s.snapshot_id = p.latest_snapshot_id
+      WHERE p.name = ?
+    `),
+    hasSnapshot: db.prepare(
+      "SELECT 1 FROM snapshots WHERE project_name = ? AND snapshot_id = ?"
+    ),
+    insertSnapshot: db.prepare(`
+      INSERT OR REPLACE INTO snapshots
+        (project_name, snapshot_id, scanned_at, meta, scores, report)
+      VALUES (@projectName, @snapshotId, @scannedAt, @meta, @scores, @report)
+    `),
+    upsertProject: db.prepare(`
+      INSERT INTO projects (name, latest_snapshot_id, updated_at)
+      VALUES (@projectName, @snapshotId, @scannedAt)
+      ON CONFLICT (name) DO UPDATE SET
+        latest_snapshot_id = excluded.latest_snapshot_id,
+        updated_at = excluded.updated_at
+    `),
+    listSnapshots: db.prepare(`
+      SELECT meta, scores FROM snapshots
+      WHERE project_name = ?
+      ORDER BY scanned_at DESC, snapshot_id DESC
+    `),
+    getSnapshot: db.prepare(
+      "SELECT report FROM snapshots WHERE project_name = ? AND snapshot_id = ?"
+    ),
+    listLatestScores: db.prepare(`
+      SELECT p.name, s.meta, s.scores FROM projects p
+      JOIN snapshots s
+        ON s.project_name = p.name AND s.snapshot_id = p.latest_snapshot_id
+      ORDER BY p.name
+    `),
+    listCohorts: db.prepare("SELECT data FROM cohorts ORDER BY id"),
+    getCohort: db.prepare("SELECT data FROM cohorts WHERE id = ?"),
+    saveCohort: db.prepare(
+      "INSERT OR REPLACE INTO cohorts (id, data) VALUES (?, ?)"
+    ),
+    deleteCohort: db.prepare("DELETE FROM cohorts WHERE id = ?"),
+  };
+
+  const writeSnapshot = db.transaction((projectName, snapshot, latest) => {
+    const row = {
+      projectName,
+      snapshotId: snapshot.meta.snapshotId,
+      scannedAt: snapshot.meta.scannedAt,
+      meta: JSON.stringify(snapshot.meta),
+      scores: JSON.stringify(extractScores(snapshot)),
+      report: JSON.stringify(snapshot),
+    };
+    statements.insertSnapshot.run(row);
+    if (latest) statements.upsertProject.run(row);
+  });
+
+  return {
+    name: "sqlite",
+    listProjects: () =>
+      statements.listProjects.all().map((row) => row.name),
+    getLatestReport: (projectName) => {
+      const row = statements.getLatestReport.get(projectName);
+      return row ? JSON.parse(row.report) : null;
+    },
+    hasSnapshot: (projectName, snapshotId) =>
+      Boolean(statements.hasSnapshot.get(projectName, snapshotId)),
+    /**
+     * @param {string} projectName
+     * @param {object} snapshot - Le rapport, avec `meta.snapshotId`.
+     * @param {object} [options]
+     * @param {boolean} [options.latest=true] - Devient le dernier rapport du
+     *   projet (false pour importer un snapshot plus ancien).
+     */
+    saveSnapshot: (projectName, snapshot, { latest = true } = {}) =>
+      writeSnapshot(projectName, snapshot, latest),
+    listSnapshots: (projectName) => {
+      const rows = statements.listSnapshots.all(projectName);
+      if (rows.length === 0) return null;
+      return rows.map((row) => ({
+        ...JSON.parse(row.meta),
+        scores: JSON.parse(row.scores),
+      }));
+    },
+    getSnapshot: (projectName, snapshotId) => {
+      const row = statements.getSnapshot.get(projectName, snapshotId);
+      return row ? JSON.parse(row.report) : null;
+    },
+    listLatestScores: () =>
+      statements.listLatestScores.all().map((row) => ({
+        projectName: row.name,
+        meta: JSON.parse(row.meta),
+        scores: JSON.parse(row.scores),
+      })),
+    listCohorts: () =>
+      statements.listCohorts.all().map((row) => JSON.parse(row.data)),
+    getCohort: (id) => {
+      const row = statements.getCohort.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    saveCohort: (cohort) => {
+      statements.saveCohort.run(cohort.id, JSON.stringify(cohort));
+    },
+    deleteCohort: (id) => statements.deleteCohort.run(id).changes > 0,
+    close: () => db.close(),
+  };
+};
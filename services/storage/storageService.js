@@ -0,0 +1,58 @@
+/**
+ * Point d'accès au stockage des projets, snapshots et cohortes.
+ *
+ * Les deux backends exposent les mêmes fonctions (synchrones) :
+ * - `listProjects()` → noms des projets ayant un rapport ;
+ * - `getLatestReport(projectName)` → dernier rapport, ou null ;
+ * - `hasSnapshot(projectName, snapshotId)` ;
+ * - `saveSnapshot(projectName, snapshot)` → enregistre le snapshot et en fait le dernier rapport ;
+ * - `listSnapshots(projectName)` → métadonnées et scores, du plus récent au plus ancien, ou null ;
+ * - `getSnapshot(projectName, snapshotId)` → le rapport, ou null ;
+ * - `listLatestScores()` → `[{ projectName, meta, scores }]` du dernier rapport de chaque projet ;
+ * - `listCohorts()`, `getCohort(id)`, `saveCohort(cohort)`, `deleteCohort(id)`.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { createJsonStore } from "./jsonStore.js";
+import { createSqliteStore } from "./sqliteStore.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = path.join(__dirname, "../../data");
+
+// Backend utilisé : "json" (dossier data/, par défaut) ou "sqlite"
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "json";
+const SQLITE_PATH = process.env.SQLITE_PATH
+  ? path.resolve(process.env.SQLITE_PATH)
+  : path.join(DATA_DIR, "analysis.db");
+
+let store = null;
+
+/**
+ * Crée un store.
+ * @param {"json"|"sqlite"} backend
+ * @param {object} [options]
+ * @param {string} [options.dataDir] - Dossier du backend JSON.
+ * @param {string} [options.sqlitePath] - Fichier du backend SQLite.
+ * @returns {object}
+ */
+export const createStore = (
+  backend,
+  { dataDir = DATA_DIR, sqlitePath = SQLITE_PATH } = {}
+) => {
+  if (backend === "json") return createJsonStore(dataDir);
+  if (backend === "sqlite") return createSqliteStore(sqlitePath);
+  throw new Error(`Unknown storage backend: ${backend}`);
+};
+
+/**
+ * Retourne le store configuré par `STORAGE_BACKEND` (créé au premier appel).
+ * @returns {object}
+ */
+export const getStore = () => {
+  if (!store) {
+    store = createStore(STORAGE_BACKEND);
+    console.log(`🗄️ Stockage : ${store.name}`);
+  }
+  return store;
+};
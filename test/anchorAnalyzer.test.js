@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { analyzeAnchors } from "../services/html/anchorAnalyzer.js";
+
+const site = "https://site.test/";
+
+const pages = [
+  {
+    url: site,
+    htmlContent: `<h2 id="contact">Contact</h2> <p id="contact">Doublon</p>
+      <a href="#contact">Ici</a> <a href="#absente">Absente</a>
+      <a href="#">Haut</a> <a href="#top">Haut</a>
+      <a href="#caf%C3%A9">Café</a> <a name="café"></a>
+      <a href="cours.html#chapitre-2">Chapitre 2</a>
+      <a href="cours.html#chapitre-9">Chapitre 9</a>
+      <a href="index.html#contact">Contact</a>
+      <a href="https://ailleurs.test/#nimporte">Externe</a>
+      <a href="brouillon.html#section">Non analysée</a>`,
+  },
+  {
+    url: `${site}cours.html`,
+    htmlContent: `<h2 id="chapitre-2">Chapitre 2</h2>
+      <label for="nom">Nom</label> <input id="nom" />
+      <label for="courriel">Courriel</label>
+      <input aria-labelledby="nom  legende" aria-describedby="aide" />
+      <p id="aide">Aide</p>`,
+  },
+];
+
+test("ids en double, ancres sans cible et références absentes", () => {
+  const report = analyzeAnchors(pages);
+
+  assert.deepEqual(report.duplicateIds, [
+    { page: site, id: "contact", count: 2 },
+  ]);
+  assert.deepEqual(report.brokenFragments, [
+    {
+      page: site,
+      href: "#absente",
+      target: site,
+      fragment: "absente",
+      samePage: true,
+    },
+    {
+      page: site,
+      href: "cours.html#chapitre-9",
+      target: `${site}cours.html`,
+      fragment: "chapitre-9",
+      samePage: false,
+    },
+  ]);
+  assert.deepEqual(report.brokenIdReferences, [
+    {
+      page: `${site}cours.html`,
+      tag: "label",
+      attribute: "for",
+      id: "courriel",
+    },
+    {
+      page: `${site}cours.html`,
+      tag: "input",
+      attribute: "aria-labelledby",
+      id: "legende",
+    },
+  ]);
+});
+
+test("résumé et score", () => {
+  const { summary, score } = analyzeAnchors(pages);
+
+  assert.deepEqual(summary, {
+    pages: 2,
+    ids: 4,
+    fragmentLinks: 6,
+    duplicateIds: 1,
+    brokenFragments: 2,
+    brokenIdReferences: 2,
+  });
+  assert.equal(score.total, 75);
+  assert.equal(score.grade, "C");
+  assert.equal(score.improvements.length, 3);
+});
+
+test("sans problème, un score parfait", () => {
+  const { score } = analyzeAnchors([
+    { url: site, htmlContent: '<a href="#a">A</a><p id="a"></p>' },
+  ]);
+
+  assert.equal(score.total, 100);
+  assert.deepEqual(score.improvements, [
+    "Ancres et références d'ids toutes valides",
+  ]);
+});
@@ -0,0 +1,211 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import * as tar from "tar";
+import {
+  detectArchiveType,
+  extractArchive,
+  getArchiveSiteRoot,
+  removeExtractedArchive,
+} from "../services/scan/archiveService.js";
+
+/**
+ * Construit un zip en mémoire. AdmZip nettoie les noms à l'ajout : les noms
+ * piégés sont écrits ensuite dans le buffer (même longueur).
+ * @param {object} files - Chemin dans l'archive → contenu.
+ * @param {object} [renames] - Nom ajouté → nom écrit dans l'archive.
+ * @returns {Buffer}
+ */
+const buildZip = (files, renames = {}) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) =>
+    zip.addFile(name, Buffer.from(content))
+  );
+  const buffer = zip.toBuffer();
+  Object.entries(renames).forEach(([from, to]) => {
+    for (let i = buffer.indexOf(from); i >= 0; i = buffer.indexOf(from)) {
+      buffer.write(to, i);
+    }
+  });
+  return buffer;
+};
+
+/**
+ * Construit un tar.gz à partir d'un répertoire de travail temporaire.
+ * @param {(dir: string) => void} populate - Crée les fichiers à archiver.
+ * @returns {Buffer}
+ */
+const buildTarGz = (populate) => {
+  const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-src-"));
+  try {
+    populate(srcDir);
+    const archivePath = path.join(srcDir, "site.tar.gz");
+    tar.c(
+      { gzip: true, sync: true, cwd: srcDir, file: archivePath },
+      fs.readdirSync(srcDir).filter((name) => name !== "site.tar.gz")
+    );
+    return fs.readFileSync(archivePath);
+  } finally {
+    fs.rmSync(srcDir, { recursive: true, force: true });
+  }
+};
+
+// Fichiers extraits, relatifs au répertoire d'extraction
+const listFiles = (dir) =>
+  fs
+    .readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter((entry) => !entry.isDirectory())
+    .map((entry) =>
+      path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name))
+    )
+    .sort();
+
+test("détecte le format à partir des premiers octets", () => {
+  const tarHeader = Buffer.alloc(512);
+  tarHeader.write("ustar", 257);
+
+  assert.equal(detectArchiveType(buildZip({ "a.txt": "a" })), "zip");
+  assert.equal(detectArchiveType(Buffer.from([0x1f, 0x8b, 8, 0])), "tar.gz");
+  assert.equal(detectArchiveType(tarHeader), "tar");
+  assert.equal(detectArchiveType(Buffer.from("<html>")), null);
+  assert.equal(detectArchiveType(Buffer.alloc(0)), null);
+});
+
+test("refuse un format inconnu", async () => {
+  await assert.rejects(
+    extractArchive(Buffer.from("pas une archive")),
+    /Unsupported archive format/
+  );
+});
+
+test("zip : extrait le site et ignore les chemins hors archive", async () => {
+  const workDir = await extractArchive(
+    buildZip(
+      {
+        "projet/index.html": "<h1>Accueil</h1>",
+        "projet/css/style.css": "body {}",
+        "xx/evil.txt": "hors archive",
+      },
+      { "xx/evil.txt": "../evil.txt" }
+    )
+  );
+
+  try {
+    const siteDir = path.join(workDir, "site");
+    assert.deepEqual(listFiles(siteDir), [
+      path.join("projet", "css", "style.css"),
+      path.join("projet", "index.html"),
+    ]);
+    assert.equal(fs.existsSync(path.join(workDir, "evil.txt")), false);
+    // Le dossier englobant est ignoré : le site est servi depuis index.html
+    assert.equal(getArchiveSiteRoot(workDir), path.join(siteDir, "projet"));
+  } finally {
+    removeExtractedArchive(workDir);
+  }
+  assert.equal(fs.existsSync(workDir), false);
+});
+
+test("zip : refuse plus de 5000 entrées", async () => {
+  const files = Object.fromEntries(
+    Array.from({ length: 5001 }, (_, i) => [`f${i}.txt`, ""])
+  );
+
+  await assert.rejects(
+    extractArchive(buildZip(files)),
+    /more than 5000 entries/
+  );
+});
+
+test("zip : la taille annoncée par l'archive n'est pas prise en compte", async () => {
+  const buffer = buildZip({ "index.html": "<h1>" });
+  // Taille non compressée annoncée par le répertoire central
+  const centralHeader = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(201 * 1024 * 1024, centralHeader + 24);
+
+  const workDir = await extractArchive(buffer);
+  try {
+    assert.deepEqual(listFiles(path.join(workDir, "site")), ["index.html"]);
+  } finally {
+    removeExtractedArchive(workDir);
+  }
+});
+
+test("zip : refuse plus de 200 Mo une fois décompressé, même annoncé petit", async () => {
+  const buffer = buildZip({ "bombe.txt": Buffer.alloc(201 * 1024 * 1024) });
+  // L'en-tête local et le répertoire central annoncent 1 Ko
+  const localHeader = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  const centralHeader = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  buffer.writeUInt32LE(1024, localHeader + 22);
+  buffer.writeUInt32LE(1024, centralHeader + 24);
+
+  await assert.rejects(extractArchive(buffer), /too large once extracted/);
+});
+
+test("zip : refuse une entrée corrompue", async () => {
+  const buffer = buildZip({ "index.html": "<h1>Accueil</h1>" });
+  const centralHeader = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+  const localHeader = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  buffer.writeUInt32LE(0xdeadbeef, centralHeader + 16);
+  buffer.writeUInt32LE(0xdeadbeef, localHeader + 14);
+
+  await assert.rejects(extractArchive(buffer), /Corrupted entry: index.html/);
+});
+
+test("tar.gz : extrait fichiers et dossiers, ignore les liens", async () => {
+  const workDir = await extractArchive(
+    buildTarGz((dir) => {
+      fs.writeFileSync(path.join(dir, "index.html"), "<h1>Accueil</h1>");
+      fs.mkdirSync(path.join(dir, "img"));
+      fs.writeFileSync(path.join(dir, "img", "logo.svg"), "<svg/>");
+      fs.symlinkSync("/etc/passwd", path.join(dir, "passwd"));
+    })
+  );
+
+  try {
+    const siteDir = path.join(workDir, "site");
+    assert.deepEqual(listFiles(siteDir), [
+      path.join("img", "logo.svg"),
+      "index.html",
+    ]);
+    assert.equal(getArchiveSiteRoot(workDir), siteDir);
+  } finally {
+    removeExtractedArchive(workDir);
+  }
+});
+
+test("tar : ignore les chemins qui remontent hors de l'archive", async () => {
+  const srcDir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-src-"));
+  fs.mkdirSync(path.join(srcDir, "site"));
+  fs.writeFileSync(path.join(srcDir, "site", "index.html"), "<h1>");
+  fs.writeFileSync(path.join(srcDir, "outside.txt"), "hors archive");
+  const archivePath = path.join(srcDir, "site.tar");
+  tar.c(
+    {
+      sync: true,
+      cwd: path.join(srcDir, "site"),
+      file: archivePath,
+      preservePaths: true,
+    },
+    ["index.html", "../outside.txt"]
+  );
+
+  const workDir = await extractArchive(fs.readFileSync(archivePath));
+  fs.rmSync(srcDir, { recursive: true, force: true });
+
+  try {
+    assert.deepEqual(listFiles(workDir), [path.join("site", "index.html")]);
+  } finally {
+    removeExtractedArchive(workDir);
+  }
+});
+
+test("ne supprime que les répertoires d'extraction", () => {
+  const otherDir = fs.mkdtempSync(path.join(os.tmpdir(), "other-"));
+
+  removeExtractedArchive(otherDir);
+  assert.equal(fs.existsSync(otherDir), true);
+  fs.rmSync(otherDir, { recursive: true });
+});
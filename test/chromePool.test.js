@@ -0,0 +1,123 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { setTimeout as delay } from "timers/promises";
+
+// Lus au chargement du pool
+process.env.LIGHTHOUSE_CONCURRENCY = "2";
+process.env.CHROME_IDLE_TIMEOUT_MS = "30";
+const { initChromePool, withChrome } = await import(
+  "../services/html/chromePool.js"
+);
+
+// Chrome simulé : chaque lancement reçoit un nouveau port
+const launched = [];
+let failNextLaunch = false;
+initChromePool({
+  launch: async () => {
+    if (failNextLaunch) {
+      failNextLaunch = false;
+      throw new Error("Chrome introuvable");
+    }
+    const chrome = {
+      port: 9000 + launched.length,
+      process: new EventEmitter(),
+      killed: false,
+      kill: async () => {
+        chrome.killed = true;
+      },
+    };
+    launched.push(chrome);
+    return chrome;
+  },
+});
+
+const waitForIdleClose = () => delay(60);
+
+test("limite les audits simultanés et réutilise les navigateurs", async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const audit = async (port) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(5);
+    running--;
+    return port;
+  };
+
+  const ports = await Promise.all([1, 2, 3, 4].map(() => withChrome(audit)));
+
+  assert.equal(maxRunning, 2);
+  assert.equal(launched.length, 2);
+  assert.deepEqual([...new Set(ports)].sort(), [9000, 9001]);
+
+  await waitForIdleClose();
+  assert.ok(launched.every((chrome) => chrome.killed));
+});
+
+test("relance une fois l'audit quand Chrome plante", async () => {
+  launched.length = 0;
+  let attempts = 0;
+
+  const port = await withChrome(async (port) => {
+    attempts++;
+    if (attempts === 1) {
+      throw Object.assign(new Error("connect failed"), {
+        code: "ECONNREFUSED",
+      });
+    }
+    return port;
+  });
+
+  assert.equal(attempts, 2);
+  assert.equal(launched[0].killed, true);
+  assert.equal(port, launched[1].port);
+
+  // Deuxième plantage : l'erreur remonte
+  await assert.rejects(
+    withChrome(async () => {
+      throw new Error("Target closed");
+    }),
+    /Target closed/
+  );
+  await waitForIdleClose();
+});
+
+test("une erreur de la page ne remplace pas le navigateur", async () => {
+  launched.length = 0;
+
+  await assert.rejects(
+    withChrome(async () => {
+      throw new Error("NO_FCP");
+    }),
+    /NO_FCP/
+  );
+  const port = await withChrome(async (port) => port);
+
+  assert.equal(launched.length, 1);
+  assert.equal(port, launched[0].port);
+  await waitForIdleClose();
+});
+
+test("un Chrome fermé de lui-même est retiré du pool", async () => {
+  launched.length = 0;
+
+  await withChrome(async () => {});
+  launched[0].process.emit("exit");
+  await withChrome(async () => {});
+
+  assert.equal(launched.length, 2);
+  await waitForIdleClose();
+});
+
+test("un lancement raté libère sa place", async () => {
+  launched.length = 0;
+  failNextLaunch = true;
+
+  await assert.rejects(
+    withChrome(async () => {}),
+    /Chrome introuvable/
+  );
+  assert.equal(await withChrome(async (port) => port), launched[0].port);
+  await waitForIdleClose();
+});
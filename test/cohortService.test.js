@@ -0,0 +1,137 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import {
+  createCohort,
+  deleteCohort,
+  findProjectAssignment,
+  getCohort,
+  updateCohort,
+} from "../services/cohorts/cohortService.js";
+import { DATA_DIR } from "../services/storage/storageService.js";
+
+// Cohortes et projets propres à ce test, supprimés à la fin
+const suffix = process.pid;
+const cohortId = `test-mmi-${suffix}`;
+const otherId = `test-autre-${suffix}`;
+const alice = `test-alice-${suffix}`;
+const bob = `test-bob-${suffix}`;
+const cohortsDir = path.join(DATA_DIR, "cohorts");
+const hadCohortsDir = fs.existsSync(cohortsDir);
+
+after(() => {
+  deleteCohort(cohortId);
+  deleteCohort(otherId);
+  if (!hadCohortsDir) fs.rmSync(cohortsDir, { recursive: true, force: true });
+});
+
+const definition = {
+  id: cohortId,
+  name: "  BUT MMI  ",
+  assignments: [
+    {
+      name: "TP 3 : Accessibilité",
+      rubric: "default",
+      deadline: "2026-03-01T18:00:00+01:00",
+      projects: [alice, bob, alice],
+    },
+  ],
+  excludedProjects: [bob],
+};
+
+test("crée une cohorte et normalise ses devoirs", () => {
+  const cohort = createCohort(definition);
+
+  assert.equal(cohort.name, "BUT MMI");
+  assert.deepEqual(cohort.assignments, [
+    {
+      id: "tp-3-accessibilite",
+      name: "TP 3 : Accessibilité",
+      rubric: "default",
+      deadline: "2026-03-01T17:00:00.000Z",
+      projects: [alice, bob],
+    },
+  ]);
+  assert.deepEqual(cohort.excludedProjects, [bob]);
+  assert.equal(cohort.createdAt, cohort.updatedAt);
+  assert.deepEqual(getCohort(cohortId), cohort);
+
+  // Identifiant déjà pris
+  assert.equal(createCohort(definition), null);
+});
+
+test("retrouve le devoir d'un projet", () => {
+  const { cohort, assignment } = findProjectAssignment(bob);
+
+  assert.equal(cohort.id, cohortId);
+  assert.equal(assignment.id, "tp-3-accessibilite");
+  assert.equal(findProjectAssignment(`test-inconnu-${suffix}`), null);
+});
+
+test("un projet n'appartient qu'à un devoir", () => {
+  assert.throws(
+    () =>
+      createCohort({
+        id: otherId,
+        name: "Autre",
+        assignments: [{ name: "TP1", projects: [alice] }],
+      }),
+    new RegExp(`Project ${alice} already belongs to cohort ${cohortId}`)
+  );
+  assert.throws(
+    () =>
+      updateCohort(cohortId, {
+        name: "BUT MMI",
+        assignments: [
+          { name: "TP1", projects: [alice] },
+          { name: "TP2", projects: [alice] },
+        ],
+      }),
+    /is listed in assignments tp1 and tp2/
+  );
+});
+
+test("rejette les définitions invalides", () => {
+  const invalid = [
+    [{ name: " " }, /Cohort name is required/],
+    [{ name: "A", id: "a/b" }, /Invalid cohort id: a\/b/],
+    [{ name: "A", assignments: {} }, /assignments must be an array/],
+    [
+      { name: "A", assignments: [{ name: "TP", rubric: "inexistant" }] },
+      /Unknown rubric: inexistant/,
+    ],
+    [
+      { name: "A", assignments: [{ name: "TP", deadline: "demain" }] },
+      /Invalid deadline for assignment tp/,
+    ],
+    [
+      { name: "A", assignments: [{ name: "TP" }, { name: "TP" }] },
+      /Duplicate assignment id: tp/,
+    ],
+    [{ name: "A", excludedProjects: ["../x"] }, /Invalid project name/],
+  ];
+
+  invalid.forEach(([cohort, message]) => {
+    assert.throws(() => createCohort({ id: otherId, ...cohort }), message);
+  });
+  assert.equal(getCohort(otherId), null);
+});
+
+test("met à jour puis supprime une cohorte", () => {
+  const created = getCohort(cohortId);
+  const updated = updateCohort(cohortId, {
+    id: "ignore",
+    name: "BUT MMI 2026",
+  });
+
+  assert.equal(updated.id, cohortId);
+  assert.deepEqual(updated.assignments, []);
+  assert.equal(updated.createdAt, created.createdAt);
+  assert.equal(findProjectAssignment(alice), null);
+  assert.equal(updateCohort(otherId, definition), null);
+
+  assert.equal(deleteCohort(cohortId), true);
+  assert.equal(deleteCohort(cohortId), false);
+  assert.equal(deleteCohort("../x"), false);
+});
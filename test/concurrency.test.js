@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "timers/promises";
+import { mapWithConcurrency } from "../services/shared/concurrency.js";
+import { runInWorker } from "../services/shared/workerPool.js";
+import { performClassAnalysis } from "../services/css/classAnalysisService.js";
+
+test("limite les appels simultanés et garde l'ordre des éléments", async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await mapWithConcurrency(
+    [30, 5, 20, 1, 10],
+    2,
+    async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+      return `${index}:${ms}`;
+    }
+  );
+
+  assert.equal(maxRunning, 2);
+  assert.deepEqual(results, ["0:30", "1:5", "2:20", "3:1", "4:10"]);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  // Une limite invalide traite quand même les éléments un par un
+  assert.deepEqual(
+    await mapWithConcurrency([1, 2], 0, async (n) => n * 2),
+    [2, 4]
+  );
+});
+
+test("une erreur de traitement fait échouer l'ensemble", async () => {
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3], 2, async (n) => {
+      if (n === 2) throw new Error("page 2 illisible");
+      return n;
+    }),
+    /page 2 illisible/
+  );
+});
+
+test("un analyseur exécuté dans un worker donne le même résultat", async () => {
+  const html = ['<div class="card"><h2 class="card__title">A</h2></div>'];
+  const css = ".card { color: red; } .card__title { margin: 0; } .old {}";
+
+  // Plus de tâches que de workers : elles attendent leur tour
+  const results = await Promise.all(
+    [1, 2, 3].map(() => runInWorker("classAnalysis", html, css))
+  );
+
+  // Seule la date de génération diffère
+  const withoutDate = ({ meta, ...analysis }) => analysis;
+  const expected = withoutDate(performClassAnalysis(html, css));
+  results.forEach((result) => assert.deepEqual(withoutDate(result), expected));
+});
+
+test("un analyseur inconnu est refusé par le worker", async () => {
+  await assert.rejects(runInWorker("lighthouse"), /Unknown analyzer/);
+  // Le worker reste utilisable
+  assert.ok(await runInWorker("classAnalysis", [], ""));
+});
@@ -0,0 +1,155 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { createFileLoader } from "../services/shared/resourceLoader.js";
+import {
+  DEFAULT_CRAWL_OPTIONS,
+  HtmlCrawler,
+  LocalHtmlCrawler,
+  parseCrawlOptions,
+} from "../services/html/fileScannerService.js";
+
+const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), "crawl-options-"));
+after(() => fs.rmSync(siteDir, { recursive: true, force: true }));
+
+const writePage = (relativePath, links) => {
+  const filePath = path.join(siteDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(
+    filePath,
+    links.map((href) => `<a href="${href}">lien</a>`).join("\n")
+  );
+};
+
+writePage("index.html", [
+  "blog/index.html",
+  "blog/article.html?page=2",
+  "admin/index.html",
+  "contact.html#form",
+  "doc.pdf",
+]);
+writePage("blog/index.html", ["article.html", "brouillons/draft.html"]);
+writePage("blog/article.html", ["../index.html"]);
+writePage("blog/brouillons/draft.html", []);
+writePage("admin/index.html", []);
+writePage("contact.html", []);
+
+const crawl = async (crawlOptions) =>
+  (await LocalHtmlCrawler(createFileLoader(siteDir), { crawlOptions })).pages;
+
+test("options par défaut quand rien n'est précisé", () => {
+  assert.deepEqual(parseCrawlOptions(), {
+    options: DEFAULT_CRAWL_OPTIONS,
+    error: null,
+  });
+});
+
+test("lit les bornes, les motifs et keepQueryStrings", () => {
+  const { options, error } = parseCrawlOptions({
+    maxDepth: "5",
+    maxPages: "20",
+    include: ["/blog/**", "*.html, /docs/*"],
+    exclude: "/blog/brouillons/**",
+    keepQueryStrings: "1",
+  });
+
+  assert.equal(error, null);
+  assert.deepEqual(options, {
+    maxDepth: 5,
+    maxPages: 20,
+    include: ["/blog/**", "*.html", "/docs/*"],
+    exclude: ["/blog/brouillons/**"],
+    keepQueryStrings: true,
+    useSitemap: true,
+    respectRobotsTxt: false,
+  });
+});
+
+test("refuse les valeurs hors bornes ou invalides", () => {
+  assert.equal(
+    parseCrawlOptions({ maxDepth: "11" }).error,
+    "Invalid maxDepth parameter, expected an integer between 1 and 10"
+  );
+  assert.match(parseCrawlOptions({ maxPages: "0" }).error, /maxPages/);
+  assert.match(parseCrawlOptions({ maxPages: "2.5" }).error, /maxPages/);
+  assert.equal(
+    parseCrawlOptions({ keepQueryStrings: "oui" }).error,
+    "Invalid keepQueryStrings parameter, expected true or false"
+  );
+});
+
+test("explore sans ancres ni paramètres, hors ressources", async () => {
+  assert.deepEqual(await crawl(), [
+    "file:///",
+    "file:///blog/",
+    "file:///blog/article.html",
+    "file:///admin/",
+    "file:///contact.html",
+    "file:///blog/brouillons/draft.html",
+  ]);
+});
+
+test("motifs include et exclude ; la page d'accueil est toujours explorée", async () => {
+  assert.deepEqual(
+    await crawl({ include: ["/blog/**"], exclude: ["brouillons/*"] }),
+    ["file:///", "file:///blog/", "file:///blog/article.html"]
+  );
+  assert.deepEqual(await crawl({ exclude: ["/admin/**", "contact.html"] }), [
+    "file:///",
+    "file:///blog/",
+    "file:///blog/article.html",
+    "file:///blog/brouillons/draft.html",
+  ]);
+});
+
+test("profondeur, limite de pages et paramètres conservés", async () => {
+  assert.deepEqual(await crawl({ maxDepth: 1 }), ["file:///"]);
+  assert.deepEqual(await crawl({ maxPages: 2 }), ["file:///", "file:///blog/"]);
+  assert.ok(
+    (await crawl({ keepQueryStrings: true })).includes(
+      "file:///blog/article.html?page=2"
+    )
+  );
+});
+
+test("HTTP : les routes sans extension sont des pages si elles sont en HTML", async () => {
+  const routes = {
+    "/": '<a href="/a-propos">À propos</a> <a href="/api/data">API</a>',
+    "/a-propos": '<a href="/equipe?tri=nom">Équipe</a>',
+    "/equipe": "<p>Équipe</p>",
+  };
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname === "/api/data") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end("{}");
+    } else if (routes[pathname]) {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(routes[pathname]);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    assert.deepEqual((await HtmlCrawler(baseUrl)).pages, [
+      baseUrl,
+      `${baseUrl}a-propos`,
+      `${baseUrl}equipe`,
+    ]);
+    assert.deepEqual(
+      (await HtmlCrawler(baseUrl, { crawlOptions: { maxPages: 2 } })).pages,
+      [baseUrl, `${baseUrl}a-propos`]
+    );
+  } finally {
+    server.close();
+  }
+});
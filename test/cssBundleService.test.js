@@ -0,0 +1,139 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSiteStylesheets } from "../services/scan/cssBundleService.js";
+
+// Les analyseurs détaillent leur travail dans la console : sortie inutile ici
+console.log = () => {};
+
+const link = (url, css, media = null) => ({
+  type: "link",
+  url,
+  media,
+  rawCss: css,
+  css,
+  error: null,
+});
+const style = (css) => ({
+  type: "style",
+  url: null,
+  media: null,
+  rawCss: css,
+  css,
+  error: null,
+});
+const attribute = (css) => ({ ...style(css), type: "attribute" });
+
+const mainCss = link(
+  "https://site.test/css/main.css",
+  ":root { --main: navy; } .card { color: var(--main); }"
+);
+const blogCss = link("https://site.test/css/blog.css", ".post { color: red; }");
+const pageHtml = (body) => `<html><body>${body}</body></html>`;
+
+const pages = [
+  {
+    url: "https://site.test/",
+    htmlContent: pageHtml('<div class="card">Accueil</div>'),
+    sources: [mainCss, style(".hero { margin: 0; }")],
+  },
+  {
+    // Les attributs style="" ne changent pas le bundle
+    url: "https://site.test/contact.html",
+    htmlContent: pageHtml('<p style="margin: 0">Contact</p>'),
+    sources: [
+      mainCss,
+      style(".hero { margin: 0; }"),
+      attribute("p[style] { margin: 0 }"),
+    ],
+  },
+  {
+    url: "https://site.test/blog.html",
+    htmlContent: pageHtml('<article class="post">Blog</article>'),
+    sources: [mainCss, blogCss],
+  },
+  {
+    url: "https://site.test/brouillon.html",
+    htmlContent: pageHtml("<p>Brouillon</p>"),
+    sources: [],
+  },
+];
+
+test("regroupe les pages par ensemble de feuilles de style", async () => {
+  const { report } = await analyzeSiteStylesheets(pages, pages[0].sources);
+
+  assert.equal(report.homeBundle, 1);
+  assert.deepEqual(
+    report.bundles.map(({ id, pages }) => ({ id, pages })),
+    [
+      {
+        id: 1,
+        pages: ["https://site.test/", "https://site.test/contact.html"],
+      },
+      { id: 2, pages: ["https://site.test/blog.html"] },
+    ]
+  );
+  assert.deepEqual(
+    report.bundles[1].stylesheets.map(({ url }) => url),
+    ["https://site.test/css/main.css", "https://site.test/css/blog.css"]
+  );
+});
+
+test("signale les pages sans feuille ou différentes de l'accueil", async () => {
+  const { report, pageFlags } = await analyzeSiteStylesheets(
+    pages,
+    pages[0].sources
+  );
+
+  assert.deepEqual(report.pagesWithoutStylesheet, [
+    "https://site.test/brouillon.html",
+  ]);
+  assert.deepEqual(report.pagesWithDifferentStylesheets, [
+    {
+      url: "https://site.test/blog.html",
+      bundle: 2,
+      added: ["https://site.test/css/blog.css"],
+      missing: ["<style>"],
+    },
+  ]);
+  assert.deepEqual(pageFlags.get("https://site.test/contact.html"), {
+    bundle: 1,
+    stylesheets: ["https://site.test/css/main.css", "<style>"],
+    noStylesheet: false,
+    differsFromHome: false,
+  });
+  assert.deepEqual(pageFlags.get("https://site.test/brouillon.html"), {
+    bundle: null,
+    stylesheets: [],
+    noStylesheet: true,
+    differsFromHome: true,
+  });
+});
+
+test("analyse l'ensemble du CSS du site sans doublon", async () => {
+  const { report } = await analyzeSiteStylesheets(pages, pages[0].sources);
+
+  assert.deepEqual(
+    report.merged.stylesheets.map(({ id, url }) => ({ id, url })),
+    [
+      { id: 1, url: "https://site.test/css/main.css" },
+      { id: 2, url: null },
+      { id: 3, url: "https://site.test/css/blog.css" },
+    ]
+  );
+  assert.deepEqual(
+    report.merged.customProperties.declarations.map(({ name, sources }) => ({
+      name,
+      sources,
+    })),
+    [{ name: "--main", sources: [1] }]
+  );
+});
+
+test("aucune page avec CSS : pas d'analyse globale", async () => {
+  const { report } = await analyzeSiteStylesheets([pages[3]], []);
+
+  assert.equal(report.homeBundle, 1);
+  assert.deepEqual(report.bundles, []);
+  assert.equal(report.merged, null);
+  assert.deepEqual(report.pagesWithoutStylesheet, [pages[3].url]);
+});
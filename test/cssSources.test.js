@@ -0,0 +1,183 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getStylesheetsFromHtml } from "../services/html/htmlAnalyzer.js";
+import {
+  collectStylesheets,
+  concatStylesheets,
+} from "../services/css/cssCompiler.js";
+import {
+  analyzeStylesheetSources,
+  attributeToSources,
+} from "../services/css/cssSourcesAnalyzer.js";
+
+const page = `<!DOCTYPE html>
+<html>
+  <head>
+    <link rel="stylesheet" href="https://cdn.test/normalize.css" />
+    <link rel="stylesheet" href="css/base.css" />
+    <style>.hero { color: tomato; }</style>
+    <link rel="alternate stylesheet" href="css/sombre.css" />
+    <link rel="stylesheet" href="css/ancien.css" disabled />
+    <link rel="preload stylesheet" href="/css/print.css" media="print" />
+    <link rel="icon" href="favicon.ico" />
+  </head>
+  <body>
+    <p style="margin: 0">Texte</p>
+    <span style=" ">Vide</span>
+  </body>
+</html>`;
+
+// Chargeur simulé : les fichiers absents échouent comme une 404
+const createLoader = (files) => ({
+  get: async (url) => {
+    if (!(url in files)) throw new Error(`Request failed with status 404`);
+    return { status: 200, headers: {}, data: files[url] };
+  },
+});
+
+test("liste les feuilles actives dans l'ordre de la cascade", () => {
+  const sheets = getStylesheetsFromHtml(page, "https://site.test/page/");
+
+  assert.deepEqual(sheets, [
+    {
+      type: "link",
+      url: "https://cdn.test/normalize.css",
+      media: null,
+      content: null,
+    },
+    {
+      type: "link",
+      url: "https://site.test/page/css/base.css",
+      media: null,
+      content: null,
+    },
+    {
+      type: "style",
+      url: null,
+      media: null,
+      content: ".hero { color: tomato; }",
+    },
+    {
+      type: "link",
+      url: "https://site.test/css/print.css",
+      media: "print",
+      content: null,
+    },
+    {
+      type: "attribute",
+      url: null,
+      media: null,
+      content: "p[style] { margin: 0 }",
+    },
+  ]);
+});
+
+test("collecte chaque feuille avec ses @import, hors normalize.css", async () => {
+  const loader = createLoader({
+    "https://site.test/page/css/base.css":
+      '@import "reset.css";\n:root { --main: navy; }',
+    "https://site.test/page/css/reset.css": "* { margin: 0; }",
+  });
+  const { sources, importErrors } = await collectStylesheets(
+    page,
+    "https://site.test/page/",
+    loader
+  );
+
+  assert.deepEqual(
+    sources.map(({ id, type, url, error }) => ({ id, type, url, error })),
+    [
+      {
+        id: 1,
+        type: "link",
+        url: "https://site.test/page/css/base.css",
+        error: null,
+      },
+      { id: 2, type: "style", url: null, error: null },
+      {
+        id: 3,
+        type: "link",
+        url: "https://site.test/css/print.css",
+        error: "Request failed with status 404",
+      },
+      { id: 4, type: "attribute", url: null, error: null },
+    ]
+  );
+  assert.match(sources[0].css, /Inlined from .*reset\.css \*\/\n\* \{ margin/);
+  assert.match(sources[0].rawCss, /^@import "reset.css";/);
+  assert.deepEqual(importErrors, []);
+});
+
+test("signale les @import introuvables", async () => {
+  const { sources, importErrors } = await collectStylesheets(
+    '<style>@import url("absent.css"); p { color: red; }</style>',
+    "https://site.test/",
+    createLoader({})
+  );
+
+  assert.match(sources[0].css, /IMPORT FAILED: "absent.css"/);
+  assert.deepEqual(importErrors, [
+    {
+      importPath: "absent.css",
+      resolvedUrl: "https://site.test/absent.css",
+      sourceFile: "https://site.test/",
+      error: "Request failed with status 404",
+    },
+  ]);
+});
+
+test("assemble les sources et enveloppe celles ayant un media", () => {
+  const css = concatStylesheets([
+    { id: 1, type: "link", url: "a.css", media: "all", css: "a {}" },
+    { id: 2, type: "link", url: "b.css", media: null, css: "" },
+    { id: 3, type: "style", url: null, media: "print", css: "p {}" },
+  ]);
+
+  assert.equal(
+    css,
+    "/* Source 1: a.css */\na {}\n/* Source 3: <style> */\n@media print {\np {}\n}"
+  );
+});
+
+test("attribue classes, variables, polices et couleurs à leur source", () => {
+  const summaries = analyzeStylesheetSources(
+    [
+      {
+        id: 1,
+        type: "link",
+        url: "base.css",
+        media: null,
+        css: `:root { --red-500: #f00; }
+          .card, .card__title:hover { font-family: "Inter", sans-serif; }`,
+      },
+      {
+        id: 2,
+        type: "style",
+        url: null,
+        media: null,
+        css: ".btn { color: RED; } .x {",
+        error: null,
+      },
+    ],
+    [{ color: "red" }, { color: "#f00" }]
+  );
+
+  assert.deepEqual(summaries[0].classes, ["card", "card__title"]);
+  assert.deepEqual(summaries[0].customProperties, ["--red-500"]);
+  assert.deepEqual(summaries[0].fontFamilies, ["Inter"]);
+  // `red` n'est pas confondu avec `--red-500`
+  assert.deepEqual(summaries[0].colors, ["#f00"]);
+  assert.equal(summaries[0].rules, 2);
+  assert.match(summaries[1].error, /Unclosed block/);
+
+  const colors = attributeToSources(
+    [{ color: "#f00" }, { color: "blue" }],
+    "color",
+    summaries,
+    "colors"
+  );
+  assert.deepEqual(colors, [
+    { color: "#f00", sources: [1] },
+    { color: "blue", sources: [] },
+  ]);
+});
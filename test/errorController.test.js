@@ -0,0 +1,49 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { once } from "events";
+import {
+  forwardErrors,
+  handleUnexpectedError,
+} from "../controllers/errorController.js";
+
+const app = express();
+app.get(
+  "/echec",
+  forwardErrors(async () => {
+    throw new Error("ENOENT: /srv/data/secret.json");
+  })
+);
+app.get(
+  "/ok",
+  forwardErrors(async (req, res) => res.json({ ok: true }))
+);
+app.post("/corps", express.json(), (req, res) => res.json(req.body));
+app.use(handleUnexpectedError);
+
+const server = app.listen(0, "127.0.0.1");
+await once(server, "listening");
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+// Le détail des erreurs serveur est écrit dans les logs, pas renvoyé
+console.error = () => {};
+
+test("une promesse rejetée répond 500 en JSON, sans détail", async () => {
+  const res = await fetch(`${baseUrl}/echec`);
+
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), { error: "Internal server error" });
+  assert.deepEqual(await (await fetch(`${baseUrl}/ok`)).json(), { ok: true });
+});
+
+test("un corps JSON illisible répond 400 avec son message", async () => {
+  const res = await fetch(`${baseUrl}/corps`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{ invalide",
+  });
+
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /JSON/);
+});
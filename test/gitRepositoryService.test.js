@@ -0,0 +1,122 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import {
+  exportCommitTree,
+  removeExportedTree,
+  resolveCommit,
+} from "../services/scan/gitRepositoryService.js";
+
+const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), "git-repo-"));
+
+const git = (args, date) =>
+  execFileSync(
+    "git",
+    ["-c", "user.name=Alice", "-c", "user.email=alice@example.com", ...args],
+    {
+      cwd: repoPath,
+      encoding: "utf-8",
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+    }
+  ).trim();
+
+const commitFile = (content, subject, date) => {
+  fs.writeFileSync(path.join(repoPath, "index.html"), content);
+  git(["add", "index.html"]);
+  git(["commit", "-q", "-m", subject], date);
+  return git(["rev-parse", "HEAD"]);
+};
+
+git(["init", "-q", "-b", "main"]);
+const firstCommit = commitFile(
+  "<h1>v1</h1>",
+  "Première version",
+  "2026-01-10T10:00:00Z"
+);
+git(["tag", "rendu-1"]);
+const lastCommit = commitFile(
+  "<h1>v2</h1>",
+  "Version finale",
+  "2026-01-20T10:00:00Z"
+);
+
+after(() => fs.rmSync(repoPath, { recursive: true, force: true }));
+
+test("résout HEAD, une branche, un tag ou un hash abrégé", async () => {
+  const head = await resolveCommit(repoPath);
+
+  assert.deepEqual(head, {
+    commit: lastCommit,
+    commitDate: "2026-01-20T10:00:00+00:00",
+    author: "Alice",
+    subject: "Version finale",
+  });
+  assert.equal(
+    (await resolveCommit(repoPath, { ref: "main" })).commit,
+    lastCommit
+  );
+  assert.equal(
+    (await resolveCommit(repoPath, { ref: "rendu-1" })).commit,
+    firstCommit
+  );
+  assert.equal(
+    (await resolveCommit(repoPath, { ref: firstCommit.slice(0, 8) })).commit,
+    firstCommit
+  );
+});
+
+test("dernier commit avant une date limite", async () => {
+  const onTime = await resolveCommit(repoPath, {
+    before: "2026-01-15T00:00:00Z",
+  });
+
+  assert.equal(onTime.commit, firstCommit);
+  await assert.rejects(
+    resolveCommit(repoPath, { before: "2026-01-01" }),
+    /No commit on HEAD before 2026-01-01/
+  );
+  await assert.rejects(
+    resolveCommit(repoPath, { before: "pas une date" }),
+    /Invalid date/
+  );
+});
+
+test("refuse les références inconnues ou prises pour des options", async () => {
+  await assert.rejects(
+    resolveCommit(repoPath, { ref: "--output=/tmp/pwned" }),
+    /Invalid ref: --output/
+  );
+  await assert.rejects(
+    resolveCommit(repoPath, { ref: "inexistante" }),
+    /git rev-parse failed/
+  );
+  await assert.rejects(
+    resolveCommit(path.join(repoPath, "absent")),
+    /git rev-parse failed/
+  );
+});
+
+test("exporte l'arborescence du commit demandé", async () => {
+  const workDir = await exportCommitTree(repoPath, firstCommit);
+
+  try {
+    assert.deepEqual(fs.readdirSync(workDir), ["index.html"]);
+    assert.equal(
+      fs.readFileSync(path.join(workDir, "index.html"), "utf-8"),
+      "<h1>v1</h1>"
+    );
+  } finally {
+    removeExportedTree(workDir);
+  }
+  assert.equal(fs.existsSync(workDir), false);
+
+  await assert.rejects(exportCommitTree(repoPath, "0".repeat(40)));
+});
+
+test("ne supprime que les répertoires d'export", () => {
+  removeExportedTree(repoPath);
+  assert.equal(fs.existsSync(repoPath), true);
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeOverallGrade } from "../services/scoring/gradingService.js";
+import { parseRubric } from "../services/scoring/rubricService.js";
+
+// Rapport avec deux scores seulement : imports (poids 5), variables (poids 10)
+const report = {
+  cssAnalysisResult: {
+    imports: { score: { total: 80 } },
+    customProperties: { score: { total: 60 } },
+  },
+};
+
+test("redistribute : le poids des scores absents est réparti", () => {
+  const grade = computeOverallGrade(
+    report,
+    parseRubric({ version: "1" }, "test")
+  );
+
+  // (80 × 5 + 60 × 10) / 15
+  assert.equal(grade.score100, 66.7);
+  assert.equal(grade.score20, 13.3);
+  assert.equal(grade.grade, "D");
+  assert.equal(grade.provisional, true);
+  assert.ok(grade.missing.includes("validation"));
+  assert.deepEqual(grade.excluded, []);
+});
+
+test("zero : les scores absents valent 0, la note est définitive", () => {
+  const grade = computeOverallGrade(
+    report,
+    parseRubric({ version: "1", overall: { missingScores: "zero" } }, "test")
+  );
+
+  // (80 × 5 + 60 × 10) / 100
+  assert.equal(grade.score100, 10);
+  assert.equal(grade.provisional, false);
+  const validation = grade.contributions.find(
+    ({ criterion }) => criterion === "validation"
+  );
+  assert.equal(validation.status, "missing");
+  assert.equal(validation.effectiveWeight, 10);
+  assert.equal(validation.points, 0);
+});
+
+test("un analyseur désactivé est exclu, même avec zero", () => {
+  const grade = computeOverallGrade(
+    report,
+    parseRubric(
+      {
+        version: "1",
+        analyzers: { lighthouse: { enabled: false } },
+        overall: { missingScores: "zero" },
+      },
+      "test"
+    )
+  );
+
+  assert.deepEqual(grade.excluded, [
+    "performance",
+    "accessibility",
+    "bestPractices",
+    "seo",
+  ]);
+  // (80 × 5 + 60 × 10) / 75
+  assert.equal(grade.score100, 13.3);
+});
+
+test("aucun score compté : pas de note", () => {
+  const grade = computeOverallGrade(
+    {},
+    parseRubric({ version: "1" }, "test")
+  );
+
+  assert.equal(grade.score100, null);
+  assert.equal(grade.grade, null);
+  assert.equal(grade.provisional, true);
+});
@@ -0,0 +1,74 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createHash } from "crypto";
+import axios from "axios";
+
+// Le chargeur lit la configuration du cache HTTP à son chargement
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "http-cache-"));
+process.env.HTTP_CACHE_DIR = cacheDir;
+process.env.HTTP_CACHE_MAX_MB = "1";
+process.env.HTTP_CACHE_MAX_AGE_DAYS = "30";
+const { httpLoader } = await import("../services/shared/resourceLoader.js");
+
+after(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+// Réponses simulées : toujours la même feuille avec un ETag
+const requests = [];
+axios.defaults.adapter = async (config) => {
+  requests.push({ url: config.url, etag: config.headers["If-None-Match"] });
+  return {
+    status: 200,
+    headers: { "content-type": "text/css", etag: '"v1"' },
+    data: Buffer.from("a {}"),
+    config,
+  };
+};
+
+const cachedFiles = () => fs.readdirSync(cacheDir).sort();
+
+/**
+ * Écrit une réponse en cache, utilisée pour la dernière fois il y a `days` jours.
+ * @param {string} name
+ * @param {number} size - Taille du fichier en octets.
+ * @param {number} days
+ */
+const writeCacheFile = (name, size, days) => {
+  const filePath = path.join(cacheDir, name);
+  fs.writeFileSync(filePath, Buffer.alloc(size));
+  const usedAt = new Date(Date.now() - days * 86400000);
+  fs.utimesSync(filePath, usedAt, usedAt);
+};
+
+test("les sites servis localement ne sont pas mis en cache", async () => {
+  const url = "http://127.0.0.1:4321/style.css";
+
+  await httpLoader.get(url);
+  await httpLoader.get(url);
+  await httpLoader.get("http://localhost:4321/style.css");
+
+  assert.deepEqual(cachedFiles(), []);
+  assert.deepEqual(
+    requests.map(({ etag }) => etag),
+    [undefined, undefined, undefined]
+  );
+});
+
+test("supprime les réponses trop anciennes puis les moins utilisées", async () => {
+  writeCacheFile("ancienne.json", 10, 31);
+  writeCacheFile("recente.json", 400 * 1024, 1);
+  writeCacheFile("moyenne.json", 400 * 1024, 2);
+  writeCacheFile("vieille.json", 400 * 1024, 3);
+
+  // Le ménage suit la première réponse enregistrée
+  const url = "https://cache.test/style.css";
+  await httpLoader.get(url);
+
+  const saved = `${createHash("sha1").update(url).digest("hex")}.json`;
+  assert.deepEqual(
+    cachedFiles(),
+    [saved, "moyenne.json", "recente.json"].sort()
+  );
+});
@@ -0,0 +1,179 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkLinks } from "../services/html/linkCheckerService.js";
+
+const site = "https://site.test/";
+
+// Réponses simulées : statut (et redirections) par URL, absence = erreur réseau
+const responses = {
+  [site]: { status: 200 },
+  [`${site}a-propos.html`]: { status: 200 },
+  [`${site}absente.html`]: { status: 404 },
+  [`${site}logo.png`]: { status: 200 },
+  [`${site}logo@2x.png`]: { status: 404 },
+  [`${site}css/style.css`]: { status: 200 },
+  [`${site}css/base.css`]: { status: 200 },
+  [`${site}img/fond.png`]: { status: 200 },
+  [`${site}img/motif.png`]: { status: 404 },
+  // HEAD refusé : vérifié en GET
+  "https://externe.test/ancien": {
+    status: 200,
+    headStatus: 405,
+    redirects: [
+      {
+        url: "https://externe.test/ancien",
+        status: 301,
+        location: "https://externe.test/v2",
+      },
+      {
+        url: "https://externe.test/v2",
+        status: 302,
+        location: "https://externe.test/final",
+      },
+    ],
+  },
+  "https://externe.test/supprime": { status: 410 },
+};
+
+const requests = [];
+const httpError = (url, status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status },
+    redirects: [],
+  });
+
+const loader = {
+  head: async (url) => {
+    requests.push(`HEAD ${url}`);
+    const response = responses[url];
+    if (!response)
+      throw new Error(`getaddrinfo ENOTFOUND ${new URL(url).host}`);
+    const status = response.headStatus ?? response.status;
+    if (status >= 400) throw httpError(url, status);
+    return { status, headers: {}, data: "", redirects: response.redirects };
+  },
+  get: async (url) => {
+    requests.push(`GET ${url}`);
+    if (url === `${site}css/base.css`) {
+      return {
+        status: 200,
+        headers: {},
+        data: 'body { background: url("../img/motif.png"); }',
+      };
+    }
+    const response = responses[url];
+    if (response.status >= 400) throw httpError(url, response.status);
+    return {
+      status: response.status,
+      headers: {},
+      data: "",
+      redirects: response.redirects,
+    };
+  },
+};
+
+const pages = [
+  {
+    url: site,
+    htmlContent: `<link rel="preconnect" href="https://fonts.test" />
+      <link rel="stylesheet" href="css/style.css" />
+      <a href="a-propos.html">À propos</a> <a href="a-propos.html#equipe">Équipe</a>
+      <a href="absente.html">Absente</a> <a href="#haut">Haut</a>
+      <a href="mailto:prof@site.test">Mail</a>
+      <img src="logo.png" srcset="logo.png 1x, logo@2x.png 2x" />
+      <a href="https://externe.test/ancien">Ancien</a>
+      <a href="https://externe.test/supprime">Supprimé</a>
+      <a href="https://hors-ligne.test/">Hors ligne</a>`,
+    sources: [
+      {
+        url: `${site}css/style.css`,
+        rawCss: `@import "base.css";
+          .hero { background: url(../img/fond.png); }
+          .icone { fill: url(#degrade); }`,
+      },
+    ],
+  },
+  {
+    url: `${site}a-propos.html`,
+    htmlContent: '<a href="absente.html">Absente</a> <a href="./">Accueil</a>',
+    // Feuille déjà parcourue pour la page d'accueil
+    sources: [{ url: `${site}css/style.css`, rawCss: "@import 'autre.css';" }],
+  },
+];
+
+test("vérifie chaque URL une fois et relève ses références", async () => {
+  const report = await checkLinks(pages, loader);
+
+  assert.deepEqual(
+    report.broken.map(({ url, status, internal }) => [url, status, internal]),
+    [
+      [`${site}absente.html`, 404, true],
+      ["https://externe.test/supprime", 410, false],
+      [`${site}logo@2x.png`, 404, true],
+      [`${site}img/motif.png`, 404, true],
+    ]
+  );
+  assert.deepEqual(
+    report.broken[0].references.map(({ page, tag, attribute }) => [
+      page,
+      tag,
+      attribute,
+    ]),
+    [
+      [site, "a", "href"],
+      [`${site}a-propos.html`, "a", "href"],
+    ]
+  );
+  assert.deepEqual(report.broken[3].references, [
+    {
+      page: site,
+      tag: "css",
+      attribute: "url()",
+      value: "../img/motif.png",
+      stylesheet: `${site}css/base.css`,
+    },
+  ]);
+  assert.deepEqual(
+    report.unreachable.map(({ url, error }) => [url, error]),
+    [["https://hors-ligne.test/", "getaddrinfo ENOTFOUND hors-ligne.test"]]
+  );
+  // Le HEAD refusé est refait en GET, une seule fois par URL
+  assert.equal(
+    requests.filter((request) => request.endsWith("a-propos.html")).length,
+    1
+  );
+  assert.ok(requests.includes("GET https://externe.test/ancien"));
+  assert.equal(requests.includes(`HEAD https://fonts.test/`), false);
+});
+
+test("redirections, résumé et score", async () => {
+  const report = await checkLinks(pages, loader);
+
+  assert.deepEqual(
+    report.redirected.map(({ url, finalUrl, redirects }) => [
+      url,
+      finalUrl,
+      redirects.length,
+    ]),
+    [["https://externe.test/ancien", "https://externe.test/final", 2]]
+  );
+  assert.deepEqual(report.summary, {
+    references: 15,
+    urls: 12,
+    ok: 7,
+    broken: 4,
+    unreachable: 1,
+    redirected: 1,
+    internalBroken: 3,
+    externalBroken: 1,
+    redirectChains: 1,
+  });
+  assert.deepEqual(report.statusCodes, { 200: 7, 404: 3, 410: 1, error: 1 });
+  assert.deepEqual(report.score.breakdown, {
+    internalPenalty: 30,
+    externalPenalty: 5,
+    redirectPenalty: 1,
+  });
+  assert.equal(report.score.total, 64);
+  assert.equal(report.score.grade, "D");
+});
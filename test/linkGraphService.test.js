@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildLinkGraph } from "../services/html/linkGraphService.js";
+
+const site = "https://site.test/";
+const nav = (...links) =>
+  `<header><nav>${links
+    .map((href) => `<a href="${href}">${href}</a>`)
+    .join("")}</nav></header>`;
+
+const pages = [
+  {
+    url: site,
+    htmlContent: `<title>Accueil</title>${nav("a.html", "b.html")}
+      <a href="d.html">D</a> <a href="#haut">Haut</a>
+      <a href="mailto:prof@site.test">Contact</a>
+      <a href="https://ailleurs.test/">Externe</a>
+      <a href="img/plan.png">Plan</a> <a href="brouillon.html">Brouillon</a>`,
+  },
+  {
+    url: `${site}a.html`,
+    htmlContent:
+      nav("a.html", "b.html") + '<a href="index.html#top">Accueil</a>',
+  },
+  // Mêmes liens de navigation, dans un autre ordre
+  { url: `${site}b.html`, htmlContent: nav("b.html", "a.html") },
+  // Trouvée par le sitemap : aucun lien n'y mène
+  { url: `${site}c.html`, htmlContent: '<a href="/">Accueil</a>' },
+  // Impasse : aucun lien
+  { url: `${site}d.html`, htmlContent: "<p>Fin</p>" },
+];
+
+const graph = buildLinkGraph(pages, { startUrl: `${site}index.html` });
+
+test("arêtes : liens internes entre pages analysées", () => {
+  assert.equal(graph.startUrl, site);
+  assert.deepEqual(
+    graph.edges.map(({ source, target, count, inNav }) => [
+      source.replace(site, "/"),
+      target.replace(site, "/"),
+      count,
+      inNav,
+    ]),
+    [
+      ["/", "/a.html", 1, true],
+      ["/", "/b.html", 1, true],
+      ["/", "/d.html", 1, false],
+      ["/a.html", "/b.html", 1, true],
+      ["/a.html", "/", 1, false],
+      ["/b.html", "/a.html", 1, true],
+      ["/c.html", "/", 1, false],
+    ]
+  );
+  assert.deepEqual(graph.linksOutsideGraph, [
+    { url: `${site}brouillon.html`, from: [site] },
+  ]);
+});
+
+test("profondeur, pages inaccessibles et impasses", () => {
+  assert.deepEqual(
+    graph.nodes.map(({ label, depth, reachable, canReachHome }) => [
+      label,
+      depth,
+      reachable,
+      canReachHome,
+    ]),
+    [
+      ["/", 0, true, true],
+      ["/a.html", 1, true, true],
+      ["/b.html", 1, true, true],
+      ["/c.html", null, false, true],
+      ["/d.html", 1, true, false],
+    ]
+  );
+  assert.deepEqual(graph.nodes[0], {
+    id: site,
+    label: "/",
+    title: "Accueil",
+    isHome: true,
+    depth: 0,
+    inbound: 2,
+    outbound: 3,
+    reachable: true,
+    canReachHome: true,
+  });
+  assert.deepEqual(graph.unreachable, [`${site}c.html`]);
+  assert.deepEqual(graph.noWayBack, [`${site}d.html`]);
+  assert.deepEqual(graph.depth, {
+    max: 1,
+    average: 0.75,
+    distribution: { 0: 1, 1: 3 },
+  });
+});
+
+test("cohérence de la navigation principale", () => {
+  assert.deepEqual(graph.navigation, {
+    pagesWithNav: 3,
+    pagesWithoutNav: [`${site}c.html`, `${site}d.html`],
+    reference: [`${site}a.html`, `${site}b.html`],
+    inconsistentPages: [
+      { url: `${site}b.html`, missing: [], extra: [], reordered: true },
+    ],
+    consistent: false,
+  });
+});
+
+test("résout les liens par rapport à <base href>", () => {
+  const { edges } = buildLinkGraph(
+    [
+      {
+        url: `${site}blog/`,
+        htmlContent: '<base href="/"><a href="a.html">A</a>',
+      },
+      { url: `${site}a.html`, htmlContent: "" },
+    ],
+    { startUrl: `${site}blog/` }
+  );
+
+  assert.deepEqual(
+    edges.map(({ source, target }) => [source, target]),
+    [[`${site}blog/`, `${site}a.html`]]
+  );
+});
+
+test("<base href> invalide : liens résolus par rapport à la page", () => {
+  const { edges } = buildLinkGraph(
+    [
+      {
+        url: `${site}blog/`,
+        htmlContent: '<base href="http://["><a href="a.html">A</a>',
+      },
+      { url: `${site}blog/a.html`, htmlContent: "" },
+    ],
+    { startUrl: `${site}blog/` }
+  );
+
+  assert.deepEqual(
+    edges.map(({ source, target }) => [source, target]),
+    [[`${site}blog/`, `${site}blog/a.html`]]
+  );
+});
@@ -0,0 +1,179 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pathToFileURL } from "url";
+import { createFileLoader } from "../services/shared/resourceLoader.js";
+import {
+  DEFAULT_CRAWL_OPTIONS,
+  LocalHtmlCrawler,
+} from "../services/html/fileScannerService.js";
+
+const tmpDir = fs.realpathSync(
+  fs.mkdtempSync(path.join(os.tmpdir(), "local-scan-"))
+);
+const rootDir = path.join(tmpDir, "projets");
+const siteDir = path.join(rootDir, "alice");
+
+const writeFile = (relativePath, content) => {
+  const filePath = path.join(siteDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+writeFile(
+  "index.html",
+  `<a href="contact.html">Contact</a>
+   <a href="/blog/#haut">Blog</a>
+   <a href="style.css">CSS</a>
+   <a href="https://example.com/">Externe</a>`
+);
+writeFile("contact.html", '<a href="index.html">Accueil</a>');
+writeFile("blog/index.html", '<a href="deep/page.html">Suite</a>');
+writeFile("blog/deep/page.html", '<a href="../../hidden.html">Trop loin</a>');
+writeFile("hidden.html", "<p>Profondeur 4</p>");
+writeFile("style.css", "body { color: red; }");
+writeFile("img/logo.png", Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+fs.writeFileSync(path.join(tmpDir, "secret.txt"), "hors projet");
+fs.symlinkSync(tmpDir, path.join(rootDir, "lien"));
+
+// Le contrôleur lit LOCAL_SCAN_ROOT à son chargement
+process.env.LOCAL_SCAN_ROOT = rootDir;
+const { initScanJobs, getScanJob } = await import(
+  "../services/jobs/scanJobService.js"
+);
+const { scanUrl } = await import("../controllers/analysisControllerServer.js");
+
+// Les scans restent en file : seul le job créé est vérifié
+initScanJobs({
+  jobsDir: path.join(tmpDir, "jobs"),
+  runJob: () => new Promise(() => {}),
+});
+
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const createResponse = () => ({
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+  },
+});
+
+const callScanUrl = async (url) => {
+  const res = createResponse();
+  await scanUrl(
+    { query: { url, projectName: "Alice" }, baseUrl: "/scan" },
+    res
+  );
+  return res;
+};
+
+test("file:///… correspond à la racine du projet", async () => {
+  const loader = createFileLoader(siteDir);
+  const page = await loader.get("file:///blog/");
+  const css = await loader.head("file:///style.css");
+  const image = await loader.get("file:///img/logo.png");
+
+  assert.equal(page.headers["content-type"], "text/html");
+  assert.equal(page.charset, "utf-8");
+  assert.match(page.data, /deep\/page\.html/);
+  assert.equal(css.headers["content-length"], "20");
+  assert.equal(css.data, "");
+  assert.ok(Buffer.isBuffer(image.data));
+  assert.equal(loader.toFilePath("file:///a%20b.html"), `${siteDir}/a b.html`);
+});
+
+test("les fichiers absents ou hors du projet sont refusés", async () => {
+  const loader = createFileLoader(siteDir);
+
+  await assert.rejects(loader.get("file:///absent.html"), (error) => {
+    assert.equal(error.response.status, 404);
+    return true;
+  });
+  // Un "/" encodé n'est pas normalisé par URL : il remonterait d'un niveau
+  await assert.rejects(
+    loader.get("file:///..%2Fsecret.txt"),
+    (error) => error.response.status === 403
+  );
+  assert.equal(loader.toFilePath("file:///..%2F..%2Fsecret.txt"), null);
+});
+
+test("explore les pages HTML liées jusqu'à la profondeur 3", async () => {
+  const found = [];
+  const { pages } = await LocalHtmlCrawler(createFileLoader(siteDir), {
+    onPageFound: (url, count) => found.push([url, count]),
+  });
+
+  assert.deepEqual(pages, [
+    "file:///",
+    "file:///contact.html",
+    "file:///blog/",
+    "file:///blog/deep/page.html",
+  ]);
+  assert.deepEqual(found.at(-1), ["file:///blog/deep/page.html", 4]);
+});
+
+test("scan d'un fichier local : son répertoire est scanné", async () => {
+  const res = await callScanUrl(
+    pathToFileURL(path.join(siteDir, "index.html")).href
+  );
+
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(getScanJob(res.body.jobId).params, {
+    localPath: siteDir,
+    projectName: "Alice",
+    only: undefined,
+    rubric: undefined,
+    crawlOptions: DEFAULT_CRAWL_OPTIONS,
+  });
+});
+
+test("scan d'un chemin absolu dans LOCAL_SCAN_ROOT", async () => {
+  const res = await callScanUrl(siteDir);
+
+  assert.equal(res.statusCode, 202);
+  assert.equal(getScanJob(res.body.jobId).params.localPath, siteDir);
+});
+
+test("refuse les chemins absents ou hors de LOCAL_SCAN_ROOT", async () => {
+  const missing = await callScanUrl(path.join(rootDir, "absent"));
+  const outside = await callScanUrl(tmpDir);
+  const throughLink = await callScanUrl(path.join(rootDir, "lien"));
+
+  assert.equal(missing.statusCode, 400);
+  assert.match(missing.body.error, /^Path not found/);
+  assert.equal(outside.statusCode, 400);
+  assert.equal(outside.body.error, "Path is outside LOCAL_SCAN_ROOT");
+  assert.equal(throughLink.body.error, "Path is outside LOCAL_SCAN_ROOT");
+});
+
+test("refuse les URL file:// invalides sans lever d'exception", async () => {
+  const withHost = await callScanUrl("file://serveur/projets/alice");
+  const encodedSlash = await callScanUrl(
+    `file://${rootDir}/alice%2Findex.html`
+  );
+  const notString = await callScanUrl(["https://a.test/", "file:///"]);
+
+  assert.equal(withHost.statusCode, 400);
+  assert.match(withHost.body.error, /^Invalid file URL: /);
+  assert.equal(encodedSlash.statusCode, 400);
+  assert.match(encodedSlash.body.error, /^Invalid file URL: /);
+  assert.equal(notString.statusCode, 400);
+});
+
+test("une URL HTTP reste un scan en ligne", async () => {
+  const res = await callScanUrl("https://example.com/");
+
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(getScanJob(res.body.jobId).params, {
+    url: "https://example.com/",
+    projectName: "Alice",
+    only: undefined,
+    rubric: undefined,
+    crawlOptions: DEFAULT_CRAWL_OPTIONS,
+  });
+});
@@ -0,0 +1,192 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  executePartialScan,
+  parseAnalyzerList,
+} from "../services/scan/partialScanService.js";
+import { saveSnapshot } from "../services/history/snapshotService.js";
+
+// Les analyseurs détaillent leur travail dans la console : sortie inutile ici
+console.log = () => {};
+
+const dataDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../data"
+);
+// Projet propre à ce test, supprimé à la fin
+const projectName = `test-partial-${process.pid}`;
+
+after(() => {
+  fs.rmSync(path.join(dataDir, `${projectName}.json`), { force: true });
+  fs.rmSync(path.join(dataDir, "history", projectName), {
+    recursive: true,
+    force: true,
+  });
+});
+
+const files = {
+  "https://site.test/": {
+    type: "text/html",
+    data: `<html><head><link rel="stylesheet" href="style.css" /></head>
+      <body><header><h1 class="titre">Accueil</h1></header></body></html>`,
+  },
+  "https://site.test/style.css": {
+    type: "text/css",
+    data: ".titre { color: #e11d48; background: #0f172a; }",
+  },
+};
+
+// Chargeur simulé : enregistre les URL demandées
+const requested = [];
+const loader = {
+  get: async (url) => {
+    requested.push(url);
+    const file = files[url];
+    if (!file) throw new Error("Request failed with status 404");
+    return {
+      status: 200,
+      headers: { "content-type": file.type },
+      data: file.data,
+    };
+  },
+};
+
+test("lit la liste des analyseurs à relancer", () => {
+  assert.deepEqual(parseAnalyzerList("colors, typography,colors"), {
+    analyzers: ["colors", "typography"],
+    unknown: [],
+  });
+  assert.deepEqual(parseAnalyzerList(["tags", "lighthouse,"]), {
+    analyzers: ["tags"],
+    unknown: ["lighthouse"],
+  });
+  assert.deepEqual(parseAnalyzerList(""), { analyzers: [], unknown: [] });
+});
+
+test("refuse un projet sans rapport enregistré", async () => {
+  await assert.rejects(
+    executePartialScan(
+      {
+        url: "https://site.test/",
+        loader,
+        crawl: async () => ({ pages: [], sitemap: null }),
+      },
+      `absent-${process.pid}`,
+      ["colors"]
+    ),
+    /No stored report to update/
+  );
+});
+
+test("fusionne les analyseurs relancés dans le dernier rapport", async () => {
+  const previous = saveSnapshot(projectName, {
+    meta: {
+      projectName,
+      url: "https://site.test/",
+      scannedAt: new Date(0).toISOString(),
+    },
+    lighthouseReport: { performance: 0.9 },
+    cssAnalysisResult: {
+      colors: { ancien: true },
+      typography: { ancien: true },
+    },
+    globalAnalysis: { tagsMissing: ["main"] },
+  });
+  const events = [];
+  let crawled = false;
+
+  const report = await executePartialScan(
+    {
+      url: "https://site.test/",
+      loader,
+      crawl: async () => {
+        crawled = true;
+        return { pages: [], sitemap: null };
+      },
+    },
+    projectName,
+    ["colors"],
+    { onProgress: (event) => events.push(event) }
+  );
+
+  // Seul l'analyseur demandé est remplacé ; pas d'exploration du site
+  assert.equal(crawled, false);
+  assert.deepEqual(requested, [
+    "https://site.test/",
+    "https://site.test/style.css",
+  ]);
+  assert.ok(report.cssAnalysisResult.colors.score);
+  assert.deepEqual(report.cssAnalysisResult.typography, { ancien: true });
+  assert.deepEqual(report.lighthouseReport, { performance: 0.9 });
+  assert.deepEqual(report.globalAnalysis, { tagsMissing: ["main"] });
+  assert.deepEqual(report.meta.partial, {
+    analyzers: ["colors"],
+    baseSnapshotId: previous.meta.snapshotId,
+  });
+  assert.notEqual(report.meta.snapshotId, previous.meta.snapshotId);
+  assert.deepEqual(report.overallGrade.rubric, report.meta.rubric);
+  assert.deepEqual(
+    events.map(({ type, stage, analyzer }) => stage ?? analyzer ?? type),
+    ["css", "colors", "overall", "save"]
+  );
+});
+
+test("les balises requises relancent l'exploration des pages", async () => {
+  const report = await executePartialScan(
+    {
+      url: "https://site.test/",
+      loader,
+      crawl: async (onPageFound) => {
+        onPageFound("https://site.test/", 1);
+        return { pages: ["https://site.test/"], sitemap: null };
+      },
+    },
+    projectName,
+    ["tags"]
+  );
+
+  // Recalculées sur la page explorée : <header> est présent, <nav> manque
+  const { tagsMissing } = report.globalAnalysis;
+  assert.equal(tagsMissing.includes("header"), false);
+  assert.equal(tagsMissing.includes("nav"), true);
+  assert.ok(report.cssAnalysisResult.colors.score);
+});
+
+test("un autre barème note à nouveau les sections reprises", async () => {
+  const source = {
+    url: "https://site.test/",
+    loader,
+    crawl: async () => ({ pages: [], sitemap: null }),
+  };
+  // Score enregistré avec une version précédente du barème
+  const stale = {
+    summary: { internalBroken: 2, externalBroken: 0, redirectChains: 0 },
+    redirected: [],
+    score: { total: 100, grade: "A" },
+  };
+  saveSnapshot(projectName, {
+    meta: {
+      projectName,
+      url: "https://site.test/",
+      scannedAt: new Date(0).toISOString(),
+      rubric: { name: "default", version: "0" },
+    },
+    linkCheck: stale,
+  });
+
+  const report = await executePartialScan(
+    { ...source, rubric: "default" },
+    projectName,
+    ["colors"]
+  );
+  assert.equal(report.linkCheck.score.total, 80);
+  assert.notEqual(report.meta.rubric.version, "0");
+
+  // Même barème : les sections reprises restent telles quelles
+  saveSnapshot(projectName, { ...report, linkCheck: stale });
+  const unchanged = await executePartialScan(source, projectName, ["colors"]);
+  assert.deepEqual(unchanged.linkCheck, stale);
+});
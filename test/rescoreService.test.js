@@ -0,0 +1,134 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  getLatestSnapshot,
+  listSnapshots,
+  saveSnapshot,
+} from "../services/history/snapshotService.js";
+import {
+  DEFAULT_RUBRIC,
+  parseRubric,
+} from "../services/scoring/rubricService.js";
+import {
+  compareScores,
+  rescoreProject,
+  rescoreReport,
+} from "../services/scoring/rescoreService.js";
+
+const dataDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../data"
+);
+// Projet propre à ce test, supprimé à la fin
+const projectName = `test-rescore-${process.pid}`;
+
+after(() => {
+  fs.rmSync(path.join(dataDir, `${projectName}.json`), { force: true });
+  fs.rmSync(path.join(dataDir, "history", projectName), {
+    recursive: true,
+    force: true,
+  });
+});
+
+// Mesures : 2 liens internes cassés, 2 redirections en chaîne, un id en double
+const measuredReport = () =>
+  rescoreReport(
+    {
+      meta: {
+        projectName,
+        url: "https://site.test/",
+        scannedAt: "2026-01-12T09:00:00.000Z",
+        rubric: { name: DEFAULT_RUBRIC.name, version: DEFAULT_RUBRIC.version },
+      },
+      linkCheck: {
+        summary: { internalBroken: 2, externalBroken: 0, redirectChains: 0 },
+        redirected: [{ url: "https://site.test/a", redirects: [{}, {}] }],
+        score: { total: 100 },
+      },
+      anchors: {
+        summary: { duplicateIds: 1, brokenFragments: 0, brokenIdReferences: 0 },
+        score: { total: 100 },
+      },
+    },
+    DEFAULT_RUBRIC
+  );
+
+test("recalcule les scores à partir des mesures, sans modifier le rapport", () => {
+  const report = measuredReport();
+  const strict = parseRubric(
+    {
+      version: "2",
+      analyzers: {
+        linkCheck: {
+          thresholds: { internalBrokenPenalty: 20, maxRedirects: 2 },
+        },
+      },
+    },
+    "strict"
+  );
+
+  assert.equal(report.linkCheck.score.total, 79);
+  assert.equal(report.linkCheck.summary.redirectChains, 1);
+  assert.equal(report.anchors.score.total, 95);
+
+  const rescored = rescoreReport(report, strict);
+  assert.equal(report.linkCheck.score.total, 79);
+  assert.equal(rescored.linkCheck.score.total, 60);
+  assert.equal(rescored.linkCheck.summary.redirectChains, 0);
+  assert.deepEqual(rescored.anchors, report.anchors);
+  assert.equal(rescored.cssAnalysisResult, undefined);
+
+  assert.deepEqual(
+    compareScores(report, rescored).map(({ criterion, before, after }) => [
+      criterion,
+      before.total,
+      after.total,
+    ]),
+    [
+      ["links", 79, 60],
+      ["overall", report.overallGrade.score100, rescored.overallGrade.score100],
+    ]
+  );
+});
+
+test("enregistre un snapshot seulement si un score change", () => {
+  assert.equal(rescoreProject(`${projectName}-absent`), null);
+
+  const saved = saveSnapshot(projectName, measuredReport());
+  const unchanged = rescoreProject(projectName);
+  assert.equal(unchanged.baseSnapshotId, saved.meta.snapshotId);
+  assert.equal(unchanged.snapshotId, null);
+  assert.deepEqual(unchanged.changes, []);
+
+  // Score enregistré par une ancienne version des analyseurs
+  saveSnapshot(projectName, {
+    ...saved,
+    meta: { ...saved.meta, scannedAt: "2026-01-13T09:00:00.000Z" },
+    anchors: { ...saved.anchors, score: { total: 100, grade: "A" } },
+  });
+  const dryRun = rescoreProject(projectName, { dryRun: true });
+  assert.equal(dryRun.snapshotId, null);
+  assert.equal(listSnapshots(projectName).length, 2);
+
+  const result = rescoreProject(projectName);
+  assert.deepEqual(
+    result.changes.map(({ criterion }) => criterion),
+    dryRun.changes.map(({ criterion }) => criterion)
+  );
+  assert.ok(result.changes.some(({ criterion }) => criterion === "anchors"));
+  const latest = getLatestSnapshot(projectName);
+  assert.equal(latest.meta.snapshotId, result.snapshotId);
+  assert.equal(latest.meta.scannedAt, "2026-01-13T09:00:00.000Z");
+  assert.equal(latest.meta.rescored.baseSnapshotId, dryRun.baseSnapshotId);
+  assert.equal(latest.anchors.score.total, 95);
+});
+
+test("refuse un barème inconnu", () => {
+  assert.throws(
+    () => rescoreProject(projectName, { rubric: "inexistant" }),
+    /Unknown rubric: inexistant/
+  );
+});
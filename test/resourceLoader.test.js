@@ -0,0 +1,211 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import axios, { AxiosError } from "axios";
+import {
+  createScanLoader,
+  httpLoader,
+} from "../services/shared/resourceLoader.js";
+
+const httpCacheDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../data/http-cache"
+);
+// Hôte propre à ce test : ses réponses en cache sont supprimées à la fin
+const origin = `https://loader-${process.pid}.test`;
+const cachedUrls = new Set();
+
+after(() => {
+  cachedUrls.forEach((url) =>
+    fs.rmSync(
+      path.join(
+        httpCacheDir,
+        `${createHash("sha1").update(url).digest("hex")}.json`
+      ),
+      { force: true }
+    )
+  );
+});
+
+/**
+ * Remplace le transport HTTP d'axios : chaque requête est confiée à
+ * `respond(config)`, qui retourne `{ status, headers, body }` ou lève une
+ * erreur réseau.
+ */
+let respond = () => ({ status: 404 });
+axios.defaults.adapter = async (config) => {
+  cachedUrls.add(config.url);
+  const { status, headers = {}, body = "" } = await respond(config);
+  const response = { status, headers, data: Buffer.from(body), config };
+  if (!config.validateStatus(status)) {
+    throw new AxiosError(
+      `Request failed with status code ${status}`,
+      "ERR_BAD_RESPONSE",
+      config,
+      null,
+      response
+    );
+  }
+  return response;
+};
+
+test("décode le contenu selon son encodage", async () => {
+  const latin1 = (text) => Buffer.from(text, "latin1");
+  const bodies = {
+    "/header.css": {
+      headers: { "content-type": "text/css; charset=ISO-8859-1" },
+      body: latin1(".é { color: red; }"),
+    },
+    "/meta.html": {
+      headers: { "content-type": "text/html" },
+      body: latin1('<meta charset="windows-1252"><p>Résumé</p>'),
+    },
+    "/bom.css": {
+      headers: { "content-type": "text/css; charset=iso-8859-1" },
+      body: Buffer.concat([
+        Buffer.from([0xef, 0xbb, 0xbf]),
+        Buffer.from(".ç {}"),
+      ]),
+    },
+    "/logo.png": {
+      headers: { "content-type": "image/png" },
+      body: Buffer.from([0x89, 0x50]),
+    },
+  };
+  respond = (config) => ({
+    status: 200,
+    ...bodies[new URL(config.url).pathname],
+  });
+
+  const header = await httpLoader.get(`${origin}/header.css`);
+  const meta = await httpLoader.get(`${origin}/meta.html`);
+  const bom = await httpLoader.get(`${origin}/bom.css`);
+  const image = await httpLoader.get(`${origin}/logo.png`);
+
+  assert.deepEqual(
+    [header, meta, bom].map(({ data, charset }) => [data, charset]),
+    [
+      [".é { color: red; }", "iso-8859-1"],
+      ['<meta charset="windows-1252"><p>Résumé</p>', "windows-1252"],
+      // Le BOM l'emporte sur l'en-tête et n'est pas conservé
+      [".ç {}", "utf-8"],
+    ]
+  );
+  assert.ok(Buffer.isBuffer(image.data));
+  assert.equal(image.charset, null);
+  assert.equal(image.size, 2);
+});
+
+test("relance les erreurs réseau, 429 et 5xx, pas les 4xx", async () => {
+  let calls = 0;
+  respond = () => (++calls === 1 ? { status: 503 } : { status: 200 });
+  const retried = await httpLoader.get(`${origin}/instable.css`);
+  assert.equal(retried.attempts, 2);
+
+  calls = 0;
+  respond = () => {
+    calls++;
+    return { status: 404 };
+  };
+  await assert.rejects(httpLoader.get(`${origin}/absent.css`), (error) => {
+    assert.equal(error.response.status, 404);
+    assert.equal(error.attempts, 1);
+    return true;
+  });
+
+  calls = 0;
+  respond = () => {
+    calls++;
+    throw new AxiosError("socket hang up", "ECONNRESET");
+  };
+  await assert.rejects(httpLoader.head(`${origin}/panne.css`), (error) => {
+    assert.equal(error.attempts, 3);
+    return true;
+  });
+  assert.equal(calls, 3);
+});
+
+test("revalide une ressource déjà téléchargée (ETag)", async () => {
+  const url = `${origin}/style.css`;
+  respond = (config) =>
+    config.headers["If-None-Match"] === '"v1"'
+      ? { status: 304, headers: { etag: '"v1"' } }
+      : {
+          status: 200,
+          headers: { "content-type": "text/css", etag: '"v1"' },
+          body: "body { color: navy; }",
+        };
+
+  const first = await httpLoader.get(url);
+  const second = await httpLoader.get(url);
+
+  assert.equal(first.revalidated, false);
+  assert.equal(second.revalidated, true);
+  assert.equal(second.status, 200);
+  assert.equal(second.data, "body { color: navy; }");
+  assert.equal(second.headers["content-type"], "text/css");
+});
+
+test("un scan ne charge chaque ressource qu'une fois et consigne tout", async () => {
+  const calls = [];
+  const loader = createScanLoader({
+    get: async (url) => {
+      calls.push(`GET ${url}`);
+      if (url.endsWith("absent.css")) {
+        throw Object.assign(new Error("Request failed with status 404"), {
+          response: { status: 404 },
+        });
+      }
+      return {
+        status: 200,
+        headers: { "content-type": "text/css" },
+        data: "a {}",
+        size: 4,
+        charset: "utf-8",
+        attempts: 2,
+      };
+    },
+    head: async (url) => {
+      calls.push(`HEAD ${url}`);
+      return { status: 200, headers: { "content-length": "10" }, data: "" };
+    },
+  });
+
+  await loader.get("https://a.test/style.css");
+  await loader.get("https://a.test/style.css");
+  const head = await loader.head("https://a.test/style.css");
+  await loader.head("https://a.test/logo.png");
+  await assert.rejects(loader.get("https://a.test/absent.css"));
+
+  assert.deepEqual(calls, [
+    "GET https://a.test/style.css",
+    "HEAD https://a.test/logo.png",
+    "GET https://a.test/absent.css",
+  ]);
+  assert.equal(head.data, "");
+
+  const { summary, requests } = loader.getFetchLog();
+  assert.deepEqual(
+    { ...summary, durationMs: 0 },
+    {
+      requests: 3,
+      reused: 2,
+      revalidated: 0,
+      retried: 1,
+      failed: 1,
+      bytes: 14,
+      durationMs: 0,
+    }
+  );
+  assert.deepEqual(
+    requests.map(({ method, status, error }) => [method, status, error]),
+    [
+      ["GET", 200, null],
+      ["HEAD", 200, null],
+      ["GET", 404, "Request failed with status 404"],
+    ]
+  );
+});
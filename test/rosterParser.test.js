@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseRoster } from "../services/jobs/rosterParser.js";
+
+test("CSV avec en-tête : colonnes reconnues dans n'importe quel ordre", () => {
+  const roster = parseRoster(
+    "Groupe,URL,Étudiant\nTP1,https://a.test,Alice\n,https://b.test,Bob\n"
+  );
+
+  assert.deepEqual(roster, [
+    { name: "Alice", url: "https://a.test", group: "TP1" },
+    { name: "Bob", url: "https://b.test", group: null },
+  ]);
+});
+
+test("CSV Excel : BOM, points-virgules, fins de ligne Windows", () => {
+  const roster = parseRoster(
+    "\uFEFFnom;lien\r\nAlice;https://a.test\r\n\r\nBob;https://b.test\r\n"
+  );
+
+  assert.deepEqual(roster, [
+    { name: "Alice", url: "https://a.test", group: null },
+    { name: "Bob", url: "https://b.test", group: null },
+  ]);
+});
+
+test("CSV : cellules entre guillemets avec séparateur et guillemets doublés", () => {
+  const roster = parseRoster(
+    'name,url,group\n"Dupont, Alice",https://a.test,"TP ""A"""\n'
+  );
+
+  assert.deepEqual(roster, [
+    { name: "Dupont, Alice", url: "https://a.test", group: 'TP "A"' },
+  ]);
+});
+
+test("CSV sans en-tête reconnu : nom, URL puis groupe", () => {
+  const roster = parseRoster(
+    "Alice,https://a.test,TP1\nBob,https://b.test\nCharlie"
+  );
+
+  assert.deepEqual(roster, [
+    { name: "Alice", url: "https://a.test", group: "TP1" },
+    { name: "Bob", url: "https://b.test", group: null },
+    { name: "Charlie", url: "", group: null },
+  ]);
+});
+
+test("CSV vide : aucune entrée", () => {
+  assert.deepEqual(parseRoster(" \n\n"), []);
+});
+
+test("JSON : tableau ou objet roster, mêmes alias que le CSV", () => {
+  const expected = [
+    { name: "Alice", url: "https://a.test", group: "TP1" },
+    { name: "Bob", url: "https://b.test", group: null },
+  ];
+  const items = [
+    { Nom: " Alice ", Site: "https://a.test", TP: 1 },
+    { name: "Bob", url: "https://b.test", age: 20 },
+  ];
+
+  assert.deepEqual(parseRoster(items), [
+    { ...expected[0], group: "1" },
+    expected[1],
+  ]);
+  assert.deepEqual(parseRoster({ roster: expected }), expected);
+  assert.deepEqual(parseRoster(JSON.stringify(expected)), expected);
+});
+
+test("rejette un corps qui n'est ni du CSV ni une liste", () => {
+  assert.throws(() => parseRoster({ students: [] }), /Roster must be/);
+  assert.throws(() => parseRoster(null), /Roster must be/);
+  assert.throws(() => parseRoster("[{"), SyntaxError);
+});
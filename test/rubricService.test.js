@@ -0,0 +1,177 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "module";
+import {
+  DEFAULT_RUBRIC,
+  loadRubric,
+  parseRubric,
+  toGrade,
+} from "../services/scoring/rubricService.js";
+
+// yaml est optionnel : seuls les barèmes JSON sont lus sans lui
+let yamlInstalled = true;
+try {
+  createRequire(import.meta.url)("yaml");
+} catch {
+  yamlInstalled = false;
+}
+
+test("les valeurs absentes sont reprises du barème par défaut", () => {
+  const rubric = parseRubric(
+    {
+      version: 2,
+      analyzers: {
+        images: {
+          weights: { accessibility: 50, performance: 25, bestPractices: 25 },
+        },
+      },
+    },
+    "test"
+  );
+
+  assert.equal(rubric.version, "2");
+  assert.deepEqual(rubric.analyzers.images.weights, {
+    accessibility: 50,
+    performance: 25,
+    bestPractices: 25,
+  });
+  assert.deepEqual(
+    rubric.analyzers.images.thresholds,
+    DEFAULT_RUBRIC.analyzers.images.thresholds
+  );
+  assert.deepEqual(rubric.analyzers.colors, DEFAULT_RUBRIC.analyzers.colors);
+  assert.deepEqual(rubric.overall, DEFAULT_RUBRIC.overall);
+});
+
+test("un seuil modifié garde les autres seuils de l'analyseur", () => {
+  const rubric = parseRubric(
+    {
+      version: "1",
+      analyzers: { linkCheck: { thresholds: { maxRedirects: 3 } } },
+    },
+    "test"
+  );
+
+  assert.equal(rubric.analyzers.linkCheck.thresholds.maxRedirects, 3);
+  assert.equal(
+    rubric.analyzers.linkCheck.thresholds.internalBrokenPenalty,
+    DEFAULT_RUBRIC.analyzers.linkCheck.thresholds.internalBrokenPenalty
+  );
+});
+
+test("accepte des poids décimaux dont la somme arrondie fait 100", () => {
+  const rubric = parseRubric(
+    {
+      version: "1",
+      analyzers: {
+        images: {
+          weights: {
+            accessibility: 30.1,
+            performance: 34.2,
+            bestPractices: 35.7,
+          },
+        },
+      },
+    },
+    "test"
+  );
+
+  assert.equal(rubric.analyzers.images.weights.performance, 34.2);
+});
+
+test("chaque palier de note a son propre seuil", () => {
+  const rubric = parseRubric(
+    {
+      version: "1",
+      analyzers: {
+        classAnalysis: { thresholds: { goodPureBem: 0.7 } },
+        images: { thresholds: { heavyTop5WeightKB: 300 } },
+      },
+    },
+    "test"
+  );
+
+  assert.deepEqual(rubric.analyzers.classAnalysis.thresholds, {
+    targetPureBem: 0.8,
+    goodPureBem: 0.7,
+    partialPureBem: 0.4,
+    minPureBem: 0.25,
+  });
+  assert.deepEqual(rubric.analyzers.images.thresholds, {
+    targetTop5WeightKB: 80,
+    acceptableTop5WeightKB: 150,
+    heavyTop5WeightKB: 300,
+    maxTop5WeightKB: 400,
+  });
+});
+
+test("rejette les barèmes invalides", () => {
+  const invalid = [
+    [{}, /version is required/],
+    [{ version: "1", analyzers: { unknown: {} } }, /Unknown analyzer/],
+    [
+      {
+        version: "1",
+        analyzers: { images: { weights: { accessibility: 10 } } },
+      },
+      /must add up to 100/,
+    ],
+    [
+      { version: "1", analyzers: { colors: { thresholds: { nope: 1 } } } },
+      /Unknown thresholds entry/,
+    ],
+    [
+      {
+        version: "1",
+        analyzers: { colors: { thresholds: { optimalPalette: [8] } } },
+      },
+      /\[min, max\] pair/,
+    ],
+    [
+      { version: "1", analyzers: { anchors: { enabled: "yes" } } },
+      /must be true or false/,
+    ],
+    [{ version: "1", gradeBoundaries: { A: 120 } }, /between 0 and 100/],
+    [
+      { version: "1", overall: { missingScores: "ignore" } },
+      /missingScores must be one of/,
+    ],
+    [
+      { version: "1", overall: { weights: { seo: 50 } } },
+      /overall.weights must add up to 100/,
+    ],
+  ];
+
+  invalid.forEach(([definition, message]) => {
+    assert.throws(() => parseRubric(definition, "test"), message);
+  });
+});
+
+test("lettre selon les bornes des notes", () => {
+  const boundaries = { A: 90, B: 80, C: 70, D: 60 };
+
+  assert.equal(toGrade(90, boundaries), "A");
+  assert.equal(toGrade(89.9, boundaries), "B");
+  assert.equal(toGrade(60, boundaries), "D");
+  assert.equal(toGrade(10, boundaries), "F");
+});
+
+test(
+  "lit les barèmes YAML",
+  { skip: !yamlInstalled && "yaml non installé" },
+  () => {
+    assert.equal(loadRubric("integration").name, "integration");
+  }
+);
+
+test(
+  "sans le paquet yaml, un barème YAML est signalé",
+  { skip: yamlInstalled && "yaml installé" },
+  () => {
+    assert.throws(
+      () => loadRubric("integration"),
+      /Invalid rubric integration: YAML rubrics require the yaml package/
+    );
+    assert.equal(loadRubric("default").name, "default");
+  }
+);
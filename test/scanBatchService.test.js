@@ -0,0 +1,182 @@
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { initScanJobs } from "../services/jobs/scanJobService.js";
+import {
+  createScanBatch,
+  getScanBatch,
+  initScanBatches,
+  listScanBatches,
+} from "../services/jobs/scanBatchService.js";
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-jobs-"));
+const batchesDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-batches-"));
+
+// Scans simulés : chacun reste en cours jusqu'à ce que le test le termine
+const runs = [];
+const runJob = (params) =>
+  new Promise((resolve, reject) => runs.push({ params, resolve, reject }));
+
+// Laisse la file enregistrer le résultat et démarrer le job suivant
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const finishRun = async (projectName, error) => {
+  const run = runs.find(({ params }) => params.projectName === projectName);
+  if (error) run.reject(new Error(error));
+  else run.resolve({ meta: { projectName, snapshotId: `${projectName}-1` } });
+  await flush();
+};
+
+const readBatchFile = (id) =>
+  JSON.parse(fs.readFileSync(path.join(batchesDir, `${id}.json`), "utf-8"));
+
+const writeJob = (id, status, report) =>
+  fs.writeFileSync(
+    path.join(jobsDir, `${id}.json`),
+    JSON.stringify({
+      id,
+      params: { url: `https://example.com/${id}`, projectName: id },
+      status,
+      stage: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: status === "done" ? new Date().toISOString() : null,
+      report,
+    })
+  );
+
+const entry = (name, jobId) => ({
+  name,
+  url: `https://example.com/${name}`,
+  group: null,
+  jobId,
+  rejection: null,
+  result: null,
+});
+
+before(() => {
+  // Lot créé avant un redémarrage : un job terminé entre-temps, un job repris
+  // et un job déjà oublié
+  writeJob("termine", "done", { meta: { snapshotId: "termine-1" } });
+  writeJob("repris", "queued");
+  fs.writeFileSync(
+    path.join(batchesDir, "ancien.json"),
+    JSON.stringify({
+      id: "ancien",
+      createdAt: "2026-01-12T09:00:00.000Z",
+      entries: [
+        entry("termine", "termine"),
+        entry("repris", "repris"),
+        entry("oublie", "oublie"),
+      ],
+    })
+  );
+
+  initScanJobs({ jobsDir, runJob });
+  initScanBatches({ batchesDir });
+});
+
+after(() => {
+  fs.rmSync(jobsDir, { recursive: true, force: true });
+  fs.rmSync(batchesDir, { recursive: true, force: true });
+});
+
+test("reprend au démarrage les lots créés avant un redémarrage", async () => {
+  assert.deepEqual(readBatchFile("ancien").entries[0].result, {
+    status: "done",
+    snapshotId: "termine-1",
+  });
+
+  let batch = getScanBatch("ancien");
+  assert.deepEqual(batch.summary, {
+    total: 3,
+    succeeded: 1,
+    failed: 0,
+    pending: 1,
+    expired: 1,
+  });
+  assert.deepEqual(
+    batch.expired.map(({ name }) => name),
+    ["oublie"]
+  );
+
+  await finishRun("repris");
+
+  batch = getScanBatch("ancien");
+  assert.equal(batch.status, "done");
+  assert.deepEqual(
+    batch.succeeded.map(({ name, snapshotId }) => [name, snapshotId]),
+    [
+      ["termine", "termine-1"],
+      ["repris", "repris-1"],
+    ]
+  );
+});
+
+test("enregistre dans le lot le résultat de chaque job terminé", async () => {
+  const { id } = createScanBatch([
+    { name: "alice", url: "https://alice.test/", group: "TP1" },
+    { name: "bob", url: "https://bob.test/", group: "TP2" },
+    { name: "Alice", url: "https://alice.test/", group: null },
+  ]);
+  await flush();
+
+  await finishRun("alice");
+  await finishRun("bob", "connect ECONNREFUSED");
+
+  const entries = readBatchFile(id).entries;
+  assert.deepEqual(
+    entries.map(({ result }) => result),
+    [
+      { status: "done", snapshotId: "alice-1" },
+      { status: "failed", error: "connect ECONNREFUSED" },
+      null,
+    ]
+  );
+
+  const batch = getScanBatch(id);
+  assert.equal(batch.status, "done");
+  assert.deepEqual(batch.summary, {
+    total: 3,
+    succeeded: 1,
+    failed: 2,
+    pending: 0,
+    expired: 0,
+  });
+  assert.deepEqual(
+    batch.failed.map(({ name, reason }) => [name, reason]),
+    [
+      ["bob", "connect ECONNREFUSED"],
+      ["Alice", "Duplicate name in roster"],
+    ]
+  );
+  assert.deepEqual(
+    listScanBatches().map(({ id }) => id),
+    [id, "ancien"]
+  );
+});
+
+test("rejette les entrées invalides avec leur motif", () => {
+  const { id } = createScanBatch([
+    { name: "", url: "https://a.test/" },
+    { name: "../carol", url: "https://carol.test/" },
+    { name: "dave", url: "" },
+    { name: "erin", url: "ftp://erin.test/" },
+    { name: "frank", url: "pas une url" },
+  ]);
+
+  assert.deepEqual(
+    getScanBatch(id).failed.map(({ reason }) => reason),
+    [
+      "Missing name",
+      "Invalid name (/, \\ and .. are not allowed)",
+      "Missing URL",
+      "Unsupported protocol: ftp:",
+      "Invalid URL: pas une url",
+    ]
+  );
+});
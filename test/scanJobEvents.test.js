@@ -0,0 +1,169 @@
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  enqueueScanJob,
+  getScanJob,
+  getScanJobEvents,
+  initScanJobs,
+  subscribeToScanJob,
+} from "../services/jobs/scanJobService.js";
+import { streamScanJobEvents } from "../controllers/analysisControllerServer.js";
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-events-"));
+
+// Scan simulé : émet sa progression puis attend que le test le termine
+let finishScan;
+const runJob = (params, { onProgress }) => {
+  onProgress({ type: "stage", stage: "crawl" });
+  onProgress({ type: "page-discovered", url: "https://a.test/", count: 1 });
+  onProgress({ type: "page-discovered", url: "https://a.test/b", count: 2 });
+  onProgress({ type: "crawl-complete", total: 2 });
+  onProgress({ type: "stage", stage: "pages" });
+  // Pages analysées en parallèle : la deuxième du crawl finit en premier
+  onProgress({
+    type: "page-analyzed",
+    url: "https://a.test/b",
+    index: 2,
+    completed: 1,
+    total: 2,
+  });
+  return new Promise((resolve) => {
+    finishScan = resolve;
+  });
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// Requête et réponse Express minimales pour le flux SSE
+const createSseRequest = (id, lastEventId) => ({
+  params: { id },
+  get: (header) => (header === "Last-Event-ID" ? lastEventId : undefined),
+  on: () => {},
+});
+
+const createSseResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  chunks: [],
+  ended: false,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    this.ended = true;
+  },
+  set(headers) {
+    Object.assign(this.headers, headers);
+  },
+  flushHeaders() {},
+  write(chunk) {
+    this.chunks.push(chunk);
+  },
+  end() {
+    this.ended = true;
+  },
+});
+
+// Événements SSE envoyés (hors état initial)
+const sentEvents = (res) =>
+  res.chunks
+    .join("")
+    .split("\n\n")
+    .filter((block) => block.startsWith("id: "))
+    .map((block) => JSON.parse(block.split("data: ")[1]));
+
+let job;
+
+before(() => {
+  initScanJobs({ jobsDir, runJob });
+  job = enqueueScanJob({ url: "https://a.test/", projectName: "A" });
+});
+
+after(() => fs.rmSync(jobsDir, { recursive: true, force: true }));
+
+test("résume l'avancement du job à partir des événements", () => {
+  const { stage, progress } = getScanJob(job.id);
+
+  assert.equal(stage, "pages");
+  assert.deepEqual(progress, {
+    pagesDiscovered: 2,
+    pagesTotal: 2,
+    pagesAnalyzed: 1,
+  });
+});
+
+test("numérote les événements et les rejoue depuis un identifiant", () => {
+  const events = getScanJobEvents(job.id);
+
+  assert.deepEqual(
+    events.map(({ id, type }) => [id, type]),
+    [
+      [1, "started"],
+      [2, "stage"],
+      [3, "page-discovered"],
+      [4, "page-discovered"],
+      [5, "crawl-complete"],
+      [6, "stage"],
+      [7, "page-analyzed"],
+    ]
+  );
+  assert.deepEqual(
+    getScanJobEvents(job.id, 5).map(({ id }) => id),
+    [6, 7]
+  );
+  assert.deepEqual(getScanJobEvents("inconnu"), []);
+});
+
+test("le flux SSE reprend après Last-Event-ID et se ferme à la fin", async () => {
+  const res = createSseResponse();
+  streamScanJobEvents(createSseRequest(job.id, "6"), res);
+
+  assert.equal(res.headers["Content-Type"], "text/event-stream");
+  assert.match(res.chunks[0], /^event: snapshot\ndata: /);
+  assert.equal(JSON.parse(res.chunks[0].split("data: ")[1]).status, "running");
+  assert.deepEqual(
+    sentEvents(res).map(({ id }) => id),
+    [7]
+  );
+  assert.equal(res.ended, false);
+
+  const received = [];
+  const unsubscribe = subscribeToScanJob(job.id, (event) =>
+    received.push(event.type)
+  );
+  finishScan({ meta: { projectName: "A" } });
+  await flush();
+  unsubscribe();
+
+  assert.deepEqual(received, ["done"]);
+  assert.deepEqual(
+    sentEvents(res).map(({ type }) => type),
+    ["page-analyzed", "done"]
+  );
+  assert.equal(res.ended, true);
+});
+
+test("le flux d'un job terminé rejoue son historique puis se ferme", () => {
+  const res = createSseResponse();
+  streamScanJobEvents(createSseRequest(job.id), res);
+
+  // État initial sans le rapport, qui n'est pas relu sur disque
+  const snapshot = JSON.parse(res.chunks[0].split("data: ")[1]);
+  assert.equal(snapshot.status, "done");
+  assert.equal("report" in snapshot, false);
+  assert.equal(sentEvents(res).length, 8);
+  assert.equal(res.ended, true);
+});
+
+test("job inconnu : 404", () => {
+  const res = createSseResponse();
+  streamScanJobEvents(createSseRequest("inconnu"), res);
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.body, { error: "Job not found" });
+});
@@ -0,0 +1,71 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Le service lit la durée de conservation et la limite à son chargement
+process.env.SCAN_JOB_RETENTION_HOURS = "1";
+process.env.SCAN_JOB_HISTORY_LIMIT = "2";
+const { enqueueScanJob, getScanJob, getScanJobEvents, initScanJobs } =
+  await import("../services/jobs/scanJobService.js");
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-jobs-"));
+after(() => fs.rmSync(jobsDir, { recursive: true, force: true }));
+
+const hoursAgo = (hours) =>
+  new Date(Date.now() - hours * 3600000).toISOString();
+
+const writeJob = (id, status, finishedAt) =>
+  fs.writeFileSync(
+    path.join(jobsDir, `${id}.json`),
+    JSON.stringify({
+      id,
+      params: { url: `https://example.com/${id}`, projectName: id },
+      status,
+      stage: null,
+      error: null,
+      createdAt: hoursAgo(3),
+      updatedAt: finishedAt ?? hoursAgo(3),
+      startedAt: null,
+      finishedAt,
+    })
+  );
+
+const jobFiles = () => fs.readdirSync(jobsDir).sort();
+
+// Laisse la file enregistrer le résultat et faire le ménage (un job terminé
+// par milliseconde au plus, pour un ordre de fin sans ambiguïté)
+const flush = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("oublie au démarrage les jobs terminés depuis trop longtemps", () => {
+  writeJob("expire", "done", hoursAgo(2));
+  writeJob("echoue", "failed", hoursAgo(0.5));
+  writeJob("attente", "queued", null);
+
+  initScanJobs({ jobsDir, runJob: async () => ({}) });
+
+  assert.equal(getScanJob("expire"), null);
+  assert.deepEqual(jobFiles(), ["attente.json", "echoue.json"]);
+});
+
+test("garde seulement les derniers jobs terminés, événements compris", async () => {
+  await flush();
+  assert.equal(getScanJob("attente").status, "done");
+
+  const first = enqueueScanJob({ url: "https://a.test", projectName: "A" });
+  await flush();
+  const second = enqueueScanJob({ url: "https://b.test", projectName: "B" });
+  await flush();
+
+  // « echoue » puis « attente » sont les plus anciens au-delà de la limite
+  assert.equal(getScanJob("echoue"), null);
+  assert.equal(getScanJob("attente"), null);
+  assert.deepEqual(getScanJobEvents("attente"), []);
+  assert.equal(getScanJob(first.id).status, "done");
+  assert.ok(getScanJobEvents(second.id).length > 0);
+  assert.deepEqual(
+    jobFiles(),
+    [`${first.id}.json`, `${second.id}.json`].sort()
+  );
+});
@@ -0,0 +1,118 @@
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  enqueueScanJob,
+  getScanJob,
+  initScanJobs,
+  JOB_STATUS,
+  listScanJobs,
+} from "../services/jobs/scanJobService.js";
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-jobs-"));
+
+// Scans simulés : chacun reste en cours jusqu'à ce que le test le termine
+const runs = [];
+const runJob = (params) =>
+  new Promise((resolve, reject) => runs.push({ params, resolve, reject }));
+
+// Laisse la file démarrer le job suivant
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const writeJob = (id, status, createdAt, extra = {}) =>
+  fs.writeFileSync(
+    path.join(jobsDir, `${id}.json`),
+    JSON.stringify({
+      id,
+      params: { url: `https://example.com/${id}`, projectName: id },
+      status,
+      stage: status === JOB_STATUS.RUNNING ? "lighthouse" : null,
+      error: null,
+      createdAt,
+      updatedAt: createdAt,
+      startedAt: null,
+      finishedAt: null,
+      ...extra,
+    })
+  );
+
+const readJobFile = (id) =>
+  JSON.parse(fs.readFileSync(path.join(jobsDir, `${id}.json`), "utf-8"));
+
+before(() => {
+  writeJob("running", JOB_STATUS.RUNNING, "2026-01-12T09:05:00.000Z");
+  writeJob("queued", JOB_STATUS.QUEUED, "2026-01-12T09:00:00.000Z");
+  // Terminé récemment : conservé (voir SCAN_JOB_RETENTION_HOURS)
+  const finishedAt = new Date(Date.now() - 60000).toISOString();
+  writeJob("done", JOB_STATUS.DONE, "2026-01-12T08:00:00.000Z", {
+    finishedAt,
+    report: { meta: { projectName: "done" } },
+  });
+  fs.writeFileSync(path.join(jobsDir, "broken.json"), "{");
+
+  initScanJobs({ jobsDir, runJob });
+});
+
+after(() => fs.rmSync(jobsDir, { recursive: true, force: true }));
+
+test("relance les jobs interrompus dans l'ordre de création", () => {
+  assert.deepEqual(
+    runs.map(({ params }) => params.projectName),
+    ["queued"]
+  );
+  assert.equal(getScanJob("queued").status, JOB_STATUS.RUNNING);
+
+  const waiting = getScanJob("running");
+  assert.equal(waiting.status, JOB_STATUS.QUEUED);
+  assert.equal(waiting.stage, null);
+  assert.equal(waiting.queuePosition, 1);
+  assert.equal(readJobFile("running").status, JOB_STATUS.QUEUED);
+});
+
+test("ne relance pas les jobs terminés et ignore les fichiers illisibles", () => {
+  const done = getScanJob("done");
+
+  assert.equal(done.status, JOB_STATUS.DONE);
+  assert.deepEqual(done.report, { meta: { projectName: "done" } });
+  assert.deepEqual(
+    listScanJobs().map(({ id }) => id),
+    ["running", "queued", "done"]
+  );
+});
+
+test("enregistre le rapport ou l'erreur puis passe au job suivant", async () => {
+  runs[0].resolve({ meta: { projectName: "queued" } });
+  await flush();
+
+  const finished = getScanJob("queued");
+  assert.equal(finished.status, JOB_STATUS.DONE);
+  assert.deepEqual(finished.report, { meta: { projectName: "queued" } });
+  assert.ok(finished.finishedAt);
+  assert.deepEqual(readJobFile("queued").report, finished.report);
+
+  assert.equal(runs.length, 2);
+  runs[1].reject(new Error("Site injoignable"));
+  await flush();
+
+  const failed = getScanJob("running");
+  assert.equal(failed.status, JOB_STATUS.FAILED);
+  assert.equal(failed.error, "Site injoignable");
+  assert.equal(failed.report, undefined);
+});
+
+test("un nouveau job attend son tour dans la file", async () => {
+  const first = enqueueScanJob({ url: "https://a.test", projectName: "A" });
+  const second = enqueueScanJob({ url: "https://b.test", projectName: "B" });
+
+  assert.equal(getScanJob(first.id).status, JOB_STATUS.RUNNING);
+  assert.equal(getScanJob(second.id).queuePosition, 1);
+  assert.equal(readJobFile(second.id).status, JOB_STATUS.QUEUED);
+
+  runs[2].resolve({});
+  await flush();
+  assert.equal(getScanJob(second.id).status, JOB_STATUS.RUNNING);
+  runs[3].resolve({});
+  await flush();
+});
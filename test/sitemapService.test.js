@@ -0,0 +1,172 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFileLoader } from "../services/shared/resourceLoader.js";
+import { LocalHtmlCrawler } from "../services/html/fileScannerService.js";
+import {
+  isAllowedByRobots,
+  loadSitemaps,
+  parseRobotsTxt,
+} from "../services/html/sitemapService.js";
+
+const robotsTxt = `# Exemple
+User-agent: Googlebot
+Disallow: /
+
+User-agent: bingbot
+User-agent: *
+Disallow: /admin/
+Allow: /admin/public*
+Disallow: /*.pdf$
+Disallow:
+
+Sitemap: https://site.test/sitemap-index.xml
+`;
+
+const urlset = (locations) =>
+  `<?xml version="1.0"?><urlset>${locations
+    .map((loc) => `<url><loc> ${loc} </loc></url>`)
+    .join("")}</urlset>`;
+
+// Chargeur simulé : les fichiers absents échouent comme une 404
+const createLoader = (files) => ({
+  get: async (url) => {
+    if (!(url in files)) throw new Error(`Request failed with status 404`);
+    return { status: 200, headers: {}, data: files[url] };
+  },
+});
+
+test("lit les sitemaps et les règles du groupe User-agent: *", () => {
+  assert.deepEqual(parseRobotsTxt(robotsTxt), {
+    sitemaps: ["https://site.test/sitemap-index.xml"],
+    rules: [
+      { allow: false, path: "/admin/" },
+      { allow: true, path: "/admin/public*" },
+      { allow: false, path: "/*.pdf$" },
+    ],
+  });
+});
+
+test("la règle la plus longue l'emporte", () => {
+  const robots = parseRobotsTxt(robotsTxt);
+
+  assert.equal(isAllowedByRobots(robots, "/blog/"), true);
+  assert.equal(isAllowedByRobots(robots, "/admin/users"), false);
+  assert.equal(isAllowedByRobots(robots, "/admin/public/page.html"), true);
+  assert.equal(isAllowedByRobots(robots, "/docs/cours.pdf"), false);
+  assert.equal(isAllowedByRobots(robots, "/docs/cours.pdf?v=2"), true);
+  assert.equal(isAllowedByRobots(null, "/admin/"), true);
+});
+
+test("suit les index de sitemaps déclarés dans robots.txt", async () => {
+  const data = await loadSitemaps(
+    "https://site.test/",
+    createLoader({
+      "https://site.test/robots.txt": robotsTxt,
+      "https://site.test/sitemap-index.xml": `<sitemapindex>
+        <sitemap><loc>https://site.test/pages.xml</loc></sitemap>
+        <sitemap><loc>https://site.test/absent.xml</loc></sitemap>
+      </sitemapindex>`,
+      "https://site.test/pages.xml": urlset([
+        "https://site.test/",
+        "https://site.test/orpheline.html",
+      ]),
+    })
+  );
+
+  assert.deepEqual(data.robotsTxt, {
+    url: "https://site.test/robots.txt",
+    sitemaps: ["https://site.test/sitemap-index.xml"],
+    rules: 3,
+  });
+  assert.deepEqual(data.sitemaps, [
+    {
+      url: "https://site.test/sitemap-index.xml",
+      type: "index",
+      entries: 2,
+      error: null,
+    },
+    {
+      url: "https://site.test/pages.xml",
+      type: "urlset",
+      entries: 2,
+      error: null,
+    },
+    {
+      url: "https://site.test/absent.xml",
+      type: null,
+      entries: 0,
+      error: "Request failed with status 404",
+    },
+  ]);
+  assert.deepEqual(data.urls, [
+    "https://site.test/",
+    "https://site.test/orpheline.html",
+  ]);
+});
+
+test("sans robots.txt, cherche sitemap.xml sans signaler son absence", async () => {
+  const data = await loadSitemaps(
+    "https://site.test/projet/",
+    createLoader({
+      "https://site.test/sitemap.xml": urlset(["https://site.test/projet/a"]),
+    })
+  );
+
+  assert.equal(data.robotsTxt, null);
+  assert.deepEqual(
+    data.sitemaps.map(({ url, error }) => [url, error]),
+    [["https://site.test/sitemap.xml", null]]
+  );
+  assert.deepEqual(data.urls, ["https://site.test/projet/a"]);
+});
+
+test("local : pages orphelines du sitemap et règles de robots.txt", async () => {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), "sitemap-"));
+  after(() => fs.rmSync(siteDir, { recursive: true, force: true }));
+  const files = {
+    "index.html": '<a href="blog.html">Blog</a> <a href="admin/">Admin</a>',
+    "blog.html": "<p>Blog</p>",
+    "orpheline.html": "<p>Aucun lien ici</p>",
+    "admin/index.html": "<p>Admin</p>",
+    "robots.txt":
+      "User-agent: *\nDisallow: /admin/\nSitemap: https://prod.test/sitemap.xml",
+    // Adresses de production : lues par leur chemin depuis la racine
+    "sitemap.xml": urlset([
+      "https://prod.test/",
+      "https://prod.test/orpheline.html",
+      "https://prod.test/supprimee.html",
+    ]),
+  };
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(siteDir, name)), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, name), content);
+  });
+  const loader = createFileLoader(siteDir);
+
+  const { pages, sitemap } = await LocalHtmlCrawler(loader);
+  assert.deepEqual(pages, [
+    "file:///",
+    "file:///orpheline.html",
+    "file:///blog.html",
+    "file:///admin/",
+  ]);
+  assert.equal(sitemap.found, true);
+  assert.equal(sitemap.entries, 3);
+  assert.deepEqual(sitemap.onlyInSitemap, ["file:///orpheline.html"]);
+  assert.deepEqual(sitemap.missingFromSitemap, [
+    "file:///blog.html",
+    "file:///admin/",
+  ]);
+  assert.deepEqual(sitemap.notCrawled, ["file:///supprimee.html"]);
+
+  const polite = await LocalHtmlCrawler(loader, {
+    crawlOptions: { useSitemap: false, respectRobotsTxt: true },
+  });
+  assert.deepEqual(polite, {
+    pages: ["file:///", "file:///blog.html"],
+    sitemap: null,
+  });
+});
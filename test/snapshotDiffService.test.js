@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffSnapshots } from "../services/history/snapshotDiffService.js";
+
+const toReport = ({ validation, improvements = [], pages = [] }) => ({
+  meta: { snapshotId: "s", scannedAt: null, url: null },
+  validationScore: { total: validation, improvements },
+  pages: pages.map((file) => ({ file })),
+});
+
+test("évolution des scores", () => {
+  const diff = diffSnapshots(
+    toReport({ validation: 40 }),
+    toReport({ validation: 55.5 })
+  );
+
+  assert.deepEqual(diff.scores.validation, {
+    before: 40,
+    after: 55.5,
+    delta: 15.5,
+  });
+  assert.equal(diff.scores.cssColors.delta, null);
+});
+
+test("seul le nombre change : recommandation modifiée, pas nouvelle", () => {
+  const diff = diffSnapshots(
+    toReport({
+      validation: 40,
+      improvements: [
+        "Corriger les 2 erreur(s) de validation HTML",
+        "Examiner et corriger les 3 avertissement(s)",
+      ],
+    }),
+    toReport({
+      validation: 60,
+      improvements: [
+        "Corriger les 1 erreur(s) de validation HTML",
+        "Excellent ! Code HTML parfaitement valide.",
+      ],
+    })
+  );
+
+  assert.deepEqual(diff.improvements.validation, {
+    resolved: ["Examiner et corriger les 3 avertissement(s)"],
+    new: ["Excellent ! Code HTML parfaitement valide."],
+    changed: [
+      {
+        before: "Corriger les 2 erreur(s) de validation HTML",
+        after: "Corriger les 1 erreur(s) de validation HTML",
+      },
+    ],
+  });
+  assert.deepEqual(diff.improvements.cssColors, {
+    resolved: [],
+    new: [],
+    changed: [],
+  });
+});
+
+test("classes inutilisées et balises requises manquantes", () => {
+  const diff = diffSnapshots(
+    {
+      ...toReport({ validation: 50 }),
+      classAnalysis: {
+        mismatch: {
+          unusedCssClasses: ["old", "card"],
+          undefinedHtmlClasses: [],
+        },
+      },
+      globalAnalysis: { tagsMissing: ["nav"] },
+    },
+    {
+      ...toReport({ validation: 50 }),
+      classAnalysis: {
+        mismatch: {
+          unusedCssClasses: ["card", "hero"],
+          undefinedHtmlClasses: ["x"],
+        },
+      },
+      globalAnalysis: { tagsMissing: ["footer"] },
+    }
+  );
+
+  assert.deepEqual(diff.classes, {
+    newUnused: ["hero"],
+    resolvedUnused: ["old"],
+    newUndefined: ["x"],
+    resolvedUndefined: [],
+  });
+  assert.deepEqual(diff.requiredTags, {
+    newlyMissing: ["footer"],
+    newlyPresent: ["nav"],
+  });
+});
+
+test("pages comparées par leur chemin, quel que soit l'hôte", () => {
+  const diff = diffSnapshots(
+    toReport({
+      validation: 50,
+      pages: [
+        "http://127.0.0.1:4000/index.html",
+        "http://127.0.0.1:4000/a.html",
+      ],
+    }),
+    toReport({
+      validation: 50,
+      pages: ["http://127.0.0.1:5000/", "http://127.0.0.1:5000/b.html"],
+    })
+  );
+
+  assert.deepEqual(diff.pages, { added: ["/b.html"], removed: ["/a.html"] });
+});
@@ -0,0 +1,118 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  getLatestSnapshot,
+  getSnapshot,
+  listSnapshots,
+  saveSnapshot,
+} from "../services/history/snapshotService.js";
+
+const dataDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../data"
+);
+// Projets propres à ce test, supprimés à la fin
+const projectName = `test-snapshots-${process.pid}`;
+const legacyProject = `test-legacy-${process.pid}`;
+const historyDir = (name) => path.join(dataDir, "history", name);
+
+after(() => {
+  [projectName, legacyProject].forEach((name) => {
+    fs.rmSync(path.join(dataDir, `${name}.json`), { force: true });
+    fs.rmSync(historyDir(name), { recursive: true, force: true });
+  });
+});
+
+const buildReport = (scannedAt, colorsScore) => ({
+  meta: { projectName, url: "https://site.test/", scannedAt },
+  cssAnalysisResult: { colors: { score: { total: colorsScore } } },
+});
+
+test("chaque scan devient un snapshot, listé du plus récent au plus ancien", () => {
+  const first = saveSnapshot(
+    projectName,
+    buildReport("2026-01-10T09:00:00.000Z", 6)
+  );
+  // Même milliseconde : l'identifiant est suffixé
+  const second = saveSnapshot(
+    projectName,
+    buildReport("2026-01-10T09:00:00.000Z", 9)
+  );
+
+  assert.equal(first.meta.snapshotId, "2026-01-10T09-00-00-000Z");
+  assert.equal(second.meta.snapshotId, "2026-01-10T09-00-00-000Z-2");
+  assert.deepEqual(getLatestSnapshot(projectName), second);
+  assert.deepEqual(getSnapshot(projectName, first.meta.snapshotId), first);
+
+  const snapshots = listSnapshots(projectName);
+  assert.deepEqual(
+    snapshots.map(({ snapshotId, scores }) => [snapshotId, scores.cssColors]),
+    [
+      ["2026-01-10T09-00-00-000Z-2", 9],
+      ["2026-01-10T09-00-00-000Z", 6],
+    ]
+  );
+});
+
+test("l'historique est listé depuis l'index, reconstruit s'il manque", () => {
+  const indexPath = path.join(historyDir(projectName), ".index.json");
+  const expected = listSnapshots(projectName);
+
+  assert.deepEqual(
+    Object.keys(JSON.parse(fs.readFileSync(indexPath, "utf-8"))).sort(),
+    ["2026-01-10T09-00-00-000Z", "2026-01-10T09-00-00-000Z-2"]
+  );
+
+  fs.rmSync(indexPath);
+  assert.deepEqual(listSnapshots(projectName), expected);
+  assert.equal(fs.existsSync(indexPath), true);
+
+  // Un snapshot ajouté hors de saveSnapshot est pris en compte
+  const extra = {
+    ...buildReport("2026-01-11T09:00:00.000Z", 4),
+    meta: { projectName, snapshotId: "2026-01-11T09-00-00-000Z" },
+  };
+  fs.writeFileSync(
+    path.join(historyDir(projectName), "2026-01-11T09-00-00-000Z.json"),
+    JSON.stringify(extra)
+  );
+  assert.equal(listSnapshots(projectName)[0].snapshotId, extra.meta.snapshotId);
+  assert.equal(getSnapshot(projectName, ".index"), null);
+});
+
+test("un rapport antérieur aux snapshots est conservé dans l'historique", () => {
+  fs.writeFileSync(
+    path.join(dataDir, `${legacyProject}.json`),
+    JSON.stringify(buildReport(undefined, 5))
+  );
+
+  const [legacy] = listSnapshots(legacyProject);
+  const { scores, ...meta } = legacy;
+  assert.equal(meta.legacy, true);
+  assert.equal(scores.cssColors, 5);
+  assert.deepEqual(getSnapshot(legacyProject, legacy.snapshotId).meta, meta);
+
+  saveSnapshot(legacyProject, buildReport("2099-01-01T00:00:00.000Z", 7));
+  assert.deepEqual(
+    listSnapshots(legacyProject).map(({ snapshotId, legacy }) => [
+      snapshotId,
+      legacy ?? false,
+    ]),
+    [
+      ["2099-01-01T00-00-00-000Z", false],
+      [legacy.snapshotId, true],
+    ]
+  );
+});
+
+test("refuse les noms de projet invalides", () => {
+  assert.throws(
+    () => saveSnapshot("../evil", buildReport("2026-01-10T09:00:00.000Z", 1)),
+    /Invalid project name/
+  );
+  assert.equal(listSnapshots("../evil"), null);
+  assert.equal(listSnapshots(`absent-${process.pid}`), null);
+});
@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { calculateClassStats } from "../services/stats/statsService.js";
+
+// Scores enregistrés : tous les critères sont présents, null si non notés
+const CRITERIA = [
+  "cssImports",
+  "cssVariables",
+  "cssTypography",
+  "cssColors",
+  "classAnalysis",
+  "htmlImages",
+  "validation",
+  "links",
+  "anchors",
+  "performance",
+  "accessibility",
+  "bestPractices",
+  "seo",
+  "overall",
+];
+const withScores = (scores) => ({
+  ...Object.fromEntries(CRITERIA.map((criterion) => [criterion, null])),
+  ...scores,
+});
+
+// Étudiants notés sur la seule note globale
+const toStudents = (scores) =>
+  scores.map((overall, index) => ({
+    name: `Étudiant ${index + 1}`,
+    scores: withScores({ overall }),
+  }));
+
+test("quartiles et percentiles par interpolation linéaire", () => {
+  const { stats } = calculateClassStats(toStudents([40, 10, 30, 20]));
+
+  assert.equal(stats.overall.median, 25);
+  assert.equal(stats.overall.q1, 17.5);
+  assert.equal(stats.overall.q3, 32.5);
+  assert.equal(stats.overall.p10, 13);
+  assert.equal(stats.overall.p90, 37);
+  assert.equal(stats.overall.stdDev, 11.2);
+});
+
+test("un seul score : tous les percentiles valent ce score", () => {
+  const { stats } = calculateClassStats(toStudents([72]));
+
+  assert.deepEqual(
+    [stats.overall.q1, stats.overall.q3, stats.overall.p10, stats.overall.p90],
+    [72, 72, 72, 72]
+  );
+  assert.equal(stats.overall.stdDev, 0);
+});
+
+test("histogramme par tranches de 10 points, 100 dans la dernière", () => {
+  const { histogram } = calculateClassStats(toStudents([0, 9.9, 10, 100])).stats
+    .overall;
+
+  assert.equal(histogram.length, 10);
+  assert.deepEqual(histogram[0], { from: 0, to: 10, count: 2 });
+  assert.equal(histogram[1].count, 1);
+  assert.deepEqual(histogram[9], { from: 90, to: 100, count: 1 });
+});
+
+test("z-score et rang centile de chaque étudiant", () => {
+  const { studentData } = calculateClassStats(toStudents([10, 20, 30, 40]));
+  const best = studentData.find(({ scores }) => scores.overall === 40);
+
+  assert.equal(best.zScores.overall, 1.34);
+  // 3 scores en dessous, lui-même compte pour moitié
+  assert.equal(best.percentileRanks.overall, 87.5);
+});
+
+test("scores égaux : z-score nul, aucun signalement", () => {
+  const { studentData, outliers } = calculateClassStats(
+    toStudents([60, 60, 60])
+  );
+
+  assert.deepEqual(
+    studentData.map(({ zScores }) => zScores.overall),
+    [0, 0, 0]
+  );
+  assert.deepEqual(outliers, []);
+});
+
+test("signale les scores à plus de deux écarts-types de la moyenne", () => {
+  const { outliers, studentData } = calculateClassStats(
+    toStudents([50, 50, 50, 50, 50, 50, 50, 50, 50, 0])
+  );
+
+  assert.deepEqual(outliers, [
+    {
+      name: "Étudiant 10",
+      criterion: "overall",
+      score: 0,
+      zScore: -3,
+      direction: "low",
+    },
+  ]);
+  assert.equal(studentData[0].outliers.length, 0);
+});
+
+test("un score absent n'est ni compté ni positionné", () => {
+  const students = [
+    ...toStudents([10, 30]),
+    { name: "Sans note", scores: withScores({}) },
+  ];
+  const { stats, studentData } = calculateClassStats(students);
+
+  assert.equal(stats.overall.count, 2);
+  assert.deepEqual(studentData[2].zScores, {});
+});
@@ -0,0 +1,126 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { createStore } from "../services/storage/storageService.js";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-"));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// better-sqlite3 est optionnel : son backend n'est testé que s'il est installé
+let sqliteInstalled = true;
+try {
+  createRequire(import.meta.url)("better-sqlite3");
+} catch {
+  sqliteInstalled = false;
+}
+
+const report = (snapshotId, colors) => ({
+  meta: {
+    projectName: "site",
+    snapshotId,
+    scannedAt: `2026-01-0${snapshotId}T09:00:00.000Z`,
+  },
+  cssAnalysisResult: { colors: { score: { total: colors } } },
+});
+
+/**
+ * Vérifie le contrat commun aux deux backends (voir storageService.js).
+ * @param {object} store
+ */
+const checkStoreContract = (store) => {
+  assert.deepEqual(store.listProjects(), []);
+  assert.equal(store.listSnapshots("site"), null);
+  assert.equal(store.getLatestReport("site"), null);
+
+  store.saveSnapshot("site", report("1", 60));
+  store.saveSnapshot("site", report("2", 80));
+
+  assert.deepEqual(store.listProjects(), ["site"]);
+  assert.equal(store.hasSnapshot("site", "1"), true);
+  assert.equal(store.hasSnapshot("site", "3"), false);
+  assert.equal(store.getLatestReport("site").meta.snapshotId, "2");
+  assert.deepEqual(store.getSnapshot("site", "1"), report("1", 60));
+  assert.equal(store.getSnapshot("site", "3"), null);
+  assert.deepEqual(
+    store
+      .listSnapshots("site")
+      .map(({ snapshotId, scores }) => [snapshotId, scores.cssColors]),
+    [
+      ["2", 80],
+      ["1", 60],
+    ]
+  );
+  assert.deepEqual(
+    store
+      .listLatestScores()
+      .map(({ projectName, meta, scores }) => [
+        projectName,
+        meta.snapshotId,
+        scores.cssColors,
+      ]),
+    [["site", "2", 80]]
+  );
+
+  const cohort = { id: "b1", name: "B1", members: ["site"] };
+  store.saveCohort(cohort);
+  store.saveCohort({ ...cohort, name: "B1 web" });
+  assert.deepEqual(store.getCohort("b1"), { ...cohort, name: "B1 web" });
+  assert.equal(store.listCohorts().length, 1);
+  assert.equal(store.deleteCohort("b1"), true);
+  assert.equal(store.deleteCohort("b1"), false);
+  assert.equal(store.getCohort("b1"), null);
+};
+
+test("backend JSON : projets, snapshots et cohortes", () => {
+  const dataDir = path.join(tmpDir, "json");
+  checkStoreContract(createStore("json", { dataDir }));
+
+  assert.deepEqual(fs.readdirSync(path.join(dataDir, "history/site")).sort(), [
+    ".index.json",
+    "1.json",
+    "2.json",
+  ]);
+});
+
+test("backend JSON : scores relus quand le dernier rapport change", () => {
+  const dataDir = path.join(tmpDir, "json-cache");
+  const store = createStore("json", { dataDir });
+  store.saveSnapshot("site", report("1", 60));
+  assert.equal(store.listLatestScores()[0].scores.cssColors, 60);
+
+  // Rapport modifié hors du store (ancienne version, copie manuelle…)
+  const latestPath = path.join(dataDir, "site.json");
+  fs.writeFileSync(latestPath, JSON.stringify(report("1", 90)));
+  const mtime = new Date(Date.now() + 5000);
+  fs.utimesSync(latestPath, mtime, mtime);
+
+  assert.equal(store.listLatestScores()[0].scores.cssColors, 90);
+});
+
+test(
+  "backend SQLite : même contrat",
+  { skip: !sqliteInstalled && "better-sqlite3 non installé" },
+  () => {
+    checkStoreContract(
+      createStore("sqlite", { sqlitePath: path.join(tmpDir, "analysis.db") })
+    );
+  }
+);
+
+test("backend inconnu", () => {
+  assert.throws(() => createStore("redis"), /Unknown storage backend: redis/);
+});
+
+test(
+  "backend SQLite sans better-sqlite3 : message d'installation",
+  { skip: sqliteInstalled && "better-sqlite3 installé" },
+  () => {
+    assert.throws(
+      () => createStore("sqlite", { sqlitePath: path.join(tmpDir, "a.db") }),
+      /requires the better-sqlite3 package \(npm install better-sqlite3\)/
+    );
+  }
+);